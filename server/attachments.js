@@ -0,0 +1,166 @@
+// server/attachments.js
+// Files attached in the chat composer. The bytes live in server/uploads/
+// (one file per attachment, named by its id); the table records who owns
+// each one and what it is. At send time they become multimodal content
+// parts for OpenRouter.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("./db");
+
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+// text files are pasted into the prompt – cap them so one CSV can't eat
+// the whole context window
+const MAX_INLINE_TEXT_CHARS = 100000;
+
+// mime type -> kind. "image" and "file" need a model with that input
+// modality; "text" is inlined, so every model can take it.
+const ATTACHMENT_KINDS = {
+  "image/png": "image",
+  "image/jpeg": "image",
+  "image/webp": "image",
+  "image/gif": "image",
+  "application/pdf": "file",
+  "text/plain": "text",
+  "text/csv": "text",
+  "text/markdown": "text",
+};
+
+function attachmentFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    mimeType: row.mime_type,
+    kind: row.kind,
+    size: row.size,
+    createdAt: row.created_at,
+  };
+}
+
+function filePath(id) {
+  return path.join(UPLOADS_DIR, id);
+}
+
+function getAttachmentKind(mimeType) {
+  return ATTACHMENT_KINDS[mimeType] || null;
+}
+
+/**
+ * Stores an upload. data is the file's bytes (Buffer); name/mimeType are
+ * expected to be checked by the caller. createdAt: imports keep the
+ * original.
+ */
+function createAttachment(userId, { name, mimeType, data, createdAt }) {
+  const id = crypto.randomUUID();
+
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  fs.writeFileSync(filePath(id), data);
+
+  db.prepare(
+    `INSERT INTO attachments (id, user_id, name, mime_type, kind, size, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    userId,
+    name,
+    mimeType,
+    getAttachmentKind(mimeType),
+    data.length,
+    createdAt || Date.now()
+  );
+
+  return getAttachment(userId, id);
+}
+
+function getAttachment(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM attachments WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? attachmentFromRow(row) : null;
+}
+
+function getAttachmentPath(attachment) {
+  return filePath(attachment.id);
+}
+
+function deleteAttachment(userId, id) {
+  const deleted =
+    db
+      .prepare("DELETE FROM attachments WHERE id = ? AND user_id = ?")
+      .run(id, userId).changes > 0;
+
+  if (deleted) fs.rmSync(filePath(id), { force: true });
+  return deleted;
+}
+
+/**
+ * Looks up the ids a chat request refers to. Returns { attachments } or
+ * { error } if one isn't the user's (or there are too many).
+ */
+function resolveAttachments(userId, ids) {
+  if (ids === undefined || ids === null) return { attachments: [] };
+
+  if (!Array.isArray(ids)) return { error: "attachmentIds must be a list." };
+
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return {
+      error: `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files per message.`,
+    };
+  }
+
+  const found = [];
+  for (const id of ids) {
+    const attachment = getAttachment(userId, String(id));
+    if (!attachment) return { error: `Attachment ${id} not found.` };
+    found.push(attachment);
+  }
+
+  return { attachments: found };
+}
+
+/**
+ * OpenRouter content parts for the attachments: images as image_url,
+ * PDFs as file, text files inlined as text.
+ */
+function buildAttachmentParts(attachments) {
+  return attachments.map((attachment) => {
+    const data = fs.readFileSync(filePath(attachment.id));
+
+    if (attachment.kind === "text") {
+      let text = data.toString("utf8");
+      if (text.length > MAX_INLINE_TEXT_CHARS) {
+        text = `${text.slice(0, MAX_INLINE_TEXT_CHARS)}\n[…truncated]`;
+      }
+      return {
+        type: "text",
+        text: `Attached file "${attachment.name}":\n\n${text}`,
+      };
+    }
+
+    const base64 = data.toString("base64");
+    const dataUrl = `data:${attachment.mimeType};base64,${base64}`;
+
+    if (attachment.kind === "image") {
+      return { type: "image_url", image_url: { url: dataUrl } };
+    }
+
+    return {
+      type: "file",
+      file: { filename: attachment.name, file_data: dataUrl },
+    };
+  });
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  getAttachmentKind,
+  createAttachment,
+  getAttachment,
+  getAttachmentPath,
+  deleteAttachment,
+  resolveAttachments,
+  buildAttachmentParts,
+};
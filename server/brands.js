@@ -0,0 +1,199 @@
+// server/brands.js
+// Brand profiles: voice, audience, banned words, sample copy, logo, palette.
+// These get turned into prompt text for chat, image and video generation.
+const crypto = require("crypto");
+const db = require("./db");
+
+function parseList(json) {
+  try {
+    const value = JSON.parse(json || "[]");
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+function brandFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    voice: row.voice,
+    audience: row.audience,
+    bannedWords: parseList(row.banned_words),
+    sampleCopy: row.sample_copy,
+    logoUrl: row.logo_url,
+    palette: parseList(row.palette),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// trims strings and drops empties, so the prompt never gets blank bullets
+function cleanList(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// ------------- CRUD -------------
+
+function listBrands() {
+  return db
+    .prepare("SELECT * FROM brands ORDER BY created_at ASC, name ASC")
+    .all()
+    .map(brandFromRow);
+}
+
+function getBrand(id) {
+  const row = db.prepare("SELECT * FROM brands WHERE id = ?").get(id);
+  return row ? brandFromRow(row) : null;
+}
+
+function getBrandByName(name) {
+  const row = db.prepare("SELECT * FROM brands WHERE name = ?").get(name);
+  return row ? brandFromRow(row) : null;
+}
+
+/**
+ * Finds the brand a request refers to: by id (current frontend) or by name
+ * (older clients and messages that only stored the name).
+ */
+function resolveBrand({ brandId, brand }) {
+  return (brandId && getBrand(brandId)) || (brand && getBrandByName(brand));
+}
+
+function createBrand(fields) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+
+  db.prepare(
+    `INSERT INTO brands
+      (id, name, voice, audience, banned_words, sample_copy, logo_url, palette, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    fields.name.trim(),
+    fields.voice || "",
+    fields.audience || "",
+    JSON.stringify(cleanList(fields.bannedWords)),
+    fields.sampleCopy || "",
+    fields.logoUrl || null,
+    JSON.stringify(cleanList(fields.palette)),
+    now,
+    now
+  );
+
+  return getBrand(id);
+}
+
+function updateBrand(id, fields) {
+  const existing = getBrand(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...fields };
+
+  db.prepare(
+    `UPDATE brands SET
+       name = ?, voice = ?, audience = ?, banned_words = ?, sample_copy = ?,
+       logo_url = ?, palette = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(
+    merged.name.trim(),
+    merged.voice || "",
+    merged.audience || "",
+    JSON.stringify(cleanList(merged.bannedWords)),
+    merged.sampleCopy || "",
+    merged.logoUrl || null,
+    JSON.stringify(cleanList(merged.palette)),
+    Date.now(),
+    id
+  );
+
+  return getBrand(id);
+}
+
+function deleteBrand(id) {
+  return db.prepare("DELETE FROM brands WHERE id = ?").run(id).changes > 0;
+}
+
+// ------------- PROMPT BUILDING -------------
+
+const DEFAULT_VOICE =
+  "Professional, sharp, direct, but still human. Speak clearly, be practical, and avoid fluff.";
+
+/**
+ * Full guidelines for the chat system prompt. Works without a brand too
+ * (falls back to the house voice) so prompts never say "Brand: undefined".
+ */
+function buildBrandGuidelines(brand, fallbackName) {
+  if (!brand) {
+    return [
+      `Brand: ${fallbackName || "none selected"}`,
+      `Brand voice & tone: ${DEFAULT_VOICE}`,
+    ].join("\n");
+  }
+
+  const lines = [`Brand: ${brand.name}`];
+
+  lines.push(`Brand voice & tone: ${brand.voice || DEFAULT_VOICE}`);
+
+  if (brand.audience) {
+    lines.push(`Target audience: ${brand.audience}`);
+  }
+
+  if (brand.bannedWords.length) {
+    lines.push(
+      `Never use these words or phrases: ${brand.bannedWords.join(", ")}`
+    );
+  }
+
+  if (brand.palette.length) {
+    lines.push(`Brand colour palette: ${brand.palette.join(", ")}`);
+  }
+
+  if (brand.sampleCopy) {
+    lines.push(
+      `Sample copy in this brand's voice (match the style, don't copy it):\n"""\n${brand.sampleCopy}\n"""`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Short visual direction appended to image/video prompts – generation
+ * models don't do well with long system prompts.
+ */
+function buildBrandVisualStyle(brand) {
+  if (!brand) return "";
+
+  const parts = [`Brand: ${brand.name}`];
+
+  if (brand.palette.length) {
+    parts.push(`use the brand colour palette ${brand.palette.join(", ")}`);
+  }
+
+  if (brand.voice) {
+    parts.push(`overall feel: ${brand.voice.replace(/\.\s*$/, "")}`);
+  }
+
+  if (brand.audience) {
+    parts.push(`made for ${brand.audience}`);
+  }
+
+  if (brand.bannedWords.length) {
+    parts.push(`no text containing: ${brand.bannedWords.join(", ")}`);
+  }
+
+  return parts.join("; ") + ".";
+}
+
+module.exports = {
+  listBrands,
+  getBrand,
+  resolveBrand,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+  buildBrandGuidelines,
+  buildBrandVisualStyle,
+};
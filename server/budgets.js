@@ -0,0 +1,271 @@
+// server/budgets.js
+// Daily/monthly spending limits per user and per brand, checked against the
+// usage log (usage.js) before any upstream call. An admin can lift a limit
+// until the end of its period.
+const crypto = require("crypto");
+const db = require("./db");
+const brands = require("./brands");
+const users = require("./users");
+
+const SCOPES = ["user", "brand"];
+const PERIODS = ["day", "month"];
+const PERIOD_LABELS = { day: "daily", month: "monthly" };
+const DEFAULT_WARN_RATIO = 0.8;
+
+function budgetFromRow(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    targetId: row.target_id,
+    period: row.period,
+    limitUsd: row.limit_usd,
+    warnRatio: row.warn_ratio,
+    overrideUntil: row.override_until,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// periods follow the server's local calendar
+function periodStart(period, now = new Date()) {
+  return period === "day"
+    ? new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime()
+    : new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+}
+
+function periodEnd(period, now = new Date()) {
+  return period === "day"
+    ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime()
+    : new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime();
+}
+
+/**
+ * The usage log for the period, plus the quoted price of video jobs still
+ * queued or running – those are only logged once they finish, and until
+ * then they'd let more paid submissions through.
+ */
+function spentUsd(budget) {
+  const column = budget.scope === "user" ? "user_id" : "brand_id";
+  const since = periodStart(budget.period);
+
+  const logged = db
+    .prepare(
+      `SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM usage_events
+       WHERE ${column} = ? AND created_at >= ?`
+    )
+    .get(budget.targetId, since).spent;
+
+  const reserved = db
+    .prepare(
+      `SELECT COALESCE(SUM(json_extract(meta, '$.costUsd')), 0) AS spent
+       FROM jobs
+       WHERE ${
+         budget.scope === "user"
+           ? "user_id = ?"
+           : "json_extract(meta, '$.brandId') = ?"
+       }
+         AND status IN ('queued', 'running') AND created_at >= ?`
+    )
+    .get(budget.targetId, since).spent;
+
+  return logged + reserved;
+}
+
+function targetName(budget) {
+  return budget.scope === "user"
+    ? users.getUser(budget.targetId)?.name
+    : brands.getBrand(budget.targetId)?.name;
+}
+
+// the budget plus what's been spent against it this period
+function withSpend(budget) {
+  return {
+    ...budget,
+    targetName: targetName(budget) || null,
+    spentUsd: spentUsd(budget),
+    periodEndsAt: periodEnd(budget.period),
+    isOverridden: Boolean(
+      budget.overrideUntil && budget.overrideUntil > Date.now()
+    ),
+  };
+}
+
+// ------------- CRUD -------------
+
+/**
+ * All budgets (admin), or only the ones that apply to `userId`: their own
+ * and every brand's, since brands are shared.
+ */
+function listBudgets(userId = null) {
+  const rows = userId
+    ? db
+        .prepare(
+          `SELECT * FROM budgets
+           WHERE (scope = 'user' AND target_id = ?) OR scope = 'brand'
+           ORDER BY scope, period`
+        )
+        .all(userId)
+    : db.prepare("SELECT * FROM budgets ORDER BY scope, period").all();
+
+  return rows.map(budgetFromRow).map(withSpend);
+}
+
+function getBudget(id) {
+  const row = db.prepare("SELECT * FROM budgets WHERE id = ?").get(id);
+  return row ? budgetFromRow(row) : null;
+}
+
+// Body: { scope, targetId, period, limitUsd, warnRatio? } – returns errors
+function validateBudget(body) {
+  const errors = [];
+
+  if (!SCOPES.includes(body.scope)) {
+    errors.push(`scope must be one of: ${SCOPES.join(", ")}.`);
+  } else if (
+    body.scope === "user"
+      ? !users.getUser(body.targetId)
+      : !brands.getBrand(body.targetId)
+  ) {
+    errors.push(`That ${body.scope} doesn't exist.`);
+  }
+
+  if (!PERIODS.includes(body.period)) {
+    errors.push(`period must be one of: ${PERIODS.join(", ")}.`);
+  }
+
+  if (typeof body.limitUsd !== "number" || !(body.limitUsd >= 0)) {
+    errors.push("limitUsd must be a number of dollars (0 or more).");
+  }
+
+  if (
+    body.warnRatio !== undefined &&
+    (typeof body.warnRatio !== "number" ||
+      body.warnRatio <= 0 ||
+      body.warnRatio > 1)
+  ) {
+    errors.push("warnRatio must be between 0 and 1.");
+  }
+
+  return errors;
+}
+
+// one budget per scope/target/period – saving again replaces the limit
+function saveBudget({ scope, targetId, period, limitUsd, warnRatio }) {
+  const now = Date.now();
+
+  db.prepare(
+    `INSERT INTO budgets
+      (id, scope, target_id, period, limit_usd, warn_ratio, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(scope, target_id, period) DO UPDATE SET
+       limit_usd = excluded.limit_usd,
+       warn_ratio = excluded.warn_ratio,
+       updated_at = excluded.updated_at`
+  ).run(
+    crypto.randomUUID(),
+    scope,
+    targetId,
+    period,
+    limitUsd,
+    warnRatio ?? DEFAULT_WARN_RATIO,
+    now,
+    now
+  );
+
+  const row = db
+    .prepare(
+      "SELECT * FROM budgets WHERE scope = ? AND target_id = ? AND period = ?"
+    )
+    .get(scope, targetId, period);
+  return withSpend(budgetFromRow(row));
+}
+
+function deleteBudget(id) {
+  return db.prepare("DELETE FROM budgets WHERE id = ?").run(id).changes > 0;
+}
+
+// lift = true: no limit until the current period ends; false: back on
+function setOverride(id, lift) {
+  const budget = getBudget(id);
+  if (!budget) return null;
+
+  db.prepare(
+    "UPDATE budgets SET override_until = ?, updated_at = ? WHERE id = ?"
+  ).run(lift ? periodEnd(budget.period) : null, Date.now(), id);
+
+  return withSpend(getBudget(id));
+}
+
+// ------------- ENFORCEMENT -------------
+
+function describeBudget(budget) {
+  const period = PERIOD_LABELS[budget.period];
+  return budget.scope === "user"
+    ? `Your ${period} AI budget`
+    : `The ${period} AI budget for ${budget.targetName || "this brand"}`;
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Checks every budget that applies to a request before it goes upstream.
+ * estimatedCostUsd = what the call will cost, if known up front (video);
+ * chat/image are only blocked once the limit is already reached.
+ * Returns { exceeded: budget | null, message, warnings: [string] }.
+ */
+function checkBudgets({ userId, brandId, estimatedCostUsd = 0 }) {
+  const rows = db
+    .prepare(
+      `SELECT * FROM budgets
+       WHERE (scope = 'user' AND target_id = ?)
+          OR (scope = 'brand' AND target_id = ?)`
+    )
+    .all(userId, brandId || null);
+
+  const warnings = [];
+
+  for (const budget of rows.map(budgetFromRow).map(withSpend)) {
+    const projected = budget.spentUsd + estimatedCostUsd;
+    const spent = `${formatUsd(budget.spentUsd)} of ${formatUsd(budget.limitUsd)}`;
+
+    if (projected >= budget.limitUsd) {
+      if (budget.isOverridden) {
+        warnings.push(
+          `${describeBudget(budget)} is used up (${spent}) – an admin lifted the limit for now.`
+        );
+        continue;
+      }
+
+      const resets = budget.period === "day" ? "at midnight" : "on the 1st";
+      return {
+        exceeded: budget,
+        message: `${describeBudget(budget)} is used up (${spent}${
+          estimatedCostUsd ? `, this would cost ${formatUsd(estimatedCostUsd)}` : ""
+        }). It resets ${resets} – or ask an admin to raise or lift it.`,
+        warnings,
+      };
+    }
+
+    if (projected >= budget.limitUsd * budget.warnRatio) {
+      warnings.push(
+        `${describeBudget(budget)} is ${Math.round(
+          (budget.spentUsd / budget.limitUsd) * 100
+        )}% used (${spent}).`
+      );
+    }
+  }
+
+  return { exceeded: null, message: null, warnings };
+}
+
+module.exports = {
+  listBudgets,
+  getBudget,
+  validateBudget,
+  saveBudget,
+  deleteBudget,
+  setOverride,
+  checkBudgets,
+};
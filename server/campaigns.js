@@ -0,0 +1,268 @@
+// server/campaigns.js
+// Campaign Builder plans: the JSON schema the model has to answer with,
+// validation of what comes back, and storage. Campaigns belong to a user
+// and (through the chat they were made in) to a project.
+const crypto = require("crypto");
+const db = require("./db");
+
+// ------------- SCHEMA -------------
+
+const STRING_LIST = { type: "array", items: { type: "string" } };
+
+// kept to the JSON-schema subset every structured-output provider accepts
+const CAMPAIGN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "title",
+    "objective",
+    "audience",
+    "channels",
+    "calendar",
+    "cta",
+    "hashtags",
+  ],
+  properties: {
+    title: { type: "string" },
+    objective: { type: "string" },
+    audience: { type: "string" },
+    channels: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "goal", "copyVariants", "cta", "hashtags"],
+        properties: {
+          name: { type: "string" },
+          goal: { type: "string" },
+          copyVariants: STRING_LIST,
+          cta: { type: "string" },
+          hashtags: STRING_LIST,
+        },
+      },
+    },
+    calendar: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["date", "channel", "content"],
+        properties: {
+          date: { type: "string" },
+          channel: { type: "string" },
+          content: { type: "string" },
+        },
+      },
+    },
+    cta: { type: "string" },
+    hashtags: STRING_LIST,
+  },
+};
+
+// parts of a plan that can be regenerated on their own
+const SECTIONS = ["objective", "audience", "channels", "calendar", "cta", "hashtags"];
+
+// { <section>: ... } – what the model answers with when redoing one section
+function sectionSchema(section) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: [section],
+    properties: { [section]: CAMPAIGN_SCHEMA.properties[section] },
+  };
+}
+
+// ------------- VALIDATION -------------
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Checks a value against the schema subset used above (type, required,
+ * properties, additionalProperties, items). Returns a list of problems
+ * like "channels[0].cta: expected string, got number"; empty = valid.
+ */
+function validateSchema(value, schema, path = "") {
+  const where = path || "(root)";
+  const actual = typeOf(value);
+
+  if (actual !== schema.type) {
+    return [`${where}: expected ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ""}${key}: missing`);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties?.[key];
+
+      if (!childSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push(`${childPath}: not allowed`);
+        }
+        continue;
+      }
+
+      errors.push(...validateSchema(child, childSchema, childPath));
+    }
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// schema problems plus the rules JSON schema can't express for us
+function validateCampaign(data) {
+  const errors = validateSchema(data, CAMPAIGN_SCHEMA);
+  if (errors.length) return errors;
+
+  if (!data.title.trim()) errors.push("title: empty");
+  if (!data.channels.length) errors.push("channels: needs at least one channel");
+  if (!data.calendar.length) errors.push("calendar: needs at least one entry");
+
+  data.channels.forEach((channel, index) => {
+    if (!channel.copyVariants.length) {
+      errors.push(`channels[${index}].copyVariants: needs at least one variant`);
+    }
+  });
+
+  return errors;
+}
+
+// "#Summer Sale" / "summersale" -> "#SummerSale" / "#summersale"
+function normalizeHashtags(list) {
+  return list
+    .map((tag) => tag.trim().replace(/^#+/, "").replace(/\s+/g, ""))
+    .filter(Boolean)
+    .map((tag) => `#${tag}`);
+}
+
+function normalizeCampaign(data) {
+  return {
+    ...data,
+    title: data.title.trim(),
+    hashtags: normalizeHashtags(data.hashtags),
+    channels: data.channels.map((channel) => ({
+      ...channel,
+      hashtags: normalizeHashtags(channel.hashtags),
+    })),
+  };
+}
+
+// ------------- STORAGE -------------
+
+function campaignFromRow(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    chatId: row.chat_id,
+    brandId: row.brand_id,
+    model: row.model,
+    title: row.title,
+    data: JSON.parse(row.data),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// projectId: undefined = all, null = outside projects, string = that project
+function listCampaigns(userId, { projectId } = {}) {
+  if (projectId === undefined) {
+    return db
+      .prepare(
+        "SELECT * FROM campaigns WHERE user_id = ? ORDER BY created_at DESC"
+      )
+      .all(userId)
+      .map(campaignFromRow);
+  }
+
+  return db
+    .prepare(
+      `SELECT * FROM campaigns WHERE user_id = ? AND project_id IS ?
+       ORDER BY created_at DESC`
+    )
+    .all(userId, projectId)
+    .map(campaignFromRow);
+}
+
+function getCampaign(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM campaigns WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? campaignFromRow(row) : null;
+}
+
+// id / createdAt: imports bring their own
+function createCampaign(
+  userId,
+  { id, projectId, chatId, brandId, model, data, createdAt }
+) {
+  const now = Date.now();
+  const campaignId = id || crypto.randomUUID();
+
+  db.prepare(
+    `INSERT INTO campaigns
+      (id, user_id, project_id, chat_id, brand_id, model, title, data, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    campaignId,
+    userId,
+    projectId || null,
+    chatId || null,
+    brandId || null,
+    model || null,
+    data.title,
+    JSON.stringify(data),
+    createdAt || now,
+    now
+  );
+
+  return getCampaign(userId, campaignId);
+}
+
+// data must already be validated
+function updateCampaign(userId, id, data) {
+  const changes = db
+    .prepare(
+      `UPDATE campaigns SET title = ?, data = ?, updated_at = ?
+       WHERE id = ? AND user_id = ?`
+    )
+    .run(data.title, JSON.stringify(data), Date.now(), id, userId).changes;
+
+  return changes > 0 ? getCampaign(userId, id) : null;
+}
+
+function deleteCampaign(userId, id) {
+  return (
+    db
+      .prepare("DELETE FROM campaigns WHERE id = ? AND user_id = ?")
+      .run(id, userId).changes > 0
+  );
+}
+
+module.exports = {
+  CAMPAIGN_SCHEMA,
+  SECTIONS,
+  sectionSchema,
+  validateSchema,
+  validateCampaign,
+  normalizeCampaign,
+  listCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+};
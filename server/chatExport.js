@@ -0,0 +1,901 @@
+// server/chatExport.js
+// Getting work out of the app and back in. A chat or a whole project can
+// be exported as Markdown, as a print-ready PDF for client hand-off, or as
+// a .zip bundle that keeps everything (message meta, timestamps, media,
+// attachments, campaigns, knowledge documents) so another Byte-Size
+// instance can import it.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const yazl = require("yazl");
+const yauzl = require("yauzl");
+const db = require("./db");
+const chatStore = require("./chatStore");
+const media = require("./media");
+const attachments = require("./attachments");
+const campaigns = require("./campaigns");
+const knowledge = require("./knowledge");
+
+const BUNDLE_FORMAT = "byte-size-export";
+const BUNDLE_VERSION = 1;
+
+const ROLE_LABELS = { user: "You", assistant: "Byte-Size AI" };
+
+// message fields holding a generated image/video (a /media/ URL)
+const MEDIA_FIELDS = ["imageUrl", "videoUrl", "sourceImageUrl"];
+
+// ------------- COLLECTING -------------
+
+function withMessages(chat) {
+  return { ...chat, messages: chatStore.listAllMessages(chat.id) };
+}
+
+/**
+ * What an export covers: { project, chats }, each chat with all its
+ * messages, oldest chat first. projectId wins over chatId; null if it
+ * isn't the user's.
+ */
+function collect(userId, { chatId, projectId }) {
+  if (projectId) {
+    const project = chatStore.getProject(userId, projectId);
+    if (!project) return null;
+
+    const chats = chatStore.listChats(userId, { projectId }).reverse();
+    return { project, chats: chats.map(withMessages) };
+  }
+
+  const chat = chatStore.getChat(userId, chatId);
+  return chat ? { project: null, chats: [withMessages(chat)] } : null;
+}
+
+// "Q3 Launch: Retail!" -> "q3-launch-retail.md"
+function exportFileName(collection, extension) {
+  const title = collection.project?.name || collection.chats[0]?.title || "";
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "byte-size-export"}.${extension}`;
+}
+
+function formatDate(ms) {
+  return `${new Date(ms).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+// "You · 2026-10-19 14:03 UTC · DSSA · Chat"
+function messageByline(message) {
+  return [
+    ROLE_LABELS[message.role] || message.role,
+    message.createdAt && formatDate(message.createdAt),
+    message.meta?.brand,
+    message.meta?.mode,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * A message as the pieces both documents lay out, in order:
+ * text, campaign, image, video, files, sources or note.
+ */
+function messageBlocks(userId, message) {
+  const blocks = [];
+
+  if (message.text) blocks.push({ kind: "text", text: message.text });
+
+  if (message.type === "campaign" && message.campaignId) {
+    const campaign = campaigns.getCampaign(userId, message.campaignId);
+    if (campaign) blocks.push({ kind: "campaign", plan: campaign.data });
+  }
+
+  if (message.type === "video-job") {
+    blocks.push({ kind: "note", text: "The video was still generating." });
+  }
+
+  if (message.attachments?.length) {
+    blocks.push({
+      kind: "files",
+      names: message.attachments.map((a) => a.name),
+    });
+  }
+
+  if (message.imageUrl) {
+    blocks.push({
+      kind: "image",
+      url: message.imageUrl,
+      alt: message.role === "user" ? "Source image" : "Generated image",
+    });
+  }
+
+  if (message.videoUrl) blocks.push({ kind: "video", url: message.videoUrl });
+
+  if (message.sources?.length) {
+    blocks.push({ kind: "sources", sources: message.sources });
+  }
+
+  return blocks;
+}
+
+// "Sources: [1] Brand guide.md; [3] Price list.csv"
+function sourcesLine(sources) {
+  return `Sources: ${sources
+    .map((s) => `[${s.n}] ${s.documentName}`)
+    .join("; ")}`;
+}
+
+// ------------- MARKDOWN -------------
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n+/g, " ");
+}
+
+function campaignMarkdown(plan) {
+  const lines = [
+    `**Campaign: ${plan.title}**`,
+    "",
+    `- **Objective:** ${plan.objective}`,
+    `- **Audience:** ${plan.audience}`,
+    `- **Call to action:** ${plan.cta}`,
+    `- **Hashtags:** ${plan.hashtags.join(" ")}`,
+    "",
+  ];
+
+  for (const channel of plan.channels) {
+    lines.push(`**${channel.name}** – ${channel.goal}`, "");
+    channel.copyVariants.forEach((copy) => lines.push(`- ${copy}`));
+    lines.push(`- _CTA:_ ${channel.cta} ${channel.hashtags.join(" ")}`, "");
+  }
+
+  lines.push("| Date | Channel | Content |", "| --- | --- | --- |");
+  for (const entry of plan.calendar) {
+    lines.push(
+      `| ${markdownCell(entry.date)} | ${markdownCell(entry.channel)} | ${markdownCell(entry.content)} |`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * The collection as one Markdown document. Media is linked on baseUrl
+ * (this server's public address); embedImages puts images in as data URLs
+ * instead, so the file stands on its own. Videos are always linked.
+ */
+function toMarkdown(userId, collection, { baseUrl, embedImages = false }) {
+  const linkUrl = (url) =>
+    url.startsWith(media.MEDIA_URL_PREFIX) ? `${baseUrl}${url}` : url;
+  const imageUrl = (url) =>
+    embedImages ? media.inlineMediaUrl(url) : linkUrl(url);
+
+  const { project } = collection;
+  const chatHeading = project ? "##" : "#";
+  const lines = [];
+
+  if (project) {
+    lines.push(`# ${project.name}`, "");
+    if (project.instructions) {
+      lines.push("**Project instructions**", "");
+      project.instructions.split("\n").forEach((l) => lines.push(`> ${l}`));
+      lines.push("");
+    }
+  }
+
+  lines.push(`_Exported from Byte-Size AI on ${formatDate(Date.now())}_`, "");
+
+  for (const chat of collection.chats) {
+    lines.push("---", "", `${chatHeading} ${chat.title}`, "");
+    lines.push(`_Started ${formatDate(chat.createdAt)}_`, "");
+
+    for (const message of chat.messages) {
+      lines.push(`**${messageByline(message)}**`, "");
+
+      for (const block of messageBlocks(userId, message)) {
+        if (block.kind === "text") lines.push(block.text);
+        if (block.kind === "campaign") lines.push(campaignMarkdown(block.plan));
+        if (block.kind === "note") lines.push(`_${block.text}_`);
+        if (block.kind === "image") {
+          lines.push(`![${block.alt}](${imageUrl(block.url)})`);
+        }
+        if (block.kind === "video") {
+          lines.push(`[▶ Watch the video](${linkUrl(block.url)})`);
+        }
+        if (block.kind === "files") {
+          lines.push(`📎 ${block.names.join(", ")}`);
+        }
+        if (block.kind === "sources") {
+          lines.push(`_${sourcesLine(block.sources)}_`);
+        }
+        lines.push("");
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// ------------- PDF -------------
+
+const PDF_MARGIN = 56;
+const PDF_IMAGE_HEIGHT = 260;
+const PDF_MUTED = "#6b7280";
+const PDF_TEXT = "#111827";
+
+// The built-in PDF fonts only cover Latin-1 (plus a few typographic
+// marks) – drop emoji and the like rather than print them as garbage.
+function pdfText(text) {
+  return String(text ?? "").replace(
+    /[^\t\n\r\x20-\x7e\xa0-\xff‘’“”–—•…€]/gu,
+    ""
+  );
+}
+
+function pdfCampaign(doc, plan) {
+  doc.font("Helvetica-Bold").fontSize(11).text(pdfText(plan.title));
+  doc.font("Helvetica").fontSize(10);
+
+  for (const [label, value] of [
+    ["Objective", plan.objective],
+    ["Audience", plan.audience],
+    ["Call to action", plan.cta],
+    ["Hashtags", plan.hashtags.join(" ")],
+  ]) {
+    doc
+      .font("Helvetica-Bold")
+      .text(`${label}: `, { continued: true })
+      .font("Helvetica")
+      .text(pdfText(value));
+  }
+
+  for (const channel of plan.channels) {
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .text(pdfText(`${channel.name} – ${channel.goal}`));
+    doc.font("Helvetica");
+    channel.copyVariants.forEach((copy) =>
+      doc.text(pdfText(`•  ${copy}`), { indent: 8 })
+    );
+    doc.text(pdfText(`CTA: ${channel.cta} ${channel.hashtags.join(" ")}`), {
+      indent: 8,
+    });
+  }
+
+  doc.moveDown(0.5).font("Helvetica-Bold").text("Calendar");
+  doc.font("Helvetica");
+  for (const entry of plan.calendar) {
+    doc.text(pdfText(`${entry.date} · ${entry.channel}: ${entry.content}`), {
+      indent: 8,
+    });
+  }
+}
+
+// small grey italics, for what isn't the message itself
+function pdfNote(doc, text) {
+  doc.font("Helvetica-Oblique").fontSize(9).fillColor(PDF_MUTED);
+  doc.text(pdfText(text));
+  doc.font("Helvetica").fontSize(10.5).fillColor(PDF_TEXT);
+}
+
+function pdfImage(doc, url, alt) {
+  const file = url.startsWith("data:") ? null : media.mediaFile(url);
+  const source = url.startsWith("data:image/") ? url : file?.filePath;
+  // pdfkit reads PNG and JPEG only
+  const isSupported = url.startsWith("data:")
+    ? /^data:image\/(png|jpeg);/.test(url)
+    : ["image/png", "image/jpeg"].includes(file?.mimeType);
+
+  if (!source || !isSupported) {
+    pdfNote(doc, `[${alt}]`);
+    return;
+  }
+
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + PDF_IMAGE_HEIGHT > bottom) doc.addPage();
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.image(source, { fit: [width, PDF_IMAGE_HEIGHT] });
+}
+
+/**
+ * The collection as an A4 PDF: one section per chat (each on a new page
+ * in a project), images inline, page numbers in the footer.
+ * Resolves with the file's bytes.
+ */
+function toPdf(userId, collection, { baseUrl }) {
+  const { project } = collection;
+  const title = project?.name || collection.chats[0]?.title || "Export";
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PDF_MARGIN,
+    bufferPages: true,
+    info: { Title: pdfText(title), Creator: "Byte-Size AI" },
+  });
+
+  const done = new Promise((resolve, reject) => {
+    const parts = [];
+    doc.on("data", (part) => parts.push(part));
+    doc.on("end", () => resolve(Buffer.concat(parts)));
+    doc.on("error", reject);
+  });
+
+  doc.fillColor(PDF_TEXT).font("Helvetica-Bold").fontSize(20);
+  doc.text(pdfText(title));
+  doc.font("Helvetica").fontSize(9).fillColor(PDF_MUTED);
+  doc.text(`Exported from Byte-Size AI on ${formatDate(Date.now())}`);
+  doc.fillColor(PDF_TEXT).moveDown();
+
+  if (project?.instructions) {
+    doc.font("Helvetica-Bold").fontSize(10).text("Project instructions");
+    doc.font("Helvetica").text(pdfText(project.instructions));
+  }
+
+  collection.chats.forEach((chat, index) => {
+    if (project) {
+      if (index > 0) doc.addPage();
+      else doc.moveDown();
+
+      doc.font("Helvetica-Bold").fontSize(15).text(pdfText(chat.title));
+      doc.font("Helvetica").fontSize(9).fillColor(PDF_MUTED);
+      doc.text(`Started ${formatDate(chat.createdAt)}`);
+      doc.fillColor(PDF_TEXT).moveDown();
+    }
+
+    for (const message of chat.messages) {
+      doc.font("Helvetica-Bold").fontSize(8.5).fillColor(PDF_MUTED);
+      doc.text(pdfText(messageByline(message)));
+      doc.font("Helvetica").fontSize(10.5).fillColor(PDF_TEXT);
+
+      for (const block of messageBlocks(userId, message)) {
+        if (block.kind === "text") doc.text(pdfText(block.text));
+        if (block.kind === "campaign") pdfCampaign(doc, block.plan);
+        if (block.kind === "image") pdfImage(doc, block.url, block.alt);
+        if (block.kind === "video") {
+          const url = block.url.startsWith(media.MEDIA_URL_PREFIX)
+            ? `${baseUrl}${block.url}`
+            : block.url;
+          doc.fillColor("#130dbb").text(`Video: ${url}`, { link: url });
+          doc.fillColor(PDF_TEXT);
+        }
+        if (block.kind === "files") {
+          pdfNote(doc, `Attached: ${block.names.join(", ")}`);
+        }
+        if (block.kind === "sources") pdfNote(doc, sourcesLine(block.sources));
+        if (block.kind === "note") pdfNote(doc, block.text);
+        doc.moveDown(0.3);
+      }
+
+      doc.moveDown(0.6);
+    }
+  });
+
+  // page numbers – the footer sits in the bottom margin, which would
+  // otherwise push the text onto a new page
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(PDF_MUTED)
+      .text(`${i + 1} / ${count}`, PDF_MARGIN, doc.page.height - 36, {
+        width: doc.page.width - PDF_MARGIN * 2,
+        align: "center",
+      });
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.end();
+  return done;
+}
+
+// ------------- BUNDLE -------------
+// A .zip: bundle.json (messages exactly as stored, plus the records they
+// point at) and the media and attachment files next to it, so no file
+// is ever held as a string.
+
+const MANIFEST_ENTRY = "bundle.json";
+// the same as for any other JSON body
+const MAX_MANIFEST_BYTES = 25 * 1024 * 1024;
+
+// every /media/ URL a message points at
+function messageMediaUrls(message) {
+  return [
+    ...MEDIA_FIELDS.map((field) => message[field]),
+    ...(message.imageUrls || []),
+  ].filter(
+    (url) => typeof url === "string" && url.startsWith(media.MEDIA_URL_PREFIX)
+  );
+}
+
+// { item (for bundle.json), path (the file to add) } or null
+function bundleMedia(userId, url) {
+  const file = media.mediaFile(url);
+  if (!file) return null;
+
+  // files from before the library have no row – the file is all there is
+  const info = media.findMediaByUrl(userId, url);
+  return {
+    item: {
+      url,
+      file: `media/${path.basename(file.filePath)}`,
+      kind:
+        info?.kind || (file.mimeType.startsWith("video/") ? "video" : "image"),
+      mimeType: file.mimeType,
+      prompt: info?.prompt ?? null,
+      model: info?.model ?? null,
+      brandId: info?.brandId ?? null,
+      chatId: info?.chatId ?? null,
+      messageId: info?.messageId ?? null,
+      costUsd: info?.costUsd ?? null,
+      createdAt: info?.createdAt ?? null,
+    },
+    path: file.filePath,
+  };
+}
+
+function bundleAttachment(userId, id) {
+  const attachment = attachments.getAttachment(userId, id);
+  if (!attachment) return null;
+
+  const filePath = attachments.getAttachmentPath(attachment);
+  if (!fs.existsSync(filePath)) return null;
+
+  return {
+    item: { ...attachment, file: `attachments/${attachment.id}` },
+    path: filePath,
+  };
+}
+
+/**
+ * What goes in a bundle: { bundle, files: [{ name, path }] }. A project
+ * also brings its settings, knowledge documents, library media and all
+ * its campaigns.
+ */
+function toBundle(userId, collection) {
+  const { project, chats } = collection;
+  const mediaUrls = new Set();
+  const attachmentIds = new Set();
+  const campaignIds = new Set();
+
+  for (const chat of chats) {
+    for (const message of chat.messages) {
+      messageMediaUrls(message).forEach((url) => mediaUrls.add(url));
+      (message.attachments || []).forEach((a) => attachmentIds.add(a.id));
+      if (message.campaignId) campaignIds.add(message.campaignId);
+    }
+  }
+
+  if (project) {
+    media
+      .listMedia(userId, { projectId: project.id })
+      .forEach((asset) => mediaUrls.add(asset.url));
+    campaigns
+      .listCampaigns(userId, { projectId: project.id })
+      .forEach((campaign) => campaignIds.add(campaign.id));
+  }
+
+  const mediaFiles = [...mediaUrls]
+    .map((url) => bundleMedia(userId, url))
+    .filter(Boolean);
+  const attachmentFiles = [...attachmentIds]
+    .map((id) => bundleAttachment(userId, id))
+    .filter(Boolean);
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: Date.now(),
+    project: project && {
+      id: project.id,
+      name: project.name,
+      instructions: project.instructions,
+      defaultBrandId: project.defaultBrandId,
+      defaultModeId: project.defaultModeId,
+      defaultModel: project.defaultModel,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+    },
+    documents: project
+      ? knowledge.listDocuments(userId, project.id).map((doc) => ({
+          id: doc.id,
+          name: doc.name,
+          mimeType: doc.mimeType,
+          createdAt: doc.createdAt,
+          text: knowledge.getDocumentText(userId, doc.id),
+        }))
+      : [],
+    chats,
+    campaigns: [...campaignIds]
+      .map((id) => campaigns.getCampaign(userId, id))
+      .filter(Boolean)
+      .map((campaign) => ({
+        id: campaign.id,
+        chatId: campaign.chatId,
+        brandId: campaign.brandId,
+        model: campaign.model,
+        data: campaign.data,
+        createdAt: campaign.createdAt,
+        updatedAt: campaign.updatedAt,
+      })),
+    media: mediaFiles.map((f) => f.item),
+    attachments: attachmentFiles.map((f) => f.item),
+  };
+
+  return {
+    bundle,
+    files: [...mediaFiles, ...attachmentFiles].map((f) => ({
+      name: f.item.file,
+      path: f.path,
+    })),
+  };
+}
+
+/**
+ * The lossless export as a .zip stream – files are read as it's sent,
+ * so a project full of videos never sits in memory.
+ */
+function bundleArchive(userId, collection) {
+  const { bundle, files } = toBundle(userId, collection);
+  const zip = new yazl.ZipFile();
+
+  zip.addBuffer(Buffer.from(JSON.stringify(bundle), "utf8"), MANIFEST_ENTRY);
+  // images and videos are compressed already
+  files.forEach((file) => zip.addFile(file.path, file.name, { compress: false }));
+  zip.end();
+
+  return zip.outputStream;
+}
+
+// ------------- IMPORT -------------
+
+// problems with the upload itself – the route answers with err.status
+function importError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function openArchive(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zip) =>
+      err
+        ? reject(importError("That file isn't a Byte-Size export bundle."))
+        : resolve(zip)
+    );
+  });
+}
+
+// entry name -> entry, for everything in the archive
+function listEntries(zip) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    zip.on("entry", (entry) => {
+      entries.set(entry.fileName, entry);
+      zip.readEntry();
+    });
+    zip.on("end", () => resolve(entries));
+    zip.on("error", () =>
+      reject(importError("That bundle is damaged – export it again."))
+    );
+    zip.readEntry();
+  });
+}
+
+// one entry's bytes; yauzl checks they match the size the header gives
+function readEntry(zip, entry, maxBytes) {
+  if (entry.uncompressedSize > maxBytes) {
+    return Promise.reject(
+      importError(`"${entry.fileName}" in the bundle is too big to import.`)
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => {
+      if (err) return reject(importError("That bundle is damaged – export it again."));
+
+      const parts = [];
+      stream.on("data", (part) => parts.push(part));
+      stream.on("end", () => resolve(Buffer.concat(parts)));
+      stream.on("error", () =>
+        reject(importError("That bundle is damaged – export it again."))
+      );
+    });
+  });
+}
+
+/**
+ * Checks a bundle before anything is written: its records, and that every
+ * file it lists is in the archive and within the limits uploads have.
+ * Returns an error message, or null if it can be imported.
+ */
+function validateBundle(bundle, entries) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return "That file isn't a Byte-Size export bundle.";
+  }
+
+  if (typeof bundle.version !== "number" || bundle.version > BUNDLE_VERSION) {
+    return "That bundle comes from a newer version of Byte-Size – update this one to import it.";
+  }
+
+  if (!Array.isArray(bundle.chats)) return "The bundle has no chats list.";
+
+  for (const list of ["documents", "campaigns", "media", "attachments"]) {
+    if (bundle[list] !== undefined && !Array.isArray(bundle[list])) {
+      return `The bundle's ${list} should be a list.`;
+    }
+  }
+
+  // names and text go into SQLite (and get trimmed) as they are
+  const isText = (value) => typeof value === "string";
+
+  if (
+    bundle.project &&
+    (!isText(bundle.project.name) || !bundle.project.name.trim())
+  ) {
+    return "The bundle's project has no name.";
+  }
+
+  const instructions = bundle.project?.instructions;
+  if (instructions != null && !isText(instructions)) {
+    return "The bundle's project instructions should be text.";
+  }
+
+  for (const chat of bundle.chats) {
+    if (!chat?.id || !Array.isArray(chat.messages)) {
+      return "A chat in the bundle has no id or messages.";
+    }
+
+    if (chat.title != null && !isText(chat.title)) {
+      return "A chat in the bundle has a title that isn't text.";
+    }
+
+    if (chat.messages.some((m) => !m?.id || typeof m.role !== "string")) {
+      return `A message in "${chat.title || chat.id}" has no id or role.`;
+    }
+  }
+
+  for (const doc of bundle.documents || []) {
+    if (!isText(doc?.name) || (doc.text != null && !isText(doc.text))) {
+      return "A document in the bundle has no name or text.";
+    }
+
+    if (String(doc.text || "").length > knowledge.MAX_DOCUMENT_BYTES) {
+      return `The document "${doc.name}" is too big to import.`;
+    }
+  }
+
+  for (const campaign of bundle.campaigns || []) {
+    const errors = campaigns.validateCampaign(campaign?.data);
+    if (errors.length) return `A campaign in the bundle isn't valid: ${errors[0]}`;
+  }
+
+  const files = [
+    ...(bundle.media || []).map((item) => [item, media.MAX_MEDIA_BYTES]),
+    ...(bundle.attachments || []).map((item) => [
+      item,
+      attachments.MAX_ATTACHMENT_BYTES,
+    ]),
+  ];
+
+  for (const [item, maxBytes] of files) {
+    const entry = entries.get(item?.file);
+    if (!entry || !isText(item.mimeType)) {
+      return "A file the bundle lists is missing.";
+    }
+    if (item.name != null && !isText(item.name)) {
+      return "A file in the bundle has a name that isn't text.";
+    }
+    if (entry.uncompressedSize > maxBytes) {
+      return `"${item.name || item.file}" is too big to import.`;
+    }
+  }
+
+  return null;
+}
+
+// a message with its references moved to the imported copies
+function importedMessage(message, mapId, mapUrl) {
+  const { chatId: _chatId, ...copy } = { ...message, id: mapId(message.id) };
+
+  for (const field of MEDIA_FIELDS) {
+    if (copy[field]) copy[field] = mapUrl(copy[field]);
+  }
+  if (copy.imageUrls) copy.imageUrls = copy.imageUrls.map(mapUrl);
+  if (copy.sourceMessageId) copy.sourceMessageId = mapId(copy.sourceMessageId);
+  if (copy.campaignId) copy.campaignId = mapId(copy.campaignId);
+  if (copy.attachments) {
+    copy.attachments = copy.attachments.map((a) => ({ ...a, id: mapId(a.id) }));
+  }
+  if (copy.sources) {
+    copy.sources = copy.sources.map((s) => ({
+      ...s,
+      documentId: mapId(s.documentId),
+    }));
+  }
+
+  return copy;
+}
+
+// the database half of an import – all of it or none of it
+const writeBundle = db.transaction(
+  (userId, bundle, { projectId, mapId, mapUrl }) => {
+    let targetProjectId = projectId || null;
+
+    if (bundle.project) {
+      const project = chatStore.createProject(userId, {
+        id: mapId(bundle.project.id),
+        name: bundle.project.name.trim(),
+        createdAt: bundle.project.createdAt,
+      });
+      chatStore.updateProject(userId, project.id, {
+        instructions: bundle.project.instructions || "",
+        defaultBrandId: bundle.project.defaultBrandId ?? null,
+        defaultModeId: bundle.project.defaultModeId ?? null,
+        defaultModel: bundle.project.defaultModel ?? null,
+      });
+      targetProjectId = project.id;
+
+      for (const doc of bundle.documents || []) {
+        if (!String(doc.text || "").trim()) continue;
+
+        knowledge.createDocument(userId, project.id, {
+          id: mapId(doc.id),
+          name: doc.name,
+          type: knowledge.documentType(doc.name, doc.mimeType) || "text/plain",
+          data: Buffer.from(doc.text, "utf8"),
+          createdAt: doc.createdAt,
+        });
+      }
+    }
+
+    const chatIds = new Set(bundle.chats.map((chat) => chat.id));
+    const chats = bundle.chats.map((chat) => {
+      const createdAt = chat.createdAt || Date.now();
+      return chatStore.insertChat(userId, {
+        id: mapId(chat.id),
+        projectId: targetProjectId,
+        title: chat.title || "Imported chat",
+        createdAt,
+        updatedAt: chat.updatedAt || createdAt,
+        messages: chat.messages.map((m) => importedMessage(m, mapId, mapUrl)),
+      });
+    });
+
+    for (const campaign of bundle.campaigns || []) {
+      campaigns.createCampaign(userId, {
+        id: mapId(campaign.id),
+        projectId: targetProjectId,
+        chatId: chatIds.has(campaign.chatId) ? mapId(campaign.chatId) : null,
+        brandId: campaign.brandId,
+        model: campaign.model,
+        data: campaign.data,
+        createdAt: campaign.createdAt,
+      });
+    }
+
+    return {
+      project: targetProjectId
+        ? chatStore.getProject(userId, targetProjectId)
+        : null,
+      chats,
+    };
+  }
+);
+
+/**
+ * Recreates an exported .zip (at filePath) for the user. Everything gets
+ * a fresh id, so a bundle can be imported next to the chats it came from
+ * (or twice); brand and mode ids in message meta are kept as they are.
+ * projectId: where a chat bundle's chats go – a project bundle always
+ * becomes a new project. Returns { project, chats }; throws errors with a
+ * status for a bad bundle.
+ */
+async function importArchive(userId, filePath, { projectId = null } = {}) {
+  const zip = await openArchive(filePath);
+
+  try {
+    const entries = await listEntries(zip);
+    const manifest = entries.get(MANIFEST_ENTRY);
+    if (!manifest) throw importError("That file isn't a Byte-Size export bundle.");
+
+    let bundle;
+    try {
+      const text = await readEntry(zip, manifest, MAX_MANIFEST_BYTES);
+      bundle = JSON.parse(text.toString("utf8"));
+    } catch (err) {
+      throw err.status ? err : importError("That bundle is damaged – export it again.");
+    }
+
+    const error = validateBundle(bundle, entries);
+    if (error) throw importError(error);
+
+    if (projectId && !bundle.project && !chatStore.getProject(userId, projectId)) {
+      throw importError("Project not found.", 404);
+    }
+
+    return await importBundle(userId, bundle, {
+      projectId,
+      readFile: (item, maxBytes) => readEntry(zip, entries.get(item.file), maxBytes),
+    });
+  } finally {
+    zip.close();
+  }
+}
+
+async function importBundle(userId, bundle, { projectId, readFile }) {
+  // old id -> new id, for every record the bundle brings
+  const ids = new Map();
+  const mapId = (id) => {
+    if (id == null) return id;
+    if (!ids.has(id)) ids.set(id, crypto.randomUUID());
+    return ids.get(id);
+  };
+
+  const urls = new Map();
+  const mapUrl = (url) => urls.get(url) || url;
+
+  const savedMedia = [];
+  const savedAttachments = [];
+
+  try {
+    // files first (one at a time, straight from the archive), then the
+    // records in one go
+    for (const item of bundle.media || []) {
+      const asset = media.storeMedia(
+        userId,
+        {
+          data: await readFile(item, media.MAX_MEDIA_BYTES),
+          mimeType: item.mimeType,
+        },
+        {
+          kind: item.kind === "video" ? "video" : "image",
+          prompt: item.prompt,
+          model: item.model,
+          brandId: item.brandId,
+          projectId: bundle.project ? mapId(bundle.project.id) : projectId,
+          chatId: mapId(item.chatId),
+          messageId: mapId(item.messageId),
+          costUsd: item.costUsd,
+          createdAt: item.createdAt,
+        }
+      );
+      savedMedia.push(asset.id);
+      urls.set(item.url, asset.url);
+    }
+
+    for (const item of bundle.attachments || []) {
+      // a type this instance doesn't take – the message keeps the name
+      if (!attachments.getAttachmentKind(item.mimeType)) continue;
+
+      const attachment = attachments.createAttachment(userId, {
+        name: item.name,
+        mimeType: item.mimeType,
+        data: await readFile(item, attachments.MAX_ATTACHMENT_BYTES),
+        createdAt: item.createdAt,
+      });
+      savedAttachments.push(attachment.id);
+      ids.set(item.id, attachment.id);
+    }
+
+    return writeBundle(userId, bundle, { projectId, mapId, mapUrl });
+  } catch (err) {
+    savedMedia.forEach((id) => media.deleteMedia(userId, id));
+    savedAttachments.forEach((id) => attachments.deleteAttachment(userId, id));
+    throw err;
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  collect,
+  exportFileName,
+  toMarkdown,
+  toPdf,
+  bundleArchive,
+  importArchive,
+};
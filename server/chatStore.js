@@ -0,0 +1,534 @@
+// server/chatStore.js
+// Data access for projects, chats and messages (tables live in db.js).
+// Projects and chats are always scoped to their owner (userId); message
+// functions trust the caller to have checked the chat belongs to the user.
+const crypto = require("crypto");
+const db = require("./db");
+
+function createId() {
+  return crypto.randomUUID();
+}
+
+// ------------- ROW MAPPING -------------
+
+function projectFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    instructions: row.instructions,
+    defaultBrandId: row.default_brand_id,
+    defaultModeId: row.default_mode_id,
+    defaultModel: row.default_model,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function chatFromRow(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function messageFromRow(row) {
+  return {
+    ...JSON.parse(row.data || "{}"),
+    id: row.id,
+    role: row.role,
+    text: row.text,
+    createdAt: row.created_at,
+  };
+}
+
+// ------------- PROJECTS -------------
+
+function listProjects(userId) {
+  return db
+    .prepare("SELECT * FROM projects WHERE user_id = ? ORDER BY created_at ASC")
+    .all(userId)
+    .map(projectFromRow);
+}
+
+function getProject(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM projects WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? projectFromRow(row) : null;
+}
+
+function createProject(userId, { id, name, createdAt }) {
+  const now = Date.now();
+  const project = {
+    id: id || createId(),
+    name,
+    instructions: "",
+    defaultBrandId: null,
+    defaultModeId: null,
+    defaultModel: null,
+    createdAt: createdAt || now,
+    updatedAt: now,
+  };
+
+  db.prepare(
+    `INSERT INTO projects (id, user_id, name, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(
+    project.id,
+    userId,
+    project.name,
+    project.createdAt,
+    project.updatedAt
+  );
+
+  return project;
+}
+
+/**
+ * Changes the given fields; undefined = leave as is, null clears a
+ * default.
+ */
+function updateProject(
+  userId,
+  id,
+  { name, instructions, defaultBrandId, defaultModeId, defaultModel }
+) {
+  const existing = getProject(userId, id);
+  if (!existing) return null;
+
+  const pick = (value, current) => (value === undefined ? current : value);
+  const updated = {
+    ...existing,
+    name: name ?? existing.name,
+    instructions: instructions ?? existing.instructions,
+    defaultBrandId: pick(defaultBrandId, existing.defaultBrandId),
+    defaultModeId: pick(defaultModeId, existing.defaultModeId),
+    defaultModel: pick(defaultModel, existing.defaultModel),
+    updatedAt: Date.now(),
+  };
+
+  db.prepare(
+    `UPDATE projects SET name = ?, instructions = ?, default_brand_id = ?,
+       default_mode_id = ?, default_model = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(
+    updated.name,
+    updated.instructions,
+    updated.defaultBrandId,
+    updated.defaultModeId,
+    updated.defaultModel,
+    updated.updatedAt,
+    id
+  );
+
+  return updated;
+}
+
+// chats (and their messages) go with it via ON DELETE CASCADE
+function deleteProject(userId, id) {
+  return (
+    db
+      .prepare("DELETE FROM projects WHERE id = ? AND user_id = ?")
+      .run(id, userId).changes > 0
+  );
+}
+
+// ------------- CHATS -------------
+
+/**
+ * Lists chats, newest first. projectId: undefined = all chats,
+ * null = chats outside any project, string = chats in that project.
+ */
+function listChats(userId, { projectId } = {}) {
+  if (projectId === undefined) {
+    return db
+      .prepare("SELECT * FROM chats WHERE user_id = ? ORDER BY created_at DESC")
+      .all(userId)
+      .map(chatFromRow);
+  }
+
+  if (projectId === null) {
+    return db
+      .prepare(
+        `SELECT * FROM chats WHERE user_id = ? AND project_id IS NULL
+         ORDER BY created_at DESC`
+      )
+      .all(userId)
+      .map(chatFromRow);
+  }
+
+  return db
+    .prepare(
+      `SELECT * FROM chats WHERE user_id = ? AND project_id = ?
+       ORDER BY created_at DESC`
+    )
+    .all(userId, projectId)
+    .map(chatFromRow);
+}
+
+function getChat(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM chats WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? chatFromRow(row) : null;
+}
+
+function createChat(userId, { id, projectId, title, createdAt }) {
+  const now = Date.now();
+  const chat = {
+    id: id || createId(),
+    projectId: projectId || null,
+    title: title || "New chat",
+    createdAt: createdAt || now,
+    updatedAt: now,
+  };
+
+  db.prepare(
+    `INSERT INTO chats (id, user_id, project_id, title, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(
+    chat.id,
+    userId,
+    chat.projectId,
+    chat.title,
+    chat.createdAt,
+    chat.updatedAt
+  );
+
+  return chat;
+}
+
+function updateChat(userId, id, { title, projectId }) {
+  const existing = getChat(userId, id);
+  if (!existing) return null;
+
+  const updated = {
+    ...existing,
+    title: title ?? existing.title,
+    projectId: projectId === undefined ? existing.projectId : projectId,
+    updatedAt: Date.now(),
+  };
+
+  db.prepare(
+    "UPDATE chats SET title = ?, project_id = ?, updated_at = ? WHERE id = ?"
+  ).run(updated.title, updated.projectId, updated.updatedAt, id);
+
+  return updated;
+}
+
+function deleteChat(userId, id) {
+  return (
+    db
+      .prepare("DELETE FROM chats WHERE id = ? AND user_id = ?")
+      .run(id, userId).changes > 0
+  );
+}
+
+function touchChat(id) {
+  db.prepare("UPDATE chats SET updated_at = ? WHERE id = ?").run(
+    Date.now(),
+    id
+  );
+}
+
+// ------------- MESSAGES -------------
+
+/**
+ * One page of a chat's messages, oldest first.
+ * `before` = a position; only messages older than it are returned.
+ */
+function listMessages(chatId, { before, limit = 100 } = {}) {
+  const rows =
+    before == null
+      ? db
+          .prepare(
+            `SELECT * FROM messages WHERE chat_id = ?
+             ORDER BY position DESC LIMIT ?`
+          )
+          .all(chatId, limit + 1)
+      : db
+          .prepare(
+            `SELECT * FROM messages WHERE chat_id = ? AND position < ?
+             ORDER BY position DESC LIMIT ?`
+          )
+          .all(chatId, before, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit).reverse();
+
+  return {
+    messages: page.map(messageFromRow),
+    hasMore,
+    // pass back as `before` to get the previous page
+    nextBefore: hasMore ? page[0].position : null,
+  };
+}
+
+// every message in the chat, oldest first (exports)
+function listAllMessages(chatId) {
+  return db
+    .prepare("SELECT * FROM messages WHERE chat_id = ? ORDER BY position ASC")
+    .all(chatId)
+    .map(messageFromRow);
+}
+
+function getMessage(id) {
+  const row = db.prepare("SELECT * FROM messages WHERE id = ?").get(id);
+  return row ? messageFromRow(row) : null;
+}
+
+// like getMessage, but only if it's in that chat
+function getChatMessage(chatId, id) {
+  const row = db
+    .prepare("SELECT * FROM messages WHERE id = ? AND chat_id = ?")
+    .get(id, chatId);
+  return row ? messageFromRow(row) : null;
+}
+
+/**
+ * Inserts a message at the end of the chat, or updates it in place if a
+ * message with the same id already exists (so retries are harmless).
+ */
+const upsertMessage = db.transaction((chatId, message) => {
+  const { id, role, text, createdAt, chatId: _chatId, ...rest } = message;
+  const messageId = id || createId();
+
+  const existing = db
+    .prepare("SELECT chat_id FROM messages WHERE id = ?")
+    .get(messageId);
+
+  if (existing) {
+    if (existing.chat_id !== chatId) {
+      const err = new Error(`Message ${messageId} belongs to another chat.`);
+      err.status = 409;
+      throw err;
+    }
+
+    db.prepare(
+      "UPDATE messages SET role = ?, text = ?, data = ? WHERE id = ?"
+    ).run(role, text ?? null, JSON.stringify(rest), messageId);
+  } else {
+    const { next } = db
+      .prepare(
+        "SELECT COALESCE(MAX(position), -1) + 1 AS next FROM messages WHERE chat_id = ?"
+      )
+      .get(chatId);
+
+    db.prepare(
+      `INSERT INTO messages (id, chat_id, position, role, text, data, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      messageId,
+      chatId,
+      next,
+      role,
+      text ?? null,
+      JSON.stringify(rest),
+      createdAt || Date.now()
+    );
+  }
+
+  touchChat(chatId);
+  return getMessage(messageId);
+});
+
+function deleteMessage(chatId, id) {
+  return (
+    db
+      .prepare("DELETE FROM messages WHERE id = ? AND chat_id = ?")
+      .run(id, chatId).changes > 0
+  );
+}
+
+/**
+ * Ids of the attachments on the user's messages in a project, a chat or
+ * one message of it – collected before a delete, so the files can go too.
+ */
+function listAttachmentIds(userId, { projectId, chatId, messageId }) {
+  const conditions = ["c.user_id = ?"];
+  const params = [userId];
+
+  if (projectId) {
+    conditions.push("c.project_id = ?");
+    params.push(projectId);
+  }
+  if (chatId) {
+    conditions.push("m.chat_id = ?");
+    params.push(chatId);
+  }
+  if (messageId) {
+    conditions.push("m.id = ?");
+    params.push(messageId);
+  }
+
+  return db
+    .prepare(
+      `SELECT DISTINCT json_extract(a.value, '$.id') AS id
+         FROM messages m
+         JOIN chats c ON c.id = m.chat_id,
+              json_each(m.data, '$.attachments') a
+        WHERE ${conditions.join(" AND ")}`
+    )
+    .all(...params)
+    .map((row) => row.id)
+    .filter(Boolean);
+}
+
+// true while any message still shows the attachment
+function isAttachmentInUse(id) {
+  return Boolean(
+    db
+      .prepare(
+        `SELECT 1 FROM messages m, json_each(m.data, '$.attachments') a
+          WHERE json_extract(a.value, '$.id') = ? LIMIT 1`
+      )
+      .get(id)
+  );
+}
+
+/**
+ * A whole chat in one go, keeping its timestamps – for imports, whose ids
+ * are already fresh. messages: oldest first, in the shape messageFromRow
+ * gives.
+ */
+const insertChat = db.transaction(
+  (userId, { id, projectId, title, createdAt, updatedAt, messages }) => {
+    db.prepare(
+      `INSERT INTO chats (id, user_id, project_id, title, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, userId, projectId || null, title, createdAt, updatedAt);
+
+    const insertMessage = db.prepare(
+      `INSERT INTO messages (id, chat_id, position, role, text, data, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    messages.forEach((message, position) => {
+      const { id: messageId, role, text, createdAt: sentAt, ...rest } = message;
+      insertMessage.run(
+        messageId,
+        id,
+        position,
+        role,
+        text ?? null,
+        JSON.stringify(rest),
+        sentAt || createdAt
+      );
+    });
+
+    return getChat(userId, id);
+  }
+);
+
+// ------------- SEARCH -------------
+
+// words of a search box query; FTS syntax in it is never interpreted
+function searchTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+/**
+ * Full-text search over the user's messages (messages_fts): every word
+ * has to match, as a word or the start of one ("camp" finds "campaign").
+ * Filters: projectId (null = chats outside any project), brandId/brand
+ * and modeId/mode. Assistant messages have no brand/mode of their own,
+ * so they take the one of the prompt before them.
+ * Best match first: [{ ...message, chatId, chatTitle, projectId, snippet,
+ * brand, mode }].
+ */
+function searchMessages(
+  userId,
+  { query, projectId, brandId, brand, modeId, mode, limit = 30 }
+) {
+  const terms = searchTerms(query);
+  if (!terms.length) return [];
+
+  const conditions = ["messages_fts MATCH ?", "c.user_id = ?"];
+  const params = [terms.map((t) => `"${t}"*`).join(" AND "), userId];
+
+  if (projectId === null) {
+    conditions.push("c.project_id IS NULL");
+  } else if (projectId !== undefined) {
+    conditions.push("c.project_id = ?");
+    params.push(projectId);
+  }
+
+  // outer filters on the message's (or its prompt's) meta
+  const metaConditions = [];
+  if (brandId || brand) {
+    metaConditions.push(
+      "(json_extract(meta, '$.brandId') = ? OR json_extract(meta, '$.brand') = ?)"
+    );
+    params.push(brandId ?? null, brand ?? null);
+  }
+  if (modeId || mode) {
+    metaConditions.push(
+      "(json_extract(meta, '$.modeId') = ? OR json_extract(meta, '$.mode') = ?)"
+    );
+    params.push(modeId ?? null, mode ?? null);
+  }
+
+  return db
+    .prepare(
+      `SELECT * FROM (
+         SELECT m.*, f.rank, c.title AS chat_title, c.project_id,
+           snippet(messages_fts, 0, '', '', '…', 24) AS snippet,
+           COALESCE(
+             json_extract(m.data, '$.meta'),
+             (SELECT json_extract(u.data, '$.meta') FROM messages u
+              WHERE u.chat_id = m.chat_id AND u.role = 'user'
+                AND u.position < m.position
+              ORDER BY u.position DESC LIMIT 1)
+           ) AS meta
+         FROM messages_fts f
+         JOIN messages m ON m.seq = f.rowid
+         JOIN chats c ON c.id = m.chat_id
+         WHERE ${conditions.join(" AND ")}
+       )
+       ${metaConditions.length ? `WHERE ${metaConditions.join(" AND ")}` : ""}
+       ORDER BY rank LIMIT ?`
+    )
+    .all(...params, limit)
+    .map((row) => {
+      const meta = JSON.parse(row.meta || "{}");
+      return {
+        ...messageFromRow(row),
+        chatId: row.chat_id,
+        chatTitle: row.chat_title,
+        projectId: row.project_id,
+        snippet: row.snippet,
+        brand: meta.brand ?? null,
+        mode: meta.mode ?? null,
+      };
+    });
+}
+
+module.exports = {
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  listChats,
+  getChat,
+  createChat,
+  updateChat,
+  deleteChat,
+  listMessages,
+  listAllMessages,
+  getMessage,
+  getChatMessage,
+  upsertMessage,
+  deleteMessage,
+  listAttachmentIds,
+  isAttachmentInUse,
+  insertChat,
+  searchMessages,
+};
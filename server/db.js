@@ -5,11 +5,599 @@ const path = require("path");
 // Creates /server/data.sqlite (if it doesn't exist yet)
 const db = new Database(path.join(__dirname, "data.sqlite"));
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS chat_state (
-    id TEXT PRIMARY KEY,
-    data TEXT NOT NULL
-  );
-`);
+db.pragma("foreign_keys = ON");
+
+// ------------- MIGRATIONS -------------
+// Each entry runs exactly once, in order. PRAGMA user_version stores how many
+// have been applied, so only append to this list – never edit or reorder it.
+
+const MIGRATIONS = [
+  // 1: original single-blob chat state, with revision tracking
+  function createChatState() {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_state (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+
+    // databases from before migrations existed may lack these columns
+    const columns = db
+      .prepare("PRAGMA table_info(chat_state)")
+      .all()
+      .map((c) => c.name);
+
+    if (!columns.includes("revision")) {
+      db.exec(
+        "ALTER TABLE chat_state ADD COLUMN revision INTEGER NOT NULL DEFAULT 0"
+      );
+    }
+
+    if (!columns.includes("updated_at")) {
+      db.exec("ALTER TABLE chat_state ADD COLUMN updated_at INTEGER");
+    }
+  },
+
+  // 2: normalized projects / chats / messages, seeded from the old blob
+  function createChatTables() {
+    db.exec(`
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE chats (
+        id TEXT PRIMARY KEY,
+        project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+        title TEXT NOT NULL DEFAULT 'New chat',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_chats_project ON chats(project_id);
+
+      -- role/text are what we query on; everything else the frontend keeps on
+      -- a message (meta, type, imageUrl, videoUrl, ...) lives in the JSON data
+      CREATE TABLE messages (
+        id TEXT PRIMARY KEY,
+        chat_id TEXT NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        text TEXT,
+        data TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_messages_chat ON messages(chat_id, position);
+    `);
+
+    const row = db
+      .prepare("SELECT data FROM chat_state WHERE id = ?")
+      .get("default");
+    if (!row) return;
+
+    const { projects = [], chats = [] } = JSON.parse(row.data);
+    const now = Date.now();
+
+    const insertProject = db.prepare(
+      "INSERT INTO projects (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)"
+    );
+    const insertChat = db.prepare(
+      `INSERT INTO chats (id, project_id, title, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)`
+    );
+    const insertMessage = db.prepare(
+      `INSERT INTO messages (id, chat_id, position, role, text, data, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    const projectIds = new Set();
+
+    for (const p of projects) {
+      if (!p?.id || projectIds.has(p.id)) continue;
+      const createdAt = p.createdAt || now;
+      insertProject.run(p.id, p.name || "Untitled", createdAt, createdAt);
+      projectIds.add(p.id);
+    }
+
+    const chatIds = new Set();
+
+    for (const c of chats) {
+      if (!c?.id || chatIds.has(c.id)) continue;
+      const createdAt = c.createdAt || now;
+      insertChat.run(
+        c.id,
+        projectIds.has(c.projectId) ? c.projectId : null,
+        c.title || "New chat",
+        createdAt,
+        c.updatedAt || createdAt
+      );
+      chatIds.add(c.id);
+
+      // the welcome banner was stored per chat – it's UI, not history
+      (c.messages || [])
+        .filter((m) => m && m.role !== "system")
+        .forEach((m, index) => {
+          const { id, role, text, createdAt: _createdAt, ...rest } = m;
+          insertMessage.run(
+            id || `${c.id}-${index}`,
+            c.id,
+            index,
+            role,
+            text ?? null,
+            JSON.stringify(rest),
+            m.createdAt || createdAt
+          );
+        });
+    }
+
+    console.log(
+      `📦 Imported ${projectIds.size} project(s) and ${chatIds.size} chat(s) from chat_state.`
+    );
+  },
+
+  // 3: user accounts; projects and chats belong to a user
+  function createUsers() {
+    db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      -- NULL until the first admin is created (see users.ensureBootstrapAdmin)
+      ALTER TABLE projects ADD COLUMN user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+      ALTER TABLE chats ADD COLUMN user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+
+      CREATE INDEX idx_projects_user ON projects(user_id);
+      CREATE INDEX idx_chats_user ON chats(user_id);
+    `);
+  },
+
+  // 4: brand profiles (shared by the whole team), seeded with the old BRANDS
+  function createBrands() {
+    db.exec(`
+      CREATE TABLE brands (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        voice TEXT NOT NULL DEFAULT '',
+        audience TEXT NOT NULL DEFAULT '',
+        banned_words TEXT NOT NULL DEFAULT '[]',
+        sample_copy TEXT NOT NULL DEFAULT '',
+        logo_url TEXT,
+        palette TEXT NOT NULL DEFAULT '[]',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    const insert = db.prepare(
+      `INSERT INTO brands (id, name, voice, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)`
+    );
+    const now = Date.now();
+
+    // same voice the old hard-coded system prompt used for every brand;
+    // created_at keeps the old BRANDS order (DSSA first = default)
+    ["DSSA", "LVR", "AI"].forEach((name, index) => {
+      insert.run(
+        name.toLowerCase(),
+        name,
+        "Professional, sharp, direct, but still human. Speak clearly, be practical, and avoid fluff.",
+        now + index,
+        now + index
+      );
+    });
+  },
+
+  // 5: editable prompt templates behind the four chat modes
+  function createModes() {
+    db.exec(`
+      CREATE TABLE modes (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        -- which generator the frontend sends prompts to
+        kind TEXT NOT NULL CHECK (kind IN ('chat', 'image', 'video')),
+        position INTEGER NOT NULL,
+        instructions TEXT NOT NULL DEFAULT '',
+        output_structure TEXT NOT NULL DEFAULT '',
+        default_model TEXT,
+        temperature REAL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    const insert = db.prepare(
+      `INSERT INTO modes
+        (id, name, kind, position, instructions, output_structure, default_model, temperature, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    const now = Date.now();
+
+    require("./modeDefaults").forEach((mode, index) => {
+      insert.run(
+        mode.id,
+        mode.name,
+        mode.kind,
+        index,
+        mode.instructions,
+        mode.outputStructure,
+        mode.defaultModel,
+        mode.temperature,
+        now
+      );
+    });
+  },
+
+  // 6: structured Campaign Builder plans
+  function createCampaigns() {
+    db.exec(`
+      CREATE TABLE campaigns (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+        chat_id TEXT REFERENCES chats(id) ON DELETE SET NULL,
+        -- no FK: deleting a brand shouldn't delete its campaigns
+        brand_id TEXT,
+        model TEXT,
+        title TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_campaigns_user ON campaigns(user_id, project_id);
+    `);
+
+    // the old Markdown layout fights the JSON schema; only replace it if
+    // nobody has customised the template yet
+    const defaults = require("./modeDefaults").find((m) => m.id === "campaign");
+    db.prepare(
+      `UPDATE modes SET instructions = ?, output_structure = ?, updated_at = ?
+       WHERE id = 'campaign' AND output_structure LIKE 'Use these Markdown sections%'`
+    ).run(defaults.instructions, defaults.outputStructure, Date.now());
+  },
+
+  // 7: background generation jobs (fal.ai queue), polled by videoJobs.js
+  function createJobs() {
+    db.exec(`
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        -- no FKs: the chat may still be in the client's outbox when the job
+        -- starts; the result message is delivered once the chat exists
+        chat_id TEXT,
+        message_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        model TEXT NOT NULL,
+        input TEXT NOT NULL DEFAULT '{}',
+        fal_request_id TEXT,
+        status TEXT NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        queue_position INTEGER,
+        progress REAL NOT NULL DEFAULT 0,
+        logs TEXT NOT NULL DEFAULT '[]',
+        result TEXT,
+        error TEXT,
+        delivered INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        completed_at INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_jobs_status ON jobs(status);
+      CREATE INDEX idx_jobs_user ON jobs(user_id, created_at);
+    `);
+  },
+
+  // 8: image-to-video jobs link back to the image message they animate
+  function addJobSourceMessage() {
+    db.exec("ALTER TABLE jobs ADD COLUMN source_message_id TEXT");
+  },
+
+  // 9: files attached in the chat composer (bytes live in server/uploads/)
+  function createAttachments() {
+    db.exec(`
+      CREATE TABLE attachments (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('image', 'file', 'text')),
+        size INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_attachments_user ON attachments(user_id);
+    `);
+  },
+
+  // 10: media library (files live in server/media/). Jobs remember what
+  // their video should be filed under once it's done.
+  function createMedia() {
+    db.exec(`
+      CREATE TABLE media (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('image', 'video')),
+        file_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        prompt TEXT,
+        model TEXT,
+        brand_id TEXT,
+        -- no FKs: like jobs, the chat/project may still be in the client's
+        -- outbox when the asset is generated
+        project_id TEXT,
+        chat_id TEXT,
+        message_id TEXT,
+        source_url TEXT,
+        cost_usd REAL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_media_user ON media(user_id, created_at);
+
+      ALTER TABLE jobs ADD COLUMN meta TEXT NOT NULL DEFAULT '{}';
+    `);
+  },
+
+  // 11: last good copy of OpenRouter's model list (modelCatalog.js)
+  function createModelCatalog() {
+    db.exec(`
+      CREATE TABLE model_catalog (
+        source TEXT PRIMARY KEY,
+        models TEXT NOT NULL,
+        fetched_at INTEGER NOT NULL
+      );
+    `);
+  },
+
+  // 12: per-user model picker state – favourites, recently used and
+  // default models per mode/brand (JSON)
+  function createModelPreferences() {
+    db.exec(`
+      CREATE TABLE model_preferences (
+        user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        favorites TEXT NOT NULL DEFAULT '[]',
+        recents TEXT NOT NULL DEFAULT '[]',
+        defaults TEXT NOT NULL DEFAULT '{}',
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+
+  // 13: one row per upstream AI call and what it cost. brand/project/chat
+  // have no FKs – deleting them shouldn't rewrite past spend.
+  function createUsageEvents() {
+    db.exec(`
+      CREATE TABLE usage_events (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('chat', 'image', 'video')),
+        model TEXT NOT NULL,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        brand_id TEXT,
+        project_id TEXT,
+        chat_id TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_usage_user ON usage_events(user_id, created_at);
+      CREATE INDEX idx_usage_created ON usage_events(created_at);
+    `);
+  },
+
+  // 14: spending limits per user or brand and period. override_until =
+  // an admin lifted the limit until then.
+  function createBudgets() {
+    db.exec(`
+      CREATE TABLE budgets (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL CHECK (scope IN ('user', 'brand')),
+        target_id TEXT NOT NULL,
+        period TEXT NOT NULL CHECK (period IN ('day', 'month')),
+        limit_usd REAL NOT NULL,
+        warn_ratio REAL NOT NULL DEFAULT 0.8,
+        override_until INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        UNIQUE (scope, target_id, period)
+      );
+    `);
+  },
+
+  // 15: models to try, in order, when a mode's model is rate-limited or
+  // down (JSON array of model ids)
+  function addModeFallbackModels() {
+    db.exec(`
+      ALTER TABLE modes ADD COLUMN fallback_models TEXT NOT NULL DEFAULT '[]';
+    `);
+  },
+
+  // 16: reference documents per project (knowledge base), split into
+  // chunks with a full-text index for retrieval. The FTS table reads its
+  // text from project_document_chunks; triggers keep it in sync, including
+  // when a document or project delete cascades to the chunks.
+  function createProjectDocuments() {
+    db.exec(`
+      CREATE TABLE project_documents (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_project_documents ON project_documents(user_id, project_id);
+
+      CREATE TABLE project_document_chunks (
+        id INTEGER PRIMARY KEY,
+        document_id TEXT NOT NULL REFERENCES project_documents(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        text TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_document_chunks ON project_document_chunks(document_id);
+
+      CREATE VIRTUAL TABLE project_document_chunks_fts USING fts5(
+        text,
+        content = 'project_document_chunks',
+        content_rowid = 'id',
+        tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER project_document_chunks_ai AFTER INSERT ON project_document_chunks
+      BEGIN
+        INSERT INTO project_document_chunks_fts (rowid, text) VALUES (new.id, new.text);
+      END;
+
+      CREATE TRIGGER project_document_chunks_ad AFTER DELETE ON project_document_chunks
+      BEGIN
+        INSERT INTO project_document_chunks_fts (project_document_chunks_fts, rowid, text)
+        VALUES ('delete', old.id, old.text);
+      END;
+    `);
+  },
+
+  // 17: per-project custom instructions and defaults for new chats. No
+  // FKs on the defaults – deleting a brand or mode just leaves a default
+  // that's ignored.
+  function addProjectSettings() {
+    db.exec(`
+      ALTER TABLE projects ADD COLUMN instructions TEXT NOT NULL DEFAULT '';
+      ALTER TABLE projects ADD COLUMN default_brand_id TEXT;
+      ALTER TABLE projects ADD COLUMN default_mode_id TEXT;
+      ALTER TABLE projects ADD COLUMN default_model TEXT;
+    `);
+  },
+
+  // 18: full-text index over message text for search. Reads the text from
+  // messages (by rowid); triggers keep it in sync, and 'rebuild' indexes
+  // the messages that are already there.
+  function createMessageSearch() {
+    db.exec(`
+      CREATE VIRTUAL TABLE messages_fts USING fts5(
+        text,
+        content = 'messages',
+        content_rowid = 'rowid',
+        tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER messages_fts_ai AFTER INSERT ON messages
+      BEGIN
+        INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+      END;
+
+      CREATE TRIGGER messages_fts_ad AFTER DELETE ON messages
+      BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text)
+        VALUES ('delete', old.rowid, old.text);
+      END;
+
+      CREATE TRIGGER messages_fts_au AFTER UPDATE OF text ON messages
+      BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text)
+        VALUES ('delete', old.rowid, old.text);
+        INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+      END;
+
+      INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+    `);
+  },
+
+  // 19: messages get an explicit integer key (seq) for the search index to
+  // point at – the implicit rowid of a table with a TEXT primary key can
+  // be renumbered by VACUUM, which would leave the index on the wrong
+  // messages. Rebuilds the table (and the index) around it.
+  function keyMessageSearchBySeq() {
+    db.exec(`
+      DROP TRIGGER messages_fts_ai;
+      DROP TRIGGER messages_fts_ad;
+      DROP TRIGGER messages_fts_au;
+      DROP TABLE messages_fts;
+
+      CREATE TABLE messages_new (
+        seq INTEGER PRIMARY KEY,
+        id TEXT NOT NULL UNIQUE,
+        chat_id TEXT NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        text TEXT,
+        data TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL
+      );
+
+      INSERT INTO messages_new (id, chat_id, position, role, text, data, created_at)
+        SELECT id, chat_id, position, role, text, data, created_at
+          FROM messages
+         ORDER BY rowid;
+
+      DROP TABLE messages;
+      ALTER TABLE messages_new RENAME TO messages;
+      CREATE INDEX idx_messages_chat ON messages(chat_id, position);
+
+      CREATE VIRTUAL TABLE messages_fts USING fts5(
+        text,
+        content = 'messages',
+        content_rowid = 'seq',
+        tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER messages_fts_ai AFTER INSERT ON messages
+      BEGIN
+        INSERT INTO messages_fts (rowid, text) VALUES (new.seq, new.text);
+      END;
+
+      CREATE TRIGGER messages_fts_ad AFTER DELETE ON messages
+      BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text)
+        VALUES ('delete', old.seq, old.text);
+      END;
+
+      CREATE TRIGGER messages_fts_au AFTER UPDATE OF text ON messages
+      BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text)
+        VALUES ('delete', old.seq, old.text);
+        INSERT INTO messages_fts (rowid, text) VALUES (new.seq, new.text);
+      END;
+
+      INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+    `);
+  },
+];
+
+function runMigrations() {
+  const applied = db.pragma("user_version", { simple: true });
+
+  MIGRATIONS.slice(applied).forEach((migrate, index) => {
+    const version = applied + index + 1;
+
+    db.transaction(() => {
+      migrate();
+      db.pragma(`user_version = ${version}`);
+    })();
+
+    console.log(`🗄️ Applied DB migration ${version} (${migrate.name})`);
+  });
+}
+
+runMigrations();
 
 module.exports = db;
@@ -0,0 +1,145 @@
+// server/fallback.js
+// Retries and model fallback for upstream AI calls. Rate limits (429) and
+// upstream failures (5xx, timeouts, dropped connections) are retried on
+// the same model with exponential backoff, then the next model in the
+// mode's fallback chain gets a turn. Anything else (bad request, ...)
+// fails straight away – another model wouldn't fix it.
+
+const RETRIES_PER_MODEL = 2;
+const BASE_DELAY_MS = 1000;
+// a longer Retry-After than this skips to the next model instead
+const MAX_DELAY_MS = 8000;
+
+const NETWORK_ERRORS = new Set([
+  "ECONNRESET",
+  "ECONNABORTED", // axios timeout
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+]);
+
+function errorStatus(err) {
+  return err.status ?? err.response?.status ?? null;
+}
+
+/**
+ * "retry" = same model again after a pause, "next" = straight on to the
+ * next model (this one is gone, or out of credit while a free one may
+ * not be), "fail" = give up.
+ */
+function classifyError(err) {
+  const status = errorStatus(err);
+
+  if (status === 429 || status === 408 || status >= 500) return "retry";
+  if (status === 402 || status === 404) return "next";
+  if (!status && NETWORK_ERRORS.has(err.code)) return "retry";
+  return "fail";
+}
+
+function retryAfterMs(err) {
+  const header = err.response?.headers?.["retry-after"];
+  const seconds = Number(header);
+  return header != null && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// 1s, 2s, 4s, ... with a little jitter so parallel requests spread out
+function backoffDelay(retry, err) {
+  return (
+    retryAfterMs(err) ??
+    Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** retry) +
+      Math.floor(Math.random() * 250)
+  );
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * The models to try for a request: the chosen one, then the mode's
+ * fallbacks (duplicates dropped).
+ */
+function modelChain(model, mode) {
+  return [...new Set([model, ...(mode?.fallbackModels || [])].filter(Boolean))];
+}
+
+/**
+ * Runs call(model) down the chain until one answers. Returns
+ * { result, model, fallbackFrom } – fallbackFrom is the first model when
+ * a later one answered, else null.
+ * If every model fails, the last error is rethrown with `attempts`
+ * ([{ model, status, error }]). canRetry() returning false stops after
+ * the current failure (a stream that has already sent text can't switch
+ * models).
+ */
+async function withFallback(
+  models,
+  call,
+  { signal, canRetry = () => true, label = "AI request" } = {}
+) {
+  const attempts = [];
+  let lastError = null;
+
+  for (const model of models) {
+    for (let retry = 0; retry <= RETRIES_PER_MODEL; retry++) {
+      try {
+        const result = await call(model);
+        const fallbackFrom = model === models[0] ? null : models[0];
+
+        if (fallbackFrom) {
+          console.log(
+            `↪️ ${label}: ${fallbackFrom} unavailable, answered by ${model}`
+          );
+        }
+
+        return { result, model, fallbackFrom };
+      } catch (err) {
+        if (signal?.aborted || !canRetry()) throw err;
+
+        const action = classifyError(err);
+        if (action === "fail") throw err;
+
+        lastError = err;
+        attempts.push({
+          model,
+          status: errorStatus(err),
+          error: err.message,
+        });
+
+        const reason = errorStatus(err) || err.code;
+        const wait = backoffDelay(retry, err);
+
+        if (
+          action === "next" ||
+          retry === RETRIES_PER_MODEL ||
+          wait > MAX_DELAY_MS
+        ) {
+          console.warn(`⚠️ ${label}: giving up on ${model} (${reason})`);
+          break;
+        }
+
+        console.warn(
+          `⏳ ${label}: ${model} failed (${reason}), retrying in ${wait}ms`
+        );
+        await sleep(wait, signal);
+      }
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+module.exports = {
+  modelChain,
+  withFallback,
+};
@@ -1,15 +1,36 @@
 // server/index.js
 require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios");
 const jwt = require("jsonwebtoken"); // login auth
-const db = require("./db"); // sqlite chat-state
-const { fal } = require("@fal-ai/client"); // fal.ai client
+const chatStore = require("./chatStore"); // sqlite projects/chats/messages
+const users = require("./users"); // user accounts
+const brands = require("./brands"); // brand profiles
+const modes = require("./modes"); // mode prompt templates
+const campaigns = require("./campaigns"); // structured Campaign Builder plans
+const jobs = require("./jobs"); // background job records
+const videoJobs = require("./videoJobs"); // background video job runner
+const videoModels = require("./videoModels"); // allowed fal.ai video models
+const attachments = require("./attachments"); // files attached in the composer
+const media = require("./media"); // local library of generated images/videos
+const modelCatalog = require("./modelCatalog"); // cached model list
+const modelPreferences = require("./modelPreferences"); // favourites, recents, defaults
+const usage = require("./usage"); // per-request token/cost log
+const budgets = require("./budgets"); // spending limits per user/brand
+const fallback = require("./fallback"); // retries + fallback models per mode
+const tools = require("./tools"); // function-calling tools for chat
+const knowledge = require("./knowledge"); // per-project reference documents
+const chatExport = require("./chatExport"); // Markdown/PDF/.zip export + import
+const providers = require("./providers"); // chat/image/video upstreams
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// messages carry generated images as data URLs, so allow big bodies
+app.use(express.json({ limit: "25mb" }));
 
 // 🔍 simple request logger so we can see if routes are actually hit
 app.use((req, res, next) => {
@@ -18,43 +39,57 @@ app.use((req, res, next) => {
 });
 
 // ------------- ENV VARIABLES -------------
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 const JWT_SECRET = process.env.JWT_SECRET;
-const FAL_API_KEY = process.env.FAL_API_KEY;
 
-if (!OPENROUTER_API_KEY) {
-  console.warn("⚠️ OPENROUTER_API_KEY is missing from environment.");
+const chatConfigError = providers.chat.configError();
+const videoConfigError = providers.video.configError();
+
+console.log(
+  `🔌 Providers: chat ${providers.chat.name}, image ${providers.image.name}, video ${providers.video.name}`
+);
+
+if (chatConfigError) {
+  console.warn(`⚠️ ${chatConfigError}`);
 }
 
 if (!ADMIN_PASSWORD) {
-  console.warn("⚠️ ADMIN_PASSWORD is missing from environment.");
+  console.warn(
+    "⚠️ ADMIN_PASSWORD is missing from environment (needed to create the first admin)."
+  );
 }
 
 if (!JWT_SECRET) {
   console.warn("⚠️ JWT_SECRET is missing from environment.");
 }
 
-if (!FAL_API_KEY) {
-  console.warn("⚠️ FAL_API_KEY is missing from environment. /api/video will fail.");
+if (videoConfigError) {
+  console.warn(`⚠️ ${videoConfigError} /api/video will fail.`);
 }
 
-// configure fal client
-fal.config({
-  credentials: FAL_API_KEY,
-});
-
 // ------------- BASIC HEALTH CHECK -------------
 app.get("/api/health", (req, res) => {
   return res.json({
     status: "ok",
     service: "Byte-Size AI backend",
-    videoEnabled: Boolean(FAL_API_KEY),
+    videoEnabled: !videoConfigError,
   });
 });
 
 // ------------- AUTH MIDDLEWARE & LOGIN -------------
 
+// The old single shared password becomes the first admin account
+users.ensureBootstrapAdmin({
+  username: process.env.ADMIN_USERNAME || "admin",
+  name: process.env.ADMIN_NAME || "Leonard",
+  password: ADMIN_PASSWORD,
+});
+
+/**
+ * Verifies the JWT and loads its user (sub = user id) into req.user.
+ * Looking the user up on every request means disabling an account (or
+ * changing its role) takes effect immediately, not when the token expires.
+ */
 function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ")
@@ -65,528 +100,2527 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: "Unauthorized: missing token" });
   }
 
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     console.error("JWT verify error:", err.message);
     return res.status(401).json({ error: "Unauthorized: invalid token" });
   }
+
+  const user = payload.sub ? users.getUser(payload.sub) : null;
+
+  if (!user) {
+    return res.status(401).json({ error: "Unauthorized: unknown user" });
+  }
+
+  if (user.disabled) {
+    return res.status(401).json({ error: "This account has been disabled." });
+  }
+
+  req.user = user;
+  next();
+}
+
+// use after requireAuth
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Admins only." });
+  }
+  next();
 }
 
 /**
  * POST /api/login
- * Body: { password }
- * Returns: { token }
+ * Body: { username, password }
+ * Returns: { token, user }
  */
 app.post("/api/login", (req, res) => {
   try {
-    const { password } = req.body;
+    const { username, password } = req.body;
+
+    if (
+      typeof username !== "string" ||
+      typeof password !== "string" ||
+      !username ||
+      !password
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Username and password are required." });
+    }
 
-    if (!password) {
-      return res.status(400).json({ error: "Password is required." });
+    const user = users.authenticate(username, password);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password." });
     }
 
-    if (password !== ADMIN_PASSWORD) {
-      return res.status(401).json({ error: "Invalid password." });
+    if (user.disabled) {
+      return res.status(403).json({ error: "This account has been disabled." });
     }
 
     const token = jwt.sign(
-      { role: "admin", name: "Leonard" },
+      { sub: user.id, role: user.role, name: user.name },
       JWT_SECRET,
       { expiresIn: "7d" }
     );
 
-    return res.json({ token });
+    return res.json({ token, user });
   } catch (err) {
     console.error("Login error:", err);
     return res.status(500).json({ error: "Login failed." });
   }
 });
 
-// ------------- MODELS -------------
+// GET /api/me
+app.get("/api/me", requireAuth, (req, res) => {
+  return res.json({ user: req.user });
+});
+
+// ------------- USERS (ADMIN) -------------
+
+// GET /api/users
+app.get("/api/users", requireAuth, requireAdmin, (req, res) => {
+  try {
+    return res.json({ users: users.listUsers() });
+  } catch (err) {
+    console.error("Error listing users:", err);
+    return res.status(500).json({ error: "Failed to load users." });
+  }
+});
 
 /**
- * GET /api/models
- * Fetches models from OpenRouter, sorts:
- *  - free models first
- *  - then by cheapest prompt price
+ * POST /api/users
+ * Body: { username, name?, password, role? }
  */
-app.get("/api/models", requireAuth, async (req, res) => {
+app.post("/api/users", requireAuth, requireAdmin, (req, res) => {
   try {
-    const response = await axios.get("https://openrouter.ai/api/v1/models", {
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        "HTTP-Referer": "http://localhost:5173", // dev value
-        "X-Title": "Byte-Size AI (local dev)",
-      },
-    });
-
-    const models = response.data.data || [];
+    const { username, name, password, role = "member" } = req.body;
 
-    const mapped = models.map((m) => {
-      const pricing = m.pricing || {};
-      const promptPrice = Number(pricing.prompt || 0);
-      const completionPrice = Number(pricing.completion || 0);
-
-      const arch = m.architecture || {};
-      const outputModalities =
-        arch.output_modalities || m.output_modalities || [];
-      const inputModalities =
-        arch.input_modalities || m.input_modalities || [];
-
-      const hasImage =
-        Array.isArray(outputModalities) &&
-        outputModalities.includes("image");
+    if (typeof username !== "string" || !username.trim()) {
+      return res.status(400).json({ error: "Username is required." });
+    }
 
-      const hasVideo =
-        (Array.isArray(outputModalities) &&
-          outputModalities.includes("video")) ||
-        (Array.isArray(inputModalities) &&
-          inputModalities.includes("video"));
+    if (name != null && typeof name !== "string") {
+      return res.status(400).json({ error: "Name must be text." });
+    }
 
-      return {
-        id: m.id,
-        name: m.name,
-        description: m.description,
-        pricing: {
-          prompt: promptPrice,
-          completion: completionPrice,
-        },
-        isFree:
-          Number(pricing.prompt || 0) === 0 &&
-          Number(pricing.completion || 0) === 0,
-        outputModalities,
-        inputModalities,
-        isImageCapable: hasImage,
-        isVideoCapable: hasVideo,
-      };
-    });
+    if (typeof password !== "string" || password.length < 8) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 8 characters." });
+    }
 
-    // free first, then by prompt price
-    mapped.sort((a, b) => {
-      if (a.isFree && !b.isFree) return -1;
-      if (!a.isFree && b.isFree) return 1;
-      return a.pricing.prompt - b.pricing.prompt;
-    });
+    if (!users.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role '${role}'.` });
+    }
 
-    res.json({ models: mapped });
+    const user = users.createUser({ username, name, password, role });
+    return res.status(201).json({ user });
   } catch (err) {
-    console.error("Error fetching models from OpenRouter:");
-    if (err.response) {
-      console.error("Status:", err.response.status);
-      console.error("Data:", err.response.data);
-    } else {
-      console.error(err.message);
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return res.status(409).json({ error: "That username is taken." });
     }
-    res.status(500).json({ error: "Failed to load models from OpenRouter." });
+    console.error("Error creating user:", err);
+    return res.status(500).json({ error: "Failed to create user." });
   }
 });
 
 /**
- * GET /api/video-models
- * (Still returns OpenRouter video-capable models, if you ever need it)
+ * PATCH /api/users/:id
+ * Body: { name?, role?, disabled?, password? }
  */
-app.get("/api/video-models", requireAuth, async (req, res) => {
+app.patch("/api/users/:id", requireAuth, requireAdmin, (req, res) => {
   try {
-    const response = await axios.get("https://openrouter.ai/api/v1/models", {
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        "HTTP-Referer": "http://localhost:5173",
-        "X-Title": "Byte-Size AI (local dev)",
-      },
-    });
+    const { name, role, disabled, password } = req.body;
+    const target = users.getUser(req.params.id);
 
-    const models = response.data.data || [];
+    if (!target) {
+      return res.status(404).json({ error: "User not found." });
+    }
 
-    const mapped = models.map((m) => {
-      const pricing = m.pricing || {};
-      const promptPrice = Number(pricing.prompt || 0);
-      const completionPrice = Number(pricing.completion || 0);
+    if (role !== undefined && !users.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role '${role}'.` });
+    }
 
-      const arch = m.architecture || {};
-      const outputModalities =
-        arch.output_modalities || m.output_modalities || [];
-      const inputModalities =
-        arch.input_modalities || m.input_modalities || [];
+    if (name != null && typeof name !== "string") {
+      return res.status(400).json({ error: "Name must be text." });
+    }
 
-      const hasImage =
-        Array.isArray(outputModalities) &&
-        outputModalities.includes("image");
+    if (disabled !== undefined && typeof disabled !== "boolean") {
+      return res.status(400).json({ error: "disabled must be true or false." });
+    }
 
-      const hasVideo =
-        (Array.isArray(outputModalities) &&
-          outputModalities.includes("video")) ||
-        (Array.isArray(inputModalities) &&
-          inputModalities.includes("video"));
+    if (
+      password !== undefined &&
+      (typeof password !== "string" || password.length < 8)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 8 characters." });
+    }
 
-      return {
-        id: m.id,
-        name: m.name,
-        description: m.description,
-        pricing: {
-          prompt: promptPrice,
-          completion: completionPrice,
-        },
-        isFree:
-          Number(pricing.prompt || 0) === 0 &&
-          Number(pricing.completion || 0) === 0,
-        outputModalities,
-        inputModalities,
-        isImageCapable: hasImage,
-        isVideoCapable: hasVideo,
-      };
-    });
+    // don't let the last active admin lock everyone out
+    const losesAdmin =
+      target.role === "admin" &&
+      !target.disabled &&
+      ((role !== undefined && role !== "admin") || disabled === true);
 
-    const videoModels = mapped.filter((m) => m.isVideoCapable);
+    if (losesAdmin && users.countActiveAdmins() <= 1) {
+      return res
+        .status(400)
+        .json({ error: "There must be at least one active admin." });
+    }
 
-    videoModels.sort((a, b) => {
-      if (a.isFree && !b.isFree) return -1;
-      if (!a.isFree && b.isFree) return 1;
-      return a.pricing.prompt - b.pricing.prompt;
+    const user = users.updateUser(req.params.id, {
+      name,
+      role,
+      disabled,
+      password,
     });
 
-    res.json({ models: videoModels });
+    return res.json({ user });
   } catch (err) {
-    console.error("Error fetching video models from OpenRouter:");
-    if (err.response) {
-      console.error("Status:", err.response.status);
-      console.error("Data:", err.response.data);
-    } else {
-      console.error(err.message);
-    }
-    res.status(500).json({ error: "Failed to load video models." });
+    console.error("Error updating user:", err);
+    return res.status(500).json({ error: "Failed to update user." });
   }
 });
 
-// ------------- CHAT STATE (DB) -------------
+// ------------- BRANDS -------------
+// Brand profiles are shared by the whole team: everyone can edit them,
+// only admins can delete one.
 
-// GET /api/chat-state
-app.get("/api/chat-state", requireAuth, (req, res) => {
-  try {
-    const row = db
-      .prepare("SELECT data FROM chat_state WHERE id = ?")
-      .get("default");
+const HEX_COLOUR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// returns an error message if one of `keys` is set in body but isn't text
+// (ids and names go straight into SQLite lookups), else null
+function textFieldError(body, keys) {
+  const key = keys.find((k) => body[k] != null && typeof body[k] !== "string");
+  return key ? `${key} must be text.` : null;
+}
+
+// returns an error message, or null if the fields are fine
+function validateBrandFields(fields, { requireName }) {
+  const { name, bannedWords, palette, logoUrl } = fields;
 
-    if (!row) {
-      return res.json({ projects: [], chats: [] });
+  if (requireName || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return "Brand name is required.";
     }
+  }
+
+  const textError = textFieldError(fields, [
+    "voice",
+    "audience",
+    "sampleCopy",
+    "logoUrl",
+  ]);
+  if (textError) return textError;
+
+  if (bannedWords !== undefined && !Array.isArray(bannedWords)) {
+    return "bannedWords must be a list.";
+  }
+
+  if (palette !== undefined) {
+    if (!Array.isArray(palette)) return "palette must be a list.";
+    const bad = palette.find((c) => !HEX_COLOUR.test(String(c).trim()));
+    if (bad !== undefined) return `'${bad}' is not a hex colour like #130dbb.`;
+  }
+
+  if (logoUrl && !/^(https?:\/\/|data:image\/)/.test(logoUrl)) {
+    return "Logo must be an http(s) URL or an uploaded image.";
+  }
 
-    const parsed = JSON.parse(row.data);
-    return res.json(parsed);
+  return null;
+}
+
+// GET /api/brands
+app.get("/api/brands", requireAuth, (req, res) => {
+  try {
+    return res.json({ brands: brands.listBrands() });
   } catch (err) {
-    console.error("Error reading chat_state from DB:", err);
-    return res.status(500).json({ error: "Failed to load chat state." });
+    console.error("Error listing brands:", err);
+    return res.status(500).json({ error: "Failed to load brands." });
   }
 });
 
-// POST /api/chat-state
-app.post("/api/chat-state", requireAuth, (req, res) => {
+/**
+ * POST /api/brands
+ * Body: { name, voice?, audience?, bannedWords?, sampleCopy?, logoUrl?, palette? }
+ */
+app.post("/api/brands", requireAuth, (req, res) => {
   try {
-    const { projects, chats } = req.body;
+    const problem = validateBrandFields(req.body, { requireName: true });
+    if (problem) return res.status(400).json({ error: problem });
 
-    if (!projects || !chats) {
-      return res
-        .status(400)
-        .json({ error: "Missing 'projects' or 'chats' in body." });
+    const brand = brands.createBrand(req.body);
+    return res.status(201).json({ brand });
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return res.status(409).json({ error: "A brand with that name exists." });
     }
+    console.error("Error creating brand:", err);
+    return res.status(500).json({ error: "Failed to create brand." });
+  }
+});
+
+// PATCH /api/brands/:id  Body: any of the POST fields
+app.patch("/api/brands/:id", requireAuth, (req, res) => {
+  try {
+    const problem = validateBrandFields(req.body, { requireName: false });
+    if (problem) return res.status(400).json({ error: problem });
+
+    const { name, voice, audience, bannedWords, sampleCopy, logoUrl, palette } =
+      req.body;
+
+    const brand = brands.updateBrand(req.params.id, {
+      ...(name !== undefined && { name }),
+      ...(voice !== undefined && { voice }),
+      ...(audience !== undefined && { audience }),
+      ...(bannedWords !== undefined && { bannedWords }),
+      ...(sampleCopy !== undefined && { sampleCopy }),
+      ...(logoUrl !== undefined && { logoUrl }),
+      ...(palette !== undefined && { palette }),
+    });
 
-    const data = JSON.stringify({ projects, chats });
+    if (!brand) {
+      return res.status(404).json({ error: "Brand not found." });
+    }
 
-    db.prepare(
-      `
-      INSERT INTO chat_state (id, data)
-      VALUES (?, ?)
-      ON CONFLICT(id) DO UPDATE SET data = excluded.data
-    `
-    ).run("default", data);
+    return res.json({ brand });
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return res.status(409).json({ error: "A brand with that name exists." });
+    }
+    console.error("Error updating brand:", err);
+    return res.status(500).json({ error: "Failed to update brand." });
+  }
+});
 
+// DELETE /api/brands/:id  (old messages keep the brand name they were sent with)
+app.delete("/api/brands/:id", requireAuth, requireAdmin, (req, res) => {
+  try {
+    brands.deleteBrand(req.params.id);
     return res.json({ success: true });
   } catch (err) {
-    console.error("Error saving chat_state to DB:", err);
-    return res.status(500).json({ error: "Failed to save chat state." });
+    console.error("Error deleting brand:", err);
+    return res.status(500).json({ error: "Failed to delete brand." });
   }
 });
 
-// ------------- AI CHAT -------------
+// ------------- MODE TEMPLATES -------------
+// The four modes are fixed; admins can edit the template behind each one.
+
+// GET /api/modes
+app.get("/api/modes", requireAuth, (req, res) => {
+  try {
+    return res.json({ modes: modes.listModes() });
+  } catch (err) {
+    console.error("Error listing modes:", err);
+    return res.status(500).json({ error: "Failed to load modes." });
+  }
+});
+
+const MAX_FALLBACK_MODELS = 3;
+// instructions and output structure go in every prompt of the mode
+const MAX_MODE_TEMPLATE_CHARS = 8000;
 
 /**
- * POST /api/ai
- * Body: { prompt, brand, mode, modelId, clientDate? }
+ * PATCH /api/modes/:id
+ * Body: { instructions?, outputStructure?, defaultModel?, fallbackModels?,
+ *         temperature? }
+ * defaultModel / temperature: null = use the model's own default.
+ * fallbackModels = up to 3 model ids tried in order when the chosen model
+ * is rate-limited or down (see fallback.js).
  */
-app.post("/api/ai", requireAuth, async (req, res) => {
+app.patch("/api/modes/:id", requireAuth, requireAdmin, (req, res) => {
   try {
-    const { prompt, brand, mode, modelId, clientDate } = req.body;
-
-    if (!prompt || !prompt.trim()) {
-      return res.status(400).json({ error: "Missing prompt." });
-    }
+    const {
+      instructions,
+      outputStructure,
+      defaultModel,
+      fallbackModels,
+      temperature,
+    } = req.body;
 
-    const now = clientDate ? new Date(clientDate) : new Date();
-    const isoNow = now.toISOString();
-    const humanDate = now.toLocaleString("en-ZA", {
-      weekday: "long",
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    });
-
-    const lower = (prompt || "").toLowerCase();
-
-    if (lower.includes("how many days") && lower.includes("christmas")) {
-      const yearMatch = lower.match(/20\d{2}/);
-      let targetYear;
-
-      if (yearMatch) {
-        targetYear = parseInt(yearMatch[0], 10);
-      } else {
-        targetYear = now.getFullYear();
-        const christmasThisYear = new Date(targetYear, 11, 25);
-        if (christmasThisYear < now) {
-          targetYear += 1;
-        }
+    for (const [key, value] of Object.entries({
+      instructions,
+      outputStructure,
+    })) {
+      if (
+        value !== undefined &&
+        (typeof value !== "string" || value.length > MAX_MODE_TEMPLATE_CHARS)
+      ) {
+        return res.status(400).json({
+          error: `${key} must be text of up to ${MAX_MODE_TEMPLATE_CHARS} characters.`,
+        });
       }
+    }
 
-      const target = new Date(targetYear, 11, 25);
-      const diffMs = target - now;
-      const days = Math.max(
-        0,
-        Math.ceil(diffMs / (1000 * 60 * 60 * 24))
-      );
+    if (
+      temperature != null &&
+      (typeof temperature !== "number" || temperature < 0 || temperature > 2)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Temperature must be a number from 0 to 2." });
+    }
 
-      console.log(
-        `🎄 Christmas override used. Today=${isoNow.slice(
-          0,
-          10
-        )}, targetYear=${targetYear}, days=${days}`
-      );
+    if (defaultModel != null && typeof defaultModel !== "string") {
+      return res.status(400).json({ error: "defaultModel must be a model id." });
+    }
 
-      return res.json({
-        reply: `There are ${days} days until Christmas ${targetYear}. (Based on current date ${isoNow.slice(
-          0,
-          10
-        )})`,
+    if (
+      fallbackModels !== undefined &&
+      (!Array.isArray(fallbackModels) ||
+        fallbackModels.length > MAX_FALLBACK_MODELS ||
+        fallbackModels.some((id) => typeof id !== "string" || !id.trim()))
+    ) {
+      return res.status(400).json({
+        error: `fallbackModels must be a list of up to ${MAX_FALLBACK_MODELS} model ids.`,
       });
     }
 
-    const model = modelId || "openai/gpt-4o-mini";
+    const mode = modes.updateMode(req.params.id, {
+      ...(instructions !== undefined && { instructions }),
+      ...(outputStructure !== undefined && { outputStructure }),
+      ...(defaultModel !== undefined && { defaultModel }),
+      ...(fallbackModels !== undefined && {
+        fallbackModels: [...new Set(fallbackModels.map((id) => id.trim()))],
+      }),
+      ...(temperature !== undefined && { temperature }),
+    });
 
-    const systemPrompt = `
-You are Byte-Size AI, the personal AI assistant for Leonard van Rooyen.
-Brand: ${brand}
-Mode: ${mode}
+    if (!mode) {
+      return res.status(404).json({ error: "Mode not found." });
+    }
 
-Current real-world date & time (user's context) is: ${humanDate} (ISO: ${isoNow}).
-Always use THIS runtime date/time for:
-- "today", "now", "current year", "this month", "this week"
-- counting days until/from a date
-- anything involving deadlines, days remaining, or time differences.
+    return res.json({ mode });
+  } catch (err) {
+    console.error("Error updating mode:", err);
+    return res.status(500).json({ error: "Failed to update mode." });
+  }
+});
 
-Do NOT rely on your training cutoff date for time-related questions. If there is any conflict,
-the runtime date above is the source of truth.
+// POST /api/modes/:id/reset  (back to the built-in template)
+app.post("/api/modes/:id/reset", requireAuth, requireAdmin, (req, res) => {
+  try {
+    const mode = modes.resetMode(req.params.id);
 
-Stay consistent with Leonard's brand voice: professional, sharp, direct, but still human.
-Speak clearly, be practical, and avoid fluff.
-    `.trim();
+    if (!mode) {
+      return res.status(404).json({ error: "Mode not found." });
+    }
 
-    const response = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: prompt },
-        ],
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-          "HTTP-Referer": "http://localhost:5173",
-          "X-Title": "Byte-Size AI Studio",
-          "Content-Type": "application/json",
-        },
-        timeout: 60000,
-      }
-    );
+    return res.json({ mode });
+  } catch (err) {
+    console.error("Error resetting mode:", err);
+    return res.status(500).json({ error: "Failed to reset mode." });
+  }
+});
 
-    const aiReply =
-      response.data.choices?.[0]?.message?.content ||
-      "No response received from OpenRouter.";
+// ------------- MODELS -------------
+// The chat provider's list comes from the cached catalogue (modelCatalog.js).
 
-    res.json({ reply: aiReply });
+/**
+ * GET /api/models
+ * Returns { models, fetchedAt, stale }. Models are sorted free first, then
+ * by cheapest prompt price, and include contextLength, maxOutputTokens
+ * and supportedParameters. stale = the copy is past its TTL (a refresh is
+ * under way, or the provider couldn't be reached).
+ */
+app.get("/api/models", requireAuth, async (req, res) => {
+  try {
+    return res.json(await modelCatalog.getCatalog());
   } catch (err) {
-    console.error("Error talking to OpenRouter from /api/ai:");
+    console.error("Error loading the model catalogue:", err.message);
+    return res
+      .status(500)
+      .json({ error: `Failed to load models from ${providers.chat.name}.` });
+  }
+});
 
-    if (err.response) {
-      console.error("Status:", err.response.status);
-      console.error("Data:", err.response.data);
-      return res.status(500).json({
-        error: "AI request failed.",
-        details: err.response.data,
-      });
-    } else {
-      console.error(err.message);
-      return res.status(500).json({
-        error: "AI request failed.",
-        details: err.message,
-      });
-    }
+/**
+ * GET /api/video-models
+ * (Still returns the chat provider's video-capable models, if you ever need it)
+ */
+app.get("/api/video-models", requireAuth, async (req, res) => {
+  try {
+    const { models } = await modelCatalog.getCatalog();
+    return res.json({ models: models.filter((m) => m.isVideoCapable) });
+  } catch (err) {
+    console.error("Error loading the model catalogue:", err.message);
+    return res.status(500).json({ error: "Failed to load video models." });
   }
 });
 
-// ------------- IMAGE GENERATION -------------
+/**
+ * POST /api/models/refresh  (admin)
+ * Fetches the list from the chat provider now instead of waiting for the TTL.
+ */
+app.post("/api/models/refresh", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { models, fetchedAt } = await modelCatalog.refreshCatalog();
+    return res.json({ models, fetchedAt, stale: false });
+  } catch (err) {
+    return res.status(502).json({
+      error: `${providers.chat.name} couldn't be reached – still using the cached list.`,
+      details: err.message,
+    });
+  }
+});
 
 /**
- * POST /api/image
- * Image Generation Endpoint (OpenRouter)
+ * GET /api/model-preferences
+ * The user's { favorites, recents, defaults: { modes, brands } }.
  */
-app.post("/api/image", requireAuth, async (req, res) => {
+app.get("/api/model-preferences", requireAuth, (req, res) => {
   try {
-    const { prompt, model } = req.body;
+    return res.json({
+      preferences: modelPreferences.getPreferences(req.user.id),
+    });
+  } catch (err) {
+    console.error("Error loading model preferences:", err);
+    return res.status(500).json({ error: "Failed to load model preferences." });
+  }
+});
 
-    if (!prompt || !prompt.trim()) {
-      return res
-        .status(400)
-        .json({ error: "Missing prompt for image generation." });
+/**
+ * PATCH /api/model-preferences
+ * Body: { favorites?, modeDefaults?, brandDefaults? }
+ * favorites replaces the list; the defaults are { id: modelId | null } and
+ * are merged in (null clears that mode's/brand's default).
+ */
+app.patch("/api/model-preferences", requireAuth, (req, res) => {
+  try {
+    const errors = modelPreferences.validatePreferences(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join(" ") });
     }
 
-    const imageModel =
-      model ||
-      process.env.DEFAULT_IMAGE_MODEL ||
-      "google/gemini-2.5-flash-image-preview";
+    return res.json({
+      preferences: modelPreferences.updatePreferences(req.user.id, req.body),
+    });
+  } catch (err) {
+    console.error("Error saving model preferences:", err);
+    return res.status(500).json({ error: "Failed to save model preferences." });
+  }
+});
 
-    const response = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model: imageModel,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        modalities: ["image", "text"],
-        stream: false,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-          "HTTP-Referer": "http://localhost:5173",
-          "X-Title": "Byte-Size AI Image Generator",
-          "Content-Type": "application/json",
-        },
-        timeout: 120000,
-      }
-    );
+// ------------- PROJECTS -------------
 
-    const message = response.data.choices?.[0]?.message || {};
-    const img = message.images?.[0];
+// GET /api/projects
+app.get("/api/projects", requireAuth, (req, res) => {
+  try {
+    return res.json({ projects: chatStore.listProjects(req.user.id) });
+  } catch (err) {
+    console.error("Error listing projects:", err);
+    return res.status(500).json({ error: "Failed to load projects." });
+  }
+});
 
-    const imageUrl =
-      img?.image_url?.url || img?.imageUrl?.url || null;
+/**
+ * POST /api/projects
+ * Body: { id?, name, createdAt? }  (id lets the frontend create offline)
+ */
+app.post("/api/projects", requireAuth, (req, res) => {
+  try {
+    const { id, name, createdAt } = req.body;
 
-    if (!imageUrl) {
-      console.error("OpenRouter did NOT return an image:", response.data);
-      return res.status(500).json({
-        error: "OpenRouter returned no image for this prompt.",
-      });
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "Project name is required." });
     }
 
-    res.json({
-      reply: message.content || "Here is your generated image.",
-      imageUrl,
+    // replayed from the offline queue – already created
+    const existing = id ? chatStore.getProject(req.user.id, id) : null;
+    if (existing) return res.json({ project: existing });
+
+    const project = chatStore.createProject(req.user.id, {
+      id,
+      name: name.trim(),
+      createdAt,
     });
+
+    return res.status(201).json({ project });
   } catch (err) {
-    console.error("🔥 ERROR in /api/image:");
-    if (err.response) {
-      console.error("Status:", err.response.status);
-      console.error("Data:", err.response.data);
-      return res.status(500).json({
-        error: "Image request failed.",
-        details: err.response.data,
-      });
-    } else {
-      console.error(err.message);
-      return res.status(500).json({
-        error: "Image request failed.",
-        details: err.message,
-      });
+    if (err.code === "SQLITE_CONSTRAINT_PRIMARYKEY") {
+      return res.status(409).json({ error: "Project id already in use." });
     }
+    console.error("Error creating project:", err);
+    return res.status(500).json({ error: "Failed to create project." });
   }
 });
 
-// ------------- VIDEO GENERATION (fal.ai, ONLY OVI & WAN) -------------
+// custom instructions go in every system prompt of the project
+const MAX_PROJECT_INSTRUCTIONS_CHARS = 4000;
 
 /**
- * POST /api/video
- * Body: { prompt, aspectRatio, durationSeconds, audioEnabled, model }
+ * PATCH /api/projects/:id
+ * Body: { name?, instructions?, defaultBrandId?, defaultModeId?,
+ *         defaultModel? }
+ * instructions are added to the system prompt of every chat in the
+ * project; the defaults are picked when a chat is started in it (and
+ * used by /api/ai when a request doesn't say). null clears a default.
  */
-app.post("/api/video", requireAuth, async (req, res) => {
+app.patch("/api/projects/:id", requireAuth, (req, res) => {
   try {
-    const {
-      prompt,
-      aspectRatio = "16:9",
-      durationSeconds = 6,
-      audioEnabled = true,
-      model,
-    } = req.body;
+    const { name, instructions, defaultBrandId, defaultModeId, defaultModel } =
+      req.body;
 
-    if (!prompt || !prompt.trim()) {
-      return res
-        .status(400)
-        .json({ error: "Missing prompt for video generation." });
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ error: "Project name can't be empty." });
+    }
+
+    if (
+      instructions !== undefined &&
+      (typeof instructions !== "string" ||
+        instructions.length > MAX_PROJECT_INSTRUCTIONS_CHARS)
+    ) {
+      return res.status(400).json({
+        error: `instructions must be text of up to ${MAX_PROJECT_INSTRUCTIONS_CHARS} characters.`,
+      });
+    }
+
+    if (defaultBrandId != null && !brands.getBrand(defaultBrandId)) {
+      return res.status(400).json({ error: "Default brand not found." });
+    }
+
+    if (defaultModeId != null && !modes.getMode(defaultModeId)) {
+      return res.status(400).json({ error: "Default mode not found." });
+    }
+
+    if (
+      defaultModel != null &&
+      (typeof defaultModel !== "string" || !defaultModel.trim())
+    ) {
+      return res.status(400).json({ error: "defaultModel must be a model id." });
+    }
+
+    const project = chatStore.updateProject(req.user.id, req.params.id, {
+      name: name?.trim(),
+      instructions: instructions?.trim(),
+      defaultBrandId,
+      defaultModeId,
+      defaultModel: defaultModel?.trim() ?? defaultModel,
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    return res.json({ project });
+  } catch (err) {
+    console.error("Error updating project:", err);
+    return res.status(500).json({ error: "Failed to update project." });
+  }
+});
+
+// attachment files go with the last message that shows them (like media
+// files with their library entry)
+function deleteUnusedAttachments(userId, attachmentIds) {
+  attachmentIds
+    .filter((id) => !chatStore.isAttachmentInUse(id))
+    .forEach((id) => attachments.deleteAttachment(userId, id));
+}
+
+// DELETE /api/projects/:id  (also deletes its chats and their attachments)
+app.delete("/api/projects/:id", requireAuth, (req, res) => {
+  try {
+    const attachmentIds = chatStore.listAttachmentIds(req.user.id, {
+      projectId: req.params.id,
+    });
+    chatStore.deleteProject(req.user.id, req.params.id);
+    deleteUnusedAttachments(req.user.id, attachmentIds);
+    // deleting twice is fine – the end state is the same
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting project:", err);
+    return res.status(500).json({ error: "Failed to delete project." });
+  }
+});
+
+// ------------- PROJECT KNOWLEDGE BASE -------------
+// Reference documents per project. /api/ai searches them for prompts in
+// the project's chats and the reply cites what it used (see sources).
+
+// GET /api/projects/:id/documents
+app.get("/api/projects/:id/documents", requireAuth, (req, res) => {
+  try {
+    if (!chatStore.getProject(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    return res.json({
+      documents: knowledge.listDocuments(req.user.id, req.params.id),
+    });
+  } catch (err) {
+    console.error("Error listing project documents:", err);
+    return res.status(500).json({ error: "Failed to load documents." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/documents
+ * Body: { name, mimeType?, data }  – data = base64 (or a data URL)
+ * Text, Markdown, CSV, HTML or JSON, up to 5 MB; the type comes from the
+ * file extension when mimeType is missing.
+ */
+app.post("/api/projects/:id/documents", requireAuth, (req, res) => {
+  try {
+    const { name, mimeType, data } = req.body;
+
+    if (!chatStore.getProject(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    if (!name || !String(name).trim() || typeof data !== "string") {
+      return res.status(400).json({ error: "name and data are required." });
+    }
+
+    const type = knowledge.documentType(name, mimeType);
+    if (!type) {
+      return res.status(400).json({
+        error:
+          "Only text, Markdown, CSV, HTML and JSON files can go in the knowledge base – export PDFs or Word files as text first.",
+      });
+    }
+
+    const bytes = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+
+    if (bytes.length > knowledge.MAX_DOCUMENT_BYTES) {
+      return res.status(413).json({ error: "Documents can be up to 5 MB." });
+    }
+
+    let document;
+    try {
+      document = knowledge.createDocument(req.user.id, req.params.id, {
+        name: String(name).trim().slice(0, 200),
+        type,
+        data: bytes,
+      });
+    } catch (err) {
+      // nothing indexable in it
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.log(
+      `📖 Indexed "${document.name}" (${document.chunkCount} chunks) for project ${req.params.id}`
+    );
+    return res.status(201).json({ document });
+  } catch (err) {
+    console.error("Error saving project document:", err);
+    return res.status(500).json({ error: "Failed to save document." });
+  }
+});
+
+// GET /api/projects/:id/documents/:documentId  – with its text, as indexed
+app.get("/api/projects/:id/documents/:documentId", requireAuth, (req, res) => {
+  try {
+    const document = knowledge.getDocument(req.user.id, req.params.documentId);
+
+    if (!document || document.projectId !== req.params.id) {
+      return res.status(404).json({ error: "Document not found." });
+    }
+
+    return res.json({
+      document,
+      text: knowledge.getDocumentText(req.user.id, document.id),
+    });
+  } catch (err) {
+    console.error("Error loading project document:", err);
+    return res.status(500).json({ error: "Failed to load document." });
+  }
+});
+
+// DELETE /api/projects/:id/documents/:documentId
+app.delete(
+  "/api/projects/:id/documents/:documentId",
+  requireAuth,
+  (req, res) => {
+    try {
+      const document = knowledge.getDocument(
+        req.user.id,
+        req.params.documentId
+      );
+      if (document?.projectId === req.params.id) {
+        knowledge.deleteDocument(req.user.id, document.id);
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Error deleting project document:", err);
+      return res.status(500).json({ error: "Failed to delete document." });
+    }
+  }
+);
+
+// ------------- CHATS -------------
+
+/**
+ * GET /api/chats?projectId=
+ * Chat list without messages. projectId=none -> chats outside any project.
+ */
+app.get("/api/chats", requireAuth, (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const chats = chatStore.listChats(req.user.id, {
+      projectId: projectId === "none" ? null : projectId,
+    });
+
+    return res.json({ chats });
+  } catch (err) {
+    console.error("Error listing chats:", err);
+    return res.status(500).json({ error: "Failed to load chats." });
+  }
+});
+
+/**
+ * POST /api/chats
+ * Body: { id?, projectId?, title?, createdAt? }
+ */
+app.post("/api/chats", requireAuth, (req, res) => {
+  try {
+    const { id, projectId, title, createdAt } = req.body;
+
+    if (title != null && typeof title !== "string") {
+      return res.status(400).json({ error: "Chat title must be text." });
+    }
+
+    const existing = id ? chatStore.getChat(req.user.id, id) : null;
+    if (existing) return res.json({ chat: existing });
+
+    if (projectId && !chatStore.getProject(req.user.id, projectId)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    const chat = chatStore.createChat(req.user.id, {
+      id,
+      projectId,
+      title,
+      createdAt,
+    });
+    return res.status(201).json({ chat });
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_PRIMARYKEY") {
+      return res.status(409).json({ error: "Chat id already in use." });
+    }
+    console.error("Error creating chat:", err);
+    return res.status(500).json({ error: "Failed to create chat." });
+  }
+});
+
+// GET /api/chats/:id
+app.get("/api/chats/:id", requireAuth, (req, res) => {
+  try {
+    const chat = chatStore.getChat(req.user.id, req.params.id);
+
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    return res.json({ chat });
+  } catch (err) {
+    console.error("Error loading chat:", err);
+    return res.status(500).json({ error: "Failed to load chat." });
+  }
+});
+
+// PATCH /api/chats/:id  Body: { title?, projectId? }
+app.patch("/api/chats/:id", requireAuth, (req, res) => {
+  try {
+    const { title, projectId } = req.body;
+
+    if (title != null && typeof title !== "string") {
+      return res.status(400).json({ error: "Chat title must be text." });
+    }
+
+    if (projectId && !chatStore.getProject(req.user.id, projectId)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    const chat = chatStore.updateChat(req.user.id, req.params.id, {
+      title,
+      projectId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    return res.json({ chat });
+  } catch (err) {
+    console.error("Error updating chat:", err);
+    return res.status(500).json({ error: "Failed to update chat." });
+  }
+});
+
+// DELETE /api/chats/:id  (and its messages' attachments)
+app.delete("/api/chats/:id", requireAuth, (req, res) => {
+  try {
+    const attachmentIds = chatStore.listAttachmentIds(req.user.id, {
+      chatId: req.params.id,
+    });
+    chatStore.deleteChat(req.user.id, req.params.id);
+    deleteUnusedAttachments(req.user.id, attachmentIds);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting chat:", err);
+    return res.status(500).json({ error: "Failed to delete chat." });
+  }
+});
+
+/**
+ * GET /api/chats/:id/messages?limit=100&before=
+ * Newest page first; pass `nextBefore` back as `before` for older messages.
+ */
+app.get("/api/chats/:id/messages", requireAuth, (req, res) => {
+  try {
+    if (!chatStore.getChat(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const before =
+      req.query.before !== undefined ? Number(req.query.before) : undefined;
+
+    return res.json(chatStore.listMessages(req.params.id, { before, limit }));
+  } catch (err) {
+    console.error("Error loading messages:", err);
+    return res.status(500).json({ error: "Failed to load messages." });
+  }
+});
+
+/**
+ * POST /api/chats/:id/messages
+ * Body: { message }  – appended, or updated in place if its id exists
+ */
+app.post("/api/chats/:id/messages", requireAuth, (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.role) {
+      return res.status(400).json({ error: "Missing 'message' in body." });
+    }
+
+    if (!chatStore.getChat(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    const saved = chatStore.upsertMessage(req.params.id, message);
+    return res.json({ message: saved });
+  } catch (err) {
+    // 409: the id is already used by a message in another chat
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error saving message:", err);
+    return res.status(500).json({ error: "Failed to save message." });
+  }
+});
+
+// DELETE /api/chats/:id/messages/:messageId
+app.delete("/api/chats/:id/messages/:messageId", requireAuth, (req, res) => {
+  try {
+    if (chatStore.getChat(req.user.id, req.params.id)) {
+      const attachmentIds = chatStore.listAttachmentIds(req.user.id, {
+        chatId: req.params.id,
+        messageId: req.params.messageId,
+      });
+      chatStore.deleteMessage(req.params.id, req.params.messageId);
+      deleteUnusedAttachments(req.user.id, attachmentIds);
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting message:", err);
+    return res.status(500).json({ error: "Failed to delete message." });
+  }
+});
+
+// ------------- SEARCH -------------
+
+/**
+ * GET /api/search?q=&projectId=&brandId=&modeId=&limit=
+ * Full-text search over all of the user's messages, best match first.
+ * projectId=none -> chats outside any project. Each result is the message
+ * plus { chatId, chatTitle, projectId, snippet, brand, mode }; snippet =
+ * the matching part of its text.
+ */
+app.get("/api/search", requireAuth, (req, res) => {
+  try {
+    const { q, projectId, brandId, modeId } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: "Missing search query." });
+    }
+
+    // older messages only stored the brand / mode name
+    const brand = brandId ? brands.getBrand(String(brandId)) : null;
+    const mode = modeId ? modes.getMode(String(modeId)) : null;
+
+    const results = chatStore.searchMessages(req.user.id, {
+      query: String(q),
+      projectId:
+        projectId === "none" ? null : projectId ? String(projectId) : undefined,
+      brandId: brandId ? String(brandId) : undefined,
+      brand: brand?.name,
+      modeId: modeId ? String(modeId) : undefined,
+      mode: mode?.name,
+      limit: Math.min(Math.max(Number(req.query.limit) || 30, 1), 100),
+    });
+
+    return res.json({ results });
+  } catch (err) {
+    console.error("Error searching messages:", err);
+    return res.status(500).json({ error: "Search failed." });
+  }
+});
+
+// ------------- EXPORT & IMPORT -------------
+
+const EXPORT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  pdf: "application/pdf",
+  zip: "application/zip",
+};
+
+// bundles carry whole projects' media, so they get far more room than a
+// JSON body – but each file in one is held to the usual upload limits
+const MAX_IMPORT_BYTES = 1024 * 1024 * 1024;
+
+// where exported Markdown/PDF link media – set PUBLIC_URL when the server
+// sits behind a proxy
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+// sends the collection as a download in the requested format
+async function sendExport(req, res, collection) {
+  const format = String(req.query.format || "md");
+  if (!EXPORT_TYPES[format]) {
+    return res.status(400).json({ error: "format must be md, pdf or zip." });
+  }
+
+  if (format === "zip") {
+    const archive = chatExport.bundleArchive(req.user.id, collection);
+    res.set("Content-Type", EXPORT_TYPES.zip);
+    res.attachment(chatExport.exportFileName(collection, format));
+
+    return archive
+      .on("error", (err) => {
+        console.error("Error writing export bundle:", err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  }
+
+  const baseUrl = publicBaseUrl(req);
+  const body =
+    format === "pdf"
+      ? await chatExport.toPdf(req.user.id, collection, { baseUrl })
+      : chatExport.toMarkdown(req.user.id, collection, {
+          baseUrl,
+          embedImages: req.query.embed === "1",
+        });
+
+  res.set("Content-Type", EXPORT_TYPES[format]);
+  res.attachment(chatExport.exportFileName(collection, format));
+  return res.send(body);
+}
+
+/**
+ * GET /api/chats/:id/export?format=md|pdf|zip&embed=1
+ * A download of the chat: Markdown (media linked, or images embedded with
+ * embed=1), a PDF, or a .zip bundle for /api/import.
+ */
+app.get("/api/chats/:id/export", requireAuth, async (req, res) => {
+  try {
+    const collection = chatExport.collect(req.user.id, {
+      chatId: req.params.id,
+    });
+    if (!collection) return res.status(404).json({ error: "Chat not found." });
+
+    return await sendExport(req, res, collection);
+  } catch (err) {
+    console.error("Error exporting chat:", err);
+    return res.status(500).json({ error: "Failed to export the chat." });
+  }
+});
+
+/**
+ * GET /api/projects/:id/export?format=md|pdf|zip&embed=1
+ * Like the chat export, with every chat in the project; the bundle also
+ * has the project's settings, knowledge base and campaigns.
+ */
+app.get("/api/projects/:id/export", requireAuth, async (req, res) => {
+  try {
+    const collection = chatExport.collect(req.user.id, {
+      projectId: req.params.id,
+    });
+    if (!collection) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    return await sendExport(req, res, collection);
+  } catch (err) {
+    console.error("Error exporting project:", err);
+    return res.status(500).json({ error: "Failed to export the project." });
+  }
+});
+
+// streams the request body to a temp file (never into memory); rejects
+// with a 413 once it passes maxBytes
+function saveUpload(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const filePath = path.join(
+      os.tmpdir(),
+      `byte-size-import-${crypto.randomUUID()}.zip`
+    );
+    const out = fs.createWriteStream(filePath);
+    let received = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(out);
+      req.resume();
+      out.destroy();
+      fs.rm(filePath, { force: true }, () => {});
+      reject(err);
+    };
+
+    req.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const err = new Error(
+          `Bundles can be up to ${maxBytes / 1024 / 1024} MB.`
+        );
+        err.status = 413;
+        fail(err);
+      }
+    });
+    req.on("error", fail);
+    out.on("error", fail);
+    out.on("finish", () => {
+      if (!failed) resolve(filePath);
+    });
+
+    req.pipe(out);
+  });
+}
+
+/**
+ * POST /api/import?projectId=
+ * Body: a .zip bundle from one of the exports above (any Byte-Size
+ * instance), sent as application/zip. Everything is copied with new ids;
+ * a project bundle becomes a new project, a chat bundle goes into
+ * projectId (or no project). Returns { project, chats }.
+ */
+app.post("/api/import", requireAuth, async (req, res) => {
+  if (Number(req.get("content-length")) > MAX_IMPORT_BYTES) {
+    return res.status(413).json({
+      error: `Bundles can be up to ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`,
+    });
+  }
+
+  let filePath = null;
+  try {
+    filePath = await saveUpload(req, MAX_IMPORT_BYTES);
+
+    const imported = await chatExport.importArchive(req.user.id, filePath, {
+      projectId: req.query.projectId ? String(req.query.projectId) : null,
+    });
+
+    console.log(
+      `📦 Imported ${imported.chats.length} chat(s)${
+        imported.project ? ` into "${imported.project.name}"` : ""
+      } for ${req.user.id}`
+    );
+
+    return res.status(201).json(imported);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error importing bundle:", err);
+    return res.status(500).json({ error: "Failed to import the bundle." });
+  } finally {
+    if (filePath) fs.rm(filePath, { force: true }, () => {});
+  }
+});
+
+// ------------- ATTACHMENTS -------------
+// Uploaded from the composer before the message is sent; the message then
+// refers to them by id (attachmentIds on /api/ai).
+
+/**
+ * POST /api/attachments
+ * Body: { name, mimeType, data }  – data = base64 (or a data URL)
+ * Images (png/jpeg/webp/gif), PDFs and text/CSV/Markdown, up to 10 MB.
+ */
+app.post("/api/attachments", requireAuth, (req, res) => {
+  try {
+    const { name, mimeType, data } = req.body;
+
+    if (!name || !String(name).trim() || typeof data !== "string") {
+      return res.status(400).json({ error: "name and data are required." });
+    }
+
+    if (!attachments.getAttachmentKind(mimeType)) {
+      return res
+        .status(400)
+        .json({ error: `Files of type '${mimeType}' can't be attached.` });
+    }
+
+    const bytes = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+
+    if (!bytes.length) {
+      return res.status(400).json({ error: "The file is empty." });
+    }
+
+    if (bytes.length > attachments.MAX_ATTACHMENT_BYTES) {
+      return res.status(413).json({ error: "Attachments can be up to 10 MB." });
+    }
+
+    const attachment = attachments.createAttachment(req.user.id, {
+      name: String(name).trim().slice(0, 200),
+      mimeType,
+      data: bytes,
+    });
+
+    return res.status(201).json({ attachment });
+  } catch (err) {
+    console.error("Error saving attachment:", err);
+    return res.status(500).json({ error: "Failed to save attachment." });
+  }
+});
+
+// GET /api/attachments/:id  – the file itself
+app.get("/api/attachments/:id", requireAuth, (req, res) => {
+  try {
+    const attachment = attachments.getAttachment(req.user.id, req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found." });
+    }
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "X-Content-Type-Options": "nosniff",
+    });
+    return res.sendFile(attachments.getAttachmentPath(attachment));
+  } catch (err) {
+    console.error("Error sending attachment:", err);
+    return res.status(500).json({ error: "Failed to load attachment." });
+  }
+});
+
+// DELETE /api/attachments/:id  – e.g. removed from the composer before sending
+app.delete("/api/attachments/:id", requireAuth, (req, res) => {
+  try {
+    attachments.deleteAttachment(req.user.id, req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting attachment:", err);
+    return res.status(500).json({ error: "Failed to delete attachment." });
+  }
+});
+
+// ------------- CONVERSATION HISTORY -------------
+
+// Never reserve more than this for the reply, even on huge-context models.
+const MAX_RESERVED_COMPLETION_TOKENS = 4096;
+
+/**
+ * Rough token estimate (~4 chars per token for English) plus a little
+ * per-message overhead for role markers.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+/**
+ * Turns the frontend's message objects ({ role, text, ... }) into
+ * Chat-completion messages, dropping the welcome banner, errors and empty turns.
+ * Earlier attachments are only named – the files go with their own turn.
+ */
+function toChatMessages(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(
+      (m) =>
+        m &&
+        (m.role === "user" || m.role === "assistant") &&
+        !m.error &&
+        typeof m.text === "string" &&
+        m.text.trim()
+    )
+    .map((m) => {
+      const names = Array.isArray(m.attachments)
+        ? m.attachments.map((a) => a.name).join(", ")
+        : "";
+
+      return {
+        role: m.role,
+        content: names ? `${m.text}\n\n[Attached: ${names}]` : m.text,
+      };
+    });
+}
+
+/**
+ * Keeps the newest messages that fit into the model's context window.
+ *
+ * Budget = context length - room for the reply - system prompt - current prompt.
+ * The reply room is also capped by the model's own output limit, if known.
+ * We walk backwards from the latest turn and stop once the budget is spent;
+ * if the oldest message we'd keep is too big, it's cut down to the tail end.
+ */
+function windowConversation({
+  history,
+  systemPrompt,
+  prompt,
+  contextLength,
+  maxOutputTokens,
+}) {
+  const reserved = Math.min(
+    MAX_RESERVED_COMPLETION_TOKENS,
+    maxOutputTokens || Infinity,
+    Math.floor(contextLength / 4)
+  );
+
+  let budget =
+    contextLength -
+    reserved -
+    estimateTokens(systemPrompt) -
+    estimateTokens(prompt);
+
+  const kept = [];
+
+  for (let i = history.length - 1; i >= 0 && budget > 0; i--) {
+    const msg = history[i];
+    const cost = estimateTokens(msg.content);
+
+    if (cost <= budget) {
+      kept.unshift(msg);
+      budget -= cost;
+      continue;
+    }
+
+    // Partially include this message if there's meaningful room left
+    const charsLeft = (budget - 4) * 4;
+    if (charsLeft > 200) {
+      kept.unshift({
+        role: msg.role,
+        content: "[…earlier text truncated]\n" + msg.content.slice(-charsLeft),
+      });
+    }
+    break;
+  }
+
+  return {
+    messages: kept,
+    droppedCount: history.length - kept.length,
+  };
+}
+
+// ------------- AI CHAT -------------
+
+// every model in the chain was rate-limited or down (fallback.js)
+const ALL_MODELS_FAILED =
+  "No model could answer right now – they're rate-limited or down. Try again in a minute.";
+
+// what a chat request's spend is filed under in the usage log
+// model = the one that actually answered
+function chatUsageContext(built, model = built.model) {
+  return {
+    kind: "chat",
+    model,
+    brandId: built.brandId,
+    projectId: built.projectId,
+    chatId: built.chatId,
+  };
+}
+
+// the user's wall clock: clientDate is the instant, timezoneOffset the
+// minutes behind UTC (Date#getTimezoneOffset() on the client). Falls back
+// to the server's own clock for anything missing or invalid.
+function userClock(clientDate, timezoneOffset) {
+  const sent = clientDate ? new Date(clientDate) : null;
+  const now = sent && !Number.isNaN(sent.getTime()) ? sent : new Date();
+  const offset =
+    Number.isInteger(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60
+      ? timezoneOffset
+      : now.getTimezoneOffset();
+
+  // shifted so its UTC fields read as the user's local time
+  const local = new Date(now.getTime() - offset * 60 * 1000);
+  return { now, local, today: local.toISOString().slice(0, 10) };
+}
+
+/**
+ * Builds everything /api/ai and /api/ai/stream send to the chat provider.
+ * Returns { model, models, messages, temperature, tools?, today, campaign,
+ * brandId, chatId, projectId, passages } – models = the fallback chain
+ * starting with model; tools = definitions for models that can call them
+ * (see server/tools); today = the user's date (YYYY-MM-DD) for the date
+ * tools; campaign = true means Campaign Builder: ask for schema JSON
+ * instead; passages = knowledge base chunks put in the system prompt, for
+ * knowledge.citedSources().
+ */
+async function buildAiChatRequest(
+  {
+    prompt,
+    brand,
+    brandId,
+    mode,
+    modeId,
+    modelId,
+    clientDate,
+    clientTimezoneOffset,
+    history,
+    chatId,
+    projectId,
+    attachments: attached = [],
+  },
+  user
+) {
+  const { now, local, today } = userClock(clientDate, clientTimezoneOffset);
+  const isoNow = now.toISOString();
+  const humanDate = local.toLocaleString("en-ZA", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+    timeZone: "UTC",
+  });
+
+  const ownsChat = chatId && chatStore.getChat(user.id, chatId);
+  // a brand-new chat may still be in the client's outbox, so the client
+  // also says which project it's in
+  const chatProjectId = ownsChat ? ownsChat.projectId : projectId;
+  const project = chatProjectId
+    ? chatStore.getProject(user.id, chatProjectId)
+    : null;
+
+  // the project's defaults stand in for whatever the request leaves out
+  const modeTemplate = modes.resolveMode(
+    modeId || mode ? { modeId, mode } : { modeId: project?.defaultModeId }
+  );
+  const model =
+    modelId ||
+    project?.defaultModel ||
+    modeTemplate?.defaultModel ||
+    "openai/gpt-4o-mini";
+  modelPreferences.recordRecentModel(user.id, model);
+
+  const brandProfile = brands.resolveBrand(
+    brandId || brand ? { brandId, brand } : { brandId: project?.defaultBrandId }
+  );
+  const brandGuidelines = brands.buildBrandGuidelines(brandProfile, brand);
+  const isCampaign = modeTemplate?.id === "campaign";
+
+  const modelInfo = await modelCatalog.getModel(model);
+  // campaigns answer with schema JSON instead
+  const useTools =
+    !isCampaign && modelCatalog.supportsParameter(modelInfo, "tools");
+
+  const passages = project
+    ? knowledge.searchProject(user.id, project.id, prompt)
+    : [];
+  const referenceSection = knowledge.buildReferenceSection(passages);
+
+  const systemPrompt = `
+You are Byte-Size AI, the AI assistant for Leonard van Rooyen's team.
+You are talking to: ${user.name}
+
+Current real-world date & time (user's context) is: ${humanDate} (ISO: ${isoNow}).
+Always use THIS runtime date/time for:
+- "today", "now", "current year", "this month", "this week"
+- counting days until/from a date
+- anything involving deadlines, days remaining, or time differences.
+
+Do NOT rely on your training cutoff date for time-related questions. If there is any conflict,
+the runtime date above is the source of truth.
+${
+  useTools
+    ? "\nYou have tools for date arithmetic, calculations, unit/currency conversion and looking up earlier work in this project. Use them instead of working such things out yourself.\n"
+    : ""
+}
+Write everything in line with these brand guidelines:
+${brandGuidelines}
+${
+  project?.instructions
+    ? `\nInstructions for the project "${project.name}" – follow them throughout this chat:\n${project.instructions}\n`
+    : ""
+}
+${modes.buildModeInstructions(modeTemplate, mode)}
+${referenceSection ? `\n${referenceSection}\n` : ""}${
+  isCampaign
+    ? "\nAnswer with one JSON object matching the campaign schema – no Markdown fences, no text around it."
+    : ""
+}
+  `.trim();
+
+  // no history sent -> use what's stored for the chat
+  let priorMessages = history;
+
+  if (!Array.isArray(history) && ownsChat) {
+    priorMessages = chatStore.listMessages(chatId, { limit: 500 }).messages;
+
+    // the current prompt may already be saved as the last message
+    const last = priorMessages[priorMessages.length - 1];
+    if (last?.role === "user" && last.text === prompt) {
+      priorMessages = priorMessages.slice(0, -1);
+    }
+  }
+
+  const attachmentParts = attachments.buildAttachmentParts(attached);
+  // inlined text files count against the context window like the prompt
+  const inlinedText = attachmentParts
+    .filter((part) => part.type === "text")
+    .map((part) => part.text);
+
+  const contextLength =
+    modelInfo?.contextLength || modelCatalog.DEFAULT_CONTEXT_LENGTH;
+  const { messages: windowed, droppedCount } = windowConversation({
+    history: toChatMessages(priorMessages),
+    systemPrompt,
+    prompt: [prompt, ...inlinedText].join("\n\n"),
+    contextLength,
+    maxOutputTokens: modelInfo?.maxOutputTokens,
+  });
+
+  if (droppedCount > 0) {
+    console.log(
+      `✂️ /api/ai dropped ${droppedCount} older message(s) to fit ${model} (${contextLength} tokens)`
+    );
+  }
+
+  return {
+    model,
+    // model first, then the mode's fallbacks
+    models: fallback.modelChain(model, modeTemplate),
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...windowed,
+      {
+        role: "user",
+        content: attachmentParts.length
+          ? [{ type: "text", text: prompt }, ...attachmentParts]
+          : prompt,
+      },
+    ],
+    // null = leave it to the model; some models reject it outright
+    temperature: modelCatalog.supportsParameter(modelInfo, "temperature")
+      ? modeTemplate?.temperature ?? undefined
+      : undefined,
+    ...(useTools && { tools: tools.toolDefinitions() }),
+    today,
+    campaign: isCampaign,
+    brandId: brandProfile?.id,
+    chatId: ownsChat ? chatId : null,
+    projectId: project?.id ?? null,
+    passages,
+  };
+}
+
+/**
+ * Gets a chat reply, running any tools the model calls along the way:
+ * each round goes model -> tool calls -> results back to the model, until
+ * it answers in text (the last round offers no tools, so it has to).
+ * Later rounds stay on the model that answered, falling back only further
+ * down the chain. With onDelta the reply is streamed; onToolCall(ran) is
+ * told about every call as it finishes.
+ * Returns { content, model, fallbackFrom, toolCalls }.
+ */
+async function answerChat(built, user, { signal, onDelta, onToolCall } = {}) {
+  let messages = built.messages;
+  let models = built.models;
+  let content = "";
+  const toolCalls = [];
+  // once this round's text has gone out, switching models would garble it
+  let hasSentText = false;
+
+  for (let round = 1; ; round++) {
+    const offerTools = built.tools && round < tools.MAX_TOOL_ROUNDS;
+    const request = (candidate) => ({
+      model: candidate,
+      messages,
+      temperature: built.temperature,
+      tools: offerTools ? built.tools : undefined,
+      signal,
+    });
+
+    const { result, model } = await fallback.withFallback(
+      models,
+      (candidate) =>
+        onDelta
+          ? providers.chat.streamChat({
+              ...request(candidate),
+              onDelta: (text) => {
+                // keep rounds apart: "Let me check." + "It's 12 days."
+                if (content && !hasSentText) onDelta("\n\n");
+                hasSentText = true;
+                onDelta(text);
+              },
+            })
+          : providers.chat.chat(request(candidate)),
+      {
+        signal,
+        canRetry: () => !hasSentText,
+        label: onDelta ? "/api/ai/stream" : "/api/ai",
+      }
+    );
+
+    await usage.recordChatUsage(
+      user.id,
+      result.usage,
+      chatUsageContext(built, model)
+    );
+
+    models = models.slice(models.indexOf(model));
+    if (result.content) {
+      content = content ? `${content}\n\n${result.content}` : result.content;
+      hasSentText = false;
+    }
+
+    if (!offerTools || !result.toolCalls?.length) {
+      return {
+        content,
+        model,
+        fallbackFrom: model !== built.models[0] ? built.models[0] : null,
+        toolCalls,
+      };
+    }
+
+    const results = [];
+    for (const call of result.toolCalls) {
+      const ran = await tools.runToolCall(call, {
+        user,
+        projectId: built.projectId,
+        chatId: built.chatId,
+        today: built.today,
+      });
+      results.push(ran);
+      toolCalls.push(ran);
+      onToolCall?.(ran);
+    }
+
+    messages = [
+      ...messages,
+      ...tools.toolMessages(result.content, result.toolCalls, results),
+    ];
+  }
+}
+
+// what the client gets to show of a tool call
+function toolCallSummary({ name, arguments: args, result, error }) {
+  return { name, arguments: args, ...(error ? { error } : { result }) };
+}
+
+/**
+ * POST /api/ai
+ * Body: { prompt, brand, brandId?, mode, modeId?, modelId, clientDate?, clientTimezoneOffset?,
+ *         history?, chatId?, projectId?, attachmentIds? }
+ * brandId / modeId pick the brand profile and mode template; the names
+ * (brand, mode) are the fallback. clientDate (ISO) and
+ * clientTimezoneOffset (the browser's getTimezoneOffset()) give the
+ * user's local date and time.
+ * Returns { reply, model, fallbackFrom?, toolCalls?, sources? } – model =
+ * the one that answered; fallbackFrom = the requested model, when it was
+ * rate-limited or down and one of the mode's fallbacks took over (503 if
+ * none could answer); toolCalls = [{ name, arguments, result | error }] the model ran
+ * on the way to its reply.
+ * In a project with a knowledge base, the best matching passages of its
+ * documents go in the system prompt; sources = [{ n, documentId,
+ * documentName, excerpt }] for each one the reply cites as [n].
+ * In Campaign Builder mode the reply also has campaign (see CAMPAIGNS).
+ * history = the chat's earlier messages ({ role, text }), oldest first,
+ * NOT including the current prompt. Without it, the stored messages of
+ * chatId are used instead.
+ * attachmentIds = files from /api/attachments that go with the prompt as
+ * multimodal content parts (400 if one isn't the user's).
+ */
+app.post("/api/ai", requireAuth, async (req, res) => {
+  try {
+    const { prompt } = req.body;
+
+    if (!prompt || !prompt.trim()) {
+      return res.status(400).json({ error: "Missing prompt." });
+    }
+
+    const fieldError = textFieldError(req.body, [
+      "brand",
+      "brandId",
+      "mode",
+      "modeId",
+    ]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const attached = attachments.resolveAttachments(
+      req.user.id,
+      req.body.attachmentIds
+    );
+    if (attached.error) {
+      return res.status(400).json({ error: attached.error });
+    }
+
+    const built = await buildAiChatRequest(
+      { ...req.body, attachments: attached.attachments },
+      req.user
+    );
+
+    const budgetWarnings = enforceBudget(req, res, { brandId: built.brandId });
+    if (!budgetWarnings) return;
+    const withWarnings = budgetWarnings.length ? { budgetWarnings } : {};
+
+    if (built.campaign) {
+      return res.json({
+        ...(await generateCampaign(built, req.user)),
+        ...withWarnings,
+      });
+    }
+
+    const { content, model, fallbackFrom, toolCalls } = await answerChat(
+      built,
+      req.user
+    );
+
+    const aiReply =
+      content || `No response received from ${providers.chat.name}.`;
+    const sources = knowledge.citedSources(aiReply, built.passages);
+
+    res.json({
+      reply: aiReply,
+      model,
+      ...(fallbackFrom && { fallbackFrom }),
+      ...(toolCalls.length && { toolCalls: toolCalls.map(toolCallSummary) }),
+      ...(sources.length && { sources }),
+      ...withWarnings,
+    });
+  } catch (err) {
+    console.error(`Error talking to ${providers.chat.name} from /api/ai:`);
+
+    if (err.attempts) {
+      console.error(err.attempts);
+      return res.status(503).json({
+        error: ALL_MODELS_FAILED,
+        details: err.attempts,
+      });
+    }
+
+    if (err.validationErrors) {
+      console.error(err.validationErrors);
+      return res.status(502).json({
+        error: err.message,
+        details: err.validationErrors,
+      });
+    }
+
+    if (err.response) {
+      console.error("Status:", err.response.status);
+      console.error("Data:", err.response.data);
+      return res.status(500).json({
+        error: "AI request failed.",
+        details: err.response.data,
+      });
+    } else {
+      console.error(err.message);
+      return res.status(500).json({
+        error: "AI request failed.",
+        details: err.message,
+      });
+    }
+  }
+});
+
+/**
+ * POST /api/ai/stream
+ * Same body as /api/ai, but answers with Server-Sent Events:
+ *   event: delta  data: { text }   – next chunk of the reply
+ *   event: tool   data: { name, arguments, result | error }
+ *                                  – the model ran a tool (see /api/ai)
+ *   event: done   data: { reply, model, fallbackFrom?, toolCalls?,
+ *                           sources? }
+ *                                  – full reply, stream is over
+ *                                    (+ campaign in Campaign Builder mode,
+ *                                    which sends no deltas)
+ * Fallback models are only tried until the first delta has gone out.
+ *   event: error  data: { error }  – upstream failed mid-stream
+ * Closing the connection aborts the upstream request.
+ */
+app.post("/api/ai/stream", requireAuth, async (req, res) => {
+  const upstreamAbort = new AbortController();
+
+  // client hit Stop / navigated away -> stop paying for tokens
+  res.on("close", () => {
+    if (!res.writableEnded) upstreamAbort.abort();
+  });
+
+  function sendEvent(event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  try {
+    const { prompt } = req.body;
+
+    if (!prompt || !prompt.trim()) {
+      return res.status(400).json({ error: "Missing prompt." });
+    }
+
+    const fieldError = textFieldError(req.body, [
+      "brand",
+      "brandId",
+      "mode",
+      "modeId",
+    ]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const attached = attachments.resolveAttachments(
+      req.user.id,
+      req.body.attachmentIds
+    );
+    if (attached.error) {
+      return res.status(400).json({ error: attached.error });
+    }
+
+    const built = await buildAiChatRequest(
+      { ...req.body, attachments: attached.attachments },
+      req.user
+    );
+
+    const budgetWarnings = enforceBudget(req, res, { brandId: built.brandId });
+    if (!budgetWarnings) return;
+    const withWarnings = budgetWarnings.length ? { budgetWarnings } : {};
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+    });
+    res.flushHeaders();
+
+    if (built.campaign) {
+      const result = await generateCampaign(
+        built,
+        req.user,
+        upstreamAbort.signal
+      );
+      sendEvent("done", { ...result, ...withWarnings });
+      return res.end();
+    }
+
+    const { content, model, fallbackFrom, toolCalls } = await answerChat(
+      built,
+      req.user,
+      {
+        signal: upstreamAbort.signal,
+        onDelta: (text) => sendEvent("delta", { text }),
+        onToolCall: (ran) => sendEvent("tool", toolCallSummary(ran)),
+      }
+    );
+
+    const reply =
+      content || `No response received from ${providers.chat.name}.`;
+    const sources = knowledge.citedSources(reply, built.passages);
+
+    sendEvent("done", {
+      reply,
+      model,
+      ...(fallbackFrom && { fallbackFrom }),
+      ...(toolCalls.length && { toolCalls: toolCalls.map(toolCallSummary) }),
+      ...(sources.length && { sources }),
+      ...withWarnings,
+    });
+    res.end();
+  } catch (err) {
+    if (upstreamAbort.signal.aborted) {
+      console.log("⏹️ /api/ai/stream stopped by client.");
+      return res.end();
+    }
+
+    console.error(`Error streaming from ${providers.chat.name} in /api/ai/stream:`);
+    if (err.response) {
+      // body is a stream here, so only the status is useful
+      console.error("Status:", err.response.status);
+    } else {
+      console.error(err.message);
+    }
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "AI request failed.",
+        details: err.message,
+      });
+    }
+
+    sendEvent("error", {
+      error: err.attempts
+        ? ALL_MODELS_FAILED
+        : err.validationErrors
+        ? err.message
+        : "AI request failed.",
+      details: err.attempts || err.validationErrors || err.message,
+    });
+    res.end();
+  }
+});
+
+// ------------- CAMPAIGNS -------------
+
+// models sometimes wrap JSON in ```json fences or add a sentence around it
+function parseJsonReply(content) {
+  const text = String(content || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end <= start) return undefined;
+
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Asks the chat provider for JSON matching `schema`, then checks it with
+ * `validate` (returns a list of problems). If it's wrong the model gets
+ * one retry with the problems fed back; after that this throws an error
+ * carrying `validationErrors`. models = the fallback chain; the retry
+ * stays with whichever model answered. Every attempt is logged to usage
+ * under `track` ({ userId, brandId, projectId, chatId }).
+ * Returns { data, model, fallbackFrom }.
+ */
+async function requestStructuredJson({
+  models,
+  messages,
+  temperature,
+  name,
+  schema,
+  validate,
+  track,
+  signal,
+}) {
+  let conversation = messages;
+  let chain = models;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const { result, model } = await fallback.withFallback(
+      chain,
+      (candidate) =>
+        providers.chat.chat({
+          model: candidate,
+          messages: conversation,
+          temperature,
+          responseFormat: {
+            type: "json_schema",
+            json_schema: { name, strict: true, schema },
+          },
+          timeout: 120000,
+          signal,
+        }),
+      { signal, label: name }
+    );
+    chain = chain.slice(chain.indexOf(model));
+
+    const { userId, ...context } = track;
+    await usage.recordChatUsage(userId, result.usage, {
+      ...context,
+      kind: "chat",
+      model,
+    });
+
+    const { content } = result;
+    const data = parseJsonReply(content);
+
+    errors = data === undefined ? ["reply was not valid JSON"] : validate(data);
+    if (!errors.length) {
+      return {
+        data,
+        model,
+        fallbackFrom: model === models[0] ? null : models[0],
+      };
+    }
+
+    console.warn(
+      `⚠️ ${name} JSON from ${model} failed validation (attempt ${attempt}):`,
+      errors.slice(0, 5)
+    );
+
+    conversation = [
+      ...messages,
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `That JSON doesn't match the schema:\n- ${errors.join(
+          "\n- "
+        )}\nSend the corrected JSON object only.`,
+      },
+    ];
+  }
+
+  const error = new Error(`The model's ${name} didn't match the expected format.`);
+  error.validationErrors = errors;
+  throw error;
+}
+
+// Campaign Builder turn: structured plan -> saved campaign + short reply
+async function generateCampaign(built, user, signal) {
+  const { data, model, fallbackFrom } = await requestStructuredJson({
+    models: built.models,
+    messages: built.messages,
+    temperature: built.temperature,
+    name: "campaign",
+    schema: campaigns.CAMPAIGN_SCHEMA,
+    validate: campaigns.validateCampaign,
+    track: { userId: user.id, ...chatUsageContext(built) },
+    signal,
+  });
+
+  const campaign = campaigns.createCampaign(user.id, {
+    projectId: built.projectId,
+    chatId: built.chatId,
+    brandId: built.brandId,
+    model,
+    data: campaigns.normalizeCampaign(data),
+  });
+
+  console.log(`📋 Saved campaign "${campaign.title}" (${campaign.id})`);
+
+  return {
+    reply: `Campaign plan: ${campaign.title}`,
+    campaign,
+    model,
+    ...(fallbackFrom && { fallbackFrom }),
+  };
+}
+
+// GET /api/campaigns?projectId=  ("none" = campaigns outside any project)
+app.get("/api/campaigns", requireAuth, (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    const list = campaigns.listCampaigns(req.user.id, {
+      projectId: projectId === "none" ? null : projectId,
+    });
+
+    return res.json({ campaigns: list });
+  } catch (err) {
+    console.error("Error listing campaigns:", err);
+    return res.status(500).json({ error: "Failed to load campaigns." });
+  }
+});
+
+// GET /api/campaigns/:id
+app.get("/api/campaigns/:id", requireAuth, (req, res) => {
+  const campaign = campaigns.getCampaign(req.user.id, req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({ error: "Campaign not found." });
+  }
+
+  return res.json({ campaign });
+});
+
+/**
+ * PATCH /api/campaigns/:id
+ * Body: { data }  – the whole edited plan, validated like model output
+ */
+app.patch("/api/campaigns/:id", requireAuth, (req, res) => {
+  try {
+    const { data } = req.body;
+    const errors = campaigns.validateCampaign(data);
+
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Campaign is not valid.", details: errors });
     }
 
-    if (!FAL_API_KEY) {
+    const campaign = campaigns.updateCampaign(
+      req.user.id,
+      req.params.id,
+      campaigns.normalizeCampaign(data)
+    );
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found." });
+    }
+
+    return res.json({ campaign });
+  } catch (err) {
+    console.error("Error updating campaign:", err);
+    return res.status(500).json({ error: "Failed to update campaign." });
+  }
+});
+
+// DELETE /api/campaigns/:id
+app.delete("/api/campaigns/:id", requireAuth, (req, res) => {
+  try {
+    campaigns.deleteCampaign(req.user.id, req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting campaign:", err);
+    return res.status(500).json({ error: "Failed to delete campaign." });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/regenerate
+ * Body: { section, instructions?, modelId? }
+ * Rewrites one section (objective, audience, channels, calendar, cta,
+ * hashtags) with the rest of the plan as context; the rest stays as is.
+ */
+app.post("/api/campaigns/:id/regenerate", requireAuth, async (req, res) => {
+  try {
+    const { section, instructions, modelId } = req.body;
+
+    if (!campaigns.SECTIONS.includes(section)) {
+      return res.status(400).json({
+        error: `section must be one of: ${campaigns.SECTIONS.join(", ")}.`,
+      });
+    }
+
+    const campaign = campaigns.getCampaign(req.user.id, req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found." });
+    }
+
+    const budgetWarnings = enforceBudget(req, res, {
+      brandId: campaign.brandId,
+    });
+    if (!budgetWarnings) return;
+
+    const modeTemplate = modes.getMode("campaign");
+    const model =
+      modelId ||
+      campaign.model ||
+      modeTemplate?.defaultModel ||
+      "openai/gpt-4o-mini";
+
+    const systemPrompt = `
+You are Byte-Size AI, the AI assistant for Leonard van Rooyen's team.
+You are talking to: ${req.user.name}
+You are revising one section of an existing marketing campaign plan.
+
+Write everything in line with these brand guidelines:
+${brands.buildBrandGuidelines(brands.getBrand(campaign.brandId))}
+
+${modes.buildModeInstructions(modeTemplate)}
+    `.trim();
+
+    const userPrompt = `
+Current plan:
+${JSON.stringify(campaign.data, null, 2)}
+
+Rewrite only the "${section}" section so it still fits the rest of the plan.
+${instructions ? `What to change: ${instructions}` : "Make it noticeably better, not just reworded."}
+Answer with {"${section}": ...} only.
+    `.trim();
+
+    const { data: result } = await requestStructuredJson({
+      models: fallback.modelChain(model, modeTemplate),
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: modeTemplate?.temperature ?? undefined,
+      name: "campaign_section",
+      schema: campaigns.sectionSchema(section),
+      validate: (data) => {
+        const errors = campaigns.validateSchema(
+          data,
+          campaigns.sectionSchema(section)
+        );
+        if (errors.length) return errors;
+        return campaigns.validateCampaign({
+          ...campaign.data,
+          [section]: data[section],
+        });
+      },
+      track: {
+        userId: req.user.id,
+        brandId: campaign.brandId,
+        projectId: campaign.projectId,
+        chatId: campaign.chatId,
+      },
+    });
+
+    const updated = campaigns.updateCampaign(
+      req.user.id,
+      campaign.id,
+      campaigns.normalizeCampaign({
+        ...campaign.data,
+        [section]: result[section],
+      })
+    );
+
+    return res.json({
+      campaign: updated,
+      ...(budgetWarnings.length && { budgetWarnings }),
+    });
+  } catch (err) {
+    console.error("🔥 ERROR in /api/campaigns/:id/regenerate:");
+
+    if (err.attempts) {
+      console.error(err.attempts);
+      return res.status(503).json({
+        error: ALL_MODELS_FAILED,
+        details: err.attempts,
+      });
+    }
+
+    if (err.validationErrors) {
+      console.error(err.validationErrors);
+      return res.status(502).json({
+        error: err.message,
+        details: err.validationErrors,
+      });
+    }
+
+    if (err.response) {
+      console.error("Status:", err.response.status);
+      console.error("Data:", err.response.data);
+      return res.status(500).json({
+        error: "Regenerating the section failed.",
+        details: err.response.data,
+      });
+    }
+
+    console.error(err.message);
+    return res.status(500).json({
+      error: "Regenerating the section failed.",
+      details: err.message,
+    });
+  }
+});
+
+// ------------- IMAGE GENERATION -------------
+
+const MAX_IMAGE_VARIATIONS = 4;
+
+/**
+ * One image request to the image provider, down the fallback chain
+ * `models`. With sourceImageUrl the image goes along with the prompt, so
+ * the model edits it instead of starting from scratch. Returns { reply,
+ * imageUrl, model, fallbackFrom, costUsd, usage } – imageUrl is null if
+ * the model sent none.
+ */
+async function generateImage({ models, prompt, brandStyle, sourceImageUrl }) {
+  const messages = [
+    ...(brandStyle
+      ? [
+          {
+            role: "system",
+            content: `Create images that fit this brand. ${brandStyle}`,
+          },
+        ]
+      : []),
+    {
+      role: "user",
+      content: sourceImageUrl
+        ? [
+            { type: "text", text: prompt },
+            {
+              type: "image_url",
+              // the provider can't fetch our own /media/ URLs
+              image_url: { url: media.inlineMediaUrl(sourceImageUrl) },
+            },
+          ]
+        : prompt,
+    },
+  ];
+
+  const { result, model, fallbackFrom } = await fallback.withFallback(
+    models,
+    (candidate) => providers.image.generateImage({ model: candidate, messages }),
+    { label: "/api/image" }
+  );
+
+  return {
+    reply: result.content,
+    imageUrl: result.imageUrl,
+    model,
+    fallbackFrom,
+    // for the media library
+    costUsd: result.usage?.costUsd ?? null,
+    usage: result.usage,
+  };
+}
+
+/**
+ * POST /api/image
+ * Image Generation Endpoint (image provider, OpenRouter by default)
+ * Body: { prompt, model?, brandId?, brand?, sourceImageUrl?, count?,
+ *         chatId?, projectId? }
+ * sourceImageUrl (data:, http(s) or /media/ URL) = edit that image
+ * following the prompt; the model has to take image input. count (1–4) =
+ * that many alternatives in parallel.
+ * Every image is saved to the media library (chatId/projectId file it).
+ * Returns { reply, imageUrl, imageUrls, model, fallbackFrom?, media } –
+ * imageUrl is the first of imageUrls, which are /media/ URLs (the
+ * originals if saving failed); model/fallbackFrom as in /api/ai.
+ */
+app.post("/api/image", requireAuth, async (req, res) => {
+  try {
+    const { prompt, model, brandId, brand, sourceImageUrl, chatId, projectId } =
+      req.body;
+    const count = Number(req.body.count ?? 1);
+
+    if (!prompt || !prompt.trim()) {
       return res
-        .status(500)
-        .json({ error: "FAL_API_KEY not configured on server." });
+        .status(400)
+        .json({ error: "Missing prompt for image generation." });
     }
 
-    // 🔒 Only allow Wan 2.5 and Ovi. Everything else is forced to Ovi.
-    const ALLOWED_MODELS = ["fal-ai/ovi", "fal-ai/wan-2.5"];
-    const selectedModel = ALLOWED_MODELS.includes(model)
-      ? model
-      : "fal-ai/ovi";
+    const fieldError = textFieldError(req.body, ["brand", "brandId"]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    if (
+      sourceImageUrl &&
+      (typeof sourceImageUrl !== "string" ||
+        !/^(https?:\/\/|data:image\/|\/media\/)/.test(sourceImageUrl))
+    ) {
+      return res.status(400).json({
+        error: "sourceImageUrl must be an http(s), /media/ or image data URL.",
+      });
+    }
 
-    console.log("🎬 /api/video using model:", selectedModel);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGE_VARIATIONS) {
+      return res.status(400).json({
+        error: `count must be a whole number from 1 to ${MAX_IMAGE_VARIATIONS}.`,
+      });
+    }
 
-    const result = await fal.subscribe(
-      selectedModel,
-      {
-        input: {
+    const imageMode = modes.getMode("image");
+    const imageModel =
+      model ||
+      imageMode?.defaultModel ||
+      process.env.DEFAULT_IMAGE_MODEL ||
+      "google/gemini-2.5-flash-image-preview";
+    modelPreferences.recordRecentModel(req.user.id, imageModel);
+
+    const brandProfile = brands.resolveBrand({ brandId, brand });
+    const brandStyle = brands.buildBrandVisualStyle(brandProfile);
+
+    const budgetWarnings = enforceBudget(req, res, {
+      brandId: brandProfile?.id,
+    });
+    if (!budgetWarnings) return;
+
+    const results = await Promise.allSettled(
+      Array.from({ length: count }, () =>
+        generateImage({
+          models: fallback.modelChain(imageModel, imageMode),
           prompt,
-          aspect_ratio: aspectRatio,
-          duration_seconds: durationSeconds,
-          enable_audio: audioEnabled,
-        },
-      },
-      {
-        logs: true,
-        timeout: 600000,
-      }
+          brandStyle,
+          sourceImageUrl,
+        })
+      )
+    );
+
+    const fileProjectId =
+      (chatId && chatStore.getChat(req.user.id, chatId)?.projectId) ??
+      projectId;
+
+    // a reply without an image is still billed
+    for (const r of results) {
+      if (r.status !== "fulfilled") continue;
+      await usage.recordChatUsage(req.user.id, r.value.usage, {
+        kind: "image",
+        model: r.value.model,
+        brandId: brandProfile?.id,
+        projectId: fileProjectId,
+        chatId,
+      });
+    }
+
+    const generated = results
+      .filter((r) => r.status === "fulfilled" && r.value.imageUrl)
+      .map((r) => r.value);
+
+    if (!generated.length) {
+      // surface the request error if there was one
+      const failed = results.find((r) => r.status === "rejected");
+      if (failed) throw failed.reason;
+
+      return res.status(500).json({
+        error: `${providers.image.name} returned no image for this prompt.`,
+      });
+    }
+
+    if (generated.length < count) {
+      console.warn(`⚠️ /api/image: only ${generated.length}/${count} images came back.`);
+    }
+
+    // keep a copy of each image in the library instead of a data URL in
+    // the chat; if that fails the original URL still works
+    const saved = await Promise.all(
+      generated.map((g) =>
+        media
+          .saveMedia(req.user.id, g.imageUrl, {
+            kind: "image",
+            prompt,
+            model: g.model,
+            brandId: brandProfile?.id,
+            projectId: fileProjectId,
+            chatId,
+            costUsd: g.costUsd,
+          })
+          .catch((err) => {
+            console.error("Saving image to the library failed:", err.message);
+            return null;
+          })
+      )
     );
 
-    const videoUrl =
-      result?.data?.video_url ||
-      result?.data?.output?.[0]?.url ||
-      null;
+    const imageUrls = generated.map((g, i) => saved[i]?.url || g.imageUrl);
+
+    res.json({
+      reply: generated[0].reply || "Here is your generated image.",
+      imageUrl: imageUrls[0],
+      imageUrls,
+      model: generated[0].model,
+      ...(generated[0].fallbackFrom && {
+        fallbackFrom: generated[0].fallbackFrom,
+      }),
+      media: saved.filter(Boolean),
+      ...(budgetWarnings.length && { budgetWarnings }),
+    });
+  } catch (err) {
+    console.error("🔥 ERROR in /api/image:");
+    if (err.attempts) {
+      console.error(err.attempts);
+      return res.status(503).json({
+        error: ALL_MODELS_FAILED,
+        details: err.attempts,
+      });
+    }
+    if (err.response) {
+      console.error("Status:", err.response.status);
+      console.error("Data:", err.response.data);
+      return res.status(500).json({
+        error: "Image request failed.",
+        details: err.response.data,
+      });
+    } else {
+      console.error(err.message);
+      return res.status(500).json({
+        error: "Image request failed.",
+        details: err.message,
+      });
+    }
+  }
+});
+
+// ------------- VIDEO GENERATION (video provider, ONLY OVI & WAN) -------------
+
+/**
+ * GET /api/video/catalog
+ * The video models we allow, with supported aspect ratios, durations,
+ * audio / negative prompt / seed support, pricing and the cost of each
+ * duration (see videoModels.js).
+ */
+app.get("/api/video/catalog", requireAuth, (req, res) => {
+  return res.json({ models: videoModels.listVideoModels() });
+});
+
+/**
+ * POST /api/video
+ * Body: { prompt, model, aspectRatio?, durationSeconds?, audioEnabled?,
+ *         negativePrompt?, seed?, brandId?, brand?, chatId?, projectId?,
+ *         messageId? }
+ * Parameters are checked against the model's catalogue entry (400 if it
+ * doesn't support them); missing ones get the model's defaults.
+ * Queues a background job (see videoJobs.js) and answers 202 right away
+ * with { job, message, estimatedCostUsd }. message (id = messageId) is the
+ * chat's progress card; the server replaces it with the video when the job
+ * finishes.
+ */
+app.post("/api/video", requireAuth, async (req, res) => {
+  try {
+    const { prompt, model, brandId, brand, chatId, projectId, messageId } =
+      req.body;
 
-    if (!videoUrl) {
-      console.error("fal.ai returned no video URL:", result);
+    if (!prompt || !prompt.trim()) {
       return res
-        .status(500)
-        .json({ error: "fal.ai did not return a video URL." });
+        .status(400)
+        .json({ error: "Missing prompt for video generation." });
     }
 
-    return res.json({
-      reply: "Here’s your generated video.",
-      videoUrl,
-      model: selectedModel,
+    const fieldError = textFieldError(req.body, ["brand", "brandId"]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    if (videoConfigError) {
+      return res.status(500).json({ error: videoConfigError });
+    }
+
+    // 🔒 Only models in the catalogue (Ovi, Wan 2.5)
+    const videoModel = videoModels.getVideoModel(
+      model || modes.getMode("video")?.defaultModel || "fal-ai/ovi",
+      "text-to-video"
+    );
+
+    if (!videoModel) {
+      return res.status(400).json({ error: `Unknown video model '${model}'.` });
+    }
+
+    const { params, errors } = videoModels.validateVideoParams(
+      videoModel,
+      req.body
+    );
+
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join(" "), details: errors });
+    }
+
+    console.log("🎬 /api/video using model:", videoModel.id, params);
+
+    // fal models only take a prompt, so the brand style goes on the end of it
+    const brandProfile = brands.resolveBrand({ brandId, brand });
+    const brandStyle = brands.buildBrandVisualStyle(brandProfile);
+    const videoPrompt = brandStyle ? `${prompt}\n\n${brandStyle}` : prompt;
+
+    const estimatedCostUsd = videoModels.estimateVideoCost(
+      videoModel,
+      params.durationSeconds
+    );
+
+    const budgetWarnings = enforceBudget(req, res, {
+      brandId: brandProfile?.id,
+      estimatedCostUsd,
+    });
+    if (!budgetWarnings) return;
+
+    const job = await videoJobs.submitVideoJob(req.user, {
+      chatId,
+      messageId: messageId || crypto.randomUUID(),
+      kind: "text-to-video",
+      model: videoModel.id,
+      input: videoModel.buildInput({ ...params, prompt: videoPrompt }),
+      meta: {
+        prompt,
+        brandId: brandProfile?.id,
+        projectId,
+        costUsd: estimatedCostUsd,
+      },
+    });
+
+    return res.status(202).json({
+      job,
+      message: jobs.buildJobMessage(job),
+      estimatedCostUsd,
+      ...(budgetWarnings.length && { budgetWarnings }),
     });
   } catch (err) {
     console.error("🔥 ERROR in /api/video:", err);
@@ -602,10 +2636,373 @@ app.post("/api/video", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/video/animate
+ * Body: { chatId, sourceMessageId, prompt, model?, durationSeconds?,
+ *         audioEnabled?, negativePrompt?, seed?, brandId?, brand?,
+ *         messageId? }
+ * Image-to-video: animates the image of message sourceMessageId (which must
+ * be in chat chatId) following the motion prompt. Same job flow and
+ * response as /api/video; the video message links back to the image.
+ */
+app.post("/api/video/animate", requireAuth, async (req, res) => {
+  try {
+    const { chatId, sourceMessageId, prompt, model, brandId, brand, messageId } =
+      req.body;
+
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      return res
+        .status(400)
+        .json({ error: "Describe how the image should move." });
+    }
+
+    const fieldError = textFieldError(req.body, ["brand", "brandId"]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    if (videoConfigError) {
+      return res.status(500).json({ error: videoConfigError });
+    }
+
+    const source =
+      chatId &&
+      sourceMessageId &&
+      chatStore.getChat(req.user.id, chatId) &&
+      chatStore.getChatMessage(chatId, sourceMessageId);
+
+    if (!source?.imageUrl) {
+      return res.status(404).json({ error: "Image message not found." });
+    }
+
+    const videoModel = videoModels.getVideoModel(
+      model || "fal-ai/ovi/image-to-video",
+      "image-to-video"
+    );
+
+    if (!videoModel) {
+      return res
+        .status(400)
+        .json({ error: `Unknown image-to-video model '${model}'.` });
+    }
+
+    const { params, errors } = videoModels.validateVideoParams(
+      videoModel,
+      req.body
+    );
+
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join(" "), details: errors });
+    }
+
+    console.log("🎞️ /api/video/animate using model:", videoModel.id, params);
+
+    const brandProfile = brands.resolveBrand({ brandId, brand });
+    const brandStyle = brands.buildBrandVisualStyle(brandProfile);
+    const videoPrompt = brandStyle ? `${prompt}\n\n${brandStyle}` : prompt;
+
+    const estimatedCostUsd = videoModels.estimateVideoCost(
+      videoModel,
+      params.durationSeconds
+    );
+
+    const budgetWarnings = enforceBudget(req, res, {
+      brandId: brandProfile?.id,
+      estimatedCostUsd,
+    });
+    if (!budgetWarnings) return;
+
+    const job = await videoJobs.submitVideoJob(req.user, {
+      chatId,
+      messageId: messageId || crypto.randomUUID(),
+      sourceMessageId,
+      kind: "image-to-video",
+      model: videoModel.id,
+      input: videoModel.buildInput({
+        ...params,
+        prompt: videoPrompt,
+        imageUrl: await videoJobs.uploadSourceImage(source.imageUrl),
+      }),
+      meta: {
+        prompt,
+        brandId: brandProfile?.id,
+        costUsd: estimatedCostUsd,
+        // our own copy for the link back – the provider's upload expires.
+        // Images from before the media library are inline, too big to keep.
+        sourceImageUrl: source.imageUrl.startsWith("data:")
+          ? null
+          : source.imageUrl,
+      },
+    });
+
+    return res.status(202).json({
+      job,
+      message: jobs.buildJobMessage(job),
+      estimatedCostUsd,
+      ...(budgetWarnings.length && { budgetWarnings }),
+    });
+  } catch (err) {
+    console.error("🔥 ERROR in /api/video/animate:", err);
+
+    return res.status(500).json({
+      error: "Animate request failed.",
+      details: err.message || err,
+    });
+  }
+});
+
+// ------------- MEDIA LIBRARY -------------
+// Generated images/videos saved by media.js. The files are public under
+// unguessable names (like fal.ai's own URLs), so <img>/<video> can load
+// them without a token; the listing is per user.
+
+app.use(
+  "/media",
+  express.static(media.MEDIA_DIR, { maxAge: "30d", immutable: true })
+);
+
+/**
+ * GET /api/media?kind=image|video&brandId=&projectId=
+ * The user's library, newest first. projectId=none = outside any project.
+ */
+app.get("/api/media", requireAuth, (req, res) => {
+  try {
+    const { kind, brandId, projectId } = req.query;
+
+    return res.json({
+      media: media.listMedia(req.user.id, {
+        kind,
+        brandId,
+        projectId: projectId === "none" ? null : projectId,
+      }),
+    });
+  } catch (err) {
+    console.error("Error listing media:", err);
+    return res.status(500).json({ error: "Failed to load media." });
+  }
+});
+
+// images uploaded to be edited – the composer's limit
+const MAX_IMAGE_UPLOAD_BYTES = 8 * 1024 * 1024;
+const UPLOADABLE_IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+];
+
+/**
+ * POST /api/media
+ * Body: { mimeType, data, brandId?, projectId?, chatId? }  – data = base64
+ * (or a data URL)
+ * An image uploaded to be edited. It goes in the library like a generated
+ * one, so the prompt's message keeps a /media/ URL instead of the bytes.
+ * Returns { media }.
+ */
+app.post("/api/media", requireAuth, (req, res) => {
+  try {
+    const { mimeType, data, brandId, projectId, chatId } = req.body;
+
+    const fieldError = textFieldError(req.body, [
+      "brandId",
+      "projectId",
+      "chatId",
+    ]);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    if (typeof data !== "string") {
+      return res.status(400).json({ error: "data is required." });
+    }
+
+    if (!UPLOADABLE_IMAGE_TYPES.includes(mimeType)) {
+      return res
+        .status(400)
+        .json({ error: "Upload a PNG, JPEG, WebP or GIF image." });
+    }
+
+    const bytes = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+
+    if (!bytes.length) {
+      return res.status(400).json({ error: "The image is empty." });
+    }
+
+    if (bytes.length > MAX_IMAGE_UPLOAD_BYTES) {
+      return res.status(413).json({ error: "Images can be up to 8 MB." });
+    }
+
+    const stored = media.storeMedia(
+      req.user.id,
+      { data: bytes, mimeType },
+      { kind: "image", brandId, projectId, chatId }
+    );
+
+    return res.status(201).json({ media: stored });
+  } catch (err) {
+    console.error("Error saving uploaded image:", err);
+    return res.status(500).json({ error: "Failed to save the image." });
+  }
+});
+
+// DELETE /api/media/:id  – chat messages using it will show a broken link
+app.delete("/api/media/:id", requireAuth, (req, res) => {
+  try {
+    if (!media.deleteMedia(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: "Media not found." });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting media:", err);
+    return res.status(500).json({ error: "Failed to delete media." });
+  }
+});
+
+// ------------- USAGE -------------
+
+const MAX_USAGE_DAYS = 365;
+
+/**
+ * GET /api/usage?days=30&all=1
+ * Spend summary: { days, totals, byDay, byBrand, byModel, byUser }.
+ * Only your own usage, unless an admin asks for all=1.
+ */
+app.get("/api/usage", requireAuth, (req, res) => {
+  try {
+    const days = Number(req.query.days ?? 30);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_DAYS) {
+      return res.status(400).json({
+        error: `days must be a whole number from 1 to ${MAX_USAGE_DAYS}.`,
+      });
+    }
+
+    const everyone = req.query.all === "1" && req.user.role === "admin";
+
+    return res.json(
+      usage.summarizeUsage({ userId: everyone ? null : req.user.id, days })
+    );
+  } catch (err) {
+    console.error("Error summarizing usage:", err);
+    return res.status(500).json({ error: "Failed to load usage." });
+  }
+});
+
+// ------------- BUDGETS -------------
+
+/**
+ * Budget gate in front of every upstream call (budgets.js). Answers 402
+ * and returns null when a budget is used up; otherwise returns the
+ * warnings to pass back with the response.
+ */
+function enforceBudget(req, res, { brandId, estimatedCostUsd }) {
+  const check = budgets.checkBudgets({
+    userId: req.user.id,
+    brandId,
+    estimatedCostUsd,
+  });
+
+  if (check.exceeded) {
+    console.warn(`💸 ${req.path} blocked for ${req.user.username}: ${check.message}`);
+    res.status(402).json({ error: check.message, budget: check.exceeded });
+    return null;
+  }
+
+  return check.warnings;
+}
+
+// GET /api/budgets  (admins see every budget, members the ones that apply to them)
+app.get("/api/budgets", requireAuth, (req, res) => {
+  try {
+    const list = budgets.listBudgets(
+      req.user.role === "admin" ? null : req.user.id
+    );
+    return res.json({ budgets: list });
+  } catch (err) {
+    console.error("Error loading budgets:", err);
+    return res.status(500).json({ error: "Failed to load budgets." });
+  }
+});
+
+/**
+ * POST /api/budgets  (admin)
+ * Body: { scope: "user" | "brand", targetId, period: "day" | "month",
+ *         limitUsd, warnRatio? }
+ * Creates the budget, or changes the limit if that one already exists.
+ */
+app.post("/api/budgets", requireAuth, requireAdmin, (req, res) => {
+  try {
+    const errors = budgets.validateBudget(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join(" "), details: errors });
+    }
+
+    return res.json({ budget: budgets.saveBudget(req.body) });
+  } catch (err) {
+    console.error("Error saving budget:", err);
+    return res.status(500).json({ error: "Failed to save budget." });
+  }
+});
+
+/**
+ * POST /api/budgets/:id/override  (admin)
+ * Body: { lift: boolean } – lift the limit until the period ends, or put
+ * it back.
+ */
+app.post("/api/budgets/:id/override", requireAuth, requireAdmin, (req, res) => {
+  try {
+    const budget = budgets.setOverride(req.params.id, Boolean(req.body.lift));
+
+    if (!budget) {
+      return res.status(404).json({ error: "Budget not found." });
+    }
+
+    return res.json({ budget });
+  } catch (err) {
+    console.error("Error overriding budget:", err);
+    return res.status(500).json({ error: "Failed to override budget." });
+  }
+});
+
+// DELETE /api/budgets/:id  (admin)
+app.delete("/api/budgets/:id", requireAuth, requireAdmin, (req, res) => {
+  try {
+    if (!budgets.deleteBudget(req.params.id)) {
+      return res.status(404).json({ error: "Budget not found." });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting budget:", err);
+    return res.status(500).json({ error: "Failed to delete budget." });
+  }
+});
+
+// ------------- JOBS -------------
+
+/**
+ * GET /api/jobs/:id
+ * Returns { job, message }: status (queued/running/completed/failed),
+ * queuePosition, progress (0–1, estimated while running), logs, result,
+ * error – plus the chat message the job currently shows up as.
+ */
+app.get("/api/jobs/:id", requireAuth, (req, res) => {
+  try {
+    const job = jobs.getJob(req.user.id, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found." });
+    }
+
+    return res.json({ job, message: jobs.buildJobMessage(job) });
+  } catch (err) {
+    console.error("Error loading job:", err);
+    return res.status(500).json({ error: "Failed to load job." });
+  }
+});
+
 // ------------- SERVER START -------------
 
 const PORT = process.env.PORT || 3001;
 
 app.listen(PORT, () => {
   console.log(`Byte-Size AI backend running on http://localhost:${PORT}`);
+
+  if (!videoConfigError) videoJobs.startVideoJobPoller();
+  if (!chatConfigError) modelCatalog.startModelCatalogRefresh();
 });
@@ -0,0 +1,202 @@
+// server/jobs.js
+// Persisted background jobs (video generation on fal.ai's queue).
+// The runner lives in videoJobs.js; this is storage plus the chat message
+// a job shows up as.
+const crypto = require("crypto");
+const db = require("./db");
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// keep the tail of fal's logs – enough for a progress card
+const MAX_LOG_LINES = 50;
+
+function jobFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    chatId: row.chat_id,
+    messageId: row.message_id,
+    sourceMessageId: row.source_message_id,
+    kind: row.kind,
+    model: row.model,
+    input: JSON.parse(row.input),
+    // what the result is filed under in the media library
+    meta: JSON.parse(row.meta || "{}"),
+    falRequestId: row.fal_request_id,
+    status: row.status,
+    queuePosition: row.queue_position,
+    progress: row.progress,
+    logs: JSON.parse(row.logs),
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    delivered: Boolean(row.delivered),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function createJob(
+  userId,
+  { chatId, messageId, sourceMessageId, kind, model, input, meta, falRequestId }
+) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+
+  db.prepare(
+    `INSERT INTO jobs
+      (id, user_id, chat_id, message_id, source_message_id, kind, model, input, meta, fal_request_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    userId,
+    chatId || null,
+    messageId,
+    sourceMessageId || null,
+    kind,
+    model,
+    JSON.stringify(input || {}),
+    JSON.stringify(meta || {}),
+    falRequestId || null,
+    now,
+    now
+  );
+
+  return getJobById(id);
+}
+
+function getJobById(id) {
+  const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+  return row ? jobFromRow(row) : null;
+}
+
+// what the API uses – users only see their own jobs
+function getJob(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM jobs WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? jobFromRow(row) : null;
+}
+
+function listActiveJobs() {
+  return db
+    .prepare(
+      `SELECT * FROM jobs WHERE status IN (${ACTIVE_STATUSES.map(() => "?").join(", ")})
+       ORDER BY created_at ASC`
+    )
+    .all(...ACTIVE_STATUSES)
+    .map(jobFromRow);
+}
+
+// finished jobs whose message couldn't be written yet (chat not synced)
+function listUndeliveredJobs() {
+  return db
+    .prepare(
+      `SELECT * FROM jobs WHERE delivered = 0
+       AND status IN ('completed', 'failed') ORDER BY created_at ASC`
+    )
+    .all()
+    .map(jobFromRow);
+}
+
+const COLUMNS = {
+  falRequestId: "fal_request_id",
+  status: "status",
+  queuePosition: "queue_position",
+  progress: "progress",
+  logs: "logs",
+  result: "result",
+  error: "error",
+  delivered: "delivered",
+  startedAt: "started_at",
+  completedAt: "completed_at",
+};
+
+/**
+ * Updates the given fields only (camelCase keys from COLUMNS).
+ */
+function updateJob(id, fields) {
+  const sets = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    if (!(key in fields)) continue;
+
+    let value = fields[key];
+    if (key === "logs") value = JSON.stringify(value.slice(-MAX_LOG_LINES));
+    if (key === "result") value = value == null ? null : JSON.stringify(value);
+    if (key === "delivered") value = Number(value);
+
+    sets.push(`${column} = ?`);
+    values.push(value);
+  }
+
+  sets.push("updated_at = ?");
+  values.push(Date.now());
+
+  db.prepare(`UPDATE jobs SET ${sets.join(", ")} WHERE id = ?`).run(
+    ...values,
+    id
+  );
+
+  return getJobById(id);
+}
+
+/**
+ * The chat message a job appears as: a progress card while it runs, then
+ * the video (or the error). Same message id throughout, so each version
+ * replaces the previous one in the chat. Animated images also point back
+ * at the image message (and a copy of the image) they came from.
+ */
+function buildJobMessage(job) {
+  const isAnimation = job.kind === "image-to-video";
+
+  const base = {
+    id: job.messageId,
+    role: "assistant",
+    jobId: job.id,
+    model: job.model,
+    createdAt: job.createdAt,
+    ...(isAnimation && {
+      sourceMessageId: job.sourceMessageId,
+      // the provider's copy only for jobs from before meta kept ours
+      sourceImageUrl: job.meta.sourceImageUrl || job.input.image_url || null,
+    }),
+  };
+
+  if (job.status === "completed") {
+    return {
+      ...base,
+      type: "video",
+      text: isAnimation
+        ? "Here’s your animated image:"
+        : "Here’s your generated video:",
+      videoUrl: job.result?.videoUrl || null,
+    };
+  }
+
+  if (job.status === "failed") {
+    return {
+      ...base,
+      text: `Video generation failed: ${job.error || "unknown error"}`,
+      error: true,
+    };
+  }
+
+  return {
+    ...base,
+    type: "video-job",
+    text: isAnimation ? "Animating your image…" : "Generating your video…",
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  getJobById,
+  listActiveJobs,
+  listUndeliveredJobs,
+  updateJob,
+  buildJobMessage,
+};
@@ -0,0 +1,315 @@
+// server/knowledge.js
+// A project's knowledge base: reference documents (brand guides, product
+// sheets, past campaigns) uploaded to a project, split into chunks and
+// indexed with SQLite FTS5. Prompts in the project pull in the best
+// matching chunks, which the model cites as [1], [2], ...
+const crypto = require("crypto");
+const db = require("./db");
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+// text kept per document – the rest of a huge export isn't worth indexing
+const MAX_DOCUMENT_CHARS = 1000000;
+const CHUNK_CHARS = 1200;
+// passages added to a prompt; ~300 tokens each
+const MAX_PASSAGES = 4;
+const EXCERPT_CHARS = 240;
+
+// ------------- DOCUMENT TYPES -------------
+
+function stripHtml(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<\/(p|div|h[1-6]|li|tr|section|article)>|<br\s*\/?>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+function formatJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
+
+// mime type -> bytes-as-text to the text that gets indexed. Only text
+// formats: there's no PDF/Word parser on the server.
+const DOCUMENT_TYPES = {
+  "text/plain": (text) => text,
+  "text/markdown": (text) => text,
+  "text/csv": (text) => text,
+  "text/html": stripHtml,
+  "application/json": formatJson,
+};
+
+// browsers often send no type for .md/.csv
+const EXTENSION_TYPES = {
+  txt: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  csv: "text/csv",
+  html: "text/html",
+  htm: "text/html",
+  json: "application/json",
+};
+
+/**
+ * The document type for an upload, from its mime type or else its file
+ * extension; null if it can't go in the knowledge base.
+ */
+function documentType(name, mimeType) {
+  if (DOCUMENT_TYPES[mimeType]) return mimeType;
+
+  const extension = String(name || "").split(".").pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+// ------------- CHUNKING -------------
+
+// a paragraph too long for one chunk -> sentence-sized pieces
+function splitParagraph(paragraph) {
+  if (paragraph.length <= CHUNK_CHARS) return [paragraph];
+
+  const pieces = [];
+  for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*/g) || []) {
+    for (let i = 0; i < sentence.length; i += CHUNK_CHARS) {
+      pieces.push(sentence.slice(i, i + CHUNK_CHARS));
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Packs paragraphs into chunks of up to CHUNK_CHARS, so a passage keeps
+ * its surrounding context without blowing the prompt budget.
+ */
+function chunkText(text) {
+  const chunks = [];
+  let current = "";
+
+  const pieces = text
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .flatMap(splitParagraph);
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current.trim()) chunks.push(current);
+
+  return chunks;
+}
+
+// ------------- DOCUMENTS -------------
+
+function documentFromRow(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    name: row.name,
+    mimeType: row.mime_type,
+    size: row.size,
+    chunkCount: row.chunk_count,
+    createdAt: row.created_at,
+  };
+}
+
+// newest first, without their text
+function listDocuments(userId, projectId) {
+  return db
+    .prepare(
+      `SELECT * FROM project_documents WHERE user_id = ? AND project_id = ?
+       ORDER BY created_at DESC`
+    )
+    .all(userId, projectId)
+    .map(documentFromRow);
+}
+
+function getDocument(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM project_documents WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? documentFromRow(row) : null;
+}
+
+// the extracted text, as indexed
+function getDocumentText(userId, id) {
+  const row = db
+    .prepare("SELECT text FROM project_documents WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? row.text : null;
+}
+
+/**
+ * Extracts, chunks and indexes an upload. data = the file's bytes; type =
+ * documentType(...) of it, checked by the caller. Throws if there's no
+ * text in it. id / createdAt: imports bring their own.
+ */
+const createDocument = db.transaction(
+  (userId, projectId, { id: documentId, name, type, data, createdAt }) => {
+    const text = DOCUMENT_TYPES[type](data.toString("utf8"))
+      .replace(/\r\n?/g, "\n")
+      .slice(0, MAX_DOCUMENT_CHARS);
+    const chunks = chunkText(text);
+
+    if (!chunks.length) throw new Error("There's no text in that file.");
+
+    const id = documentId || crypto.randomUUID();
+
+    db.prepare(
+      `INSERT INTO project_documents
+         (id, user_id, project_id, name, mime_type, size, text, chunk_count, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      id,
+      userId,
+      projectId,
+      name,
+      type,
+      data.length,
+      text,
+      chunks.length,
+      createdAt || Date.now()
+    );
+
+    const insertChunk = db.prepare(
+      "INSERT INTO project_document_chunks (document_id, position, text) VALUES (?, ?, ?)"
+    );
+    chunks.forEach((chunk, position) => insertChunk.run(id, position, chunk));
+
+    return getDocument(userId, id);
+  }
+);
+
+// chunks (and their index entries) go with it via ON DELETE CASCADE
+function deleteDocument(userId, id) {
+  return (
+    db
+      .prepare("DELETE FROM project_documents WHERE id = ? AND user_id = ?")
+      .run(id, userId).changes > 0
+  );
+}
+
+// ------------- RETRIEVAL -------------
+
+// too common to say anything about what a prompt is after
+const STOP_WORDS = new Set(
+  `the and for are but not you your our with this that from have has was
+   were will what when where which who how why can could would should
+   about into than then them they their there these those its also just
+   like some any all more most very please write make give tell want need
+   using use`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+/**
+ * FTS5 query for free text: its distinctive words, any of them matching.
+ * Each is quoted, so nothing in a prompt is read as FTS syntax.
+ */
+function matchQuery(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 3 && !STOP_WORDS.has(w));
+
+  return [...new Set(words)]
+    .slice(0, 16)
+    .map((w) => `"${w}"`)
+    .join(" OR ");
+}
+
+/**
+ * The project's chunks that best match the text (BM25), best first:
+ * [{ documentId, documentName, position, text }].
+ */
+function searchProject(userId, projectId, text, { limit = MAX_PASSAGES } = {}) {
+  const query = matchQuery(text);
+  if (!query) return [];
+
+  return db
+    .prepare(
+      `SELECT c.document_id, c.position, c.text, d.name
+       FROM project_document_chunks_fts f
+       JOIN project_document_chunks c ON c.id = f.rowid
+       JOIN project_documents d ON d.id = c.document_id
+       WHERE project_document_chunks_fts MATCH ?
+         AND d.project_id = ? AND d.user_id = ?
+       ORDER BY f.rank
+       LIMIT ?`
+    )
+    .all(query, projectId, userId, limit)
+    .map((row) => ({
+      documentId: row.document_id,
+      documentName: row.name,
+      position: row.position,
+      text: row.text,
+    }));
+}
+
+/**
+ * System prompt section with the passages, numbered for citing. Empty
+ * when there are none.
+ */
+function buildReferenceSection(passages) {
+  if (!passages.length) return "";
+
+  const numbered = passages
+    .map((p, i) => `[${i + 1}] From "${p.documentName}":\n${p.text}`)
+    .join("\n\n");
+
+  return `
+Reference passages from this project's knowledge base, best match first.
+Use them where they're relevant to the request and cite each one you use
+inline as [1], [2], ... Don't cite passages you didn't use, and don't
+invent citations. If they don't cover the question, say so rather than
+guessing.
+
+${numbered}
+`.trim();
+}
+
+/**
+ * The passages a reply actually cites, for showing under it:
+ * [{ n, documentId, documentName, excerpt }].
+ */
+function citedSources(reply, passages) {
+  const cited = new Set(
+    [...String(reply || "").matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1]))
+  );
+
+  return passages
+    .map((p, i) => ({
+      n: i + 1,
+      documentId: p.documentId,
+      documentName: p.documentName,
+      excerpt:
+        p.text.length > EXCERPT_CHARS
+          ? `${p.text.slice(0, EXCERPT_CHARS).trim()}…`
+          : p.text,
+    }))
+    .filter((source) => cited.has(source.n));
+}
+
+module.exports = {
+  MAX_DOCUMENT_BYTES,
+  documentType,
+  listDocuments,
+  getDocument,
+  getDocumentText,
+  createDocument,
+  deleteDocument,
+  searchProject,
+  buildReferenceSection,
+  citedSources,
+};
@@ -0,0 +1,314 @@
+// server/media.js
+// Local copies of everything we generate. Image data URLs and fal.ai video
+// URLs (which expire) are saved to server/media/ and served from /media/,
+// and the table keeps what each asset is: prompt, model, brand, project,
+// size, dimensions and what it cost.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const db = require("./db");
+
+const MEDIA_DIR = path.join(__dirname, "media");
+// what stored messages point at – the frontend prefixes the API host
+const MEDIA_URL_PREFIX = "/media/";
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+};
+
+// big enough for any video we generate, small enough not to fill the disk
+const MAX_MEDIA_BYTES = 200 * 1024 * 1024;
+
+function mediaFromRow(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    url: `${MEDIA_URL_PREFIX}${row.file_name}`,
+    mimeType: row.mime_type,
+    size: row.size,
+    width: row.width,
+    height: row.height,
+    prompt: row.prompt,
+    model: row.model,
+    brandId: row.brand_id,
+    projectId: row.project_id,
+    chatId: row.chat_id,
+    messageId: row.message_id,
+    sourceUrl: row.source_url,
+    costUsd: row.cost_usd,
+    createdAt: row.created_at,
+  };
+}
+
+// ------------- DIMENSIONS -------------
+// Just enough header parsing to read width × height – null if unknown.
+
+function imageDimensions(buf, mimeType) {
+  if (mimeType === "image/png" && buf.length >= 24) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  if (mimeType === "image/gif" && buf.length >= 10) {
+    return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+
+  if (mimeType === "image/jpeg") {
+    // walk the segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buf.length && buf[offset] === 0xff) {
+      const marker = buf[offset + 1];
+      const isFrame =
+        marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return {
+          width: buf.readUInt16BE(offset + 7),
+          height: buf.readUInt16BE(offset + 5),
+        };
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+  }
+
+  if (mimeType === "image/webp" && buf.length >= 30) {
+    const chunk = buf.toString("ascii", 12, 16);
+    if (chunk === "VP8X") {
+      return {
+        width: buf.readUIntLE(24, 3) + 1,
+        height: buf.readUIntLE(27, 3) + 1,
+      };
+    }
+    if (chunk === "VP8 ") {
+      return {
+        width: buf.readUInt16LE(26) & 0x3fff,
+        height: buf.readUInt16LE(28) & 0x3fff,
+      };
+    }
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+  }
+
+  return null;
+}
+
+// MP4: the video track's header box (tkhd) ends with width/height as 16.16
+function videoDimensions(buf) {
+  let index = buf.indexOf("tkhd");
+
+  while (index !== -1) {
+    // counted from the box type: version 1 has 64-bit times and duration
+    const version = buf[index + 4];
+    const sizeOffset = index + (version === 1 ? 92 : 80);
+
+    if (sizeOffset + 8 <= buf.length) {
+      const width = buf.readUInt32BE(sizeOffset) >>> 16;
+      const height = buf.readUInt32BE(sizeOffset + 4) >>> 16;
+      // audio tracks have 0 × 0
+      if (width && height) return { width, height };
+    }
+
+    index = buf.indexOf("tkhd", index + 4);
+  }
+
+  return null;
+}
+
+// ------------- SAVING -------------
+
+/**
+ * Gets the bytes behind a data URL or an http(s) URL.
+ * Returns { data, mimeType }.
+ */
+async function fetchAsset(url) {
+  const dataUrl = /^data:([\w/.+-]+);base64,(.+)$/s.exec(url);
+  if (dataUrl) {
+    return { data: Buffer.from(dataUrl[2], "base64"), mimeType: dataUrl[1] };
+  }
+
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    maxContentLength: MAX_MEDIA_BYTES,
+    timeout: 120000,
+  });
+
+  return {
+    data: Buffer.from(response.data),
+    mimeType: String(response.headers["content-type"] || "").split(";")[0],
+  };
+}
+
+/**
+ * Downloads / decodes a generated asset into the library.
+ * meta: { kind, prompt, model, brandId, projectId, chatId, messageId, costUsd }
+ * Returns the stored media (its url is what messages should use).
+ */
+async function saveMedia(userId, sourceUrl, meta) {
+  const asset = await fetchAsset(sourceUrl);
+
+  return storeMedia(userId, asset, {
+    ...meta,
+    // data URLs are the asset itself – no point keeping a second copy
+    sourceUrl: sourceUrl.startsWith("data:") ? null : sourceUrl,
+  });
+}
+
+/**
+ * Files bytes we already have: { data (Buffer), mimeType }. meta as for
+ * saveMedia, plus sourceUrl and createdAt (imports keep the original).
+ */
+function storeMedia(userId, { data, mimeType: reportedType }, meta) {
+  // fal serves some videos as application/octet-stream
+  const mimeType = EXTENSIONS[reportedType]
+    ? reportedType
+    : meta.kind === "video"
+    ? "video/mp4"
+    : "image/png";
+
+  const id = crypto.randomUUID();
+  const fileName = `${id}.${EXTENSIONS[mimeType]}`;
+
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+  fs.writeFileSync(path.join(MEDIA_DIR, fileName), data);
+
+  const dimensions =
+    meta.kind === "video" ? videoDimensions(data) : imageDimensions(data, mimeType);
+
+  db.prepare(
+    `INSERT INTO media
+      (id, user_id, kind, file_name, mime_type, size, width, height, prompt,
+       model, brand_id, project_id, chat_id, message_id, source_url, cost_usd,
+       created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    userId,
+    meta.kind,
+    fileName,
+    mimeType,
+    data.length,
+    dimensions?.width ?? null,
+    dimensions?.height ?? null,
+    meta.prompt || null,
+    meta.model || null,
+    meta.brandId || null,
+    meta.projectId || null,
+    meta.chatId || null,
+    meta.messageId || null,
+    meta.sourceUrl || null,
+    meta.costUsd ?? null,
+    meta.createdAt || Date.now()
+  );
+
+  return getMedia(userId, id);
+}
+
+// ------------- LIBRARY -------------
+
+function getMedia(userId, id) {
+  const row = db
+    .prepare("SELECT * FROM media WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  return row ? mediaFromRow(row) : null;
+}
+
+/**
+ * Newest first. Filters: kind ("image" | "video"), brandId, projectId
+ * (null = assets from chats outside any project).
+ */
+function listMedia(userId, { kind, brandId, projectId } = {}) {
+  const where = ["user_id = ?"];
+  const values = [userId];
+
+  if (kind) {
+    where.push("kind = ?");
+    values.push(kind);
+  }
+
+  if (brandId) {
+    where.push("brand_id = ?");
+    values.push(brandId);
+  }
+
+  if (projectId === null) {
+    where.push("project_id IS NULL");
+  } else if (projectId) {
+    where.push("project_id = ?");
+    values.push(projectId);
+  }
+
+  return db
+    .prepare(
+      `SELECT * FROM media WHERE ${where.join(" AND ")} ORDER BY created_at DESC`
+    )
+    .all(...values)
+    .map(mediaFromRow);
+}
+
+function deleteMedia(userId, id) {
+  const row = db
+    .prepare("SELECT file_name FROM media WHERE id = ? AND user_id = ?")
+    .get(id, userId);
+  if (!row) return false;
+
+  db.prepare("DELETE FROM media WHERE id = ?").run(id);
+  fs.rmSync(path.join(MEDIA_DIR, row.file_name), { force: true });
+  return true;
+}
+
+// the library row behind a /media/ URL (null for files it doesn't list)
+function findMediaByUrl(userId, url) {
+  if (typeof url !== "string" || !url.startsWith(MEDIA_URL_PREFIX)) return null;
+
+  const row = db
+    .prepare("SELECT * FROM media WHERE file_name = ? AND user_id = ?")
+    .get(path.basename(url), userId);
+  return row ? mediaFromRow(row) : null;
+}
+
+/**
+ * The file behind a /media/ URL: { filePath, mimeType }, or null if it
+ * isn't one of ours (or is gone).
+ */
+function mediaFile(url) {
+  if (typeof url !== "string" || !url.startsWith(MEDIA_URL_PREFIX)) return null;
+
+  const fileName = path.basename(url);
+  const ext = path.extname(fileName).slice(1);
+  const mimeType = Object.keys(EXTENSIONS).find((t) => EXTENSIONS[t] === ext);
+  const filePath = path.join(MEDIA_DIR, fileName);
+
+  if (!mimeType || !fs.existsSync(filePath)) return null;
+  return { filePath, mimeType };
+}
+
+/**
+ * A /media/ URL as a data URL, for APIs that can't reach this server
+ * (OpenRouter, fal.ai). Anything else comes back unchanged.
+ */
+function inlineMediaUrl(url) {
+  const file = mediaFile(url);
+  if (!file) return url;
+
+  return `data:${file.mimeType};base64,${fs.readFileSync(file.filePath).toString("base64")}`;
+}
+
+module.exports = {
+  MEDIA_DIR,
+  MEDIA_URL_PREFIX,
+  MAX_MEDIA_BYTES,
+  saveMedia,
+  storeMedia,
+  getMedia,
+  listMedia,
+  deleteMedia,
+  findMediaByUrl,
+  mediaFile,
+  inlineMediaUrl,
+};
@@ -0,0 +1,78 @@
+// server/modeDefaults.js
+// Factory templates for the four modes. Seeded into the modes table on
+// first run (db.js) and used by "Reset to default" in the mode editor.
+
+module.exports = [
+  {
+    id: "chat",
+    name: "Chat / Brain",
+    kind: "chat",
+    instructions: `
+Be the team's thinking partner: answer questions, brainstorm, critique and draft copy.
+Only ask a clarifying question when the request is genuinely ambiguous – otherwise make a sensible assumption and say what it was.
+    `.trim(),
+    outputStructure: `
+Lead with the answer. Use short paragraphs, and bullet lists where they help.
+No headings for short replies.
+    `.trim(),
+    defaultModel: null,
+    fallbackModels: [],
+    temperature: 0.7,
+  },
+  {
+    id: "campaign",
+    name: "Campaign Builder",
+    kind: "chat",
+    instructions: `
+Plan a multi-channel marketing campaign for the brief.
+Tailor every channel to the brand and its audience, and keep one big idea running through all of them.
+If the brief leaves out budget, dates or goals, make realistic assumptions and state them at the end of the objective.
+    `.trim(),
+    // the JSON format itself is enforced by the campaign schema (campaigns.js)
+    outputStructure: `
+- objective: the goal in one or two sentences, with a measurable target
+- audience: who it's for and what they care about
+- channels: 3–5 channels (social platforms, email, website, paid ads, ...), each with 2–3 ready-to-post copyVariants
+- calendar: one entry per planned post or send; date as YYYY-MM-DD, or "Week N" when there are no dates
+- cta: the main call to action (channels can adapt it)
+- hashtags: 5–10 campaign-wide hashtags
+    `.trim(),
+    defaultModel: null,
+    fallbackModels: [],
+    temperature: 0.6,
+  },
+  // image and video requests go straight to the generation model – only
+  // defaultModel (and, for images, fallbackModels) apply to them, and the
+  // mode editor only shows those
+  {
+    id: "image",
+    name: "Image Prompts",
+    kind: "image",
+    instructions: `
+Turn the request into ready-to-use prompts for image generation models.
+Be concrete about subject, composition, lighting, style, lens/camera and mood, and work the brand colour palette into the colours.
+    `.trim(),
+    outputStructure: `
+Give 3 numbered options. For each: a one-line title, the prompt in a code block (one paragraph, max 80 words), then "Avoid:" with what to leave out.
+End with a suggested aspect ratio.
+    `.trim(),
+    defaultModel: null,
+    fallbackModels: [],
+    temperature: 0.8,
+  },
+  {
+    id: "video",
+    name: "Video Prompts",
+    kind: "video",
+    instructions: `
+Turn the request into ready-to-use prompts for text-to-video models.
+Describe subject, action, camera movement, setting, lighting, pacing and any audio or dialogue. One continuous shot per prompt – no scene cuts.
+    `.trim(),
+    outputStructure: `
+Give 2 numbered options, each as a code block (max 100 words), followed by a suggested duration and aspect ratio.
+    `.trim(),
+    defaultModel: "fal-ai/ovi",
+    fallbackModels: [],
+    temperature: 0.8,
+  },
+];
@@ -0,0 +1,173 @@
+// server/modelCatalog.js
+// The chat provider's model list, normalized once and cached in SQLite
+// (one row per provider). Readers get the cached copy straight away; a
+// stale copy is refreshed in the background, and if the provider is down
+// we keep serving the last good one.
+const db = require("./db");
+const providers = require("./providers");
+
+const CATALOG_TTL_MS = 60 * 60 * 1000; // 1 hour
+// Used when the provider doesn't tell us a model's context length.
+const DEFAULT_CONTEXT_LENGTH = 8192;
+
+// in-memory copy of the model_catalog row
+let catalog = null;
+// the refresh in flight, so concurrent callers share it
+let refreshing = null;
+
+function includesAny(list, values) {
+  return Array.isArray(list) && values.some((v) => list.includes(v));
+}
+
+function normalizeModel(m) {
+  const pricing = m.pricing || {};
+  const arch = m.architecture || {};
+  const outputModalities = arch.output_modalities || m.output_modalities || [];
+  const inputModalities = arch.input_modalities || m.input_modalities || [];
+
+  const promptPrice = Number(pricing.prompt || 0);
+  const completionPrice = Number(pricing.completion || 0);
+
+  return {
+    id: m.id,
+    // local servers only send ids
+    name: m.name || m.id,
+    description: m.description,
+    pricing: {
+      prompt: promptPrice,
+      completion: completionPrice,
+    },
+    isFree: promptPrice === 0 && completionPrice === 0,
+    contextLength: m.context_length || null,
+    maxOutputTokens: m.top_provider?.max_completion_tokens || null,
+    // request parameters the model honours (temperature, tools,
+    // response_format, structured_outputs, ...)
+    supportedParameters: m.supported_parameters || [],
+    outputModalities,
+    inputModalities,
+    isImageCapable: includesAny(outputModalities, ["image"]),
+    isVideoCapable:
+      includesAny(outputModalities, ["video"]) ||
+      includesAny(inputModalities, ["video"]),
+  };
+}
+
+// free first, then by prompt price
+function compareModels(a, b) {
+  if (a.isFree && !b.isFree) return -1;
+  if (!a.isFree && b.isFree) return 1;
+  return a.pricing.prompt - b.pricing.prompt;
+}
+
+function loadStoredCatalog() {
+  const row = db
+    .prepare("SELECT * FROM model_catalog WHERE source = ?")
+    .get(providers.chat.id);
+
+  if (!row) return null;
+  return { models: JSON.parse(row.models), fetchedAt: row.fetched_at };
+}
+
+async function fetchCatalog() {
+  const models = (await providers.chat.listModels()).map(normalizeModel);
+  if (!models.length) {
+    throw new Error(`${providers.chat.name} returned no models.`);
+  }
+
+  models.sort(compareModels);
+  return models;
+}
+
+/**
+ * Fetches a fresh list from the provider and stores it. On failure the last
+ * good copy stays in place (and the error is rethrown).
+ */
+function refreshCatalog() {
+  if (!refreshing) {
+    refreshing = fetchCatalog()
+      .then((models) => {
+        const fetchedAt = Date.now();
+
+        db.prepare(
+          `INSERT INTO model_catalog (source, models, fetched_at)
+           VALUES (?, ?, ?)
+           ON CONFLICT(source) DO UPDATE SET
+             models = excluded.models, fetched_at = excluded.fetched_at`
+        ).run(providers.chat.id, JSON.stringify(models), fetchedAt);
+
+        catalog = { models, fetchedAt };
+        console.log(`📚 Model catalogue refreshed (${models.length} models)`);
+        return catalog;
+      })
+      .catch((err) => {
+        console.error("Could not refresh the model catalogue:", err.message);
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
+
+function isStale(entry) {
+  return Date.now() - entry.fetchedAt > CATALOG_TTL_MS;
+}
+
+/**
+ * The catalogue: { models, fetchedAt, stale }. Only waits for the provider
+ * when there's no copy at all; a stale copy is returned as-is while it
+ * refreshes in the background.
+ */
+async function getCatalog() {
+  if (!catalog) catalog = loadStoredCatalog();
+
+  if (!catalog) {
+    await refreshCatalog();
+  } else if (isStale(catalog)) {
+    refreshCatalog().catch(() => {
+      // already logged – keep serving the old copy
+    });
+  }
+
+  return { ...catalog, stale: isStale(catalog) };
+}
+
+async function getModel(id) {
+  try {
+    const { models } = await getCatalog();
+    return models.find((m) => m.id === id) || null;
+  } catch {
+    // no catalogue at all – callers fall back to defaults
+    return null;
+  }
+}
+
+/**
+ * Whether the model takes a request parameter. Unknown models (or ones
+ * the provider lists no parameters for) are assumed to.
+ */
+function supportsParameter(model, parameter) {
+  if (!model?.supportedParameters?.length) return true;
+  return model.supportedParameters.includes(parameter);
+}
+
+// call once at startup – warms the cache and keeps it fresh
+function startModelCatalogRefresh() {
+  getCatalog().catch(() => {
+    // logged; the next request or tick tries again
+  });
+  setInterval(() => {
+    refreshCatalog().catch(() => {});
+  }, CATALOG_TTL_MS);
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_LENGTH,
+  getCatalog,
+  refreshCatalog,
+  getModel,
+  supportsParameter,
+  startModelCatalogRefresh,
+};
@@ -0,0 +1,143 @@
+// server/modelPreferences.js
+// Per-user model picker state: pinned favourites, recently used models and
+// the user's default model per mode and per brand.
+const db = require("./db");
+
+const MAX_FAVORITES = 50;
+const MAX_RECENTS = 8;
+const MAX_MODEL_ID_LENGTH = 200;
+
+function parseJson(json, fallback) {
+  try {
+    return JSON.parse(json) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function preferencesFromRow(row) {
+  const defaults = parseJson(row?.defaults, {});
+
+  return {
+    favorites: parseJson(row?.favorites, []),
+    recents: parseJson(row?.recents, []),
+    defaults: {
+      modes: defaults.modes || {},
+      brands: defaults.brands || {},
+    },
+  };
+}
+
+function isModelId(value) {
+  return (
+    typeof value === "string" &&
+    value.length > 0 &&
+    value.length <= MAX_MODEL_ID_LENGTH
+  );
+}
+
+function getPreferences(userId) {
+  const row = db
+    .prepare("SELECT * FROM model_preferences WHERE user_id = ?")
+    .get(userId);
+  return preferencesFromRow(row);
+}
+
+function savePreferences(userId, prefs) {
+  db.prepare(
+    `INSERT INTO model_preferences (user_id, favorites, recents, defaults, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       favorites = excluded.favorites,
+       recents = excluded.recents,
+       defaults = excluded.defaults,
+       updated_at = excluded.updated_at`
+  ).run(
+    userId,
+    JSON.stringify(prefs.favorites),
+    JSON.stringify(prefs.recents),
+    JSON.stringify(prefs.defaults),
+    Date.now()
+  );
+
+  return prefs;
+}
+
+/**
+ * Checks a PATCH body: { favorites?, modeDefaults?, brandDefaults? }.
+ * The defaults are { [modeId|brandId]: modelId | null } – null clears one.
+ * Returns a list of user-facing errors.
+ */
+function validatePreferences(body) {
+  const errors = [];
+
+  if (body.favorites !== undefined) {
+    if (!Array.isArray(body.favorites) || !body.favorites.every(isModelId)) {
+      errors.push("favorites must be a list of model ids.");
+    } else if (body.favorites.length > MAX_FAVORITES) {
+      errors.push(`You can pin at most ${MAX_FAVORITES} favourite models.`);
+    }
+  }
+
+  for (const field of ["modeDefaults", "brandDefaults"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (
+      !value ||
+      typeof value !== "object" ||
+      Array.isArray(value) ||
+      !Object.values(value).every((v) => v === null || isModelId(v))
+    ) {
+      errors.push(`${field} must map ids to a model id (or null).`);
+    }
+  }
+
+  return errors;
+}
+
+// merges { id: modelId | null } into an existing map; null removes the entry
+function mergeDefaults(current, changes = {}) {
+  const merged = { ...current };
+  for (const [id, modelId] of Object.entries(changes)) {
+    if (modelId === null) delete merged[id];
+    else merged[id] = modelId;
+  }
+  return merged;
+}
+
+function updatePreferences(userId, { favorites, modeDefaults, brandDefaults }) {
+  const prefs = getPreferences(userId);
+
+  return savePreferences(userId, {
+    favorites: favorites ? [...new Set(favorites)] : prefs.favorites,
+    recents: prefs.recents,
+    defaults: {
+      modes: mergeDefaults(prefs.defaults.modes, modeDefaults),
+      brands: mergeDefaults(prefs.defaults.brands, brandDefaults),
+    },
+  });
+}
+
+// called whenever a request actually goes out on a model
+function recordRecentModel(userId, modelId) {
+  if (!isModelId(modelId)) return;
+
+  const prefs = getPreferences(userId);
+  if (prefs.recents[0] === modelId) return;
+
+  savePreferences(userId, {
+    ...prefs,
+    recents: [modelId, ...prefs.recents.filter((id) => id !== modelId)].slice(
+      0,
+      MAX_RECENTS
+    ),
+  });
+}
+
+module.exports = {
+  getPreferences,
+  validatePreferences,
+  updatePreferences,
+  recordRecentModel,
+};
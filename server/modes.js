@@ -0,0 +1,116 @@
+// server/modes.js
+// Mode templates: per-mode system instructions, expected output structure,
+// default model (plus fallbacks) and temperature. The set of modes is fixed (their `kind`
+// decides which generator the frontend uses); the templates are editable.
+const db = require("./db");
+const MODE_DEFAULTS = require("./modeDefaults");
+
+function modeFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    instructions: row.instructions,
+    outputStructure: row.output_structure,
+    defaultModel: row.default_model,
+    fallbackModels: JSON.parse(row.fallback_models || "[]"),
+    temperature: row.temperature,
+    updatedAt: row.updated_at,
+  };
+}
+
+function listModes() {
+  return db
+    .prepare("SELECT * FROM modes ORDER BY position ASC")
+    .all()
+    .map(modeFromRow);
+}
+
+function getMode(id) {
+  const row = db.prepare("SELECT * FROM modes WHERE id = ?").get(id);
+  return row ? modeFromRow(row) : null;
+}
+
+/**
+ * Finds the mode a request refers to: by id, or by display name for
+ * older clients that only send `mode: "Campaign Builder"`.
+ */
+function resolveMode({ modeId, mode }) {
+  if (modeId) {
+    const byId = getMode(modeId);
+    if (byId) return byId;
+  }
+
+  if (!mode) return null;
+
+  const row = db
+    .prepare("SELECT * FROM modes WHERE name = ? COLLATE NOCASE")
+    .get(mode);
+  return row ? modeFromRow(row) : null;
+}
+
+function updateMode(id, fields) {
+  const existing = getMode(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...fields };
+
+  db.prepare(
+    `UPDATE modes SET
+       instructions = ?, output_structure = ?, default_model = ?,
+       fallback_models = ?, temperature = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(
+    merged.instructions || "",
+    merged.outputStructure || "",
+    merged.defaultModel || null,
+    JSON.stringify(merged.fallbackModels || []),
+    merged.temperature ?? null,
+    Date.now(),
+    id
+  );
+
+  return getMode(id);
+}
+
+// back to the factory template from modeDefaults.js
+function resetMode(id) {
+  const defaults = MODE_DEFAULTS.find((m) => m.id === id);
+  if (!defaults) return null;
+
+  return updateMode(id, {
+    instructions: defaults.instructions,
+    outputStructure: defaults.outputStructure,
+    defaultModel: defaults.defaultModel,
+    fallbackModels: defaults.fallbackModels,
+    temperature: defaults.temperature,
+  });
+}
+
+/**
+ * The mode's part of the chat system prompt.
+ */
+function buildModeInstructions(mode, fallbackName) {
+  if (!mode) return `Mode: ${fallbackName || "Chat"}`;
+
+  const lines = [`Mode: ${mode.name}`];
+
+  if (mode.instructions) {
+    lines.push(`\n${mode.instructions}`);
+  }
+
+  if (mode.outputStructure) {
+    lines.push(`\nStructure your answer like this:\n${mode.outputStructure}`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  listModes,
+  getMode,
+  resolveMode,
+  updateMode,
+  resetMode,
+  buildModeInstructions,
+};
@@ -0,0 +1,91 @@
+// server/providers/fal.js
+// fal.ai's queue API for video generation.
+const { fal } = require("@fal-ai/client");
+
+const FAL_API_KEY = process.env.FAL_API_KEY;
+
+fal.config({
+  credentials: FAL_API_KEY,
+});
+
+const STATUSES = {
+  IN_QUEUE: "queued",
+  IN_PROGRESS: "running",
+  COMPLETED: "completed",
+};
+
+// fal's ApiError keeps the useful text in body.detail; `status` is kept so
+// the job poller can tell a failed request (4xx) from a hiccup
+function falError(err) {
+  const detail = err.body?.detail;
+  const message =
+    typeof detail === "string"
+      ? detail
+      : Array.isArray(detail) && detail[0]?.msg
+      ? detail[0].msg
+      : err.message || String(err);
+
+  const error = new Error(message);
+  error.status = err.status;
+  return error;
+}
+
+async function callFal(request) {
+  try {
+    return await request();
+  } catch (err) {
+    throw falError(err);
+  }
+}
+
+function extractVideoUrl(data) {
+  return data?.video?.url || data?.video_url || data?.output?.[0]?.url || null;
+}
+
+/**
+ * Video providers implement:
+ *   submit(model, input) -> { requestId }
+ *   status(model, requestId) -> { status: "queued" | "running" | "completed"
+ *                                 | other, queuePosition, logs: [string] }
+ *   result(model, requestId) -> { videoUrl, data } (videoUrl null if none)
+ *   uploadImage(blob) -> a URL the provider can fetch
+ *   configError() -> what's missing from the config, or null
+ */
+const falProvider = {
+  id: "fal",
+  name: "fal.ai",
+
+  configError() {
+    return FAL_API_KEY ? null : "FAL_API_KEY not configured on server.";
+  },
+
+  async submit(model, input) {
+    const { request_id: requestId } = await callFal(() =>
+      fal.queue.submit(model, { input })
+    );
+    return { requestId };
+  },
+
+  async status(model, requestId) {
+    const status = await callFal(() =>
+      fal.queue.status(model, { requestId, logs: true })
+    );
+
+    return {
+      status: STATUSES[status.status] || status.status,
+      queuePosition: status.queue_position ?? null,
+      logs: (status.logs || []).map((l) => l.message).filter(Boolean),
+    };
+  },
+
+  async result(model, requestId) {
+    const result = await callFal(() => fal.queue.result(model, { requestId }));
+    return { videoUrl: extractVideoUrl(result.data), data: result.data };
+  },
+
+  uploadImage(blob) {
+    return callFal(() => fal.storage.upload(blob));
+  },
+};
+
+module.exports = falProvider;
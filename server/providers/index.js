@@ -0,0 +1,61 @@
+// server/providers/index.js
+// Picks the upstream for each kind of generation from the environment:
+//   CHAT_PROVIDER   openrouter (default) | openai-compatible | mock
+//   IMAGE_PROVIDER  openrouter (default) | mock
+//   VIDEO_PROVIDER  fal (default) | mock
+// AI_PROVIDER=mock switches the defaults to mock, for running offline.
+// openai-compatible talks to OPENAI_COMPAT_BASE_URL (a local Ollama by
+// default), with OPENAI_COMPAT_API_KEY if the server wants one.
+const { createOpenAiCompatibleProvider } = require("./openaiCompatible");
+
+const DEFAULT_PROVIDER = process.env.AI_PROVIDER === "mock" ? "mock" : null;
+
+// required lazily, so an unused adapter's client never loads
+const CHAT_PROVIDERS = {
+  openrouter: () => require("./openrouter"),
+  "openai-compatible": () =>
+    createOpenAiCompatibleProvider({
+      id: "openai-compatible",
+      name: process.env.OPENAI_COMPAT_NAME || "Local model server",
+      baseUrl: (
+        process.env.OPENAI_COMPAT_BASE_URL || "http://localhost:11434/v1"
+      ).replace(/\/+$/, ""),
+      apiKey: process.env.OPENAI_COMPAT_API_KEY,
+    }),
+  mock: () => require("./mock").chat,
+};
+
+const IMAGE_PROVIDERS = {
+  openrouter: () => require("./openrouter"),
+  mock: () => require("./mock").image,
+};
+
+const VIDEO_PROVIDERS = {
+  fal: () => require("./fal"),
+  mock: () => require("./mock").video,
+};
+
+function pick(kind, registry, envName, fallback) {
+  const id = process.env[envName] || DEFAULT_PROVIDER || fallback;
+  const create = registry[id];
+
+  if (!create) {
+    throw new Error(
+      `Unknown ${kind} provider "${id}" in ${envName} (expected one of: ${Object.keys(
+        registry
+      ).join(", ")}).`
+    );
+  }
+
+  return create();
+}
+
+const chat = pick("chat", CHAT_PROVIDERS, "CHAT_PROVIDER", "openrouter");
+const image = pick("image", IMAGE_PROVIDERS, "IMAGE_PROVIDER", "openrouter");
+const video = pick("video", VIDEO_PROVIDERS, "VIDEO_PROVIDER", "fal");
+
+module.exports = {
+  chat,
+  image,
+  video,
+};
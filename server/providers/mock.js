@@ -0,0 +1,235 @@
+// server/providers/mock.js
+// Canned chat, image and video answers with no network calls, so the app
+// can run offline (AI_PROVIDER=mock) and be clicked through end to end.
+
+// 1x1 blue PNG
+const MOCK_IMAGE_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+const MOCK_VIDEO_URL =
+  process.env.MOCK_VIDEO_URL ||
+  "https://interactive-examples.mdn.mozilla.net/media/cc0-videos/flower.mp4";
+// how long a mock video "renders"
+const MOCK_VIDEO_MS = 5000;
+// model ids that always answer 429, to try out fallback chains
+const RATE_LIMITED_MODELS = (process.env.MOCK_RATE_LIMITED_MODELS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+const MOCK_MODELS = [
+  {
+    id: "mock/chat",
+    name: "Mock chat",
+    context_length: 32768,
+    architecture: { input_modalities: ["text", "image"], output_modalities: ["text"] },
+    pricing: { prompt: "0", completion: "0" },
+    top_provider: { max_completion_tokens: 4096 },
+    supported_parameters: [
+      "temperature",
+      "response_format",
+      "structured_outputs",
+      "tools",
+    ],
+  },
+  {
+    id: "mock/image",
+    name: "Mock image",
+    context_length: 8192,
+    architecture: { input_modalities: ["text"], output_modalities: ["image", "text"] },
+    pricing: { prompt: "0", completion: "0" },
+    top_provider: { max_completion_tokens: 1024 },
+    supported_parameters: [],
+  },
+];
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) return "";
+  if (typeof last.content === "string") return last.content;
+
+  return (last.content || [])
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join(" ");
+}
+
+// smallest value that fits a JSON schema, so structured requests parse
+function sampleFromSchema(schema = {}) {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [
+          key,
+          sampleFromSchema(value),
+        ])
+      );
+    case "array":
+      return [sampleFromSchema(schema.items)];
+    case "number":
+    case "integer":
+      return schema.minimum ?? 1;
+    case "boolean":
+      return false;
+    default:
+      return "Mock text";
+  }
+}
+
+function checkRateLimit(model) {
+  if (!RATE_LIMITED_MODELS.includes(model)) return;
+
+  const err = new Error(`${model} is rate-limited (mock)`);
+  err.status = 429;
+  throw err;
+}
+
+function mockUsage(messages, content) {
+  return {
+    promptTokens: Math.ceil(JSON.stringify(messages).length / 4),
+    completionTokens: Math.ceil(content.length / 4),
+    costUsd: 0,
+  };
+}
+
+// calls a real model might make for a few obvious prompts
+function mockToolCalls({ messages, tools }) {
+  const last = messages[messages.length - 1];
+  if (!tools?.length || last?.role !== "user") return [];
+
+  const prompt = lastUserText(messages);
+  const offered = (name) => tools.some((t) => t.function?.name === name);
+  const call = (name, args) => [
+    { id: `mock-call-${Date.now()}`, name, arguments: JSON.stringify(args) },
+  ];
+
+  if (/christmas/i.test(prompt) && offered("days_until")) {
+    return call("days_until", { occasion: "christmas" });
+  }
+
+  const expression = prompt.match(/[\d(][\d\s.()]*(?:[-+*/^%][\d\s.()]+)+/);
+  if (expression && offered("calculate")) {
+    return call("calculate", { expression: expression[0].trim() });
+  }
+
+  return [];
+}
+
+function mockReply({ messages, responseFormat }) {
+  const last = messages[messages.length - 1];
+  if (last?.role === "tool") {
+    return `Mock reply using the tool result: ${last.content}`;
+  }
+
+  if (responseFormat?.type === "json_schema") {
+    return JSON.stringify(sampleFromSchema(responseFormat.json_schema?.schema));
+  }
+  if (responseFormat?.type === "json_object") return "{}";
+
+  const prompt = lastUserText(messages).slice(0, 200);
+  // knowledge base passages in the system prompt -> cite the first one
+  const cites = /^\[1\] From /m.test(messages[0]?.content || "");
+  return `Mock reply to: "${prompt}"${cites ? " [1]" : ""}`;
+}
+
+const chat = {
+  id: "mock",
+  name: "Mock",
+
+  configError: () => null,
+
+  async chat({ model, messages, responseFormat, tools }) {
+    checkRateLimit(model);
+    const toolCalls = mockToolCalls({ messages, tools });
+    const content = toolCalls.length
+      ? ""
+      : mockReply({ messages, responseFormat });
+
+    return {
+      content,
+      message: { role: "assistant", content },
+      model,
+      usage: mockUsage(messages, content),
+      toolCalls,
+    };
+  },
+
+  async streamChat({ model, messages, tools, onDelta }) {
+    checkRateLimit(model);
+    const toolCalls = mockToolCalls({ messages, tools });
+    if (toolCalls.length) {
+      return { content: "", model, usage: mockUsage(messages, ""), toolCalls };
+    }
+    const content = mockReply({ messages });
+
+    // word by word, like a real stream
+    for (const word of content.split(/(?<= )/)) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      onDelta(word);
+    }
+
+    return { content, model, usage: mockUsage(messages, content), toolCalls };
+  },
+
+  async listModels() {
+    return MOCK_MODELS;
+  },
+
+  async generateImage({ model, messages }) {
+    checkRateLimit(model);
+    const content = "Here is your mock image.";
+
+    return {
+      content,
+      imageUrl: MOCK_IMAGE_URL,
+      model,
+      usage: mockUsage(messages, content),
+    };
+  },
+};
+
+// requestId -> submittedAt
+const videoRequests = new Map();
+
+const video = {
+  id: "mock",
+  name: "Mock",
+
+  configError: () => null,
+
+  async submit() {
+    const requestId = `mock-${Date.now()}-${videoRequests.size}`;
+    videoRequests.set(requestId, Date.now());
+    return { requestId };
+  },
+
+  async status(model, requestId) {
+    // unknown after a restart – just call it done
+    const submittedAt = videoRequests.get(requestId) ?? 0;
+    const done = Date.now() - submittedAt >= MOCK_VIDEO_MS;
+
+    return {
+      status: done ? "completed" : "running",
+      queuePosition: null,
+      logs: [done ? "Mock render finished" : "Mock render running"],
+    };
+  },
+
+  async result(model, requestId) {
+    videoRequests.delete(requestId);
+    return { videoUrl: MOCK_VIDEO_URL, data: { video: { url: MOCK_VIDEO_URL } } };
+  },
+
+  // the mock never fetches it, so the data URL can stay
+  async uploadImage(blob) {
+    const base64 = Buffer.from(await blob.arrayBuffer()).toString("base64");
+    return `data:${blob.type};base64,${base64}`;
+  },
+};
+
+module.exports = {
+  chat,
+  image: chat,
+  video,
+};
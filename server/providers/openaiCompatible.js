@@ -0,0 +1,206 @@
+// server/providers/openaiCompatible.js
+// Chat over any OpenAI-compatible /chat/completions API. Used as-is for a
+// local server (Ollama, llama.cpp, LM Studio) and as the base of the
+// OpenRouter adapter.
+const axios = require("axios");
+
+// OpenAI-style usage block -> { promptTokens, completionTokens, costUsd }
+function normalizeUsage(usage) {
+  if (!usage) return null;
+
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    // only OpenRouter reports a cost
+    costUsd: typeof usage.cost === "number" ? usage.cost : null,
+  };
+}
+
+// OpenRouter reports some upstream failures (overloaded provider, ...)
+// inside a 200 body or mid-stream; `status` lets fallback.js retry them
+function upstreamError(error, fallbackMessage) {
+  const err = new Error(error.message || fallbackMessage);
+  err.status = Number(error.code) || 502;
+  return err;
+}
+
+// OpenAI tool_calls -> [{ id, name, arguments }] (arguments = JSON text)
+function normalizeToolCalls(toolCalls) {
+  return (toolCalls || [])
+    .filter((call) => call.function?.name)
+    .map((call) => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: call.function.arguments || "{}",
+    }));
+}
+
+/**
+ * options: { id, name, baseUrl, apiKey?, headers?, extraBody? }
+ * extraBody is added to every completion request.
+ *
+ * Chat providers implement:
+ *   chat({ model, messages, temperature?, responseFormat?, modalities?,
+ *          tools?, timeout?, signal? })
+ *     -> { content, message, model, usage, toolCalls }
+ *   streamChat({ ...same, onDelta(text) })
+ *     -> { content, model, usage, toolCalls }
+ * tools = OpenAI-style function definitions; toolCalls = what the model
+ * wants run ([{ id, name, arguments }], empty if nothing).
+ *   listModels() -> OpenAI/OpenRouter-style model objects
+ *   configError() -> what's missing from the config, or null
+ * `model` in the result is the one that actually answered.
+ */
+function createOpenAiCompatibleProvider({
+  id,
+  name,
+  baseUrl,
+  apiKey,
+  headers = {},
+  extraBody = {},
+}) {
+  const requestHeaders = {
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    "Content-Type": "application/json",
+    ...headers,
+  };
+
+  function completionBody({
+    model,
+    messages,
+    temperature,
+    responseFormat,
+    modalities,
+    tools,
+  }) {
+    return {
+      model,
+      messages,
+      temperature,
+      ...(responseFormat && { response_format: responseFormat }),
+      ...(modalities && { modalities }),
+      ...(tools?.length && { tools }),
+      ...extraBody,
+    };
+  }
+
+  async function chat({ timeout = 60000, signal, ...request }) {
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      completionBody(request),
+      { headers: requestHeaders, timeout, signal }
+    );
+
+    if (response.data.error) {
+      throw upstreamError(response.data.error, `${name} request failed`);
+    }
+
+    const message = response.data.choices?.[0]?.message || {};
+
+    return {
+      content: message.content || "",
+      message,
+      model: response.data.model || request.model,
+      usage: normalizeUsage(response.data.usage),
+      toolCalls: normalizeToolCalls(message.tool_calls),
+    };
+  }
+
+  async function streamChat({ onDelta, signal, ...request }) {
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      {
+        ...completionBody(request),
+        stream: true,
+        // the last chunk then carries the token counts
+        stream_options: { include_usage: true },
+      },
+      { headers: requestHeaders, responseType: "stream", signal }
+    );
+
+    let buffer = "";
+    let content = "";
+    let model = request.model;
+    let usage = null;
+    // tool calls arrive in pieces, keyed by index
+    const toolCalls = [];
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString("utf8");
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+
+        // OpenRouter also sends ": OPENROUTER PROCESSING" keep-alive comments
+        if (!line.startsWith("data:")) continue;
+
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") continue;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(payload);
+        } catch {
+          continue;
+        }
+
+        if (parsed.error) {
+          throw upstreamError(parsed.error, `${name} stream error`);
+        }
+
+        if (parsed.model) model = parsed.model;
+        if (parsed.usage) usage = parsed.usage;
+
+        const delta = parsed.choices?.[0]?.delta || {};
+
+        for (const part of delta.tool_calls || []) {
+          const call = (toolCalls[part.index ?? 0] ||= {
+            id: part.id,
+            function: { name: "", arguments: "" },
+          });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) {
+            call.function.arguments += part.function.arguments;
+          }
+        }
+
+        if (delta.content) {
+          content += delta.content;
+          onDelta(delta.content);
+        }
+      }
+    }
+
+    return {
+      content,
+      model,
+      usage: normalizeUsage(usage),
+      toolCalls: normalizeToolCalls(toolCalls.filter(Boolean)),
+    };
+  }
+
+  async function listModels() {
+    const response = await axios.get(`${baseUrl}/models`, {
+      headers: requestHeaders,
+      timeout: 15000,
+    });
+    return response.data.data || [];
+  }
+
+  return {
+    id,
+    name,
+    chat,
+    streamChat,
+    listModels,
+    configError: () => null,
+  };
+}
+
+module.exports = {
+  normalizeUsage,
+  createOpenAiCompatibleProvider,
+};
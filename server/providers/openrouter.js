@@ -0,0 +1,53 @@
+// server/providers/openrouter.js
+// OpenRouter: chat (OpenAI-compatible, plus cost reporting) and image
+// generation through image-capable chat models.
+const { createOpenAiCompatibleProvider } = require("./openaiCompatible");
+
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+
+const chatProvider = createOpenAiCompatibleProvider({
+  id: "openrouter",
+  name: "OpenRouter",
+  baseUrl: "https://openrouter.ai/api/v1",
+  apiKey: OPENROUTER_API_KEY,
+  // OpenRouter's app attribution
+  headers: {
+    "HTTP-Referer": process.env.APP_URL || "http://localhost:5173",
+    "X-Title": "Byte-Size AI Studio",
+  },
+  // adds the cost to every response's usage block
+  extraBody: { usage: { include: true } },
+});
+
+function configError() {
+  return OPENROUTER_API_KEY ? null : "OPENROUTER_API_KEY not configured on server.";
+}
+
+/**
+ * Image providers implement generateImage({ model, messages, signal? })
+ *   -> { content, imageUrl, usage } (imageUrl null if none came back)
+ */
+async function generateImage({ model, messages, signal }) {
+  const result = await chatProvider.chat({
+    model,
+    messages,
+    modalities: ["image", "text"],
+    timeout: 120000,
+    signal,
+  });
+
+  const img = result.message.images?.[0];
+  const imageUrl = img?.image_url?.url || img?.imageUrl?.url || null;
+
+  if (!imageUrl) {
+    console.error("OpenRouter did NOT return an image:", result.message);
+  }
+
+  return { content: result.content, imageUrl, usage: result.usage };
+}
+
+module.exports = {
+  ...chatProvider,
+  configError,
+  generateImage,
+};
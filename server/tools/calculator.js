@@ -0,0 +1,164 @@
+// server/tools/calculator.js
+// Arithmetic the model would otherwise guess at. The expression is parsed
+// here (never eval'd): numbers, + - * / % ^, parentheses, a few functions
+// and the constants pi and e.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  log: Math.log10,
+  ln: Math.log,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern =
+    /\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^(),])\s*/giy;
+  let position = 0;
+
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected "${expression.slice(position).trim()[0]}".`);
+    }
+
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent, lowest precedence first:
+ *   sum     = product (("+" | "-") product)*
+ *   product = power (("*" | "/" | "%") power)*
+ *   power   = unary ("^" power)?         (right-associative)
+ *   unary   = ("-" | "+") unary | atom
+ *   atom    = number | constant | fn "(" sum ("," sum)* ")" | "(" sum ")"
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function expect(token) {
+    if (next() !== token) throw new Error(`Expected "${token}".`);
+  }
+
+  function sum() {
+    let value = product();
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + product() : value - product();
+    }
+    return value;
+  }
+
+  function product() {
+    let value = power();
+    while (["*", "/", "%"].includes(peek())) {
+      const op = next();
+      const right = power();
+      if (op !== "*" && right === 0) throw new Error("Division by zero.");
+      if (op === "*") value *= right;
+      else if (op === "/") value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  function power() {
+    const base = unary();
+    if (peek() !== "^") return base;
+    next();
+    return base ** power();
+  }
+
+  function unary() {
+    if (peek() === "-") {
+      next();
+      return -unary();
+    }
+    if (peek() === "+") {
+      next();
+      return unary();
+    }
+    return atom();
+  }
+
+  function atom() {
+    const token = next();
+    if (token === undefined) throw new Error("The expression ends too early.");
+
+    if (token === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) return CONSTANTS[name];
+
+    if (name in FUNCTIONS) {
+      expect("(");
+      const args = [sum()];
+      while (peek() === ",") {
+        next();
+        args.push(sum());
+      }
+      expect(")");
+      return FUNCTIONS[name](...args);
+    }
+
+    throw new Error(`Unknown "${token}".`);
+  }
+
+  const value = sum();
+  if (index < tokens.length) throw new Error(`Unexpected "${tokens[index]}".`);
+  if (!Number.isFinite(value)) {
+    throw new Error("The result isn't a finite number.");
+  }
+
+  return value;
+}
+
+const calculate = {
+  name: "calculate",
+  description:
+    "Evaluates an arithmetic expression exactly, e.g. (1250 * 0.15) + 99 or sqrt(2) ^ 3. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, min, max, log, ln, pi and e. For percentages write 15% of 200 as 200 * 0.15.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string" },
+    },
+    required: ["expression"],
+  },
+  run({ expression }) {
+    if (typeof expression !== "string" || !expression.trim()) {
+      throw new Error("expression is required.");
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error("That expression is too long.");
+    }
+
+    // floating point noise like 0.1 + 0.2 = 0.30000000000000004
+    const result = Number(evaluate(expression).toPrecision(12));
+    return { expression, result };
+  },
+};
+
+module.exports = [calculate];
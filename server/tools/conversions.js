@@ -0,0 +1,209 @@
+// server/tools/conversions.js
+// Unit and currency conversion from local tables – no network calls. The
+// currency rates are a snapshot (RATES_AS_OF), good enough for quotes and
+// estimates, not for invoicing; update them here.
+
+// factor = how many of the dimension's base unit one unit is
+const UNITS = {
+  // length, base: metre
+  mm: { dimension: "length", factor: 0.001 },
+  cm: { dimension: "length", factor: 0.01 },
+  m: { dimension: "length", factor: 1 },
+  km: { dimension: "length", factor: 1000 },
+  in: { dimension: "length", factor: 0.0254 },
+  ft: { dimension: "length", factor: 0.3048 },
+  yd: { dimension: "length", factor: 0.9144 },
+  mi: { dimension: "length", factor: 1609.344 },
+  // mass, base: kilogram
+  g: { dimension: "mass", factor: 0.001 },
+  kg: { dimension: "mass", factor: 1 },
+  t: { dimension: "mass", factor: 1000 },
+  oz: { dimension: "mass", factor: 0.028349523125 },
+  lb: { dimension: "mass", factor: 0.45359237 },
+  // volume, base: litre
+  ml: { dimension: "volume", factor: 0.001 },
+  l: { dimension: "volume", factor: 1 },
+  tsp: { dimension: "volume", factor: 0.00492892 },
+  tbsp: { dimension: "volume", factor: 0.0147868 },
+  cup: { dimension: "volume", factor: 0.25 },
+  floz: { dimension: "volume", factor: 0.0295735 },
+  gal: { dimension: "volume", factor: 3.785411784 },
+  // area, base: square metre
+  m2: { dimension: "area", factor: 1 },
+  km2: { dimension: "area", factor: 1e6 },
+  ha: { dimension: "area", factor: 10000 },
+  acre: { dimension: "area", factor: 4046.8564224 },
+  ft2: { dimension: "area", factor: 0.09290304 },
+  // data, base: byte
+  b: { dimension: "data", factor: 1 },
+  kb: { dimension: "data", factor: 1e3 },
+  mb: { dimension: "data", factor: 1e6 },
+  gb: { dimension: "data", factor: 1e9 },
+  tb: { dimension: "data", factor: 1e12 },
+  // speed, base: metre per second
+  "km/h": { dimension: "speed", factor: 1000 / 3600 },
+  mph: { dimension: "speed", factor: 1609.344 / 3600 },
+  "m/s": { dimension: "speed", factor: 1 },
+};
+
+const ALIASES = {
+  millimetre: "mm",
+  centimetre: "cm",
+  metre: "m",
+  meter: "m",
+  kilometre: "km",
+  kilometer: "km",
+  inch: "in",
+  inches: "in",
+  foot: "ft",
+  feet: "ft",
+  yard: "yd",
+  mile: "mi",
+  gram: "g",
+  kilogram: "kg",
+  kilo: "kg",
+  tonne: "t",
+  ounce: "oz",
+  pound: "lb",
+  lbs: "lb",
+  millilitre: "ml",
+  litre: "l",
+  liter: "l",
+  teaspoon: "tsp",
+  tablespoon: "tbsp",
+  "fl oz": "floz",
+  gallon: "gal",
+  hectare: "ha",
+  kph: "km/h",
+  celsius: "c",
+  fahrenheit: "f",
+  kelvin: "k",
+};
+
+// °C / °F / K don't convert by a factor
+const TEMPERATURE = {
+  c: { toC: (v) => v, fromC: (v) => v },
+  f: { toC: (v) => ((v - 32) * 5) / 9, fromC: (v) => (v * 9) / 5 + 32 },
+  k: { toC: (v) => v - 273.15, fromC: (v) => v + 273.15 },
+};
+
+const RATES_AS_OF = "2025-06-01";
+// units of each currency per 1 USD
+const CURRENCY_RATES = {
+  USD: 1,
+  ZAR: 17.9,
+  EUR: 0.88,
+  GBP: 0.74,
+  AUD: 1.55,
+  CAD: 1.37,
+  NZD: 1.67,
+  JPY: 144,
+  CNY: 7.2,
+  INR: 85.5,
+  CHF: 0.82,
+  AED: 3.67,
+  NGN: 1580,
+  KES: 129,
+  BWP: 13.5,
+  NAD: 17.9,
+};
+const CURRENCY_CODES = Object.keys(CURRENCY_RATES).join(", ");
+
+function normalizeUnit(unit) {
+  const key = String(unit || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^°/, "")
+    .replace(/²$/, "2");
+
+  // as written, then as a plural (metres, cups, inches, ...)
+  const candidates = [key, key.replace(/s$/, ""), key.replace(/es$/, "")];
+  for (const candidate of candidates) {
+    if (UNITS[candidate] || TEMPERATURE[candidate]) return candidate;
+    if (ALIASES[candidate]) return ALIASES[candidate];
+  }
+
+  return null;
+}
+
+function round(value) {
+  return Number(value.toPrecision(10));
+}
+
+function convertCurrency(value, from, to) {
+  const fromRate = CURRENCY_RATES[from];
+  const toRate = CURRENCY_RATES[to];
+  if (!fromRate || !toRate) {
+    throw new Error(`Known currencies: ${CURRENCY_CODES}.`);
+  }
+
+  return {
+    value,
+    from,
+    to,
+    result: Math.round((value / fromRate) * toRate * 100) / 100,
+    rate: round(toRate / fromRate),
+    ratesAsOf: RATES_AS_OF,
+  };
+}
+
+const convert = {
+  name: "convert",
+  description: `Converts between units (length, mass, volume, area, data, speed, temperature – e.g. km, lb, cup, ha, GB, mph, °F) or currencies (ISO codes: ${CURRENCY_CODES}). Currency rates are a local snapshot from ${RATES_AS_OF}; mention that when quoting them.`,
+  parameters: {
+    type: "object",
+    properties: {
+      value: { type: "number" },
+      from: { type: "string", description: "Unit or currency code" },
+      to: { type: "string", description: "Unit or currency code" },
+    },
+    required: ["value", "from", "to"],
+  },
+  run({ value, from, to }) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new Error("value must be a number.");
+    }
+
+    const fromCode = String(from || "").trim().toUpperCase();
+    const toCode = String(to || "").trim().toUpperCase();
+    if (CURRENCY_RATES[fromCode] || CURRENCY_RATES[toCode]) {
+      return convertCurrency(value, fromCode, toCode);
+    }
+
+    const fromUnit = normalizeUnit(from);
+    const toUnit = normalizeUnit(to);
+    if (!fromUnit || !toUnit) {
+      throw new Error(`Unknown unit "${fromUnit ? to : from}".`);
+    }
+
+    if (TEMPERATURE[fromUnit] || TEMPERATURE[toUnit]) {
+      if (!TEMPERATURE[fromUnit] || !TEMPERATURE[toUnit]) {
+        throw new Error("Temperatures only convert to other temperatures.");
+      }
+      const celsius = TEMPERATURE[fromUnit].toC(value);
+      return {
+        value,
+        from: fromUnit,
+        to: toUnit,
+        result: round(TEMPERATURE[toUnit].fromC(celsius)),
+      };
+    }
+
+    const source = UNITS[fromUnit];
+    const target = UNITS[toUnit];
+    if (source.dimension !== target.dimension) {
+      throw new Error(
+        `Can't convert ${source.dimension} (${fromUnit}) to ${target.dimension} (${toUnit}).`
+      );
+    }
+
+    return {
+      value,
+      from: fromUnit,
+      to: toUnit,
+      result: round((value * source.factor) / target.factor),
+    };
+  },
+};
+
+module.exports = [convert];
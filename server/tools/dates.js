@@ -0,0 +1,148 @@
+// server/tools/dates.js
+// Date arithmetic, so the model doesn't have to count days itself. "Today"
+// is the user's date (clientDate), not the server's.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [month, day] of fixed-date occasions the model can name without a year
+const OCCASIONS = {
+  christmas: [12, 25],
+  "christmas eve": [12, 24],
+  "new year": [1, 1],
+  "new year's eve": [12, 31],
+  "valentine's day": [2, 14],
+  halloween: [10, 31],
+  "freedom day": [4, 27],
+  "youth day": [6, 16],
+  "women's day": [8, 9],
+  "heritage day": [9, 24],
+  "day of reconciliation": [12, 16],
+};
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// dates are compared as whole UTC days, so times of day don't matter
+function toDayNumber(isoDate) {
+  return Math.floor(Date.parse(`${isoDate}T00:00:00Z`) / DAY_MS);
+}
+
+function fromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function parseDate(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "") || isNaN(toDayNumber(value))) {
+    throw new Error(`${field} must be a date like 2025-12-25.`);
+  }
+  return value;
+}
+
+function describe(isoDate) {
+  return {
+    date: isoDate,
+    weekday: WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()],
+  };
+}
+
+const daysUntil = {
+  name: "days_until",
+  description:
+    "Counts the days from today until a date or a named occasion (Christmas, New Year, ...). Without a year, the next time the occasion comes round is used.",
+  parameters: {
+    type: "object",
+    properties: {
+      occasion: { type: "string", enum: Object.keys(OCCASIONS) },
+      date: { type: "string", description: "YYYY-MM-DD, instead of occasion" },
+      year: { type: "integer", description: "Year of the occasion" },
+    },
+  },
+  run({ occasion, date, year }, { today }) {
+    let target;
+
+    if (date) {
+      target = parseDate(date, "date");
+    } else {
+      const fixed = OCCASIONS[String(occasion || "").toLowerCase()];
+      if (!fixed) throw new Error("Give a date or one of the known occasions.");
+
+      const [month, day] = fixed;
+      const at = (y) =>
+        `${y}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+      // already passed this year -> next year's
+      const thisYear = Number(today.slice(0, 4));
+      const passed = toDayNumber(at(thisYear)) < toDayNumber(today);
+      target = at(year || (passed ? thisYear + 1 : thisYear));
+    }
+
+    const days = toDayNumber(target) - toDayNumber(today);
+
+    return {
+      today,
+      target: describe(target),
+      ...(occasion && { occasion }),
+      days: Math.max(0, days),
+      ...(days < 0 && { note: `That date was ${-days} days ago.` }),
+    };
+  },
+};
+
+const daysBetween = {
+  name: "days_between",
+  description:
+    "Counts the days (and weeks) between two dates. `from` defaults to today.",
+  parameters: {
+    type: "object",
+    properties: {
+      from: { type: "string", description: "YYYY-MM-DD" },
+      to: { type: "string", description: "YYYY-MM-DD" },
+    },
+    required: ["to"],
+  },
+  run({ from, to }, { today }) {
+    const start = parseDate(from || today, "from");
+    const end = parseDate(to, "to");
+    const days = toDayNumber(end) - toDayNumber(start);
+
+    return {
+      from: describe(start),
+      to: describe(end),
+      days,
+      weeks: Math.round((days / 7) * 10) / 10,
+    };
+  },
+};
+
+const addDays = {
+  name: "add_days",
+  description:
+    "Adds (or, if negative, subtracts) a number of days to a date and says which date and weekday that is. `date` defaults to today.",
+  parameters: {
+    type: "object",
+    properties: {
+      date: { type: "string", description: "YYYY-MM-DD" },
+      days: { type: "integer" },
+    },
+    required: ["days"],
+  },
+  run({ date, days }, { today }) {
+    const start = parseDate(date || today, "date");
+    if (!Number.isInteger(days)) throw new Error("days must be a whole number.");
+
+    return {
+      from: describe(start),
+      days,
+      result: describe(fromDayNumber(toDayNumber(start) + days)),
+    };
+  },
+};
+
+module.exports = [daysUntil, daysBetween, addDays];
@@ -0,0 +1,89 @@
+// server/tools/index.js
+// Server-side tools the chat model can call (function calling): date
+// arithmetic, a calculator, unit/currency conversion and a lookup in the
+// project's notes. A tool is { name, description, parameters (JSON
+// schema), run(args, context) } – add one by listing it in TOOLS.
+
+const TOOLS = [
+  ...require("./dates"),
+  ...require("./calculator"),
+  ...require("./conversions"),
+  ...require("./projectNotes"),
+];
+
+const TOOLS_BY_NAME = new Map(TOOLS.map((tool) => [tool.name, tool]));
+
+// model -> tools -> model round trips per reply; the last round gets no
+// tools, so it has to answer
+const MAX_TOOL_ROUNDS = 4;
+// tool results go back into the prompt, so keep them small
+const MAX_RESULT_CHARS = 4000;
+
+// OpenAI-style definitions for the request's `tools`
+function toolDefinitions() {
+  return TOOLS.map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+}
+
+/**
+ * Runs one call the model asked for ({ id, name, arguments }). Never
+ * throws: a bad call comes back with `error`, so the model can correct
+ * itself. context: { user, projectId, chatId, today (YYYY-MM-DD) }.
+ * Returns { id, name, arguments, result?, error? }.
+ */
+async function runToolCall(call, context) {
+  const ran = { id: call.id, name: call.name, arguments: call.arguments };
+
+  const tool = TOOLS_BY_NAME.get(call.name);
+  if (!tool) return { ...ran, error: `Unknown tool "${call.name}".` };
+
+  try {
+    ran.arguments = JSON.parse(call.arguments || "{}");
+  } catch {
+    return { ...ran, error: "The arguments weren't valid JSON." };
+  }
+
+  try {
+    const result = await tool.run(ran.arguments, context);
+    // arguments and results can carry chat content – the name is enough
+    console.log(`🔧 ${call.name} ran for ${context.user.id}`);
+    return { ...ran, result };
+  } catch (err) {
+    console.warn(`🔧 ${call.name} failed for ${context.user.id}`);
+    return { ...ran, error: err.message };
+  }
+}
+
+/**
+ * The turns that go back to the model after a round of calls: its own
+ * message with the calls, then one `tool` message per result.
+ */
+function toolMessages(content, calls, results) {
+  return [
+    {
+      role: "assistant",
+      content: content || null,
+      tool_calls: calls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    },
+    ...results.map((ran) => ({
+      role: "tool",
+      tool_call_id: ran.id,
+      content: JSON.stringify(
+        ran.error ? { error: ran.error } : ran.result
+      ).slice(0, MAX_RESULT_CHARS),
+    })),
+  ];
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  toolDefinitions,
+  runToolCall,
+  toolMessages,
+};
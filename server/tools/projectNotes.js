@@ -0,0 +1,108 @@
+// server/tools/projectNotes.js
+// Looks things up in what the current project already holds: earlier
+// messages in its chats, its knowledge base documents and its saved
+// campaign plans.
+const chatStore = require("../chatStore");
+const campaigns = require("../campaigns");
+const knowledge = require("../knowledge");
+
+const MAX_MATCHES = 5;
+const EXCERPT_CHARS = 400;
+
+function searchTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .filter((t) => t.length >= 2)
+    .slice(0, 6);
+}
+
+// a window of text around the earliest term in it
+function excerpt(text, terms) {
+  const lower = text.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, first - EXCERPT_CHARS / 4);
+  const end = start + EXCERPT_CHARS;
+
+  return [
+    start > 0 ? "…" : "",
+    text.slice(start, end).trim(),
+    end < text.length ? "…" : "",
+  ].join("");
+}
+
+function day(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+const lookupProjectNotes = {
+  name: "lookup_project_notes",
+  description:
+    "Searches the current project's earlier chats, reference documents and saved campaign plans for a few keywords and returns matching excerpts. Use it when the user refers to something discussed or decided before in this project.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "A few distinctive keywords, not a full sentence",
+      },
+    },
+    required: ["query"],
+  },
+  run({ query }, { user, projectId, chatId }) {
+    if (!projectId) {
+      return { matches: [], note: "This chat isn't in a project." };
+    }
+
+    const terms = searchTerms(query);
+    if (!terms.length) throw new Error("query needs at least one keyword.");
+
+    const project = chatStore.getProject(user.id, projectId);
+
+    const messageMatches = chatStore
+      .searchMessages(user.id, { query: terms.join(" "), projectId, limit: 20 })
+      // the chat being answered is already in the conversation
+      .filter((m) => m.chatId !== chatId)
+      .slice(0, MAX_MATCHES)
+      .map((m) => ({
+        source: "chat",
+        chat: m.chatTitle,
+        role: m.role,
+        date: day(m.createdAt),
+        excerpt: excerpt(m.text, terms),
+      }));
+
+    const documentMatches = knowledge
+      .searchProject(user.id, projectId, query, { limit: MAX_MATCHES })
+      .map((p) => ({
+        source: "document",
+        title: p.documentName,
+        excerpt: excerpt(p.text, terms),
+      }));
+
+    const campaignMatches = campaigns
+      .listCampaigns(user.id, { projectId })
+      .filter((c) => {
+        const text = JSON.stringify(c.data).toLowerCase();
+        return terms.every((t) => text.includes(t));
+      })
+      .map((c) => ({
+        source: "campaign",
+        title: c.title,
+        date: day(c.updatedAt),
+        excerpt: excerpt(JSON.stringify(c.data), terms),
+      }));
+
+    return {
+      project: project?.name,
+      matches: [
+        ...messageMatches,
+        ...documentMatches,
+        ...campaignMatches,
+      ].slice(0, MAX_MATCHES),
+    };
+  },
+};
+
+module.exports = [lookupProjectNotes];
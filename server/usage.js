@@ -0,0 +1,165 @@
+// server/usage.js
+// Spend log: one row per upstream AI call (chat, image, video) with its
+// tokens and cost, and the summaries behind the usage dashboard. Logging
+// never fails the request it belongs to.
+const crypto = require("crypto");
+const db = require("./db");
+const modelCatalog = require("./modelCatalog");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function usageFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    kind: row.kind,
+    model: row.model,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    costUsd: row.cost_usd,
+    brandId: row.brand_id,
+    projectId: row.project_id,
+    chatId: row.chat_id,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * kind: "chat" | "image" | "video". costUsd null/undefined = unknown,
+ * stored as 0.
+ */
+function recordUsage(
+  userId,
+  {
+    kind,
+    model,
+    promptTokens = 0,
+    completionTokens = 0,
+    costUsd,
+    brandId,
+    projectId,
+    chatId,
+  }
+) {
+  try {
+    const id = crypto.randomUUID();
+
+    db.prepare(
+      `INSERT INTO usage_events
+        (id, user_id, kind, model, prompt_tokens, completion_tokens, cost_usd,
+         brand_id, project_id, chat_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      id,
+      userId,
+      kind,
+      model,
+      promptTokens || 0,
+      completionTokens || 0,
+      Number(costUsd) || 0,
+      brandId || null,
+      projectId || null,
+      chatId || null,
+      Date.now()
+    );
+
+    return usageFromRow(
+      db.prepare("SELECT * FROM usage_events WHERE id = ?").get(id)
+    );
+  } catch (err) {
+    console.error(`Could not record ${kind} usage for ${model}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Cost of a chat/image call. OpenRouter reports it; for providers that
+ * don't it's worked out from the cached per-token pricing (0 if unknown).
+ */
+async function chatCost(model, usage) {
+  if (typeof usage?.costUsd === "number") return usage.costUsd;
+
+  const info = await modelCatalog.getModel(model);
+  if (!info || !usage) return 0;
+
+  return (
+    usage.promptTokens * info.pricing.prompt +
+    usage.completionTokens * info.pricing.completion
+  );
+}
+
+/**
+ * Logs a chat provider's usage ({ promptTokens, completionTokens,
+ * costUsd }). context: { kind, model, brandId, projectId, chatId }.
+ */
+async function recordChatUsage(userId, usage, context) {
+  try {
+    return recordUsage(userId, {
+      ...context,
+      promptTokens: usage?.promptTokens,
+      completionTokens: usage?.completionTokens,
+      costUsd: await chatCost(context.model, usage),
+    });
+  } catch (err) {
+    console.error(`Could not price usage for ${context.model}:`, err.message);
+    return null;
+  }
+}
+
+// ------------- DASHBOARD -------------
+
+const TOTALS = `
+  COUNT(*) AS requests,
+  COALESCE(SUM(prompt_tokens), 0) AS promptTokens,
+  COALESCE(SUM(completion_tokens), 0) AS completionTokens,
+  COALESCE(SUM(cost_usd), 0) AS costUsd
+`;
+
+/**
+ * Spend over the last `days` days: totals plus breakdowns per day, brand,
+ * model and user. userId null = everyone (admin view).
+ */
+function summarizeUsage({ userId = null, days = 30 }) {
+  const since = Date.now() - days * DAY_MS;
+  const where = `WHERE u.created_at >= @since
+    AND (@userId IS NULL OR u.user_id = @userId)`;
+  const params = { since, userId };
+
+  const query = (sql) => db.prepare(sql).all(params);
+
+  return {
+    days,
+    totals: db
+      .prepare(`SELECT ${TOTALS} FROM usage_events u ${where}`)
+      .get(params),
+    byDay: query(
+      `SELECT strftime('%Y-%m-%d', u.created_at / 1000, 'unixepoch', 'localtime') AS day,
+              ${TOTALS}
+       FROM usage_events u ${where}
+       GROUP BY day ORDER BY day ASC`
+    ),
+    byBrand: query(
+      `SELECT u.brand_id AS brandId, b.name AS brandName, ${TOTALS}
+       FROM usage_events u LEFT JOIN brands b ON b.id = u.brand_id
+       ${where}
+       GROUP BY u.brand_id ORDER BY costUsd DESC`
+    ),
+    byModel: query(
+      `SELECT u.model, u.kind, ${TOTALS}
+       FROM usage_events u ${where}
+       GROUP BY u.model, u.kind ORDER BY costUsd DESC`
+    ),
+    byUser: query(
+      `SELECT u.user_id AS userId, us.name AS userName, ${TOTALS}
+       FROM usage_events u LEFT JOIN users us ON us.id = u.user_id
+       ${where}
+       GROUP BY u.user_id ORDER BY costUsd DESC`
+    ),
+  };
+}
+
+module.exports = {
+  recordUsage,
+  recordChatUsage,
+  summarizeUsage,
+};
@@ -0,0 +1,162 @@
+// server/users.js
+// User accounts: scrypt-hashed passwords, roles (admin/member), disabling.
+const crypto = require("crypto");
+const db = require("./db");
+
+const ROLES = ["admin", "member"];
+
+// ------------- PASSWORDS -------------
+
+const SCRYPT_KEYLEN = 64;
+
+// stored as "scrypt$<salt hex>$<hash hex>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(saltHex, "hex"),
+    expected.length
+  );
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ------------- USERS -------------
+
+// never send password hashes to the frontend
+function userFromRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    name: row.name,
+    role: row.role,
+    disabled: Boolean(row.disabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function listUsers() {
+  return db
+    .prepare("SELECT * FROM users ORDER BY created_at ASC")
+    .all()
+    .map(userFromRow);
+}
+
+function getUser(id) {
+  const row = db.prepare("SELECT * FROM users WHERE id = ?").get(id);
+  return row ? userFromRow(row) : null;
+}
+
+/**
+ * Checks a username/password pair. Returns the user, or null if either is
+ * wrong. Disabled users are returned too – the caller decides what to say.
+ */
+function authenticate(username, password) {
+  const row = db
+    .prepare("SELECT * FROM users WHERE username = ?")
+    .get(String(username).trim());
+
+  if (!row || !verifyPassword(password, row.password_hash)) return null;
+  return userFromRow(row);
+}
+
+function createUser({ username, name, password, role = "member" }) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+
+  db.prepare(
+    `INSERT INTO users (id, username, name, password_hash, role, disabled, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 0, ?, ?)`
+  ).run(
+    id,
+    username.trim(),
+    (name || username).trim(),
+    hashPassword(password),
+    role,
+    now,
+    now
+  );
+
+  return getUser(id);
+}
+
+function updateUser(id, { name, role, disabled, password }) {
+  const existing = getUser(id);
+  if (!existing) return null;
+
+  db.prepare(
+    `UPDATE users SET name = ?, role = ?, disabled = ?, updated_at = ? WHERE id = ?`
+  ).run(
+    name?.trim() || existing.name,
+    role || existing.role,
+    disabled === undefined ? Number(existing.disabled) : Number(disabled),
+    Date.now(),
+    id
+  );
+
+  if (password) {
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(
+      hashPassword(password),
+      id
+    );
+  }
+
+  return getUser(id);
+}
+
+function countActiveAdmins() {
+  return db
+    .prepare(
+      "SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0"
+    )
+    .get().n;
+}
+
+/**
+ * First boot with no accounts: turn the old shared ADMIN_PASSWORD into an
+ * admin user and give it every project/chat created before accounts existed.
+ */
+function ensureBootstrapAdmin({ username, name, password }) {
+  const { n } = db.prepare("SELECT COUNT(*) AS n FROM users").get();
+  if (n > 0) return null;
+
+  if (!password) {
+    console.warn(
+      "⚠️ No users exist and ADMIN_PASSWORD is not set – nobody can log in."
+    );
+    return null;
+  }
+
+  const admin = createUser({ username, name, password, role: "admin" });
+
+  db.prepare("UPDATE projects SET user_id = ? WHERE user_id IS NULL").run(
+    admin.id
+  );
+  db.prepare("UPDATE chats SET user_id = ? WHERE user_id IS NULL").run(
+    admin.id
+  );
+
+  console.log(`👤 Created admin user "${admin.username}" from ADMIN_PASSWORD.`);
+  return admin;
+}
+
+module.exports = {
+  ROLES,
+  listUsers,
+  getUser,
+  authenticate,
+  createUser,
+  updateUser,
+  countActiveAdmins,
+  ensureBootstrapAdmin,
+};
@@ -0,0 +1,273 @@
+// server/videoJobs.js
+// Video generation as background jobs on the video provider's queue
+// (fal.ai by default). Submitting returns straight away; a poller tracks
+// status/logs in the jobs table and writes the finished video into the
+// originating chat – whether or not a browser is still watching.
+const providers = require("./providers");
+const jobs = require("./jobs");
+const chatStore = require("./chatStore");
+const videoModels = require("./videoModels");
+const media = require("./media");
+const usage = require("./usage");
+
+const POLL_INTERVAL_MS = 5000;
+// a job still not done after this is treated as lost
+const JOB_TIMEOUT_MS = 30 * 60 * 1000;
+// stop trying to deliver into a chat that never reached the server
+const DELIVERY_GIVE_UP_MS = 7 * 24 * 60 * 60 * 1000;
+
+// the queue reports no percentage – progress is elapsed time against the
+// model's typical run time (videoModels.js)
+const DEFAULT_RUN_MS = 90 * 1000;
+
+/**
+ * Video models want an image URL they can fetch. Generated images are
+ * usually data URLs, so those go to the provider's storage first.
+ */
+async function uploadSourceImage(imageUrl) {
+  // the provider can't reach our own /media/ URLs either
+  const match = /^data:(image\/[\w.+-]+);base64,(.+)$/.exec(
+    media.inlineMediaUrl(imageUrl)
+  );
+  if (!match) return imageUrl;
+
+  const [, contentType, base64] = match;
+  return providers.video.uploadImage(
+    new Blob([Buffer.from(base64, "base64")], { type: contentType })
+  );
+}
+
+/**
+ * Writes the job's current message into its chat. Returns false if the
+ * chat isn't on the server (yet).
+ */
+function writeJobMessage(job) {
+  if (!job.chatId || !chatStore.getChat(job.userId, job.chatId)) return false;
+
+  chatStore.upsertMessage(job.chatId, jobs.buildJobMessage(job));
+  return true;
+}
+
+function deliverJob(job) {
+  if (writeJobMessage(job)) {
+    jobs.updateJob(job.id, { delivered: true });
+    return;
+  }
+
+  if (Date.now() - job.completedAt > DELIVERY_GIVE_UP_MS) {
+    console.warn(`⚠️ Job ${job.id}: chat ${job.chatId} never appeared, giving up.`);
+    jobs.updateJob(job.id, { delivered: true });
+  }
+}
+
+function finishJob(job, fields) {
+  const finished = jobs.updateJob(job.id, {
+    ...fields,
+    queuePosition: null,
+    completedAt: Date.now(),
+  });
+
+  deliverJob(finished);
+  return finished;
+}
+
+/**
+ * Stores the job, then submits it to the provider's queue – so a paid
+ * request always has a row (and a chat message) to land in. If the
+ * submit fails, the job is marked failed and the error rethrown.
+ * kind: "text-to-video" | "image-to-video" (sourceMessageId = the image).
+ * meta: { prompt, brandId, projectId, costUsd } for the media library,
+ * plus sourceImageUrl (our copy of the image) for animations.
+ */
+async function submitVideoJob(
+  user,
+  { chatId, messageId, sourceMessageId, kind, model, input, meta }
+) {
+  const job = jobs.createJob(user.id, {
+    chatId,
+    messageId,
+    sourceMessageId,
+    kind,
+    model,
+    input,
+    meta,
+  });
+
+  // progress card goes into the chat now, so a reload still shows it
+  writeJobMessage(job);
+
+  let requestId;
+  try {
+    ({ requestId } = await providers.video.submit(model, input));
+  } catch (err) {
+    // nothing was charged and the caller reports the error – drop the
+    // progress card rather than leave a second, failed one in the chat
+    jobs.updateJob(job.id, {
+      status: "failed",
+      error: err.message,
+      completedAt: Date.now(),
+      delivered: true,
+    });
+    if (job.chatId) chatStore.deleteMessage(job.chatId, job.messageId);
+    throw err;
+  }
+
+  // the column predates other providers
+  const submitted = jobs.updateJob(job.id, { falRequestId: requestId });
+
+  console.log(
+    `🎬 Queued ${kind} job ${job.id} on ${model} (${providers.video.name} ${requestId})`
+  );
+  return submitted;
+}
+
+async function pollJob(job) {
+  if (Date.now() - job.createdAt > JOB_TIMEOUT_MS) {
+    finishJob(job, {
+      status: "failed",
+      error: `Timed out waiting for ${providers.video.name}.`,
+    });
+    return;
+  }
+
+  // still being submitted (or lost in a restart mid-submit – the timeout
+  // above ends those)
+  if (!job.falRequestId) return;
+
+  const status = await providers.video.status(job.model, job.falRequestId);
+  const withLogs = status.logs.length ? { logs: status.logs } : {};
+
+  if (status.status === "queued") {
+    jobs.updateJob(job.id, {
+      status: "queued",
+      queuePosition: status.queuePosition,
+      ...withLogs,
+    });
+    return;
+  }
+
+  if (status.status === "running") {
+    const startedAt = job.startedAt || Date.now();
+    const typical =
+      videoModels.getVideoModel(job.model)?.typicalRunMs || DEFAULT_RUN_MS;
+
+    jobs.updateJob(job.id, {
+      status: "running",
+      queuePosition: null,
+      startedAt,
+      progress: Math.min(0.95, (Date.now() - startedAt) / typical),
+      ...withLogs,
+    });
+    return;
+  }
+
+  if (status.status !== "completed") return;
+
+  const { videoUrl, data } = await providers.video.result(
+    job.model,
+    job.falRequestId
+  );
+
+  if (!videoUrl) {
+    console.error(
+      `${providers.video.name} returned no video URL for job ${job.id}:`,
+      data
+    );
+    finishJob(job, {
+      status: "failed",
+      error: `${providers.video.name} did not return a video URL.`,
+      ...withLogs,
+    });
+    return;
+  }
+
+  const projectId =
+    chatStore.getChat(job.userId, job.chatId)?.projectId ?? job.meta.projectId;
+
+  // finished videos are billed – the price is the one quoted at submit time
+  usage.recordUsage(job.userId, {
+    kind: "video",
+    model: job.model,
+    costUsd: job.meta.costUsd,
+    brandId: job.meta.brandId,
+    projectId,
+    chatId: job.chatId,
+  });
+
+  // provider URLs expire – keep our own copy, but a failed download
+  // shouldn't lose the video
+  let stored = null;
+  try {
+    stored = await media.saveMedia(job.userId, videoUrl, {
+      kind: "video",
+      prompt: job.meta.prompt,
+      model: job.model,
+      brandId: job.meta.brandId,
+      projectId,
+      chatId: job.chatId,
+      messageId: job.messageId,
+      costUsd: job.meta.costUsd,
+    });
+  } catch (err) {
+    console.error(`Saving video of job ${job.id} to the library failed:`, err.message);
+  }
+
+  finishJob(job, {
+    status: "completed",
+    progress: 1,
+    result: {
+      videoUrl: stored?.url || videoUrl,
+      originalUrl: videoUrl,
+      mediaId: stored?.id || null,
+    },
+    ...withLogs,
+  });
+
+  console.log(`✅ Video job ${job.id} finished: ${stored?.url || videoUrl}`);
+}
+
+let isPolling = false;
+
+async function pollAllJobs() {
+  if (isPolling) return; // previous round still waiting on the provider
+  isPolling = true;
+
+  try {
+    for (const job of jobs.listActiveJobs()) {
+      try {
+        await pollJob(job);
+      } catch (err) {
+        // 4xx from the provider = the request itself failed; anything else is
+        // probably transient, so try again next round
+        if (err.status >= 400 && err.status < 500 && err.status !== 429) {
+          console.error(`🔥 Video job ${job.id} failed:`, err.message);
+          finishJob(job, { status: "failed", error: err.message });
+        } else {
+          console.error(`Polling video job ${job.id} failed, will retry:`, err.message);
+        }
+      }
+    }
+
+    for (const job of jobs.listUndeliveredJobs()) {
+      try {
+        deliverJob(job);
+      } catch (err) {
+        console.error(`Delivering job ${job.id} failed:`, err.message);
+      }
+    }
+  } finally {
+    isPolling = false;
+  }
+}
+
+// call once at startup – also resumes jobs from before a restart
+function startVideoJobPoller() {
+  pollAllJobs();
+  setInterval(pollAllJobs, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  uploadSourceImage,
+  submitVideoJob,
+  startVideoJobPoller,
+};
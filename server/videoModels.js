@@ -0,0 +1,178 @@
+// server/videoModels.js
+// The fal.ai video models we allow, what each one supports, what it costs,
+// and how our request parameters map onto its input. The frontend gets the
+// same catalogue (with costs worked out) from /api/video/catalog, so its
+// controls and cost estimate can't drift from what the server accepts.
+
+const MAX_NEGATIVE_PROMPT_LENGTH = 500;
+const MAX_SEED = 2 ** 32 - 1;
+
+// Ovi picks its frame size by resolution instead of an aspect ratio
+const OVI_RESOLUTIONS = {
+  "16:9": "992x512",
+  "9:16": "512x992",
+  "1:1": "720x720",
+};
+
+const VIDEO_MODELS = [
+  {
+    id: "fal-ai/ovi",
+    label: "Ovi (per video)",
+    kind: "text-to-video",
+    pricing: { per: "video", usd: 0.2 },
+    aspectRatios: ["16:9", "9:16", "1:1"],
+    durations: [5],
+    // "always" | "optional" | "none"
+    audio: "always",
+    negativePrompt: true,
+    seed: true,
+    // rough run time, only drives the progress bar
+    typicalRunMs: 60 * 1000,
+    buildInput: (p) => ({
+      prompt: p.prompt,
+      resolution: OVI_RESOLUTIONS[p.aspectRatio],
+      ...(p.negativePrompt && { negative_prompt: p.negativePrompt }),
+      ...(p.seed != null && { seed: p.seed }),
+    }),
+  },
+  {
+    id: "fal-ai/wan-2.5",
+    label: "Wan 2.5 (per second)",
+    kind: "text-to-video",
+    pricing: { per: "second", usd: 0.05 },
+    aspectRatios: ["16:9", "9:16", "1:1"],
+    durations: [5, 10],
+    audio: "optional",
+    negativePrompt: true,
+    seed: true,
+    typicalRunMs: 120 * 1000,
+    buildInput: (p) => ({
+      prompt: p.prompt,
+      aspect_ratio: p.aspectRatio,
+      duration: String(p.durationSeconds),
+      enable_audio: p.audioEnabled,
+      ...(p.negativePrompt && { negative_prompt: p.negativePrompt }),
+      ...(p.seed != null && { seed: p.seed }),
+    }),
+  },
+  {
+    id: "fal-ai/ovi/image-to-video",
+    label: "Ovi image-to-video (per video)",
+    kind: "image-to-video",
+    pricing: { per: "video", usd: 0.2 },
+    // the frame follows the source image
+    aspectRatios: [],
+    durations: [5],
+    audio: "always",
+    negativePrompt: true,
+    seed: true,
+    typicalRunMs: 60 * 1000,
+    buildInput: (p) => ({
+      prompt: p.prompt,
+      image_url: p.imageUrl,
+      ...(p.negativePrompt && { negative_prompt: p.negativePrompt }),
+      ...(p.seed != null && { seed: p.seed }),
+    }),
+  },
+];
+
+// kind: "text-to-video" | "image-to-video" – null if it isn't that kind
+function getVideoModel(id, kind) {
+  return (
+    VIDEO_MODELS.find((m) => m.id === id && (!kind || m.kind === kind)) || null
+  );
+}
+
+function estimateVideoCost(model, durationSeconds) {
+  return model.pricing.per === "second"
+    ? model.pricing.usd * durationSeconds
+    : model.pricing.usd;
+}
+
+/**
+ * What the frontend needs – everything except the input mapping, plus the
+ * cost of each duration (costUsd[durationSeconds]), so the estimate it
+ * shows is the one the budget check uses.
+ */
+function listVideoModels() {
+  return VIDEO_MODELS.map((model) => {
+    const copy = {
+      ...model,
+      costUsd: Object.fromEntries(
+        model.durations.map((d) => [d, estimateVideoCost(model, d)])
+      ),
+    };
+    delete copy.buildInput;
+    return copy;
+  });
+}
+
+/**
+ * Checks request parameters against what `model` supports and fills in
+ * its defaults. Returns { params, errors } – errors are user-facing.
+ */
+function validateVideoParams(model, body) {
+  const errors = [];
+
+  // no aspect ratios = the model takes it from the source image
+  const aspectRatio = model.aspectRatios.length
+    ? body.aspectRatio ?? model.aspectRatios[0]
+    : null;
+  if (!model.aspectRatios.length) {
+    if (body.aspectRatio) {
+      errors.push(`${model.label} keeps the source image's aspect ratio.`);
+    }
+  } else if (!model.aspectRatios.includes(aspectRatio)) {
+    errors.push(
+      `${model.label} supports aspect ratios ${model.aspectRatios.join(", ")}.`
+    );
+  }
+
+  const durationSeconds = Number(body.durationSeconds ?? model.durations[0]);
+  if (!model.durations.includes(durationSeconds)) {
+    errors.push(
+      `${model.label} supports durations of ${model.durations.join(" or ")} seconds.`
+    );
+  }
+
+  const audioEnabled =
+    body.audioEnabled === undefined ? model.audio !== "none" : body.audioEnabled;
+  if (typeof audioEnabled !== "boolean") {
+    errors.push("audioEnabled must be true or false.");
+  } else if (model.audio === "always" && !audioEnabled) {
+    errors.push(`${model.label} always generates audio.`);
+  } else if (model.audio === "none" && audioEnabled) {
+    errors.push(`${model.label} can't generate audio.`);
+  }
+
+  const negativePrompt = String(body.negativePrompt || "").trim();
+  if (negativePrompt && !model.negativePrompt) {
+    errors.push(`${model.label} doesn't take a negative prompt.`);
+  } else if (negativePrompt.length > MAX_NEGATIVE_PROMPT_LENGTH) {
+    errors.push(
+      `Negative prompt is too long (max ${MAX_NEGATIVE_PROMPT_LENGTH} characters).`
+    );
+  }
+
+  let seed = null;
+  if (body.seed !== undefined && body.seed !== null && body.seed !== "") {
+    seed = Number(body.seed);
+    if (!model.seed) {
+      errors.push(`${model.label} doesn't take a seed.`);
+    } else if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      errors.push(`Seed must be a whole number from 0 to ${MAX_SEED}.`);
+    }
+  }
+
+  return {
+    params: { aspectRatio, durationSeconds, audioEnabled, negativePrompt, seed },
+    errors,
+  };
+}
+
+module.exports = {
+  getVideoModel,
+  listVideoModels,
+  estimateVideoCost,
+  validateVideoParams,
+};
@@ -1,13 +1,37 @@
-import { useState, useEffect } from "react";
-
-const MODES = [
-  "Chat / Brain",
-  "Campaign Builder",
-  "Image Prompts",
-  "Video Prompts",
-];
-
-const BRANDS = ["DSSA", "LVR", "AI"];
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders, mediaUrl, readEventStream } from "./api";
+import { useServerOutbox } from "./useServerOutbox";
+import AdminUsers from "./components/AdminUsers";
+import BrandProfiles from "./components/BrandProfiles";
+import ModeTemplates from "./components/ModeTemplates";
+import CampaignBoard from "./components/CampaignBoard";
+import ProjectCampaigns from "./components/ProjectCampaigns";
+import ProjectKnowledge from "./components/ProjectKnowledge";
+import ProjectSettings from "./components/ProjectSettings";
+import MessageSearch from "./components/MessageSearch";
+import HighlightedText from "./components/HighlightedText";
+import ExportMenu from "./components/ExportMenu";
+import VideoJobCard from "./components/VideoJobCard";
+import VideoSettings from "./components/VideoSettings";
+import MessageAttachments from "./components/MessageAttachments";
+import MediaLibrary from "./components/MediaLibrary";
+import ModelPicker from "./components/ModelPicker";
+import UsageDashboard from "./components/UsageDashboard";
+import ToolCalls from "./components/ToolCalls";
+import { fitVideoParams, formatVideoPrice } from "./videoModels";
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENT_BYTES,
+  attachmentKind,
+  attachmentMimeType,
+  readFileAsDataUrl,
+  unsupportedAttachmentLabels,
+} from "./attachments";
+import {
+  EMPTY_MODEL_PREFERENCES,
+  MAX_RECENT_MODELS,
+  pickDefaultModel,
+} from "./modelFilters";
 
 const INITIAL_MESSAGES = [
   {
@@ -21,19 +45,19 @@ const INITIAL_MESSAGES = [
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:3001";
 
-// 🔹 Only use the cheap video models from fal.ai
-const VIDEO_MODELS = [
-  {
-    id: "fal-ai/ovi",
-    label: "Ovi (per video)",
-    priceLabel: "Paid • ~ $0.20 / video • ≈ 5 videos per $1",
-  },
-  {
-    id: "fal-ai/wan-2.5",
-    label: "Wan 2.5 (per second)",
-    priceLabel: "Paid • ~ $0.05 / sec • ≈ 20 sec per $1",
-  },
-];
+const SYNC_STATUS_LABELS = {
+  saving: "Saving…",
+  saved: "All changes saved",
+  offline: "Offline – changes queued",
+};
+
+// messages fetched per request when opening a chat / scrolling back
+const MESSAGE_PAGE_SIZE = 100;
+
+// images uploaded for editing travel as data URLs in the request
+const MAX_IMAGE_UPLOAD_BYTES = 8 * 1024 * 1024;
+// how many alternatives "Variations" asks for
+const IMAGE_VARIATION_COUNT = 4;
 
 function createId() {
   return (
@@ -41,29 +65,84 @@ function createId() {
   );
 }
 
+// which model actually answered, kept on the assistant message
+function modelMeta(data) {
+  if (!data.model) return {};
+  return {
+    model: data.model,
+    ...(data.fallbackFrom && { fallbackFrom: data.fallbackFrom }),
+  };
+}
+
 function App() {
   // ---------- AUTH ----------
   const [token, setToken] = useState(() => localStorage.getItem("authToken"));
+  const [currentUser, setCurrentUser] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("authUser")) || null;
+    } catch {
+      return null;
+    }
+  });
+  const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [loginError, setLoginError] = useState("");
 
+  // main panel: "chat" or one of the admin/settings screens
+  const [activeView, setActiveView] = useState("chat");
+  // project the "campaigns" / "knowledge" / "projectSettings" views show
+  const [viewedProjectId, setViewedProjectId] = useState(null);
+  // message opened from search: { messageId, query } – marked until the
+  // chat changes
+  const [searchHighlight, setSearchHighlight] = useState(null);
+  const scrolledToRef = useRef(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState("");
+
   // ---------- BRAND / MODE ----------
-  const [activeBrand, setActiveBrand] = useState(BRANDS[0]);
-  const [activeMode, setActiveMode] = useState(MODES[0]);
+  // brand profiles live on the server (see BrandProfiles)
+  const [brands, setBrands] = useState([]);
+  const [activeBrandId, setActiveBrandId] = useState(null);
+  // mode templates too (see ModeTemplates) – their `kind` picks the generator
+  const [modes, setModes] = useState([]);
+  const [activeModeId, setActiveModeId] = useState(null);
 
   const [input, setInput] = useState("");
+  // image to edit with the next image-mode prompt (data URL)
+  const [imageUpload, setImageUpload] = useState(null);
+  // upload too big / nothing can edit – shown above the composer
+  const [imageEditError, setImageEditError] = useState("");
+  const [isUploadingImage, setIsUploadingImage] = useState(false);
+  // files attached to the next chat prompt (uploaded straight away)
+  const [attachments, setAttachments] = useState([]);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
   const [messages, setMessages] = useState(INITIAL_MESSAGES);
   const [isSending, setIsSending] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // AbortController of the reply currently streaming in (Stop button)
+  const streamAbortRef = useRef(null);
 
   const [models, setModels] = useState([]);
   const [selectedModel, setSelectedModel] = useState(null);
   const [isLoadingModels, setIsLoadingModels] = useState(false);
   const [modelError, setModelError] = useState(null);
-
-  // 🔹 video model selection (fal.ai) – default Ovi
-  const [selectedVideoModel, setSelectedVideoModel] = useState(
-    VIDEO_MODELS[0].id
-  );
+  // the server is serving an old copy of the model list (OpenRouter down?)
+  const [modelsStale, setModelsStale] = useState(false);
+  // favourites, recently used and per mode/brand defaults
+  const [modelPrefs, setModelPrefs] = useState(EMPTY_MODEL_PREFERENCES);
+  // "80% of your monthly budget used" notes from the last AI response
+  const [budgetWarnings, setBudgetWarnings] = useState([]);
+
+  // 🔹 video models (fal.ai) – catalogue comes from the server
+  const [videoModels, setVideoModels] = useState([]);
+  const [selectedVideoModel, setSelectedVideoModel] = useState(null);
+  const [videoParams, setVideoParams] = useState({
+    aspectRatio: "16:9",
+    durationSeconds: null,
+    audioEnabled: true,
+    negativePrompt: "",
+    seed: "",
+  });
 
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [isBrandOpen, setIsBrandOpen] = useState(false);
@@ -73,8 +152,23 @@ function App() {
   const [chats, setChats] = useState([]);
   const [activeProjectId, setActiveProjectId] = useState(null);
   const [activeChatId, setActiveChatId] = useState(null);
+  // the active chat as of right now – a chat handleNewChat just made isn't
+  // in activeChatId until the next render
+  const activeChatIdRef = useRef(null);
+  useEffect(() => {
+    activeChatIdRef.current = activeChatId;
+  }, [activeChatId]);
   const [expandedProjectId, setExpandedProjectId] = useState(null);
 
+  // ---------- SERVER SYNC ----------
+  const { syncStatus, sendChange, flushOutbox } = useServerOutbox({
+    token,
+    userId: currentUser?.id,
+    onUnauthorized: handleLogout,
+  });
+  // last version of each message sent to the server, by id
+  const persistedMessagesRef = useRef(new Map());
+
   // ---------- AUTH HANDLERS ----------
   async function handleLogin(e) {
     e.preventDefault();
@@ -86,7 +180,7 @@ function App() {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ username, password }),
       });
 
       const data = await res.json();
@@ -96,6 +190,8 @@ function App() {
       }
 
       localStorage.setItem("authToken", data.token);
+      localStorage.setItem("authUser", JSON.stringify(data.user));
+      setCurrentUser(data.user);
       setToken(data.token);
       setPassword("");
     } catch (err) {
@@ -105,10 +201,203 @@ function App() {
 
   function handleLogout() {
     localStorage.removeItem("authToken");
+    localStorage.removeItem("authUser");
     setToken(null);
+    setCurrentUser(null);
+    setActiveView("chat");
+    setBrands([]);
+    setModes([]);
     setModels([]);
     setSelectedModel(null);
     setModelError(null);
+    setModelPrefs(EMPTY_MODEL_PREFERENCES);
+  }
+
+  // ---------- CURRENT USER ----------
+  // refresh name/role (an admin may have changed them) and catch disabled accounts
+  useEffect(() => {
+    if (!token) return;
+
+    async function fetchMe() {
+      try {
+        const res = await fetch(`${API_BASE_URL}/api/me`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        if (res.status === 401) {
+          handleLogout();
+          return;
+        }
+
+        if (!res.ok) return; // keep the stored user if the backend hiccups
+
+        const data = await res.json();
+        localStorage.setItem("authUser", JSON.stringify(data.user));
+        setCurrentUser(data.user);
+      } catch (err) {
+        console.error("Error loading current user:", err);
+      }
+    }
+
+    fetchMe();
+  }, [token]);
+
+  // ---------- LOAD BRANDS ----------
+  useEffect(() => {
+    if (!token) return;
+
+    apiFetch("/api/brands", { headers: authHeaders(token) })
+      .then((data) => setBrands(data.brands || []))
+      .catch((err) => {
+        if (err.status === 401) handleLogout();
+        else console.error("Error loading brands:", err);
+      });
+  }, [token]);
+
+  // the picked brand may have been deleted – fall back to the first one
+  const activeBrand =
+    brands.find((b) => b.id === activeBrandId) || brands[0] || null;
+  const brandMeta = {
+    brand: activeBrand?.name,
+    brandId: activeBrand?.id,
+  };
+
+  // ---------- LOAD MODES ----------
+  useEffect(() => {
+    if (!token) return;
+
+    apiFetch("/api/modes", { headers: authHeaders(token) })
+      .then((data) => setModes(data.modes || []))
+      .catch((err) => {
+        if (err.status === 401) handleLogout();
+        else console.error("Error loading modes:", err);
+      });
+  }, [token]);
+
+  // ---------- LOAD VIDEO MODELS ----------
+  useEffect(() => {
+    if (!token) return;
+
+    apiFetch("/api/video/catalog", { headers: authHeaders(token) })
+      .then((data) => setVideoModels(data.models || []))
+      .catch((err) => {
+        if (err.status === 401) handleLogout();
+        else console.error("Error loading video models:", err);
+      });
+  }, [token]);
+
+  // the header picks text-to-video models; "Animate" on an image uses the
+  // first image-to-video one
+  const textToVideoModels = videoModels.filter(
+    (m) => m.kind === "text-to-video"
+  );
+  const animateModel =
+    videoModels.find((m) => m.kind === "image-to-video") || null;
+
+  const selectedVideoModelObj =
+    textToVideoModels.find((m) => m.id === selectedVideoModel) ||
+    textToVideoModels[0] ||
+    null;
+  // what the selected model can actually do with the chosen settings
+  const effectiveVideoParams = selectedVideoModelObj
+    ? fitVideoParams(selectedVideoModelObj, videoParams)
+    : videoParams;
+
+  function handleVideoParamsChange(changes) {
+    setVideoParams({ ...effectiveVideoParams, ...changes });
+  }
+
+  const activeMode =
+    modes.find((m) => m.id === activeModeId) || modes[0] || null;
+  const modeMeta = {
+    mode: activeMode?.name,
+    modeId: activeMode?.id,
+  };
+
+  // switching mode also switches to its default model (the user's own
+  // default first, see pickDefaultModel)
+  function handleSelectMode(mode, brand = activeBrand) {
+    setActiveModeId(mode.id);
+
+    if (mode.kind === "video") {
+      if (textToVideoModels.some((m) => m.id === mode.defaultModel)) {
+        setSelectedVideoModel(mode.defaultModel);
+      }
+      return;
+    }
+
+    const preferred = pickDefaultModel(
+      models.filter((m) => (mode.kind === "image" ? m.isImageCapable : true)),
+      modelPrefs,
+      mode,
+      brand
+    );
+    if (preferred) setSelectedModel(preferred.id);
+  }
+
+  // a brand with a default model of the user's switches to it
+  function handleSelectBrand(brand) {
+    setActiveBrandId(brand.id);
+
+    const brandDefault = modelPrefs.defaults.brands[brand.id];
+    if (filteredModels.some((m) => m.id === brandDefault)) {
+      setSelectedModel(brandDefault);
+    }
+  }
+
+  // optimistic – the server's answer replaces it
+  async function saveModelPrefs(changes, optimistic) {
+    setModelPrefs(optimistic);
+
+    try {
+      const data = await apiFetch("/api/model-preferences", {
+        method: "PATCH",
+        headers: authHeaders(token),
+        body: JSON.stringify(changes),
+      });
+      setModelPrefs(data.preferences);
+    } catch (err) {
+      if (err.status === 401) handleLogout();
+      else console.error("Error saving model preferences:", err);
+    }
+  }
+
+  function handleToggleFavoriteModel(modelId) {
+    const favorites = modelPrefs.favorites.includes(modelId)
+      ? modelPrefs.favorites.filter((id) => id !== modelId)
+      : [...modelPrefs.favorites, modelId];
+
+    saveModelPrefs({ favorites }, { ...modelPrefs, favorites });
+  }
+
+  // scope: "mode" | "brand"; modelId null clears the default
+  function handleSetDefaultModel(scope, modelId) {
+    const target = scope === "mode" ? activeMode : activeBrand;
+    if (!target) return;
+
+    const key = scope === "mode" ? "modes" : "brands";
+    const defaults = { ...modelPrefs.defaults[key] };
+    if (modelId) defaults[target.id] = modelId;
+    else delete defaults[target.id];
+
+    const field = scope === "mode" ? "modeDefaults" : "brandDefaults";
+    saveModelPrefs(
+      { [field]: { [target.id]: modelId } },
+      { ...modelPrefs, defaults: { ...modelPrefs.defaults, [key]: defaults } }
+    );
+  }
+
+  // the server records it too – this just keeps the picker current
+  function noteRecentModel(modelId) {
+    setModelPrefs((prev) => ({
+      ...prev,
+      recents: [modelId, ...prev.recents.filter((id) => id !== modelId)].slice(
+        0,
+        MAX_RECENT_MODELS
+      ),
+    }));
   }
 
   // ---------- LOAD MODELS (OPENROUTER) ----------
@@ -120,11 +409,17 @@ function App() {
         setIsLoadingModels(true);
         setModelError(null);
 
-        const res = await fetch(`${API_BASE_URL}/api/models`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        // preferences come with the list, so the first pick can use them
+        const [res, prefsData] = await Promise.all([
+          fetch(`${API_BASE_URL}/api/models`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }),
+          apiFetch("/api/model-preferences", {
+            headers: authHeaders(token),
+          }).catch(() => null),
+        ]);
 
         const data = await res.json();
 
@@ -137,13 +432,10 @@ function App() {
           throw new Error(data.error || "Failed to load models");
         }
 
-        const list = data.models || [];
-        setModels(list);
-
-        if (list.length > 0) {
-          const free = list.find((m) => m.isFree);
-          setSelectedModel(free ? free.id : list[0].id);
-        }
+        // the model itself is picked by the effect below, per mode
+        setModels(data.models || []);
+        setModelsStale(Boolean(data.stale));
+        if (prefsData) setModelPrefs(prefsData.preferences);
       } catch (err) {
         console.error("Error loading models:", err);
         setModelError("Could not load models from OpenRouter.");
@@ -169,9 +461,42 @@ function App() {
     return `Paid • ${prompt}/1M prompt tokens, ${completion}/1M completion tokens`;
   }
 
+  // 131072 -> "128k"
+  function formatTokenCount(tokens) {
+    if (tokens >= 1000000) return `${Math.round(tokens / 100000) / 10}M`;
+    if (tokens >= 1000) return `${Math.round(tokens / 1024)}k`;
+    return String(tokens);
+  }
+
+  function formatModelLimits(model) {
+    return [
+      model.contextLength && `${formatTokenCount(model.contextLength)} ctx`,
+      model.maxOutputTokens &&
+        `${formatTokenCount(model.maxOutputTokens)} out`,
+    ]
+      .filter(Boolean)
+      .join(" • ");
+  }
+
   // ---------- MODE FILTERING ----------
-  const isImageMode = activeMode === "Image Prompts";
-  const isVideoMode = activeMode === "Video Prompts";
+  const isImageMode = activeMode?.kind === "image";
+  const isVideoMode = activeMode?.kind === "video";
+
+  // editing needs a model that takes an image as well as making one
+  const canEditImages = (m) =>
+    m.isImageCapable && m.inputModalities?.includes("image");
+  const editModel =
+    models.find((m) => m.id === selectedModel && canEditImages(m)) ||
+    models.find(canEditImages) ||
+    null;
+  // edits may not use the selected model – say which one will
+  const editModelHint = editModel
+    ? `Uses ${editModel.name}${
+        editModel.id !== selectedModel
+          ? " (the selected model can't edit images)"
+          : ""
+      }`
+    : "None of the available models can edit images";
 
   const filteredModels = models.filter((m) => {
     if (isImageMode) return m.isImageCapable;
@@ -191,32 +516,56 @@ function App() {
     if (!compat.length) return;
 
     if (!compat.some((m) => m.id === selectedModel)) {
-      setSelectedModel(compat[0].id);
+      setSelectedModel(
+        pickDefaultModel(compat, modelPrefs, activeMode, activeBrand).id
+      );
     }
-  }, [activeMode, models, selectedModel]);
+  }, [activeMode, activeBrand, models, modelPrefs, selectedModel]);
 
   const selectedModelObj =
     filteredModels.find((m) => m.id === selectedModel) || null;
 
+  // attachments are for chat modes – image mode has its own upload
+  const canAttach = !isImageMode && !isVideoMode;
+  const isUploadingAttachment = attachments.some((a) => !a.id && !a.error);
+  const unsupportedAttachments =
+    canAttach && selectedModelObj
+      ? unsupportedAttachmentLabels(
+          selectedModelObj,
+          attachments.filter((a) => !a.error)
+        )
+      : [];
+
   // ---------- PROJECTS / CHATS INIT ----------
   useEffect(() => {
     if (!token) return; // only load after login
 
+    async function fetchJson(path) {
+      const res = await fetch(`${API_BASE_URL}${path}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!res.ok) {
+        throw new Error(`Failed to load ${path}`);
+      }
+
+      return res.json();
+    }
+
     async function loadChatState() {
       try {
-        const res = await fetch(`${API_BASE_URL}/api/chat-state`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        // push anything queued while offline before reading back
+        await flushOutbox();
 
-        if (!res.ok) {
-          throw new Error("Failed to load chat state");
-        }
+        const [projectData, chatData] = await Promise.all([
+          fetchJson("/api/projects"),
+          fetchJson("/api/chats"),
+        ]);
 
-        const data = await res.json();
-        const serverProjects = data.projects || [];
-        const serverChats = data.chats || [];
+        const serverProjects = projectData.projects || [];
+        const serverChats = chatData.chats || [];
 
         if (serverProjects.length || serverChats.length) {
           setProjects(serverProjects);
@@ -227,68 +576,188 @@ function App() {
           setActiveChatId(firstChat ? firstChat.id : null);
           setActiveProjectId(firstChat ? firstChat.projectId || null : null);
           setExpandedProjectId(firstChat?.projectId || null);
-          setMessages(
-            firstChat?.messages?.length ? firstChat.messages : INITIAL_MESSAGES
-          );
-        } else {
-          // No state in DB yet -> create default
-          const defaultProject = {
-            id: createId(),
-            name: "General",
-            createdAt: Date.now(),
-          };
-          const defaultChat = {
-            id: createId(),
-            projectId: null,
-            title: "New chat",
-            messages: INITIAL_MESSAGES,
-            createdAt: Date.now(),
-          };
-
-          setProjects([defaultProject]);
-          setChats([defaultChat]);
-          setActiveChatId(defaultChat.id);
-          setActiveProjectId(null);
-          setExpandedProjectId(null);
           setMessages(INITIAL_MESSAGES);
+
+          if (firstChat) {
+            const page = await fetchJson(
+              `/api/chats/${firstChat.id}/messages?limit=${MESSAGE_PAGE_SIZE}`
+            );
+            applyMessagePage(firstChat.id, page);
+          }
+        } else {
+          // Nothing on the server yet -> create default
+          createDefaultState();
         }
       } catch (err) {
         console.error("Error loading chat state from backend:", err);
         // Fallback: same default as above if something explodes
-        const defaultProject = {
-          id: createId(),
-          name: "General",
-          createdAt: Date.now(),
-        };
-        const defaultChat = {
-          id: createId(),
-          projectId: null,
-          title: "New chat",
-          messages: INITIAL_MESSAGES,
-          createdAt: Date.now(),
+        createDefaultState();
+      }
+    }
+
+    function createDefaultState() {
+      const defaultProject = {
+        id: createId(),
+        name: "General",
+        createdAt: Date.now(),
+      };
+      const defaultChat = {
+        id: createId(),
+        projectId: null,
+        title: "New chat",
+        messages: INITIAL_MESSAGES,
+        createdAt: Date.now(),
+      };
+
+      sendChange("POST", "/api/projects", defaultProject);
+      sendChange("POST", "/api/chats", {
+        id: defaultChat.id,
+        projectId: null,
+        title: defaultChat.title,
+        createdAt: defaultChat.createdAt,
+      });
+
+      setProjects([defaultProject]);
+      setChats([defaultChat]);
+      setActiveChatId(defaultChat.id);
+      setActiveProjectId(null);
+      setExpandedProjectId(null);
+      setMessages(INITIAL_MESSAGES);
+    }
+
+    loadChatState();
+  }, [token, flushOutbox, sendChange]);
+
+  // ---------- MESSAGES (lazy, paged) ----------
+
+  // Stores a page from GET /api/chats/:id/messages on the chat and shows it.
+  // Older pages (prepend) go in front of what's already loaded.
+  function applyMessagePage(chatId, page, { prepend = false } = {}) {
+    for (const m of page.messages) persistedMessagesRef.current.set(m.id, m);
+
+    setChats((prevChats) =>
+      prevChats.map((chat) => {
+        if (chat.id !== chatId) return chat;
+
+        const loaded = (chat.messages || INITIAL_MESSAGES).filter(
+          (m) => m.role !== "system"
+        );
+        const combined = prepend
+          ? [...page.messages, ...loaded]
+          : page.messages;
+        const nextMessages = [...INITIAL_MESSAGES, ...combined];
+
+        return {
+          ...chat,
+          messages: nextMessages,
+          hasMoreMessages: page.hasMore,
+          nextBefore: page.nextBefore,
         };
+      })
+    );
 
-        setProjects([defaultProject]);
-        setChats([defaultChat]);
-        setActiveChatId(defaultChat.id);
-        setActiveProjectId(null);
-        setExpandedProjectId(null);
-        setMessages(INITIAL_MESSAGES);
+    setMessages((prev) => {
+      const loaded = prev.filter((m) => m.role !== "system");
+      const combined = prepend ? [...page.messages, ...loaded] : page.messages;
+      return [...INITIAL_MESSAGES, ...combined];
+    });
+  }
+
+  async function loadMessages(chatId, { before } = {}) {
+    try {
+      const query = before != null ? `&before=${before}` : "";
+      const res = await fetch(
+        `${API_BASE_URL}/api/chats/${chatId}/messages?limit=${MESSAGE_PAGE_SIZE}${query}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      if (res.status === 401) {
+        handleLogout();
+        return;
+      }
+
+      // a chat created offline isn't on the server yet – nothing to load
+      if (res.status === 404) return;
+
+      if (!res.ok) {
+        throw new Error("Failed to load messages");
       }
+
+      applyMessagePage(chatId, await res.json(), {
+        prepend: before != null,
+      });
+    } catch (err) {
+      console.error("Error loading messages:", err);
     }
+  }
 
-    loadChatState();
-  }, [token]);
+  function handleLoadEarlierMessages() {
+    const chat = chats.find((c) => c.id === activeChatId);
+    if (!chat?.hasMoreMessages) return;
+    loadMessages(chat.id, { before: chat.nextBefore });
+  }
+
+  // ---------- SEARCH ----------
+  // Opens a search result's chat at the message, paging back through its
+  // history until the message is loaded.
+  async function handleOpenSearchResult(result, query) {
+    const chat = chats.find((c) => c.id === result.chatId);
+    if (!chat) return;
+
+    setActiveView("chat");
+    setActiveChatId(chat.id);
+    setActiveProjectId(chat.projectId || null);
+    setExpandedProjectId(chat.projectId || null);
+    setSearchHighlight({ messageId: result.id, query });
+    scrolledToRef.current = null;
+
+    if (chat.messages?.some((m) => m.id === result.id)) {
+      setMessages(chat.messages);
+      return;
+    }
 
-  // ---------- SAVE ----------
-  useEffect(() => {
     try {
-      localStorage.setItem("byteSizeProjects", JSON.stringify(projects));
-      localStorage.setItem("byteSizeChats", JSON.stringify(chats));
+      let page = await apiFetch(
+        `/api/chats/${chat.id}/messages?limit=${MESSAGE_PAGE_SIZE}`,
+        { headers: authHeaders(token) }
+      );
+      let loaded = page.messages;
+
+      while (!loaded.some((m) => m.id === result.id) && page.hasMore) {
+        page = await apiFetch(
+          `/api/chats/${chat.id}/messages?limit=${MESSAGE_PAGE_SIZE}&before=${page.nextBefore}`,
+          { headers: authHeaders(token) }
+        );
+        loaded = [...page.messages, ...loaded];
+      }
+
+      applyMessagePage(chat.id, {
+        messages: loaded,
+        hasMore: page.hasMore,
+        nextBefore: page.nextBefore,
+      });
     } catch (err) {
-      console.error("Error saving chat data:", err);
+      if (err.status === 401) handleLogout();
+      else console.error("Error opening search result:", err);
     }
-  }, [projects, chats]);
+  }
+
+  // once the matched message is rendered, bring it into view (just once,
+  // so later replies don't keep yanking the scroll back)
+  useEffect(() => {
+    if (!searchHighlight) return;
+    if (scrolledToRef.current === searchHighlight.messageId) return;
+
+    const el = document.getElementById(`message-${searchHighlight.messageId}`);
+    if (!el) return;
+
+    scrolledToRef.current = searchHighlight.messageId;
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [searchHighlight, messages]);
 
   // ---------- CHAT TITLE ----------
   function getChatTitleFromMessages(messages, fallback = "New chat") {
@@ -301,15 +770,47 @@ function App() {
     return trimmed.length > 40 ? trimmed.slice(0, 37) + "..." : trimmed;
   }
 
-  function setMessagesAndPersist(newMessages) {
-    setMessages(newMessages);
+  /**
+   * Shows newMessages for the chat and saves every message that is new or
+   * changed since it was last sent (the welcome banner is never saved).
+   */
+  function setMessagesAndPersist(
+    newMessages,
+    chatId = activeChatIdRef.current
+  ) {
+    const withIds = newMessages.map((m) =>
+      m.id || m.role === "system"
+        ? m
+        : { ...m, id: createId(), createdAt: Date.now() }
+    );
+
+    if (chatId === activeChatIdRef.current) setMessages(withIds);
+
+    for (const m of withIds) {
+      if (m.role === "system") continue;
+      if (persistedMessagesRef.current.get(m.id) === m) continue;
+
+      persistedMessagesRef.current.set(m.id, m);
+      sendChange("POST", `/api/chats/${chatId}/messages`, { message: m });
+    }
+
+    // outside the updater below, which React may run more than once; a
+    // chat made this render isn't in `chats` yet, so it's still "New chat"
+    const previousTitle =
+      chats.find((c) => c.id === chatId)?.title ?? "New chat";
+    const title = getChatTitleFromMessages(withIds, previousTitle);
+    if (title !== previousTitle) {
+      sendChange("PATCH", `/api/chats/${chatId}`, { title });
+    }
+
     setChats((prevChats) =>
       prevChats.map((chat) =>
-        chat.id === activeChatId
+        chat.id === chatId
           ? {
               ...chat,
-              messages: newMessages,
-              title: getChatTitleFromMessages(newMessages, chat.title),
+              messages: withIds,
+              title: getChatTitleFromMessages(withIds, chat.title),
+              updatedAt: Date.now(),
             }
           : chat
       )
@@ -327,11 +828,56 @@ function App() {
       createdAt: Date.now(),
     };
 
+    sendChange("POST", "/api/projects", project);
+
     setProjects((prev) => [...prev, project]);
     setActiveProjectId(project.id);
     setExpandedProjectId(project.id);
   }
 
+  // ---------- IMPORT ----------
+  // A .zip bundle from an export (of this instance or another): its chats
+  // come in as new ones, a project bundle as a new project.
+  async function handleImportBundle(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setIsImporting(true);
+    setImportError("");
+
+    try {
+      // the .zip goes up as it is – the server streams it to disk
+      const data = await apiFetch("/api/import", {
+        method: "POST",
+        headers: { ...authHeaders(token), "Content-Type": "application/zip" },
+        body: file,
+      });
+
+      if (data.project && !projects.some((p) => p.id === data.project.id)) {
+        setProjects((prev) => [...prev, data.project]);
+      }
+      setChats((prev) => [...data.chats, ...prev]);
+
+      const firstChat = data.chats[0];
+      if (firstChat) {
+        setActiveView("chat");
+        setActiveChatId(firstChat.id);
+        setActiveProjectId(firstChat.projectId || null);
+        setExpandedProjectId(firstChat.projectId || null);
+        setMessages(INITIAL_MESSAGES);
+        setSearchHighlight(null);
+        loadMessages(firstChat.id);
+      }
+      setIsSidebarOpen(false);
+    } catch (err) {
+      if (err.status === 401) handleLogout();
+      else setImportError(err.message || "Import failed.");
+    } finally {
+      setIsImporting(false);
+    }
+  }
+
   // ---------- DELETE PROJECT ----------
   function handleDeleteProject(projectId) {
     if (
@@ -342,32 +888,55 @@ function App() {
       return;
     }
 
+    // the server deletes the project's chats along with it
+    sendChange("DELETE", `/api/projects/${projectId}`);
+
     setProjects((prev) => prev.filter((p) => p.id !== projectId));
 
-    setChats((prevChats) => {
-      const remaining = prevChats.filter((c) => c.projectId !== projectId);
+    const remaining = chats.filter((c) => c.projectId !== projectId);
+    const activeChat = chats.find((c) => c.id === activeChatId);
 
-      const activeChat = prevChats.find((c) => c.id === activeChatId);
-      if (activeChat && activeChat.projectId === projectId) {
-        const fallback = remaining[0] || null;
-        setActiveChatId(fallback ? fallback.id : null);
-        setActiveProjectId(fallback ? fallback.projectId || null : null);
-        setExpandedProjectId(fallback?.projectId || null);
-        setMessages(fallback?.messages || INITIAL_MESSAGES);
-      }
+    if (activeChat && activeChat.projectId === projectId) {
+      const fallback = remaining[0] || null;
+      setActiveChatId(fallback ? fallback.id : null);
+      setActiveProjectId(fallback ? fallback.projectId || null : null);
+      setExpandedProjectId(fallback?.projectId || null);
+      setMessages(fallback?.messages || INITIAL_MESSAGES);
+      if (fallback && !fallback.messages) loadMessages(fallback.id);
+    }
 
-      if (activeProjectId === projectId) {
-        setActiveProjectId(null);
-        if (!remaining.length) {
-          setExpandedProjectId(null);
-        }
+    if (activeProjectId === projectId) {
+      setActiveProjectId(null);
+      if (!remaining.length) {
+        setExpandedProjectId(null);
       }
+    }
 
-      return remaining;
-    });
+    setChats(remaining);
   }
 
   // ---------- NEW CHAT ----------
+  // a project's default brand, mode and model (see ProjectSettings); the
+  // model wins over the ones the brand and mode would pick
+  function applyProjectDefaults(project) {
+    const brand = brands.find((b) => b.id === project?.defaultBrandId);
+    if (brand) handleSelectBrand(brand);
+
+    const mode = modes.find((m) => m.id === project?.defaultModeId);
+    if (mode) handleSelectMode(mode, brand || activeBrand);
+
+    const modelId = project?.defaultModel;
+    if (!modelId) return;
+
+    if ((mode || activeMode)?.kind === "video") {
+      if (textToVideoModels.some((m) => m.id === modelId)) {
+        setSelectedVideoModel(modelId);
+      }
+    } else if (models.some((m) => m.id === modelId)) {
+      setSelectedModel(modelId);
+    }
+  }
+
   function handleNewChat(projectIdOverride) {
     const projectId = projectIdOverride ?? null;
 
@@ -379,11 +948,23 @@ function App() {
       createdAt: Date.now(),
     };
 
+    sendChange("POST", "/api/chats", {
+      id: chat.id,
+      projectId,
+      title: chat.title,
+      createdAt: chat.createdAt,
+    });
+
     setChats((prev) => [chat, ...prev]);
     setActiveChatId(chat.id);
+    activeChatIdRef.current = chat.id;
     setActiveProjectId(projectId);
     setExpandedProjectId(projectId || null);
     setMessages(INITIAL_MESSAGES);
+    setSearchHighlight(null);
+    applyProjectDefaults(projects.find((p) => p.id === projectId));
+
+    return chat;
   }
 
   // ---------- SELECT CHAT ----------
@@ -395,38 +976,40 @@ function App() {
     setActiveProjectId(chat.projectId || null);
     setExpandedProjectId(chat.projectId || null);
     setMessages(chat.messages || INITIAL_MESSAGES);
+    setSearchHighlight(null);
+
+    // first visit this session -> fetch the latest page
+    if (!chat.messages) loadMessages(chatId);
   }
 
   // ---------- DELETE CHAT ----------
   function handleDeleteChat(chatId) {
     if (!window.confirm("Delete this chat? This cannot be undone.")) return;
 
-    setChats((prev) => {
-      const remaining = prev.filter((c) => c.id !== chatId);
+    sendChange("DELETE", `/api/chats/${chatId}`);
 
-      if (chatId === activeChatId) {
-        const sameProjectChats = remaining.filter(
-          (c) => c.projectId === activeProjectId
-        );
+    const remaining = chats.filter((c) => c.id !== chatId);
 
-        if (sameProjectChats.length > 0) {
-          const switchTo = sameProjectChats[0];
-          setActiveChatId(switchTo.id);
-          setMessages(switchTo.messages);
-        } else if (remaining.length > 0) {
-          const switchTo = remaining[0];
-          setActiveChatId(switchTo.id);
-          setActiveProjectId(switchTo.projectId || null);
-          setExpandedProjectId(switchTo.projectId || null);
-          setMessages(switchTo.messages);
-        } else {
-          setActiveChatId(null);
-          setMessages(INITIAL_MESSAGES);
-        }
+    if (chatId === activeChatId) {
+      const sameProjectChats = remaining.filter(
+        (c) => c.projectId === activeProjectId
+      );
+
+      const switchTo = sameProjectChats[0] || remaining[0] || null;
+
+      if (switchTo) {
+        setActiveChatId(switchTo.id);
+        setActiveProjectId(switchTo.projectId || null);
+        setExpandedProjectId(switchTo.projectId || null);
+        setMessages(switchTo.messages || INITIAL_MESSAGES);
+        if (!switchTo.messages) loadMessages(switchTo.id);
+      } else {
+        setActiveChatId(null);
+        setMessages(INITIAL_MESSAGES);
       }
+    }
 
-      return remaining;
-    });
+    setChats(remaining);
   }
 
   // ---------- TOGGLE PROJECT ----------
@@ -441,6 +1024,9 @@ function App() {
   }
 
   const globalChats = chats.filter((chat) => !chat.projectId);
+  const activeChat = chats.find((chat) => chat.id === activeChatId) || null;
+  const viewedProject =
+    projects.find((p) => p.id === viewedProjectId) || null;
 
   // ---------- VIDEO PROMPT HANDLER (fal.ai) ----------
   async function handleVideoPrompt(promptText) {
@@ -449,35 +1035,87 @@ function App() {
       return;
     }
 
-    if (!activeChatId) {
-      handleNewChat();
-    }
+    const chatId = activeChatId || handleNewChat().id;
 
     const userMessage = {
+      id: createId(),
       role: "user",
       text: promptText,
-      meta: { brand: activeBrand, mode: activeMode },
+      meta: { ...brandMeta, ...modeMeta },
+      createdAt: Date.now(),
     };
 
     const newMessages = [...messages, userMessage];
-    setMessagesAndPersist(newMessages);
+    setMessagesAndPersist(newMessages, chatId);
     setInput("");
+
+    await requestVideoJob(
+      "/api/video",
+      {
+        prompt: promptText,
+        ...effectiveVideoParams,
+        model: selectedVideoModelObj?.id,
+        ...brandMeta,
+        // a new chat is never in a project
+        projectId: activeChatId ? activeChat?.projectId ?? null : null,
+      },
+      newMessages,
+      chatId
+    );
+  }
+
+  // "Animate" on an image message – image-to-video in the same chat
+  async function handleAnimateImage(imageMessage) {
+    if (!animateModel || !activeChatId) return;
+
+    const motionPrompt = window.prompt(
+      "How should this image move? (e.g. slow zoom in, leaves blowing)"
+    );
+    if (!motionPrompt?.trim()) return;
+
+    const chatId = activeChatId;
+
+    const userMessage = {
+      id: createId(),
+      role: "user",
+      text: `🎞️ Animate image: ${motionPrompt.trim()}`,
+      meta: { ...brandMeta, ...modeMeta },
+      createdAt: Date.now(),
+    };
+
+    const newMessages = [...messages, userMessage];
+    setMessagesAndPersist(newMessages, chatId);
+
+    await requestVideoJob(
+      "/api/video/animate",
+      {
+        prompt: motionPrompt.trim(),
+        ...fitVideoParams(animateModel, videoParams),
+        model: animateModel.id,
+        sourceMessageId: imageMessage.id,
+        ...brandMeta,
+      },
+      newMessages,
+      chatId
+    );
+  }
+
+  // starts a video job and appends its progress card to the chat
+  async function requestVideoJob(path, body, newMessages, chatId) {
     setIsSending(true);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/video`, {
+      // the server writes the job's reply into the chat itself, so the chat
+      // and this prompt have to be there first
+      await flushOutbox();
+
+      const response = await fetch(`${API_BASE_URL}${path}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({
-          prompt: promptText,
-          aspectRatio: "16:9",
-          durationSeconds: 6,
-          audioEnabled: true,
-          model: selectedVideoModel,
-        }),
+        body: JSON.stringify({ ...body, chatId, messageId: createId() }),
       });
 
       const data = await response.json();
@@ -490,127 +1128,519 @@ function App() {
       if (!response.ok) {
         throw new Error(data.error || "Video request failed");
       }
+      setBudgetWarnings(data.budgetWarnings || []);
+
+      // progress card – already saved by the server
+      persistedMessagesRef.current.set(data.message.id, data.message);
+      setMessagesAndPersist([...newMessages, data.message], chatId);
+    } catch (err) {
+      console.error("Backend video error:", err);
+      const errorMessage = {
+        id: createId(),
+        role: "assistant",
+        text:
+          err.message ||
+          "Your backend returned an error while generating video. Check the server console for details.",
+        error: true,
+        createdAt: Date.now(),
+      };
+      setMessagesAndPersist([...newMessages, errorMessage], chatId);
+    } finally {
+      setIsSending(false);
+    }
+  }
+
+  // scrolls to a message, if it's loaded (older pages may not be)
+  function handleShowMessage(id) {
+    document
+      .getElementById(`message-${id}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  // a finished job's message was written by the server – just mirror it
+  function handleJobFinished(message) {
+    persistedMessagesRef.current.set(message.id, message);
+    setMessagesAndPersist(
+      messages.map((m) => (m.id === message.id ? message : m))
+    );
+  }
+
+  // ---------- SEND ----------
+  async function handleSend(e) {
+    e.preventDefault();
+    const trimmed = input.trim();
+    if (!trimmed) return;
+    if (!token) {
+      alert("Not authenticated. Please log in again.");
+      return;
+    }
+
+    // Route video prompts to fal.ai endpoint
+    if (isVideoMode) {
+      await handleVideoPrompt(trimmed);
+      return;
+    }
+
+    const chatId = activeChatId || handleNewChat().id;
+
+    if (!selectedModel) {
+      const assistantNotice = {
+        id: createId(),
+        role: "assistant",
+        text:
+          "No model selected. Please wait for models to load or check the model loading error.",
+        error: true,
+        createdAt: Date.now(),
+      };
+      const updated = [...messages, assistantNotice];
+      setMessagesAndPersist(updated, chatId);
+      return;
+    }
+
+    // an uploaded image turns the prompt into an edit of that image
+    const sourceImageUrl = isImageMode ? imageUpload : null;
+    const modelId = sourceImageUrl && editModel ? editModel.id : selectedModel;
+    if (modelId) noteRecentModel(modelId);
+
+    const attached = canAttach
+      ? attachments
+          .filter((a) => a.id)
+          .map(({ id, name, mimeType, kind, size }) => ({
+            id,
+            name,
+            mimeType,
+            kind,
+            size,
+          }))
+      : [];
+
+    const userMessage = {
+      id: createId(),
+      role: "user",
+      text: trimmed,
+      ...(sourceImageUrl && { imageUrl: sourceImageUrl }),
+      ...(attached.length && { attachments: attached }),
+      meta: { ...brandMeta, ...modeMeta },
+      createdAt: Date.now(),
+    };
+
+    const newMessages = [...messages, userMessage];
+    setMessagesAndPersist(newMessages, chatId);
+    setInput("");
+    setImageUpload(null);
+    setAttachments([]);
+    setIsSending(true);
+
+    const requestBody = {
+      prompt: trimmed,
+      // earlier turns, so follow-ups keep their context
+      history: messages.map((m) => ({
+        role: m.role,
+        text: m.text,
+        error: m.error || undefined,
+        attachments: m.attachments,
+      })),
+      chatId,
+      // a new chat is never in a project
+      projectId: activeChatId ? activeChat?.projectId ?? null : null,
+      ...brandMeta,
+      ...modeMeta,
+      modelId,
+      model: modelId,
+      clientDate: new Date().toISOString(),
+      // so "today" is the user's date, not UTC's
+      clientTimezoneOffset: new Date().getTimezoneOffset(),
+      ...(sourceImageUrl && { sourceImageUrl }),
+      ...(attached.length && { attachmentIds: attached.map((a) => a.id) }),
+    };
+
+    // Image generation isn't streamed – everything else is
+    if (isImageMode && filteredModels.length > 0) {
+      await sendImageRequest(requestBody, newMessages, chatId);
+    } else {
+      await streamAiReply(requestBody, newMessages, chatId);
+    }
+  }
+
+  async function sendImageRequest(requestBody, newMessages, chatId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/image`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(requestBody),
+      });
+
+      const data = await response.json();
+
+      if (response.status === 401) {
+        handleLogout();
+        throw new Error("Unauthorized. Please log in again.");
+      }
+
+      if (!response.ok) throw new Error(data.error || "AI request failed");
+      setBudgetWarnings(data.budgetWarnings || []);
 
       const assistantMessage = {
+        id: createId(),
+        role: "assistant",
+        text: data.reply,
+        imageUrl: data.imageUrl || null,
+        // variations – imageUrl is whichever one is picked
+        ...(data.imageUrls?.length > 1 && { imageUrls: data.imageUrls }),
+        ...modelMeta(data),
+        createdAt: Date.now(),
+      };
+
+      setMessagesAndPersist([...newMessages, assistantMessage], chatId);
+    } catch (err) {
+      console.error("Backend error:", err);
+
+      const errorMessage = {
+        id: createId(),
         role: "assistant",
-        text: "Here’s your generated video:",
-        type: "video",
-        videoUrl: data.videoUrl || null,
+        text:
+          err.message ||
+          "Your backend returned an error while talking to OpenRouter. Check the server console for details.",
+        error: true,
+        createdAt: Date.now(),
       };
 
-      setMessagesAndPersist([...newMessages, assistantMessage]);
-    } catch (err) {
-      console.error("Backend video error:", err);
-      const errorMessage = {
-        role: "assistant",
-        text:
-          err.message ||
-          "Your backend returned an error while generating video. Check the server console for details.",
-      };
-      setMessagesAndPersist([...newMessages, errorMessage]);
-    } finally {
-      setIsSending(false);
+      setMessagesAndPersist([...newMessages, errorMessage], chatId);
+    } finally {
+      setIsSending(false);
+    }
+  }
+
+  // ---------- ATTACHMENTS ----------
+  // dropped, pasted or picked files – each one uploads right away
+  function handleAddAttachments(fileList) {
+    for (const file of Array.from(fileList)) {
+      const mimeType = attachmentMimeType(file);
+      const pending = {
+        localId: createId(),
+        name: file.name,
+        mimeType,
+        kind: mimeType ? attachmentKind(mimeType) : null,
+        size: file.size,
+      };
+
+      if (!mimeType) {
+        pending.error = "Can't attach this type";
+      } else if (file.size > MAX_ATTACHMENT_BYTES) {
+        pending.error = "Over 10 MB";
+      }
+
+      setAttachments((prev) => [...prev, pending]);
+      if (!pending.error) uploadAttachment(file, pending);
+    }
+  }
+
+  async function uploadAttachment(file, pending) {
+    try {
+      const data = await apiFetch("/api/attachments", {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify({
+          name: file.name,
+          mimeType: pending.mimeType,
+          data: await readFileAsDataUrl(file),
+        }),
+      });
+
+      setAttachments((prev) =>
+        prev.map((a) =>
+          a.localId === pending.localId
+            ? { ...data.attachment, localId: pending.localId }
+            : a
+        )
+      );
+    } catch (err) {
+      if (err.status === 401) {
+        handleLogout();
+        return;
+      }
+      setAttachments((prev) =>
+        prev.map((a) =>
+          a.localId === pending.localId
+            ? { ...a, error: err.message || "Upload failed" }
+            : a
+        )
+      );
+    }
+  }
+
+  function handleRemoveAttachment(attachment) {
+    setAttachments((prev) =>
+      prev.filter((a) => a.localId !== attachment.localId)
+    );
+
+    if (attachment.id) {
+      apiFetch(`/api/attachments/${attachment.id}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      }).catch((err) => console.error("Error deleting attachment:", err));
+    }
+  }
+
+  function handleComposerDrop(e) {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    if (canAttach && e.dataTransfer.files.length) {
+      handleAddAttachments(e.dataTransfer.files);
     }
   }
 
-  // ---------- SEND ----------
-  async function handleSend(e) {
+  function handleComposerPaste(e) {
+    if (!canAttach || !e.clipboardData.files.length) return;
     e.preventDefault();
-    const trimmed = input.trim();
-    if (!trimmed) return;
-    if (!token) {
-      alert("Not authenticated. Please log in again.");
+    handleAddAttachments(e.clipboardData.files);
+  }
+
+  // ---------- IMAGE EDITS & VARIATIONS ----------
+  // the image goes in the media library first, so the prompt's message
+  // only carries its /media/ URL
+  async function handleImageUpload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    if (file.size > MAX_IMAGE_UPLOAD_BYTES) {
+      setImageEditError("That image is too big – keep it under 8 MB.");
       return;
     }
 
-    // Route video prompts to fal.ai endpoint
-    if (isVideoMode) {
-      await handleVideoPrompt(trimmed);
-      return;
+    setImageEditError("");
+    setIsUploadingImage(true);
+
+    try {
+      const data = await apiFetch("/api/media", {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify({
+          mimeType: file.type,
+          data: await readFileAsDataUrl(file),
+          brandId: brandMeta.brandId,
+          projectId: activeChatId ? activeChat?.projectId ?? null : null,
+          chatId: activeChatId,
+        }),
+      });
+
+      setImageUpload(data.media.url);
+    } catch (err) {
+      if (err.status === 401) handleLogout();
+      else setImageEditError(err.message || "Upload failed.");
+    } finally {
+      setIsUploadingImage(false);
     }
+  }
 
-    if (!activeChatId) handleNewChat();
+  // "Edit in chat" from the media library – next image prompt edits it
+  function handleReuseImage(url) {
+    const imageMode = modes.find((m) => m.kind === "image");
+    if (imageMode) handleSelectMode(imageMode);
+    setImageUpload(url);
+    setActiveView("chat");
+  }
 
-    if (!selectedModel) {
-      const assistantNotice = {
-        role: "assistant",
-        text:
-          "No model selected. Please wait for models to load or check the model loading error.",
-      };
-      const updated = [...messages, assistantNotice];
-      setMessagesAndPersist(updated);
+  // "Edit" / "Variations" on an image message
+  async function handleImageAction(imageMessage, { variations = false } = {}) {
+    if (!editModel) {
+      setImageEditError("None of the available models can edit images.");
       return;
     }
+    setImageEditError("");
+
+    const instruction = window.prompt(
+      `${
+        variations
+          ? "Anything the variations should change? (optional)"
+          : "How should this image be edited?"
+      } – ${editModel.name} will make them.`
+    );
+    if (instruction === null) return;
+    if (!variations && !instruction.trim()) return;
+
+    const chatId = activeChatId;
+    const details = instruction.trim();
 
     const userMessage = {
+      id: createId(),
       role: "user",
-      text: trimmed,
-      meta: { brand: activeBrand, mode: activeMode },
+      text: variations
+        ? `🔀 ${IMAGE_VARIATION_COUNT} variations${details ? `: ${details}` : ""}`
+        : `✏️ Edit image: ${details}`,
+      meta: { ...brandMeta, ...modeMeta },
+      createdAt: Date.now(),
     };
 
     const newMessages = [...messages, userMessage];
-    setMessagesAndPersist(newMessages);
-    setInput("");
+    setMessagesAndPersist(newMessages, chatId);
     setIsSending(true);
 
-    try {
-      const endpoint =
-        isImageMode && filteredModels.length > 0
-          ? `${API_BASE_URL}/api/image`
-          : `${API_BASE_URL}/api/ai`;
+    await sendImageRequest(
+      {
+        prompt: variations
+          ? `Create a variation of this image. ${details}`.trim()
+          : details,
+        sourceImageUrl: imageMessage.imageUrl,
+        count: variations ? IMAGE_VARIATION_COUNT : 1,
+        ...brandMeta,
+        modelId: editModel.id,
+        model: editModel.id,
+        chatId,
+        projectId: activeChat?.projectId ?? null,
+      },
+      newMessages,
+      chatId
+    );
+  }
+
+  // picking one of a message's variations makes it the message's image
+  function handleSelectVariation(messageId, imageUrl) {
+    setMessagesAndPersist(
+      messages.map((m) => (m.id === messageId ? { ...m, imageUrl } : m))
+    );
+  }
 
-      const response = await fetch(endpoint, {
+  // ---------- STREAMING REPLY (SSE) ----------
+  async function streamAiReply(requestBody, newMessages, chatId) {
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+    setIsStreaming(true);
+    const replyId = createId();
+    let replyText = "";
+    // Campaign Builder answers with a saved plan instead of deltas
+    let campaign = null;
+    // which model answered (a fallback, if the chosen one was busy)
+    let answeredBy = {};
+    // tools the model ran, shown as they finish
+    let toolCalls = [];
+    // knowledge base passages the reply cites
+    let sources = [];
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/ai/stream`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({
-          prompt: trimmed,
-          brand: activeBrand,
-          mode: activeMode,
-          modelId: selectedModel,
-          model: selectedModel,
-          clientDate: new Date().toISOString(),
-        }),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
       });
 
-      const data = await response.json();
-
       if (response.status === 401) {
         handleLogout();
         throw new Error("Unauthorized. Please log in again.");
       }
 
-      if (!response.ok) throw new Error(data.error || "AI request failed");
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "AI request failed");
+      }
 
-      const assistantMessage = {
-        role: "assistant",
-        text: data.reply,
-        imageUrl: data.imageUrl || null,
-      };
+      // live bubble – only the final text gets persisted to the chat
+      setMessages([
+        ...newMessages,
+        { id: replyId, role: "assistant", text: "", streaming: true },
+      ]);
+
+      await readEventStream(response, (event, data) => {
+        if (event === "delta" || event === "tool") {
+          if (event === "delta") replyText += data.text;
+          else toolCalls = [...toolCalls, data];
+
+          setMessages([
+            ...newMessages,
+            {
+              id: replyId,
+              role: "assistant",
+              text: replyText,
+              ...(toolCalls.length && { toolCalls }),
+              streaming: true,
+            },
+          ]);
+        } else if (event === "done") {
+          replyText = data.reply;
+          campaign = data.campaign || null;
+          answeredBy = modelMeta(data);
+          toolCalls = data.toolCalls || toolCalls;
+          sources = data.sources || [];
+          setBudgetWarnings(data.budgetWarnings || []);
+        } else if (event === "error") {
+          throw new Error(data.error || "AI request failed");
+        }
+      });
 
-      setMessagesAndPersist([...newMessages, assistantMessage]);
+      setMessagesAndPersist(
+        [
+          ...newMessages,
+          {
+            id: replyId,
+            role: "assistant",
+            text: replyText,
+            ...(campaign && { type: "campaign", campaignId: campaign.id }),
+            ...answeredBy,
+            ...(toolCalls.length && { toolCalls }),
+            ...(sources.length && { sources }),
+            createdAt: Date.now(),
+          },
+        ],
+        chatId
+      );
     } catch (err) {
+      if (err.name === "AbortError") {
+        // keep whatever arrived before Stop was pressed
+        setMessagesAndPersist(
+          [
+            ...newMessages,
+            {
+              id: replyId,
+              role: "assistant",
+              text: replyText ? `${replyText}\n\n[stopped]` : "[stopped]",
+              stopped: true,
+              createdAt: Date.now(),
+            },
+          ],
+          chatId
+        );
+        return;
+      }
+
       console.error("Backend error:", err);
 
       const errorMessage = {
+        id: replyId,
         role: "assistant",
         text:
           err.message ||
           "Your backend returned an error while talking to OpenRouter. Check the server console for details.",
+        error: true,
+        createdAt: Date.now(),
       };
 
-      setMessagesAndPersist([...newMessages, errorMessage]);
+      setMessagesAndPersist([...newMessages, errorMessage], chatId);
     } finally {
+      streamAbortRef.current = null;
+      setIsStreaming(false);
       setIsSending(false);
     }
   }
 
+  function handleStopStreaming() {
+    streamAbortRef.current?.abort();
+  }
+
   // ---------- SEND BUTTON DISABLED STATE ----------
   const disableSend =
     isSending ||
     !input.trim() ||
+    (canAttach && isUploadingAttachment) ||
+    isUploadingImage ||
+    (isVideoMode && !selectedVideoModelObj) ||
     (!isVideoMode &&
       (isLoadingModels || !selectedModel || filteredModels.length === 0));
 
@@ -629,17 +1659,32 @@ function App() {
               Leonard's Private AI
             </h1>
             <p className="text-xs text-zinc-400 mt-1 text-center">
-              This portal is locked. Enter your access password to continue.
+              This portal is locked. Sign in with your team account to continue.
             </p>
           </div>
 
           <form onSubmit={handleLogin} className="space-y-3">
             <div className="space-y-1">
               <label className="text-[11px] uppercase tracking-wide text-zinc-500">
-                Access password
+                Username
+              </label>
+              <input
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-sm text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
+                placeholder="you"
+              />
+            </div>
+
+            <div className="space-y-1">
+              <label className="text-[11px] uppercase tracking-wide text-zinc-500">
+                Password
               </label>
               <input
                 type="password"
+                autoComplete="current-password"
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 className="w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-sm text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
@@ -712,6 +1757,19 @@ function App() {
             <span className="font-medium">New chat</span>
           </button>
 
+          {/* SEARCH */}
+          <button
+            type="button"
+            onClick={() => {
+              setActiveView("search");
+              setIsSidebarOpen(false);
+            }}
+            className="mb-4 -mt-2 inline-flex items-center justify-center gap-2 rounded-md border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 text-xs py-1.5 px-3 transition"
+          >
+            <span>🔍</span>
+            <span>Search messages</span>
+          </button>
+
           {/* BRAND */}
           <div className="mb-3 relative">
             <button
@@ -726,30 +1784,60 @@ function App() {
               <span className="text-[11px] uppercase text-white">
                 Active brand
               </span>
-              <span className="text-[11px] text-white">{activeBrand}</span>
+              <span className="flex items-center gap-2 text-[11px] text-white">
+                {activeBrand?.logoUrl && (
+                  <img
+                    src={activeBrand.logoUrl}
+                    alt=""
+                    className="h-4 w-4 rounded-sm object-contain"
+                  />
+                )}
+                {activeBrand?.name || "None"}
+              </span>
             </button>
 
             {isBrandOpen && (
               <div className="absolute z-50 mt-1 w-full rounded-md bg-black border border-[#130dbb] shadow-lg">
-                {BRANDS.map((b) => (
+                {brands.map((b) => (
                   <button
-                    key={b}
+                    key={b.id}
                     type="button"
                     onClick={() => {
-                      setActiveBrand(b);
+                      handleSelectBrand(b);
                       setIsBrandOpen(false);
                     }}
-                    className={`w-full text-left px-3 py-2 text-xs border border-[#130dbb] rounded-md mb-1
+                    className={`w-full flex items-center justify-between text-left px-3 py-2 text-xs border border-[#130dbb] rounded-md mb-1
                     ${
-                      activeBrand === b
+                      activeBrand?.id === b.id
                         ? "bg-[#130dbb] text-white"
                         : "bg-black text-zinc-200 hover:bg-zinc-900"
                     }
                   `}
                   >
-                    {b}
+                    <span className="truncate">{b.name}</span>
+                    <span className="flex gap-0.5">
+                      {b.palette.slice(0, 4).map((colour, index) => (
+                        <span
+                          key={`${colour}-${index}`}
+                          className="h-2.5 w-2.5 rounded-full border border-zinc-700"
+                          style={{ backgroundColor: colour }}
+                        />
+                      ))}
+                    </span>
                   </button>
                 ))}
+
+                <button
+                  type="button"
+                  onClick={() => {
+                    setActiveView("brands");
+                    setIsBrandOpen(false);
+                    setIsSidebarOpen(false);
+                  }}
+                  className="w-full text-left px-3 py-2 text-[11px] text-zinc-400 hover:text-zinc-100 hover:bg-zinc-900 rounded-md transition"
+                >
+                  Edit brand profiles…
+                </button>
               </div>
             )}
           </div>
@@ -766,31 +1854,47 @@ function App() {
               text-left text-xs flex items-center justify-between hover:bg-[#2620e6] transition"
             >
               <span className="text-[11px] uppercase text-white">Mode</span>
-              <span className="text-[11px] text-white">{activeMode}</span>
+              <span className="text-[11px] text-white">
+                {activeMode?.name || "…"}
+              </span>
             </button>
 
             {isModeOpen && (
               <div className="absolute z-50 mt-1 w-full rounded-md bg-black border border-[#130dbb] shadow-lg">
-                {MODES.map((mode) => (
+                {modes.map((mode) => (
                   <button
-                    key={mode}
+                    key={mode.id}
                     type="button"
                     onClick={() => {
-                      setActiveMode(mode);
+                      handleSelectMode(mode);
                       setIsModeOpen(false);
                       setIsSidebarOpen(false);
                     }}
                     className={`w-full text-left px-3 py-2 text-xs border border-[#130dbb] rounded-md mb-1
                     ${
-                      activeMode === mode
+                      activeMode?.id === mode.id
                         ? "bg-[#130dbb] text-white"
                         : "bg-black text-zinc-200 hover:bg-zinc-900"
                     }
                   `}
                   >
-                    {mode}
+                    {mode.name}
                   </button>
                 ))}
+
+                {currentUser?.role === "admin" && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setActiveView("modes");
+                      setIsModeOpen(false);
+                      setIsSidebarOpen(false);
+                    }}
+                    className="w-full text-left px-3 py-2 text-[11px] text-zinc-400 hover:text-zinc-100 hover:bg-zinc-900 rounded-md transition"
+                  >
+                    Edit mode templates…
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -933,6 +2037,50 @@ function App() {
                         >
                           + New chat in {project.name}
                         </button>
+
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setViewedProjectId(project.id);
+                            setActiveView("campaigns");
+                            setIsSidebarOpen(false);
+                          }}
+                          className="mt-1 ml-1 inline-flex items-center text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+                        >
+                          Campaigns
+                        </button>
+
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setViewedProjectId(project.id);
+                            setActiveView("knowledge");
+                            setIsSidebarOpen(false);
+                          }}
+                          className="mt-1 ml-1 inline-flex items-center text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+                        >
+                          Knowledge
+                        </button>
+
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setViewedProjectId(project.id);
+                            setActiveView("projectSettings");
+                            setIsSidebarOpen(false);
+                          }}
+                          className="mt-1 ml-1 inline-flex items-center text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+                        >
+                          Settings
+                        </button>
+
+                        <ExportMenu
+                          token={token}
+                          path={`/api/projects/${project.id}/export`}
+                          name={project.name}
+                          onUnauthorized={handleLogout}
+                          className="mt-1 ml-1"
+                        />
                       </div>
                     )}
                   </div>
@@ -948,7 +2096,70 @@ function App() {
           </div>
 
           {/* LOG OUT BUTTON AT BOTTOM */}
-          <div className="pt-3 border-t border-zinc-800 mt-3">
+          <div className="pt-3 border-t border-zinc-800 mt-3 space-y-2">
+            {currentUser && (
+              <p className="text-[11px] text-zinc-500 px-1 truncate">
+                Signed in as{" "}
+                <span className="text-zinc-300">{currentUser.name}</span>
+              </p>
+            )}
+
+            <button
+              type="button"
+              onClick={() => {
+                setActiveView("media");
+                setIsSidebarOpen(false);
+              }}
+              className="w-full rounded-md border border-zinc-700 text-zinc-200 text-xs py-2 hover:bg-zinc-800/70 transition"
+            >
+              Media library
+            </button>
+
+            <label
+              className={`block w-full text-center rounded-md border border-zinc-700 text-zinc-200 text-xs py-2 transition ${
+                isImporting
+                  ? "opacity-50 cursor-wait"
+                  : "hover:bg-zinc-800/70 cursor-pointer"
+              }`}
+              title="A .zip bundle exported from a chat or project"
+            >
+              {isImporting ? "Importing..." : "Import chats / project"}
+              <input
+                type="file"
+                accept=".zip,application/zip"
+                disabled={isImporting}
+                onChange={handleImportBundle}
+                className="hidden"
+              />
+            </label>
+            {importError && (
+              <p className="text-[11px] text-red-400">{importError}</p>
+            )}
+
+            <button
+              type="button"
+              onClick={() => {
+                setActiveView("usage");
+                setIsSidebarOpen(false);
+              }}
+              className="w-full rounded-md border border-zinc-700 text-zinc-200 text-xs py-2 hover:bg-zinc-800/70 transition"
+            >
+              Usage & spend
+            </button>
+
+            {currentUser?.role === "admin" && (
+              <button
+                type="button"
+                onClick={() => {
+                  setActiveView("users");
+                  setIsSidebarOpen(false);
+                }}
+                className="w-full rounded-md border border-zinc-700 text-zinc-200 text-xs py-2 hover:bg-zinc-800/70 transition"
+              >
+                Manage users
+              </button>
+            )}
+
             <button
               type="button"
               onClick={handleLogout}
@@ -983,23 +2194,21 @@ function App() {
                   {isVideoMode ? (
                     <>
                       <select
-                        value={selectedVideoModel}
+                        value={selectedVideoModelObj?.id || ""}
                         onChange={(e) => setSelectedVideoModel(e.target.value)}
                         className="rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] md:text-xs text-zinc-100 focus:outline-none focus:border-zinc-300"
                       >
-                        {VIDEO_MODELS.map((vm) => (
+                        {textToVideoModels.map((vm) => (
                           <option key={vm.id} value={vm.id}>
                             {vm.label}
                           </option>
                         ))}
                       </select>
-                      <span className="text-zinc-500">
-                        {
-                          VIDEO_MODELS.find(
-                            (vm) => vm.id === selectedVideoModel
-                          )?.priceLabel
-                        }
-                      </span>
+                      {selectedVideoModelObj && (
+                        <span className="text-zinc-500">
+                          {formatVideoPrice(selectedVideoModelObj)}
+                        </span>
+                      )}
                     </>
                   ) : (
                     <>
@@ -1017,36 +2226,40 @@ function App() {
                         !modelError &&
                         filteredModels.length > 0 && (
                           <>
-                            <select
-                              value={selectedModel || ""}
-                              onChange={(e) =>
-                                setSelectedModel(e.target.value || null)
-                              }
-                              className="rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] md:text-xs text-zinc-100 focus:outline-none focus:border-zinc-300"
-                            >
-                              {filteredModels.map((m) => {
-                                const p = m.pricing?.prompt;
-                                const c = m.pricing?.completion;
-                                const paidLabel =
-                                  !m.isFree && p != null && c != null
-                                    ? `Paid • ${p}/${c} per 1M`
-                                    : !m.isFree
-                                    ? "Paid"
-                                    : "Free";
-
-                                return (
-                                  <option key={m.id} value={m.id}>
-                                    {m.name} ({paidLabel})
-                                  </option>
-                                );
-                              })}
-                            </select>
+                            <ModelPicker
+                              models={filteredModels}
+                              selectedModel={selectedModelObj}
+                              preferences={modelPrefs}
+                              activeMode={activeMode}
+                              activeBrand={activeBrand}
+                              onSelect={setSelectedModel}
+                              onToggleFavorite={handleToggleFavoriteModel}
+                              onSetDefault={handleSetDefaultModel}
+                            />
 
                             {selectedModelObj && (
                               <span className="text-zinc-500">
                                 {formatPrice(selectedModelObj.pricing)}
                               </span>
                             )}
+
+                            {selectedModelObj &&
+                              formatModelLimits(selectedModelObj) && (
+                                <span
+                                  className="text-zinc-500"
+                                  title="Context window • max reply length (tokens)"
+                                >
+                                  {formatModelLimits(selectedModelObj)}
+                                </span>
+                              )}
+
+                            {unsupportedAttachments.length > 0 && (
+                              <span className="text-amber-400">
+                                ⚠️ This model can't read attached{" "}
+                                {unsupportedAttachments.join(" or ")} – pick
+                                one that can
+                              </span>
+                            )}
                           </>
                         )}
 
@@ -1063,6 +2276,17 @@ function App() {
               </div>
             </div>
 
+            {activeView === "chat" && activeChat && (
+              <ExportMenu
+                key={activeChat.id}
+                token={token}
+                path={`/api/chats/${activeChat.id}/export`}
+                name={activeChat.title}
+                onUnauthorized={handleLogout}
+                align="right"
+              />
+            )}
+
             <div className="hidden sm:block text-[11px] md:text-xs text-zinc-400 text-right">
               <span>Status:</span>
               <span className="text-emerald-400">
@@ -1070,109 +2294,567 @@ function App() {
                 Backend connected • Models{" "}
                 {isLoadingModels ? "loading" : "ready"}
               </span>
+              {!isLoadingModels && modelsStale && (
+                <span
+                  className="text-amber-400"
+                  title="OpenRouter couldn't be reached – showing the last model list we got."
+                >
+                  {" "}
+                  (cached list)
+                </span>
+              )}
+              {SYNC_STATUS_LABELS[syncStatus] && (
+                <span
+                  className={
+                    syncStatus === "offline"
+                      ? "text-amber-400"
+                      : "text-zinc-500"
+                  }
+                >
+                  {" "}
+                  • {SYNC_STATUS_LABELS[syncStatus]}
+                </span>
+              )}
             </div>
           </header>
 
+          {activeView === "brands" && (
+            <BrandProfiles
+              token={token}
+              currentUser={currentUser}
+              brands={brands}
+              onBrandsChange={setBrands}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "campaigns" && viewedProject && (
+            <ProjectCampaigns
+              key={viewedProject.id}
+              token={token}
+              project={viewedProject}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "knowledge" && viewedProject && (
+            <ProjectKnowledge
+              key={viewedProject.id}
+              token={token}
+              project={viewedProject}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "projectSettings" && viewedProject && (
+            <ProjectSettings
+              key={viewedProject.id}
+              token={token}
+              project={viewedProject}
+              brands={brands}
+              modes={modes}
+              models={models}
+              videoModels={textToVideoModels}
+              onProjectChange={(project) =>
+                setProjects((prev) =>
+                  prev.map((p) => (p.id === project.id ? project : p))
+                )
+              }
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "search" && (
+            <MessageSearch
+              token={token}
+              brands={brands}
+              modes={modes}
+              projects={projects}
+              onOpenResult={handleOpenSearchResult}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "modes" && (
+            <ModeTemplates
+              token={token}
+              modes={modes}
+              models={models}
+              videoModels={textToVideoModels}
+              onModesChange={setModes}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "media" && (
+            <MediaLibrary
+              token={token}
+              brands={brands}
+              projects={projects}
+              onReuseImage={handleReuseImage}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "usage" && (
+            <UsageDashboard
+              token={token}
+              isAdmin={currentUser?.role === "admin"}
+              brands={brands}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
+          {activeView === "users" && (
+            <AdminUsers
+              token={token}
+              currentUser={currentUser}
+              onUnauthorized={handleLogout}
+              onClose={() => setActiveView("chat")}
+            />
+          )}
+
           {/* CHAT AREA */}
-          <section className="flex-1 flex flex-col px-3 sm:px-5 md:px-6 py-4 pb-[env(safe-area-inset-bottom)] overflow-hidden">
-            {/* scrollable message area */}
-            <div className="flex-1 w-full overflow-y-auto space-y-6 pb-4">
-              {messages.map((msg, index) => {
-                // Special case: video response
-                if (msg.type === "video" && msg.videoUrl) {
-                  return (
-                    <div key={index} className="flex justify-start text-sm">
-                      <div className="max-w-[80%] leading-relaxed whitespace-pre-wrap text-slate-100">
-                        <div className="rounded-2xl px-3 py-2 bg-transparent hover:bg-zinc-900/60 transition">
-                          {msg.text && <p className="mb-2">{msg.text}</p>}
-                          <video
-                            src={msg.videoUrl}
-                            controls
-                            className="mt-1 rounded-lg max-w-full"
+          {activeView === "chat" && (
+            <section className="flex-1 flex flex-col px-3 sm:px-5 md:px-6 py-4 pb-[env(safe-area-inset-bottom)] overflow-hidden">
+              {/* scrollable message area */}
+              <div className="flex-1 w-full overflow-y-auto space-y-6 pb-4">
+                {activeChat?.hasMoreMessages && (
+                  <div className="flex justify-center">
+                    <button
+                      type="button"
+                      onClick={handleLoadEarlierMessages}
+                      className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+                    >
+                      Load earlier messages
+                    </button>
+                  </div>
+                )}
+
+                {messages.map((msg, index) => {
+                  // Special case: Campaign Builder plan – full-width board
+                  if (msg.type === "campaign" && msg.campaignId) {
+                    return (
+                      <div
+                        key={msg.id || index}
+                        id={`message-${msg.id}`}
+                        className="text-sm"
+                      >
+                        {msg.text && (
+                          <p className="mb-2 px-3 text-slate-100">{msg.text}</p>
+                        )}
+                        <CampaignBoard
+                          token={token}
+                          campaignId={msg.campaignId}
+                          onUnauthorized={handleLogout}
+                        />
+                      </div>
+                    );
+                  }
+
+                  // Special case: video still being generated
+                  if (msg.type === "video-job" && msg.jobId) {
+                    return (
+                      <div
+                        key={msg.id || index}
+                        className="flex justify-start text-sm"
+                      >
+                        <div className="w-full max-w-[80%]">
+                          <VideoJobCard
+                            token={token}
+                            jobId={msg.jobId}
+                            onFinished={handleJobFinished}
+                            onUnauthorized={handleLogout}
                           />
                         </div>
                       </div>
-                    </div>
-                  );
-                }
-
-                return (
-                  <div
-                    key={index}
-                    className={`flex ${
-                      msg.role === "user" ? "justify-end" : "justify-start"
-                    } text-sm`}
-                  >
-                    {msg.role === "system" ? (
-                      <div className="w-full text-center text-[11px] uppercase tracking-wide text-zinc-500">
-                        {msg.text}
+                    );
+                  }
+
+                  // Special case: video response
+                  if (msg.type === "video" && msg.videoUrl) {
+                    return (
+                      <div
+                        key={msg.id || index}
+                        id={`message-${msg.id}`}
+                        className="flex justify-start text-sm"
+                      >
+                        <div className="max-w-[80%] leading-relaxed whitespace-pre-wrap text-slate-100">
+                          <div className="rounded-2xl px-3 py-2 bg-transparent hover:bg-zinc-900/60 transition">
+                            {msg.text && <p className="mb-2">{msg.text}</p>}
+                            <video
+                              src={mediaUrl(msg.videoUrl)}
+                              controls
+                              className="mt-1 rounded-lg max-w-full"
+                            />
+                            {msg.sourceImageUrl && (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  handleShowMessage(msg.sourceMessageId)
+                                }
+                                className="mt-2 flex items-center gap-2 text-[11px] text-zinc-400 hover:text-zinc-200 transition"
+                              >
+                                <img
+                                  src={mediaUrl(msg.sourceImageUrl)}
+                                  alt="Source"
+                                  className="h-8 w-8 rounded object-cover"
+                                />
+                                Animated from this image
+                              </button>
+                            )}
+                          </div>
+                        </div>
                       </div>
-                    ) : (
-                      <div className="max-w-[80%] leading-relaxed whitespace-pre-wrap text-slate-100">
-                        <div
-                          className={`rounded-2xl px-3 py-2 ${
-                            msg.role === "user"
-                              ? "bg-[#20212b]"
-                              : "bg-transparent hover:bg-zinc-900/60 transition"
-                          }`}
-                        >
-                          <p>{msg.text}</p>
+                    );
+                  }
 
-                          {msg.imageUrl && (
-                            <img
-                              src={msg.imageUrl}
-                              alt="Generated"
-                              className="mt-2 rounded-lg max-w-full"
-                            />
-                          )}
+                  const isSearchMatch =
+                    searchHighlight?.messageId === msg.id;
 
-                          {msg.meta && msg.role === "user" && (
-                            <p className="mt-1 text-[10px] text-zinc-400">
-                              {msg.meta.brand} • {msg.meta.mode}
+                  return (
+                    <div
+                      key={msg.id || index}
+                      id={`message-${msg.id}`}
+                      className={`flex ${
+                        msg.role === "user" ? "justify-end" : "justify-start"
+                      } text-sm`}
+                    >
+                      {msg.role === "system" ? (
+                        <div className="w-full text-center text-[11px] uppercase tracking-wide text-zinc-500">
+                          {msg.text}
+                        </div>
+                      ) : (
+                        <div className="max-w-[80%] leading-relaxed whitespace-pre-wrap text-slate-100">
+                          <div
+                            className={`rounded-2xl px-3 py-2 ${
+                              msg.role === "user"
+                                ? "bg-[#20212b]"
+                                : "bg-transparent hover:bg-zinc-900/60 transition"
+                            } ${isSearchMatch ? "ring-1 ring-amber-400/60" : ""}`}
+                          >
+                            {msg.toolCalls?.length > 0 && (
+                              <ToolCalls calls={msg.toolCalls} />
+                            )}
+
+                            <p>
+                              {isSearchMatch ? (
+                                <HighlightedText
+                                  text={msg.text}
+                                  query={searchHighlight.query}
+                                />
+                              ) : (
+                                msg.text || (msg.streaming ? "…" : "")
+                              )}
+                              {msg.streaming && (
+                                <span className="ml-0.5 animate-pulse text-zinc-400">
+                                  ▍
+                                </span>
+                              )}
                             </p>
-                          )}
+
+                            {msg.attachments?.length > 0 && (
+                              <div className="mt-2">
+                                <MessageAttachments
+                                  token={token}
+                                  attachments={msg.attachments}
+                                  onUnauthorized={handleLogout}
+                                />
+                              </div>
+                            )}
+
+                            {msg.imageUrls?.length > 1 ? (
+                              <div className="mt-2 grid grid-cols-2 gap-2">
+                                {msg.imageUrls.map((url, i) => (
+                                  <button
+                                    key={i}
+                                    type="button"
+                                    onClick={() =>
+                                      handleSelectVariation(msg.id, url)
+                                    }
+                                    className={`rounded-lg overflow-hidden border-2 transition ${
+                                      url === msg.imageUrl
+                                        ? "border-[#2620e6]"
+                                        : "border-transparent opacity-70 hover:opacity-100"
+                                    }`}
+                                  >
+                                    <img
+                                      src={mediaUrl(url)}
+                                      alt={`Variation ${i + 1}`}
+                                      className="w-full"
+                                    />
+                                  </button>
+                                ))}
+                              </div>
+                            ) : (
+                              msg.imageUrl && (
+                                <img
+                                  src={mediaUrl(msg.imageUrl)}
+                                  alt="Generated"
+                                  className="mt-2 rounded-lg max-w-full"
+                                />
+                              )
+                            )}
+
+                            {msg.imageUrl && msg.role === "assistant" && (
+                              <div className="mt-2 flex flex-wrap gap-2">
+                                <button
+                                  type="button"
+                                  disabled={isSending || !editModel}
+                                  title={editModelHint}
+                                  onClick={() => handleImageAction(msg)}
+                                  className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition disabled:opacity-50"
+                                >
+                                  ✏️ Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  disabled={isSending || !editModel}
+                                  title={editModelHint}
+                                  onClick={() =>
+                                    handleImageAction(msg, { variations: true })
+                                  }
+                                  className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition disabled:opacity-50"
+                                >
+                                  🔀 Variations
+                                </button>
+                                {animateModel && (
+                                  <button
+                                    type="button"
+                                    disabled={isSending}
+                                    onClick={() => handleAnimateImage(msg)}
+                                    className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition disabled:opacity-50"
+                                  >
+                                    🎞️ Animate
+                                  </button>
+                                )}
+                              </div>
+                            )}
+
+                            {msg.sources?.length > 0 && (
+                              <div className="mt-2 flex flex-wrap gap-1 whitespace-normal">
+                                {msg.sources.map((source) => (
+                                  <span
+                                    key={source.n}
+                                    title={source.excerpt}
+                                    className="text-[10px] px-2 py-0.5 rounded-full border border-zinc-700 text-zinc-400"
+                                  >
+                                    [{source.n}] {source.documentName}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+
+                            {msg.meta && msg.role === "user" && (
+                              <p className="mt-1 text-[10px] text-zinc-400">
+                                {msg.meta.brand} • {msg.meta.mode}
+                              </p>
+                            )}
+
+                            {msg.model && msg.role === "assistant" && (
+                              <p
+                                className={`mt-1 text-[10px] ${
+                                  msg.fallbackFrom
+                                    ? "text-amber-400/80"
+                                    : "text-zinc-500"
+                                }`}
+                                title={
+                                  msg.fallbackFrom
+                                    ? `${msg.fallbackFrom} was rate-limited or down, so a fallback model answered.`
+                                    : undefined
+                                }
+                              >
+                                {msg.model}
+                                {msg.fallbackFrom &&
+                                  ` • fallback for ${msg.fallbackFrom}`}
+                              </p>
+                            )}
+                          </div>
                         </div>
-                      </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* INPUT */}
+              <form
+                onSubmit={handleSend}
+                onDragOver={(e) => {
+                  if (!canAttach) return;
+                  e.preventDefault();
+                  setIsDraggingFile(true);
+                }}
+                onDragLeave={() => setIsDraggingFile(false)}
+                onDrop={handleComposerDrop}
+                className={`w-full mt-2 mb-4 rounded-2xl transition ${
+                  isDraggingFile ? "ring-2 ring-[#2620e6]" : ""
+                }`}
+              >
+                {budgetWarnings.length > 0 && (
+                  <div className="mb-2 flex items-start justify-between gap-2 rounded-lg border border-amber-500/40 bg-amber-500/10 px-3 py-1.5 text-[11px] text-amber-300">
+                    <div>
+                      {budgetWarnings.map((warning) => (
+                        <p key={warning}>💸 {warning}</p>
+                      ))}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setBudgetWarnings([])}
+                      className="shrink-0 hover:text-amber-100"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+
+                {canAttach && attachments.length > 0 && (
+                  <div className="mb-2">
+                    <MessageAttachments
+                      token={token}
+                      attachments={attachments}
+                      onRemove={handleRemoveAttachment}
+                      onUnauthorized={handleLogout}
+                    />
+                    {unsupportedAttachments.length > 0 && (
+                      <p className="mt-1 text-[11px] text-amber-400">
+                        {selectedModelObj.name} can't read attached{" "}
+                        {unsupportedAttachments.join(" or ")}.
+                      </p>
                     )}
                   </div>
-                );
-              })}
-            </div>
-
-            {/* INPUT */}
-            <form onSubmit={handleSend} className="w-full mt-2 mb-4">
-              <div className="relative flex items-end">
-                <textarea
-                  rows={1}
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  placeholder="Send a message..."
-                  className="w-full resize-none rounded-2xl bg-[#1c1d22] border border-zinc-700 px-4 py-3 pr-20 text-sm text-slate-100 placeholder:text-zinc-500 focus:outline-none focus:border-zinc-400"
-                />
+                )}
+
+                {imageEditError && (
+                  <p className="mb-2 text-[11px] text-red-400">
+                    {imageEditError}
+                  </p>
+                )}
+
+                {isImageMode && (
+                  <div className="mb-2 flex items-center gap-2 text-[11px] text-zinc-400">
+                    {imageUpload ? (
+                      <>
+                        <img
+                          src={mediaUrl(imageUpload)}
+                          alt="To edit"
+                          className="h-10 w-10 rounded object-cover"
+                        />
+                        <span>
+                          Your prompt will edit this image
+                          {editModel
+                            ? ` with ${editModel.name}`
+                            : " (no loaded model can edit images)"}
+                          {editModel &&
+                            editModel.id !== selectedModel &&
+                            " – the selected model can't edit images"}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => setImageUpload(null)}
+                          className="text-red-500 hover:text-red-300 transition px-1"
+                        >
+                          ✕
+                        </button>
+                      </>
+                    ) : (
+                      <label className="cursor-pointer px-2 py-1 rounded-md border border-zinc-700 hover:bg-zinc-800/70 transition">
+                        {isUploadingImage
+                          ? "Uploading..."
+                          : "📎 Upload an image to edit"}
+                        <input
+                          type="file"
+                          accept="image/png,image/jpeg,image/webp,image/gif"
+                          disabled={isUploadingImage}
+                          onChange={handleImageUpload}
+                          className="hidden"
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+
+                {isVideoMode && selectedVideoModelObj && (
+                  <VideoSettings
+                    model={selectedVideoModelObj}
+                    params={effectiveVideoParams}
+                    onChange={handleVideoParamsChange}
+                  />
+                )}
+
+                <div className="relative flex items-end">
+                  <textarea
+                    rows={1}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onPaste={handleComposerPaste}
+                    placeholder="Send a message..."
+                    className={`w-full resize-none rounded-2xl bg-[#1c1d22] border border-zinc-700 px-4 py-3 pr-20 text-sm text-slate-100 placeholder:text-zinc-500 focus:outline-none focus:border-zinc-400 ${
+                      canAttach ? "pl-11" : ""
+                    }`}
+                  />
+
+                  {canAttach && (
+                    <label
+                      title="Attach images, PDFs or text/CSV files (or drop / paste them here)"
+                      className="absolute left-2 bottom-2 cursor-pointer px-2 py-1.5 rounded-xl text-sm text-zinc-400 hover:text-zinc-100 hover:bg-zinc-800/70 transition"
+                    >
+                      📎
+                      <input
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        onChange={(e) => {
+                          handleAddAttachments(e.target.files);
+                          e.target.value = "";
+                        }}
+                        className="hidden"
+                      />
+                    </label>
+                  )}
 
-                <button
-                  type="submit"
-                  disabled={disableSend}
-                  className={`absolute right-2 bottom-2 px-4 py-1.5 rounded-xl text-sm font-medium transition
-                    ${
-                      disableSend
-                        ? "bg-zinc-700 text-zinc-400 cursor-not-allowed"
-                        : "bg-[#130dbb] text-white hover:bg-[#2620e6]"
-                    }
-                  `}
-                >
-                  {isSending ? "..." : "Send"}
-                </button>
-              </div>
+                  {isStreaming ? (
+                    <button
+                      type="button"
+                      onClick={handleStopStreaming}
+                      className="absolute right-2 bottom-2 px-4 py-1.5 rounded-xl text-sm font-medium transition bg-red-600 text-white hover:bg-red-500"
+                    >
+                      Stop
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={disableSend}
+                      className={`absolute right-2 bottom-2 px-4 py-1.5 rounded-xl text-sm font-medium transition
+                        ${
+                          disableSend
+                            ? "bg-zinc-700 text-zinc-400 cursor-not-allowed"
+                            : "bg-[#130dbb] text-white hover:bg-[#2620e6]"
+                        }
+                      `}
+                    >
+                      {isSending ? "..." : "Send"}
+                    </button>
+                  )}
+                </div>
 
-              {selectedModelObj && !isVideoMode && (
-                <p className="mt-2 text-[11px] text-zinc-500">
-                  Using model:{" "}
-                  <span className="text-zinc-300">{selectedModelObj.name}</span>
-                </p>
-              )}
-            </form>
-          </section>
+                {selectedModelObj && !isVideoMode && (
+                  <p className="mt-2 text-[11px] text-zinc-500">
+                    Using model:{" "}
+                    <span className="text-zinc-300">{selectedModelObj.name}</span>
+                  </p>
+                )}
+              </form>
+            </section>
+          )}
         </main>
       </div>
     </div>
@@ -1,5 +1,18 @@
 const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
+// the backend stores generated media as /media/... paths on itself
+export function mediaUrl(url) {
+  return url?.startsWith("/media/") ? `${API_BASE_URL}${url}` : url;
+}
+
+export function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * fetch() + JSON for our backend. Errors carry the server's `error` message
+ * and the HTTP status (err.status), so callers can react to 401/403/409.
+ */
 export async function apiFetch(path, options = {}) {
   const res = await fetch(`${API_BASE_URL}${path}`, {
     ...options,
@@ -12,8 +25,69 @@ export async function apiFetch(path, options = {}) {
   if (!res.ok) {
     const text = await res.text().catch(() => "");
     console.error("API error:", res.status, text);
-    throw new Error(`API error: ${res.status}`);
+
+    let message = `API error: ${res.status}`;
+    try {
+      message = JSON.parse(text).error || message;
+    } catch {
+      // not JSON – keep the generic message
+    }
+
+    const error = new Error(message);
+    error.status = res.status;
+    throw error;
   }
 
   return res.json();
 }
+
+/**
+ * Like apiFetch, but for files (e.g. attachments) – resolves with a Blob.
+ */
+export async function apiFetchBlob(path, options = {}) {
+  const res = await fetch(`${API_BASE_URL}${path}`, options);
+
+  if (!res.ok) {
+    const error = new Error(`API error: ${res.status}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.blob();
+}
+
+/**
+ * Reads a Server-Sent Events body from a fetch() Response and calls
+ * onEvent(eventName, data) for every event. Resolves when the stream ends.
+ * (EventSource can't POST or send auth headers, so we parse it ourselves.)
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+
+      if (!data) continue;
+
+      onEvent(event, JSON.parse(data));
+    }
+  }
+}
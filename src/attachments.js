@@ -0,0 +1,66 @@
+// What the chat composer can attach. The server checks the same types
+// (server/attachments.js).
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// browsers report CSV/Markdown inconsistently, so go by extension
+const MIME_TYPES_BY_EXTENSION = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  gif: "image/gif",
+  pdf: "application/pdf",
+  txt: "text/plain",
+  csv: "text/csv",
+  md: "text/markdown",
+};
+
+export const ATTACHMENT_ACCEPT = Object.keys(MIME_TYPES_BY_EXTENSION)
+  .map((ext) => `.${ext}`)
+  .join(",");
+
+// kind -> the input modality a model needs for it; text is inlined into
+// the prompt, so any model can read it
+const REQUIRED_MODALITIES = { image: "image", file: "file" };
+
+const KIND_LABELS = { image: "images", file: "PDFs" };
+
+/** Mime type we'll upload `file` as, or null if it can't be attached. */
+export function attachmentMimeType(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (MIME_TYPES_BY_EXTENSION[ext]) return MIME_TYPES_BY_EXTENSION[ext];
+
+  return Object.values(MIME_TYPES_BY_EXTENSION).includes(file.type)
+    ? file.type
+    : null;
+}
+
+export function attachmentKind(mimeType) {
+  if (mimeType.startsWith("image/")) return "image";
+  if (mimeType === "application/pdf") return "file";
+  return "text";
+}
+
+/**
+ * Human labels ("images", "PDFs") of the attached kinds `model` can't take,
+ * judging by the inputModalities /api/models reports.
+ */
+export function unsupportedAttachmentLabels(model, attachments) {
+  const inputs = model?.inputModalities || [];
+  const kinds = new Set(attachments.map((a) => a.kind));
+
+  return [...kinds]
+    .filter((kind) => REQUIRED_MODALITIES[kind])
+    .filter((kind) => !inputs.includes(REQUIRED_MODALITIES[kind]))
+    .map((kind) => KIND_LABELS[kind]);
+}
+
+export function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+const EMPTY_FORM = { username: "", name: "", password: "", role: "member" };
+
+/**
+ * Admin screen: list accounts, create new ones, change roles,
+ * disable/enable and reset passwords.
+ */
+function AdminUsers({ token, currentUser, onUnauthorized, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // App passes a fresh function every render – don't refetch because of it
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  function handleApiError(err) {
+    if (err.status === 401) {
+      onUnauthorized();
+      return;
+    }
+    setError(err.message || "Something went wrong.");
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiFetch("/api/users", { headers: authHeaders(token) })
+      .then((data) => {
+        if (!cancelled) setUsers(data.users || []);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load users.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function updateUser(userId, changes) {
+    setError("");
+
+    try {
+      const data = await apiFetch(`/api/users/${userId}`, {
+        method: "PATCH",
+        headers: authHeaders(token),
+        body: JSON.stringify(changes),
+      });
+
+      setUsers((prev) => prev.map((u) => (u.id === userId ? data.user : u)));
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  async function handleCreateUser(e) {
+    e.preventDefault();
+    setError("");
+    setIsSaving(true);
+
+    try {
+      const data = await apiFetch("/api/users", {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify(form),
+      });
+
+      setUsers((prev) => [...prev, data.user]);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  function handleResetPassword(user) {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (!password) return;
+    updateUser(user.id, { password });
+  }
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">Manage users</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-xs text-emerald-400">Loading users...</p>
+      ) : (
+        <div className="rounded-xl border border-zinc-800 divide-y divide-zinc-800 mb-6">
+          {users.map((user) => {
+            const isSelf = user.id === currentUser?.id;
+
+            return (
+              <div
+                key={user.id}
+                className="flex flex-wrap items-center gap-3 px-3 py-2 text-xs"
+              >
+                <div className="flex-1 min-w-[140px]">
+                  <p
+                    className={
+                      user.disabled ? "text-zinc-500 line-through" : "text-zinc-100"
+                    }
+                  >
+                    {user.name}
+                  </p>
+                  <p className="text-[11px] text-zinc-500">@{user.username}</p>
+                </div>
+
+                <select
+                  value={user.role}
+                  disabled={isSelf}
+                  onChange={(e) => updateUser(user.id, { role: e.target.value })}
+                  className="rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-zinc-100 focus:outline-none focus:border-zinc-300 disabled:opacity-50"
+                >
+                  <option value="member">Member</option>
+                  <option value="admin">Admin</option>
+                </select>
+
+                <button
+                  type="button"
+                  onClick={() => handleResetPassword(user)}
+                  className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+                >
+                  Reset password
+                </button>
+
+                <button
+                  type="button"
+                  disabled={isSelf}
+                  onClick={() =>
+                    updateUser(user.id, { disabled: !user.disabled })
+                  }
+                  className={`text-[11px] px-3 py-1 rounded-full transition disabled:opacity-50 ${
+                    user.disabled
+                      ? "bg-[#130dbb] text-white hover:bg-[#2620e6]"
+                      : "border border-red-500/60 text-red-400 hover:bg-red-500/10"
+                  }`}
+                >
+                  {user.disabled ? "Enable" : "Disable"}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleCreateUser}
+        className="rounded-xl border border-zinc-800 px-3 py-3 space-y-2 max-w-md"
+      >
+        <p className="text-[11px] uppercase tracking-wide text-zinc-500">
+          New user
+        </p>
+
+        <input
+          value={form.username}
+          onChange={(e) => setForm({ ...form, username: e.target.value })}
+          placeholder="Username"
+          className="w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
+        />
+        <input
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Display name"
+          className="w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          placeholder="Password (min. 8 characters)"
+          className="w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+          className="w-full rounded-md bg-[#050509] border border-zinc-700 px-2 py-2 text-xs text-zinc-100 focus:outline-none focus:border-zinc-300"
+        >
+          <option value="member">Member</option>
+          <option value="admin">Admin</option>
+        </select>
+
+        <button
+          type="submit"
+          disabled={isSaving || !form.username.trim() || !form.password}
+          className="w-full rounded-full bg-[#130dbb] text-white font-semibold text-xs py-2 hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+        >
+          {isSaving ? "Creating..." : "Create user"}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default AdminUsers;
@@ -0,0 +1,359 @@
+import { useState } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+// logos are stored as data URLs, so keep uploads small
+const MAX_LOGO_BYTES = 300 * 1024;
+
+const EMPTY_FORM = {
+  name: "",
+  voice: "",
+  audience: "",
+  bannedWords: "",
+  sampleCopy: "",
+  logoUrl: "",
+  palette: "",
+};
+
+// lists are edited as comma-separated text
+function formFromBrand(brand) {
+  return {
+    name: brand.name,
+    voice: brand.voice,
+    audience: brand.audience,
+    bannedWords: brand.bannedWords.join(", "),
+    sampleCopy: brand.sampleCopy,
+    logoUrl: brand.logoUrl || "",
+    palette: brand.palette.join(", "),
+  };
+}
+
+function splitList(text) {
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const inputClass =
+  "w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+/**
+ * Brand profiles editor: voice, audience, banned words, sample copy,
+ * logo and palette. App owns the list (the sidebar picker needs it),
+ * this screen saves to the server and hands back the updated list.
+ */
+function BrandProfiles({
+  token,
+  currentUser,
+  brands,
+  onBrandsChange,
+  onUnauthorized,
+  onClose,
+}) {
+  // null = creating a new brand
+  const [editingId, setEditingId] = useState(brands[0]?.id ?? null);
+  const [form, setForm] = useState(
+    brands[0] ? formFromBrand(brands[0]) : EMPTY_FORM
+  );
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isAdmin = currentUser?.role === "admin";
+  const palette = splitList(form.palette);
+
+  function handleApiError(err) {
+    if (err.status === 401) {
+      onUnauthorized();
+      return;
+    }
+    setError(err.message || "Something went wrong.");
+  }
+
+  function startEditing(brand) {
+    setError("");
+    setEditingId(brand ? brand.id : null);
+    setForm(brand ? formFromBrand(brand) : EMPTY_FORM);
+  }
+
+  function handleLogoFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    if (file.size > MAX_LOGO_BYTES) {
+      setError("Logo is too big – keep it under 300 KB.");
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setForm((prev) => ({ ...prev, logoUrl: reader.result }));
+    reader.readAsDataURL(file);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setError("");
+    setIsSaving(true);
+
+    const body = {
+      name: form.name.trim(),
+      voice: form.voice.trim(),
+      audience: form.audience.trim(),
+      bannedWords: splitList(form.bannedWords),
+      sampleCopy: form.sampleCopy.trim(),
+      logoUrl: form.logoUrl.trim() || null,
+      palette,
+    };
+
+    try {
+      if (editingId) {
+        const data = await apiFetch(`/api/brands/${editingId}`, {
+          method: "PATCH",
+          headers: authHeaders(token),
+          body: JSON.stringify(body),
+        });
+        onBrandsChange(brands.map((b) => (b.id === editingId ? data.brand : b)));
+      } else {
+        const data = await apiFetch("/api/brands", {
+          method: "POST",
+          headers: authHeaders(token),
+          body: JSON.stringify(body),
+        });
+        onBrandsChange([...brands, data.brand]);
+        setEditingId(data.brand.id);
+      }
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    const brand = brands.find((b) => b.id === editingId);
+    if (!brand || !window.confirm(`Delete the ${brand.name} brand profile?`)) {
+      return;
+    }
+
+    setError("");
+
+    try {
+      await apiFetch(`/api/brands/${brand.id}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      });
+
+      const remaining = brands.filter((b) => b.id !== brand.id);
+      onBrandsChange(remaining);
+      startEditing(remaining[0] || null);
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">Brand profiles</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {/* BRAND LIST */}
+        <div className="md:w-48 space-y-1">
+          {brands.map((brand) => (
+            <button
+              key={brand.id}
+              type="button"
+              onClick={() => startEditing(brand)}
+              className={`w-full flex items-center gap-2 text-left px-3 py-2 rounded-md text-xs transition ${
+                brand.id === editingId
+                  ? "bg-zinc-800 text-zinc-50"
+                  : "text-zinc-300 hover:bg-zinc-800/60"
+              }`}
+            >
+              {brand.logoUrl ? (
+                <img
+                  src={brand.logoUrl}
+                  alt=""
+                  className="h-4 w-4 rounded-sm object-contain"
+                />
+              ) : (
+                <span
+                  className="h-3 w-3 rounded-full border border-zinc-700"
+                  style={{ backgroundColor: brand.palette[0] }}
+                />
+              )}
+              <span className="truncate">{brand.name}</span>
+            </button>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => startEditing(null)}
+            className="w-full text-[11px] px-3 py-1 rounded-full bg-[#130dbb] text-white hover:bg-[#2620e6] transition"
+          >
+            + New brand
+          </button>
+        </div>
+
+        {/* EDITOR */}
+        <form
+          onSubmit={handleSave}
+          className="flex-1 rounded-xl border border-zinc-800 px-3 py-3 space-y-3 max-w-2xl"
+        >
+          <p className="text-[11px] uppercase tracking-wide text-zinc-500">
+            {editingId ? "Edit brand" : "New brand"}
+          </p>
+
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Brand name"
+            className={inputClass}
+          />
+
+          <label className="block space-y-1">
+            <span className="text-[11px] text-zinc-400">Voice & tone</span>
+            <textarea
+              rows={3}
+              value={form.voice}
+              onChange={(e) => setForm({ ...form, voice: e.target.value })}
+              placeholder="e.g. Confident, warm, no jargon. Short sentences."
+              className={inputClass}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className="text-[11px] text-zinc-400">Audience</span>
+            <input
+              value={form.audience}
+              onChange={(e) => setForm({ ...form, audience: e.target.value })}
+              placeholder="e.g. South African SME owners, 30–55"
+              className={inputClass}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className="text-[11px] text-zinc-400">
+              Banned words (comma separated)
+            </span>
+            <input
+              value={form.bannedWords}
+              onChange={(e) => setForm({ ...form, bannedWords: e.target.value })}
+              placeholder="e.g. synergy, game-changer, cheap"
+              className={inputClass}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className="text-[11px] text-zinc-400">Sample copy</span>
+            <textarea
+              rows={4}
+              value={form.sampleCopy}
+              onChange={(e) => setForm({ ...form, sampleCopy: e.target.value })}
+              placeholder="A paragraph that sounds exactly like this brand."
+              className={inputClass}
+            />
+          </label>
+
+          <div className="space-y-1">
+            <span className="text-[11px] text-zinc-400">Logo</span>
+            <div className="flex items-center gap-2">
+              {form.logoUrl && (
+                <img
+                  src={form.logoUrl}
+                  alt="Logo preview"
+                  className="h-10 w-10 rounded-md border border-zinc-700 object-contain bg-black"
+                />
+              )}
+              <input
+                value={form.logoUrl.startsWith("data:") ? "" : form.logoUrl}
+                onChange={(e) => setForm({ ...form, logoUrl: e.target.value })}
+                placeholder={
+                  form.logoUrl.startsWith("data:")
+                    ? "Uploaded image"
+                    : "https://… or upload"
+                }
+                className={inputClass}
+              />
+              <label className="shrink-0 text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition cursor-pointer">
+                Upload
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleLogoFile}
+                  className="hidden"
+                />
+              </label>
+              {form.logoUrl && (
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, logoUrl: "" })}
+                  className="shrink-0 text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          </div>
+
+          <label className="block space-y-1">
+            <span className="text-[11px] text-zinc-400">
+              Colour palette (hex, comma separated)
+            </span>
+            <input
+              value={form.palette}
+              onChange={(e) => setForm({ ...form, palette: e.target.value })}
+              placeholder="#130dbb, #ffffff, #050509"
+              className={inputClass}
+            />
+          </label>
+
+          {palette.length > 0 && (
+            <div className="flex gap-1">
+              {palette.map((colour, index) => (
+                <span
+                  key={`${colour}-${index}`}
+                  title={colour}
+                  className="h-5 w-5 rounded-md border border-zinc-700"
+                  style={{ backgroundColor: colour }}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 pt-1">
+            <button
+              type="submit"
+              disabled={isSaving || !form.name.trim()}
+              className="flex-1 rounded-full bg-[#130dbb] text-white font-semibold text-xs py-2 hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+            >
+              {isSaving ? "Saving..." : editingId ? "Save brand" : "Create brand"}
+            </button>
+
+            {editingId && isAdmin && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="text-[11px] px-3 py-2 rounded-full border border-red-500/60 text-red-400 hover:bg-red-500/10 transition"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+}
+
+export default BrandProfiles;
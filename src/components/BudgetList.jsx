@@ -0,0 +1,268 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+const inputClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+const smallButtonClass =
+  "text-[11px] px-2 py-0.5 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition";
+
+const EMPTY_FORM = {
+  scope: "user",
+  targetId: "",
+  period: "month",
+  limitUsd: "",
+  warnPercent: "80",
+};
+
+const PERIOD_LABELS = { day: "Daily", month: "Monthly" };
+
+/**
+ * Spending budgets with what's been spent this period. Admins can add,
+ * change, lift (until the period ends) and delete them.
+ */
+function BudgetList({ token, isAdmin, brands, onUnauthorized }) {
+  const [budgets, setBudgets] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      apiFetch("/api/budgets", { headers: authHeaders(token) }),
+      isAdmin
+        ? apiFetch("/api/users", { headers: authHeaders(token) })
+        : { users: [] },
+    ])
+      .then(([budgetData, userData]) => {
+        if (cancelled) return;
+        setBudgets(budgetData.budgets || []);
+        setUsers(userData.users || []);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load budgets.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, isAdmin]);
+
+  function handleApiError(err) {
+    if (err.status === 401) {
+      onUnauthorized();
+      return;
+    }
+    setError(err.message || "Something went wrong.");
+  }
+
+  // saved budgets replace the one with the same scope/target/period
+  function putBudget(budget) {
+    setBudgets((prev) => [
+      ...prev.filter((b) => b.id !== budget.id),
+      budget,
+    ]);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const data = await apiFetch("/api/budgets", {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify({
+          scope: form.scope,
+          targetId: form.targetId,
+          period: form.period,
+          limitUsd: Number(form.limitUsd),
+          warnRatio: Number(form.warnPercent) / 100,
+        }),
+      });
+
+      putBudget(data.budget);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  async function handleOverride(budget) {
+    setError("");
+
+    try {
+      const data = await apiFetch(`/api/budgets/${budget.id}/override`, {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify({ lift: !budget.isOverridden }),
+      });
+      putBudget(data.budget);
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  async function handleDelete(budget) {
+    if (!window.confirm("Delete this budget?")) return;
+    setError("");
+
+    try {
+      await apiFetch(`/api/budgets/${budget.id}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      });
+      setBudgets((prev) => prev.filter((b) => b.id !== budget.id));
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  const targets = form.scope === "user" ? users : brands;
+
+  return (
+    <div className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-3 space-y-3">
+      <h3 className="text-[11px] uppercase tracking-wide text-zinc-500">
+        Budgets
+      </h3>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {budgets.length === 0 ? (
+        <p className="text-xs text-zinc-500 italic">No spending limits set.</p>
+      ) : (
+        <div className="space-y-2">
+          {budgets.map((budget) => {
+            const ratio = budget.limitUsd
+              ? Math.min(budget.spentUsd / budget.limitUsd, 1)
+              : 1;
+            const barColor =
+              ratio >= 1
+                ? "bg-red-500"
+                : ratio >= budget.warnRatio
+                ? "bg-amber-400"
+                : "bg-[#2620e6]";
+
+            return (
+              <div key={budget.id} className="text-xs">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-zinc-200">
+                    {PERIOD_LABELS[budget.period]} •{" "}
+                    {budget.scope === "user" ? "User" : "Brand"}{" "}
+                    {budget.targetName || "(deleted)"}
+                    {budget.isOverridden && (
+                      <span className="text-amber-400"> • limit lifted</span>
+                    )}
+                  </span>
+                  <span className="flex items-center gap-2 text-zinc-400">
+                    ${budget.spentUsd.toFixed(2)} of $
+                    {budget.limitUsd.toFixed(2)}
+                    {isAdmin && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => handleOverride(budget)}
+                          className={smallButtonClass}
+                        >
+                          {budget.isOverridden ? "Restore limit" : "Lift for now"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(budget)}
+                          className="text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                        >
+                          ✕
+                        </button>
+                      </>
+                    )}
+                  </span>
+                </div>
+                <div className="h-1 rounded-full bg-zinc-800 overflow-hidden mt-0.5">
+                  <div
+                    className={`h-full ${barColor}`}
+                    style={{ width: `${ratio * 100}%` }}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {isAdmin && (
+        <form
+          onSubmit={handleSave}
+          className="flex flex-wrap items-center gap-1.5 pt-2 border-t border-zinc-800"
+        >
+          <select
+            value={form.scope}
+            onChange={(e) =>
+              setForm({ ...form, scope: e.target.value, targetId: "" })
+            }
+            className={inputClass}
+          >
+            <option value="user">User</option>
+            <option value="brand">Brand</option>
+          </select>
+          <select
+            value={form.targetId}
+            onChange={(e) => setForm({ ...form, targetId: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Pick {form.scope}...</option>
+            {targets.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={form.period}
+            onChange={(e) => setForm({ ...form, period: e.target.value })}
+            className={inputClass}
+          >
+            <option value="day">per day</option>
+            <option value="month">per month</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.limitUsd}
+            onChange={(e) => setForm({ ...form, limitUsd: e.target.value })}
+            placeholder="Limit $"
+            className={`${inputClass} w-20`}
+          />
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={form.warnPercent}
+            onChange={(e) => setForm({ ...form, warnPercent: e.target.value })}
+            title="Warn when this much of the budget is used"
+            className={`${inputClass} w-14`}
+          />
+          <span className="text-[11px] text-zinc-500">% warning</span>
+          <button
+            type="submit"
+            disabled={!form.targetId || form.limitUsd === ""}
+            className="text-[11px] px-3 py-1 rounded-full bg-[#130dbb] text-white hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+          >
+            Save budget
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default BudgetList;
@@ -0,0 +1,434 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+const inputClass =
+  "w-full rounded-md bg-[#050509] border border-zinc-700 px-2 py-1.5 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+const smallButtonClass =
+  "text-[11px] px-2 py-0.5 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition disabled:opacity-50";
+
+const EMPTY_CHANNEL = {
+  name: "",
+  goal: "",
+  copyVariants: [""],
+  cta: "",
+  hashtags: [],
+};
+
+const EMPTY_CALENDAR_ENTRY = { date: "", channel: "", content: "" };
+
+function splitHashtags(text) {
+  return text.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Hashtags are edited as one line of text and only parsed on blur –
+ * parsing on every keystroke would swallow the space between tags.
+ * The key remounts the input when the tags change from outside.
+ */
+function HashtagInput({ tags, onChange }) {
+  const text = tags.join(" ");
+
+  return (
+    <input
+      key={text}
+      defaultValue={text}
+      onBlur={(e) => onChange(splitHashtags(e.target.value))}
+      placeholder="#hashtag #another"
+      className={inputClass}
+    />
+  );
+}
+
+/**
+ * Editable Campaign Builder plan (shown in the chat and on the project's
+ * campaigns page). Edits are local until saved; each section can be
+ * regenerated on its own by the model.
+ */
+function CampaignBoard({ token, campaignId, onUnauthorized, onDeleted }) {
+  const [campaign, setCampaign] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  // section currently being regenerated
+  const [regenerating, setRegenerating] = useState(null);
+
+  // App passes a fresh function every render – don't refetch because of it
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiFetch(`/api/campaigns/${campaignId}`, { headers: authHeaders(token) })
+      .then((data) => {
+        if (cancelled) return;
+        setCampaign(data.campaign);
+        setDraft(data.campaign.data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load campaign.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, campaignId]);
+
+  function handleApiError(err) {
+    if (err.status === 401) {
+      onUnauthorized();
+      return;
+    }
+    setError(err.message || "Something went wrong.");
+  }
+
+  if (!draft) {
+    return (
+      <div className="rounded-xl border border-zinc-800 px-3 py-2 text-xs">
+        {error ? (
+          <span className="text-red-400">{error}</span>
+        ) : (
+          <span className="text-emerald-400">Loading campaign...</span>
+        )}
+      </div>
+    );
+  }
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(campaign.data);
+
+  function updateDraft(changes) {
+    setDraft((prev) => ({ ...prev, ...changes }));
+  }
+
+  function updateChannel(index, changes) {
+    updateDraft({
+      channels: draft.channels.map((c, i) =>
+        i === index ? { ...c, ...changes } : c
+      ),
+    });
+  }
+
+  function updateCalendarEntry(index, changes) {
+    updateDraft({
+      calendar: draft.calendar.map((entry, i) =>
+        i === index ? { ...entry, ...changes } : entry
+      ),
+    });
+  }
+
+  async function handleSave() {
+    setError("");
+    setIsSaving(true);
+
+    try {
+      const data = await apiFetch(`/api/campaigns/${campaignId}`, {
+        method: "PATCH",
+        headers: authHeaders(token),
+        body: JSON.stringify({ data: draft }),
+      });
+
+      setCampaign(data.campaign);
+      setDraft(data.campaign.data);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleRegenerate(section) {
+    const instructions = window.prompt(
+      `Regenerate ${section}. Anything specific to change? (optional)`
+    );
+    if (instructions === null) return;
+
+    setError("");
+    setRegenerating(section);
+
+    try {
+      const data = await apiFetch(`/api/campaigns/${campaignId}/regenerate`, {
+        method: "POST",
+        headers: authHeaders(token),
+        body: JSON.stringify({ section, instructions }),
+      });
+
+      // keep unsaved edits in the other sections
+      setCampaign(data.campaign);
+      setDraft((prev) => ({ ...prev, [section]: data.campaign.data[section] }));
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setRegenerating(null);
+    }
+  }
+
+  async function handleDelete() {
+    if (!window.confirm(`Delete the campaign "${campaign.title}"?`)) return;
+
+    try {
+      await apiFetch(`/api/campaigns/${campaignId}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      });
+      onDeleted?.(campaignId);
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  function sectionHeader(label, section) {
+    return (
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-[11px] uppercase tracking-wide text-zinc-500">
+          {label}
+        </span>
+        <button
+          type="button"
+          disabled={Boolean(regenerating)}
+          onClick={() => handleRegenerate(section)}
+          className={smallButtonClass}
+        >
+          {regenerating === section ? "Regenerating..." : "↻ Regenerate"}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-3 space-y-4 text-xs whitespace-normal">
+      {/* TITLE + ACTIONS */}
+      <div className="flex items-center gap-2">
+        <input
+          value={draft.title}
+          onChange={(e) => updateDraft({ title: e.target.value })}
+          className={`${inputClass} text-sm font-semibold`}
+        />
+        <button
+          type="button"
+          disabled={!isDirty || isSaving}
+          onClick={handleSave}
+          className="shrink-0 text-[11px] px-3 py-1 rounded-full bg-[#130dbb] text-white hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+        >
+          {isSaving ? "Saving..." : isDirty ? "Save" : "Saved"}
+        </button>
+        {onDeleted && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="shrink-0 text-red-500 text-[11px] hover:text-red-300 transition px-1"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-400">{error}</p>}
+
+      {/* OBJECTIVE / AUDIENCE */}
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          {sectionHeader("Objective", "objective")}
+          <textarea
+            rows={3}
+            value={draft.objective}
+            onChange={(e) => updateDraft({ objective: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          {sectionHeader("Audience", "audience")}
+          <textarea
+            rows={3}
+            value={draft.audience}
+            onChange={(e) => updateDraft({ audience: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* CHANNELS */}
+      <div>
+        {sectionHeader("Channels", "channels")}
+        <div className="grid gap-3 md:grid-cols-2">
+          {draft.channels.map((channel, index) => (
+            <div
+              key={index}
+              className="rounded-lg border border-zinc-800 px-2 py-2 space-y-1.5"
+            >
+              <div className="flex items-center gap-1">
+                <input
+                  value={channel.name}
+                  onChange={(e) => updateChannel(index, { name: e.target.value })}
+                  placeholder="Channel"
+                  className={`${inputClass} font-semibold`}
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    updateDraft({
+                      channels: draft.channels.filter((_, i) => i !== index),
+                    })
+                  }
+                  className="text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                >
+                  ✕
+                </button>
+              </div>
+              <input
+                value={channel.goal}
+                onChange={(e) => updateChannel(index, { goal: e.target.value })}
+                placeholder="Goal"
+                className={inputClass}
+              />
+
+              <p className="text-[10px] text-zinc-500">Copy variants</p>
+              {channel.copyVariants.map((copy, copyIndex) => (
+                <div key={copyIndex} className="flex items-start gap-1">
+                  <textarea
+                    rows={2}
+                    value={copy}
+                    onChange={(e) =>
+                      updateChannel(index, {
+                        copyVariants: channel.copyVariants.map((c, i) =>
+                          i === copyIndex ? e.target.value : c
+                        ),
+                      })
+                    }
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateChannel(index, {
+                        copyVariants: channel.copyVariants.filter(
+                          (_, i) => i !== copyIndex
+                        ),
+                      })
+                    }
+                    className="text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() =>
+                  updateChannel(index, {
+                    copyVariants: [...channel.copyVariants, ""],
+                  })
+                }
+                className={smallButtonClass}
+              >
+                + Variant
+              </button>
+
+              <input
+                value={channel.cta}
+                onChange={(e) => updateChannel(index, { cta: e.target.value })}
+                placeholder="Call to action"
+                className={inputClass}
+              />
+              <HashtagInput
+                tags={channel.hashtags}
+                onChange={(hashtags) => updateChannel(index, { hashtags })}
+              />
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() =>
+            updateDraft({ channels: [...draft.channels, EMPTY_CHANNEL] })
+          }
+          className={`${smallButtonClass} mt-2`}
+        >
+          + Channel
+        </button>
+      </div>
+
+      {/* CALENDAR */}
+      <div>
+        {sectionHeader("Posting calendar", "calendar")}
+        <div className="space-y-1">
+          {draft.calendar.map((entry, index) => (
+            <div key={index} className="flex items-start gap-1">
+              <input
+                value={entry.date}
+                onChange={(e) =>
+                  updateCalendarEntry(index, { date: e.target.value })
+                }
+                placeholder="Date"
+                className={`${inputClass} w-28 shrink-0`}
+              />
+              <input
+                value={entry.channel}
+                onChange={(e) =>
+                  updateCalendarEntry(index, { channel: e.target.value })
+                }
+                placeholder="Channel"
+                className={`${inputClass} w-28 shrink-0`}
+              />
+              <input
+                value={entry.content}
+                onChange={(e) =>
+                  updateCalendarEntry(index, { content: e.target.value })
+                }
+                placeholder="What goes out"
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() =>
+                  updateDraft({
+                    calendar: draft.calendar.filter((_, i) => i !== index),
+                  })
+                }
+                className="text-red-500 text-[11px] hover:text-red-300 transition px-1"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() =>
+            updateDraft({
+              calendar: [...draft.calendar, EMPTY_CALENDAR_ENTRY],
+            })
+          }
+          className={`${smallButtonClass} mt-2`}
+        >
+          + Entry
+        </button>
+      </div>
+
+      {/* CTA / HASHTAGS */}
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          {sectionHeader("Call to action", "cta")}
+          <input
+            value={draft.cta}
+            onChange={(e) => updateDraft({ cta: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          {sectionHeader("Hashtags", "hashtags")}
+          <HashtagInput
+            tags={draft.hashtags}
+            onChange={(hashtags) => updateDraft({ hashtags })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CampaignBoard;
@@ -0,0 +1,107 @@
+import { useState } from "react";
+import { apiFetchBlob, authHeaders } from "../api";
+
+const FORMATS = [
+  { id: "md", label: "Markdown", query: "format=md", extension: "md" },
+  {
+    id: "md-embed",
+    label: "Markdown (images embedded)",
+    query: "format=md&embed=1",
+    extension: "md",
+  },
+  { id: "pdf", label: "PDF", query: "format=pdf", extension: "pdf" },
+  {
+    id: "zip",
+    label: "Bundle (.zip, for import)",
+    query: "format=zip",
+    extension: "zip",
+  },
+];
+
+// same idea as the server's file names: "Q3 Launch!" -> "q3-launch"
+function fileSlug(name) {
+  return (
+    String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "byte-size-export"
+  );
+}
+
+/**
+ * "Export" button with a small menu of formats; downloads
+ * `${path}?format=...` (a chat's or project's export endpoint).
+ * align = which edge of the button the menu lines up with.
+ */
+function ExportMenu({
+  token,
+  path,
+  name,
+  onUnauthorized,
+  align = "left",
+  className = "",
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [error, setError] = useState("");
+
+  async function handleExport(format) {
+    setIsOpen(false);
+    setError("");
+    setBusyFormat(format.id);
+
+    try {
+      const blob = await apiFetchBlob(`${path}?${format.query}`, {
+        headers: authHeaders(token),
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${fileSlug(name)}.${format.extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else setError("Export failed.");
+    } finally {
+      setBusyFormat(null);
+    }
+  }
+
+  return (
+    <div className={`relative inline-block ${className}`}>
+      <button
+        type="button"
+        disabled={busyFormat !== null}
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="inline-flex items-center text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition disabled:opacity-50 disabled:cursor-wait"
+        title={error || undefined}
+      >
+        {busyFormat ? "Exporting..." : error ? "Export failed ▾" : "Export ▾"}
+      </button>
+
+      {isOpen && (
+        <div
+          className={`absolute ${
+            align === "right" ? "right-0" : "left-0"
+          } z-30 mt-1 w-52 rounded-md border border-zinc-700 bg-[#050509] py-1 shadow-lg`}
+        >
+          {FORMATS.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              onClick={() => handleExport(format)}
+              className="block w-full px-3 py-1.5 text-left text-[11px] text-zinc-200 hover:bg-zinc-800/70"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,38 @@
+// words of a search query, as the server splits them
+function queryTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Text with every word that starts with one of the query's terms marked,
+ * the way search matches them ("camp" marks "campaign").
+ */
+function HighlightedText({ text, query }) {
+  const terms = queryTerms(query);
+  if (!text || !terms.length) return text || null;
+
+  const pattern = new RegExp(
+    `((?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*)`,
+    "giu"
+  );
+
+  // split() with a capture group puts the matches at the odd indexes
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="rounded-sm bg-amber-400/30 text-amber-100">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
+
+export default HighlightedText;
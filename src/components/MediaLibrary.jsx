@@ -0,0 +1,229 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders, mediaUrl } from "../api";
+
+const selectClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-zinc-100 focus:outline-none focus:border-zinc-300";
+
+const smallButtonClass =
+  "text-[11px] px-2 py-0.5 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition";
+
+function formatCost(costUsd) {
+  if (costUsd == null) return null;
+  return costUsd < 0.01 ? "< $0.01" : `$${costUsd.toFixed(2)}`;
+}
+
+/**
+ * Every image and video the user has generated (saved on the server by
+ * media.js), filterable by type, brand and project. Images can be taken
+ * back into the chat to edit.
+ */
+function MediaLibrary({
+  token,
+  brands,
+  projects,
+  onReuseImage,
+  onUnauthorized,
+  onClose,
+}) {
+  const [items, setItems] = useState([]);
+  const [filters, setFilters] = useState({
+    kind: "",
+    brandId: "",
+    projectId: "",
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const query = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    );
+
+    apiFetch(`/api/media?${query}`, { headers: authHeaders(token) })
+      .then((data) => {
+        if (!cancelled) setItems(data.media || []);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load the media library.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, filters]);
+
+  async function handleDelete(item) {
+    const confirmed = window.confirm(
+      "Delete this from the library? Chats that show it will lose it."
+    );
+    if (!confirmed) return;
+
+    try {
+      await apiFetch(`/api/media/${item.id}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      });
+      setItems((prev) => prev.filter((m) => m.id !== item.id));
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else setError(err.message || "Could not delete it.");
+    }
+  }
+
+  function updateFilter(changes) {
+    setIsLoading(true);
+    setFilters((prev) => ({ ...prev, ...changes }));
+  }
+
+  const brandNames = Object.fromEntries(brands.map((b) => [b.id, b.name]));
+  const projectNames = Object.fromEntries(projects.map((p) => [p.id, p.name]));
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">Media library</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select
+          value={filters.kind}
+          onChange={(e) => updateFilter({ kind: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">Images & videos</option>
+          <option value="image">Images</option>
+          <option value="video">Videos</option>
+        </select>
+
+        <select
+          value={filters.brandId}
+          onChange={(e) => updateFilter({ brandId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">All brands</option>
+          {brands.map((b) => (
+            <option key={b.id} value={b.id}>
+              {b.name}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.projectId}
+          onChange={(e) => updateFilter({ projectId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">All projects</option>
+          <option value="none">Not in a project</option>
+          {projects.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-xs text-emerald-400">Loading media...</p>
+      ) : items.length === 0 ? (
+        <p className="text-xs text-zinc-500 italic">
+          Nothing here yet – images and videos you generate are saved here.
+        </p>
+      ) : (
+        <div className="grid gap-3 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3">
+          {items.map((item) => (
+            <div
+              key={item.id}
+              className="rounded-xl border border-zinc-800 bg-[#0b0c10] overflow-hidden text-xs"
+            >
+              {item.kind === "video" ? (
+                <video
+                  src={mediaUrl(item.url)}
+                  controls
+                  className="w-full bg-black"
+                />
+              ) : (
+                <img
+                  src={mediaUrl(item.url)}
+                  alt={item.prompt || "Generated image"}
+                  className="w-full"
+                />
+              )}
+
+              <div className="px-3 py-2 space-y-1">
+                {item.prompt && (
+                  <p className="text-slate-100 line-clamp-2" title={item.prompt}>
+                    {item.prompt}
+                  </p>
+                )}
+                <p className="text-[10px] text-zinc-500">
+                  {[
+                    item.model,
+                    brandNames[item.brandId],
+                    projectNames[item.projectId],
+                    item.width && item.height && `${item.width}×${item.height}`,
+                    formatCost(item.costUsd),
+                    new Date(item.createdAt).toLocaleDateString(),
+                  ]
+                    .filter(Boolean)
+                    .join(" • ")}
+                </p>
+
+                <div className="flex flex-wrap gap-2 pt-1">
+                  {item.kind === "image" && (
+                    <button
+                      type="button"
+                      onClick={() => onReuseImage(item.url)}
+                      className={smallButtonClass}
+                    >
+                      ✏️ Edit in chat
+                    </button>
+                  )}
+                  <a
+                    href={mediaUrl(item.url)}
+                    download
+                    target="_blank"
+                    rel="noreferrer"
+                    className={smallButtonClass}
+                  >
+                    ⬇️ Download
+                  </a>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(item)}
+                    className="text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default MediaLibrary;
@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetchBlob, authHeaders } from "../api";
+
+const KIND_ICONS = { image: "🖼️", file: "📄", text: "📝" };
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One attachment: a thumbnail for images, a chip otherwise. Files are
+ * behind auth, so they're fetched with the token instead of a plain src.
+ */
+function AttachmentItem({ token, attachment, onRemove, onUnauthorized }) {
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  const isImage = attachment.kind === "image" && attachment.id;
+
+  useEffect(() => {
+    if (!isImage) return;
+
+    let cancelled = false;
+    let objectUrl = null;
+
+    apiFetchBlob(`/api/attachments/${attachment.id}`, {
+      headers: authHeaders(token),
+    })
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setPreviewUrl(objectUrl);
+      })
+      .catch((err) => {
+        if (!cancelled && err.status === 401) onUnauthorizedRef.current?.();
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [token, attachment.id, isImage]);
+
+  async function handleOpen() {
+    if (!attachment.id) return;
+
+    try {
+      const blob = await apiFetchBlob(`/api/attachments/${attachment.id}`, {
+        headers: authHeaders(token),
+      });
+      const url = URL.createObjectURL(blob);
+      window.open(url, "_blank", "noopener");
+      // give the new tab time to load it
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (err) {
+      if (err.status === 401) onUnauthorized?.();
+    }
+  }
+
+  return (
+    <div
+      className={`flex items-center gap-2 rounded-lg border px-2 py-1 text-[11px] ${
+        attachment.error
+          ? "border-red-700 text-red-400"
+          : "border-zinc-700 text-zinc-300"
+      }`}
+    >
+      {previewUrl ? (
+        <img
+          src={previewUrl}
+          alt={attachment.name}
+          onClick={handleOpen}
+          className="h-10 w-10 rounded object-cover cursor-pointer"
+        />
+      ) : (
+        <span>{KIND_ICONS[attachment.kind] || "📎"}</span>
+      )}
+
+      <button
+        type="button"
+        onClick={handleOpen}
+        disabled={!attachment.id}
+        className="max-w-[160px] truncate text-left hover:text-white transition disabled:cursor-default"
+        title={attachment.name}
+      >
+        {attachment.name}
+      </button>
+
+      <span className="text-zinc-500">
+        {attachment.error ||
+          (attachment.id ? formatSize(attachment.size) : "Uploading…")}
+      </span>
+
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(attachment)}
+          className="text-red-500 hover:text-red-300 transition px-1"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Attachments of a chat message, or (with onRemove) the ones waiting in
+ * the composer.
+ */
+function MessageAttachments({ token, attachments, onRemove, onUnauthorized }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.map((attachment) => (
+        <AttachmentItem
+          key={attachment.localId || attachment.id}
+          token={token}
+          attachment={attachment}
+          onRemove={onRemove}
+          onUnauthorized={onUnauthorized}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default MessageAttachments;
@@ -0,0 +1,208 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+import HighlightedText from "./HighlightedText";
+
+// wait for a pause in typing before asking the server
+const SEARCH_DELAY_MS = 300;
+
+const selectClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1.5 text-[11px] text-slate-100 focus:outline-none focus:border-zinc-300";
+
+/**
+ * Full-text search over every message in every chat, with brand, mode and
+ * project filters. Picking a result opens its chat at that message.
+ */
+function MessageSearch({
+  token,
+  brands,
+  modes,
+  projects,
+  onOpenResult,
+  onUnauthorized,
+  onClose,
+}) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({
+    brandId: "",
+    modeId: "",
+    projectId: "",
+  });
+  const [results, setResults] = useState([]);
+  // the query the results are for
+  const [resultsQuery, setResultsQuery] = useState("");
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState("");
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    if (!trimmed) return;
+
+    let cancelled = false;
+    const params = new URLSearchParams({ q: trimmed });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    const timer = setTimeout(() => {
+      setIsSearching(true);
+
+      apiFetch(`/api/search?${params}`, { headers: authHeaders(token) })
+        .then((data) => {
+          if (cancelled) return;
+          setResults(data.results || []);
+          setResultsQuery(trimmed);
+          setError("");
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          if (err.status === 401) onUnauthorizedRef.current();
+          else setError(err.message || "Search failed.");
+        })
+        .finally(() => {
+          if (!cancelled) setIsSearching(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token, trimmed, filters]);
+
+  function handleQueryChange(e) {
+    setQuery(e.target.value);
+    if (!e.target.value.trim()) {
+      setResults([]);
+      setResultsQuery("");
+    }
+  }
+
+  const projectName = (id) =>
+    projects.find((p) => p.id === id)?.name || "No project";
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">
+          Search messages
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      <input
+        type="search"
+        autoFocus
+        value={query}
+        onChange={handleQueryChange}
+        placeholder="Search every chat…"
+        className="w-full max-w-2xl rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-sm text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300"
+      />
+
+      <div className="mt-2 mb-4 flex flex-wrap gap-2">
+        <select
+          value={filters.brandId}
+          onChange={(e) => setFilters({ ...filters, brandId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">All brands</option>
+          {brands.map((b) => (
+            <option key={b.id} value={b.id}>
+              {b.name}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.modeId}
+          onChange={(e) => setFilters({ ...filters, modeId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">All modes</option>
+          {modes.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.name}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.projectId}
+          onChange={(e) =>
+            setFilters({ ...filters, projectId: e.target.value })
+          }
+          className={selectClass}
+        >
+          <option value="">All projects</option>
+          <option value="none">No project</option>
+          {projects.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isSearching && (
+        <p className="mb-2 text-xs text-emerald-400">Searching...</p>
+      )}
+
+      {resultsQuery && !isSearching && results.length === 0 && (
+        <p className="text-xs text-zinc-500 italic">
+          Nothing matches “{resultsQuery}”.
+        </p>
+      )}
+
+      <ul className="space-y-2 max-w-2xl">
+        {results.map((result) => (
+          <li key={result.id}>
+            <button
+              type="button"
+              onClick={() => onOpenResult(result, resultsQuery)}
+              className="w-full text-left rounded-xl border border-zinc-800 bg-zinc-900/60 px-3 py-2 hover:bg-zinc-800/70 transition"
+            >
+              <p className="flex items-center gap-2 text-[11px] text-zinc-500">
+                <span className="truncate text-zinc-300">
+                  {result.chatTitle}
+                </span>
+                <span>•</span>
+                <span className="truncate">
+                  {projectName(result.projectId)}
+                </span>
+                <span className="ml-auto shrink-0">
+                  {new Date(result.createdAt).toLocaleDateString()}
+                </span>
+              </p>
+              <p className="mt-1 text-xs text-slate-100">
+                <span className="text-zinc-500">
+                  {result.role === "user" ? "You: " : "AI: "}
+                </span>
+                <HighlightedText text={result.snippet} query={resultsQuery} />
+              </p>
+              {(result.brand || result.mode) && (
+                <p className="mt-1 text-[10px] text-zinc-500">
+                  {[result.brand, result.mode].filter(Boolean).join(" • ")}
+                </p>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default MessageSearch;
@@ -0,0 +1,323 @@
+import { useState } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+// fallback slots in the editor (the server allows up to 3)
+const FALLBACK_SLOTS = 3;
+
+function formFromMode(mode) {
+  const fallbacks = mode.fallbackModels || [];
+
+  return {
+    instructions: mode.instructions,
+    outputStructure: mode.outputStructure,
+    defaultModel: mode.defaultModel || "",
+    fallbackModels: Array.from(
+      { length: FALLBACK_SLOTS },
+      (_, i) => fallbacks[i] || ""
+    ),
+    temperature: mode.temperature ?? "",
+  };
+}
+
+const inputClass =
+  "w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+/**
+ * Admin screen for the template behind each mode: system instructions,
+ * expected output structure, default model, fallback models and
+ * temperature. Image and video modes only show what their generation
+ * uses – the model settings.
+ */
+function ModeTemplates({
+  token,
+  modes,
+  models,
+  videoModels,
+  onModesChange,
+  onUnauthorized,
+  onClose,
+}) {
+  const [editingId, setEditingId] = useState(modes[0]?.id ?? null);
+  const [form, setForm] = useState(modes[0] ? formFromMode(modes[0]) : null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const editingMode = modes.find((m) => m.id === editingId) || null;
+  // image/video requests go straight to the generation model, so there's
+  // no prompt or temperature to set
+  const isChatMode = editingMode?.kind === "chat";
+
+  // only offer models that can actually serve this mode
+  const modelOptions =
+    editingMode?.kind === "video"
+      ? videoModels
+      : models.filter((m) =>
+          editingMode?.kind === "image" ? m.isImageCapable : true
+        );
+
+  function setFallbackModel(index, modelId) {
+    const fallbackModels = [...form.fallbackModels];
+    fallbackModels[index] = modelId;
+    setForm({ ...form, fallbackModels });
+  }
+
+  function startEditing(mode) {
+    setError("");
+    setNotice("");
+    setEditingId(mode.id);
+    setForm(formFromMode(mode));
+  }
+
+  function applySavedMode(mode) {
+    onModesChange(modes.map((m) => (m.id === mode.id ? mode : m)));
+    setForm(formFromMode(mode));
+  }
+
+  function handleApiError(err) {
+    if (err.status === 401) {
+      onUnauthorized();
+      return;
+    }
+    setError(err.message || "Something went wrong.");
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+    setIsSaving(true);
+
+    try {
+      const data = await apiFetch(`/api/modes/${editingId}`, {
+        method: "PATCH",
+        headers: authHeaders(token),
+        body: JSON.stringify({
+          instructions: form.instructions.trim(),
+          outputStructure: form.outputStructure.trim(),
+          defaultModel: form.defaultModel || null,
+          fallbackModels: form.fallbackModels.filter(Boolean),
+          temperature:
+            form.temperature === "" ? null : Number(form.temperature),
+        }),
+      });
+
+      applySavedMode(data.mode);
+      setNotice("Saved.");
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleReset() {
+    if (!window.confirm(`Reset ${editingMode.name} to the built-in template?`)) {
+      return;
+    }
+
+    setError("");
+    setNotice("");
+
+    try {
+      const data = await apiFetch(`/api/modes/${editingId}/reset`, {
+        method: "POST",
+        headers: authHeaders(token),
+      });
+
+      applySavedMode(data.mode);
+      setNotice("Reset to default.");
+    } catch (err) {
+      handleApiError(err);
+    }
+  }
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">Mode templates</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+      {notice && <p className="mb-3 text-xs text-emerald-400">{notice}</p>}
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {/* MODE LIST */}
+        <div className="md:w-48 space-y-1">
+          {modes.map((mode) => (
+            <button
+              key={mode.id}
+              type="button"
+              onClick={() => startEditing(mode)}
+              className={`w-full text-left px-3 py-2 rounded-md text-xs transition ${
+                mode.id === editingId
+                  ? "bg-zinc-800 text-zinc-50"
+                  : "text-zinc-300 hover:bg-zinc-800/60"
+              }`}
+            >
+              {mode.name}
+            </button>
+          ))}
+        </div>
+
+        {/* EDITOR */}
+        {form && editingMode && (
+          <form
+            onSubmit={handleSave}
+            className="flex-1 rounded-xl border border-zinc-800 px-3 py-3 space-y-3 max-w-2xl"
+          >
+            <p className="text-[11px] uppercase tracking-wide text-zinc-500">
+              {editingMode.name}
+              {!isChatMode && (
+                <span className="normal-case tracking-normal text-zinc-600">
+                  {" "}
+                  • {editingMode.kind} generation only uses the model settings
+                </span>
+              )}
+            </p>
+
+            {isChatMode && (
+              <>
+                <label className="block space-y-1">
+                  <span className="text-[11px] text-zinc-400">
+                    System instructions
+                  </span>
+                  <textarea
+                    rows={5}
+                    value={form.instructions}
+                    onChange={(e) =>
+                      setForm({ ...form, instructions: e.target.value })
+                    }
+                    className={inputClass}
+                  />
+                </label>
+
+                <label className="block space-y-1">
+                  <span className="text-[11px] text-zinc-400">
+                    Expected output structure
+                  </span>
+                  <textarea
+                    rows={6}
+                    value={form.outputStructure}
+                    onChange={(e) =>
+                      setForm({ ...form, outputStructure: e.target.value })
+                    }
+                    className={inputClass}
+                  />
+                </label>
+              </>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              <label className="flex-1 block space-y-1">
+                <span className="text-[11px] text-zinc-400">Default model</span>
+                <select
+                  value={form.defaultModel}
+                  onChange={(e) =>
+                    setForm({ ...form, defaultModel: e.target.value })
+                  }
+                  className={inputClass}
+                >
+                  <option value="">Keep the user's current model</option>
+                  {/* saved model may no longer be listed */}
+                  {form.defaultModel &&
+                    !modelOptions.some((m) => m.id === form.defaultModel) && (
+                      <option value={form.defaultModel}>
+                        {form.defaultModel}
+                      </option>
+                    )}
+                  {modelOptions.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label || m.name || m.id}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {isChatMode && (
+                <label className="sm:w-40 block space-y-1">
+                  <span className="text-[11px] text-zinc-400">
+                    Temperature (0–2)
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    value={form.temperature}
+                    onChange={(e) =>
+                      setForm({ ...form, temperature: e.target.value })
+                    }
+                    placeholder="Model default"
+                    className={inputClass}
+                  />
+                </label>
+              )}
+            </div>
+
+            {/* video runs as queued jobs, so there's nothing to fall back on */}
+            {editingMode.kind !== "video" && (
+              <div className="space-y-1">
+                <span className="text-[11px] text-zinc-400">
+                  Fallback models – tried in order when the chosen model is
+                  rate-limited or down
+                </span>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  {form.fallbackModels.map((modelId, index) => (
+                    <select
+                      key={index}
+                      value={modelId}
+                      onChange={(e) => setFallbackModel(index, e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value="">
+                        {index === 0 ? "No fallback" : "—"}
+                      </option>
+                      {modelId &&
+                        !modelOptions.some((m) => m.id === modelId) && (
+                          <option value={modelId}>{modelId}</option>
+                        )}
+                      {modelOptions.map((m) => (
+                        <option key={m.id} value={m.id}>
+                          {m.name || m.id}
+                          {m.isFree ? " (free)" : ""}
+                        </option>
+                      ))}
+                    </select>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2 pt-1">
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex-1 rounded-full bg-[#130dbb] text-white font-semibold text-xs py-2 hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+              >
+                {isSaving ? "Saving..." : "Save template"}
+              </button>
+
+              <button
+                type="button"
+                onClick={handleReset}
+                className="text-[11px] px-3 py-2 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+              >
+                Reset to default
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default ModeTemplates;
@@ -0,0 +1,290 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  DEFAULT_MODEL_FILTERS,
+  MODALITY_OPTIONS,
+  CONTEXT_OPTIONS,
+  filterModels,
+  hasActiveFilters,
+  listProviders,
+  modelProvider,
+  pricePerMillion,
+} from "../modelFilters";
+
+const inputClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+const smallButtonClass =
+  "text-[10px] px-2 py-0.5 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition";
+
+function formatModelPrice(model) {
+  if (model.isFree) return "Free";
+  return `$${pricePerMillion(model.pricing?.prompt).toFixed(2)}/1M in`;
+}
+
+function formatContext(tokens) {
+  if (!tokens) return "";
+  return tokens >= 1000000
+    ? `${Math.round(tokens / 100000) / 10}M ctx`
+    : `${Math.round(tokens / 1000)}k ctx`;
+}
+
+/**
+ * Searchable replacement for the model <select>: search + filters, pinned
+ * favourites and recently used models on top, and buttons to make the
+ * current model the default for the active mode or brand.
+ * `models` is already limited to what the active mode can use.
+ */
+function ModelPicker({
+  models,
+  selectedModel,
+  preferences,
+  activeMode,
+  activeBrand,
+  onSelect,
+  onToggleFavorite,
+  onSetDefault,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState(DEFAULT_MODEL_FILTERS);
+  const containerRef = useRef(null);
+
+  // close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+
+    function handleMouseDown(e) {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    }
+
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  const matching = filterModels(models, filters, query);
+  const byId = new Map(matching.map((m) => [m.id, m]));
+
+  const favorites = preferences.favorites
+    .map((id) => byId.get(id))
+    .filter(Boolean);
+  const recents = preferences.recents
+    .filter((id) => !preferences.favorites.includes(id))
+    .map((id) => byId.get(id))
+    .filter(Boolean);
+
+  const modeDefault = activeMode && preferences.defaults.modes[activeMode.id];
+  const brandDefault =
+    activeBrand && preferences.defaults.brands[activeBrand.id];
+
+  function updateFilter(changes) {
+    setFilters((prev) => ({ ...prev, ...changes }));
+  }
+
+  function handleSelect(model) {
+    onSelect(model.id);
+    setIsOpen(false);
+  }
+
+  function renderRow(model) {
+    const isFavorite = preferences.favorites.includes(model.id);
+    const isSelected = model.id === selectedModel?.id;
+
+    return (
+      <div
+        key={model.id}
+        className={`flex items-center gap-2 px-2 py-1.5 rounded-md ${
+          isSelected ? "bg-[#130dbb] text-white" : "hover:bg-zinc-900"
+        }`}
+      >
+        <button
+          type="button"
+          onClick={() => onToggleFavorite(model.id)}
+          title={isFavorite ? "Unpin" : "Pin to favourites"}
+          className={`shrink-0 ${
+            isFavorite ? "text-amber-400" : "text-zinc-600 hover:text-zinc-300"
+          }`}
+        >
+          {isFavorite ? "★" : "☆"}
+        </button>
+        <button
+          type="button"
+          onClick={() => handleSelect(model)}
+          className="flex-1 min-w-0 flex items-center justify-between gap-2 text-left"
+        >
+          <span className="truncate">
+            {model.name}
+            <span className={isSelected ? "text-zinc-300" : "text-zinc-500"}>
+              {" "}
+              • {modelProvider(model)}
+            </span>
+          </span>
+          <span
+            className={`shrink-0 text-[10px] ${
+              isSelected ? "text-zinc-200" : "text-zinc-500"
+            }`}
+          >
+            {[formatModelPrice(model), formatContext(model.contextLength)]
+              .filter(Boolean)
+              .join(" • ")}
+          </span>
+        </button>
+      </div>
+    );
+  }
+
+  function renderSection(label, list) {
+    if (!list.length) return null;
+
+    return (
+      <div className="mb-2">
+        <p className="px-2 mb-1 text-[10px] uppercase tracking-wide text-zinc-500">
+          {label}
+        </p>
+        {list.map(renderRow)}
+      </div>
+    );
+  }
+
+  function renderDefaultControl(label, scope, target, currentDefault) {
+    if (!target) return null;
+    const isDefault = currentDefault === selectedModel?.id;
+
+    return (
+      <div className="flex items-center justify-between gap-2">
+        <span className="truncate text-zinc-500">
+          Default for {label} {target.name}:{" "}
+          <span className="text-zinc-300">
+            {models.find((m) => m.id === currentDefault)?.name ||
+              currentDefault ||
+              "none"}
+          </span>
+        </span>
+        {isDefault ? (
+          <button
+            type="button"
+            onClick={() => onSetDefault(scope, null)}
+            className={smallButtonClass}
+          >
+            Clear
+          </button>
+        ) : (
+          <button
+            type="button"
+            disabled={!selectedModel}
+            onClick={() => onSetDefault(scope, selectedModel.id)}
+            className={smallButtonClass}
+          >
+            Use current
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] md:text-xs text-zinc-100 hover:border-zinc-500 focus:outline-none focus:border-zinc-300 max-w-[16rem] truncate"
+      >
+        {selectedModel?.name || "Pick a model"} ▾
+      </button>
+
+      {isOpen && (
+        <div className="absolute z-50 mt-1 w-[min(32rem,90vw)] rounded-xl border border-zinc-800 bg-[#0b0c10] shadow-lg p-2 space-y-2 text-[11px] text-zinc-200">
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={`Search ${models.length} models...`}
+            className={`${inputClass} w-full`}
+          />
+
+          <div className="flex flex-wrap items-center gap-1.5">
+            <label className="flex items-center gap-1 text-zinc-400">
+              <input
+                type="checkbox"
+                checked={filters.freeOnly}
+                onChange={(e) => updateFilter({ freeOnly: e.target.checked })}
+              />
+              Free only
+            </label>
+            <select
+              value={filters.modality}
+              onChange={(e) => updateFilter({ modality: e.target.value })}
+              className={inputClass}
+            >
+              {MODALITY_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.provider}
+              onChange={(e) => updateFilter({ provider: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Any provider</option>
+              {listProviders(models).map((p) => (
+                <option key={p} value={p}>
+                  {p}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.minContext}
+              onChange={(e) =>
+                updateFilter({ minContext: Number(e.target.value) })
+              }
+              className={inputClass}
+            >
+              {CONTEXT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={filters.maxPrice}
+              onChange={(e) => updateFilter({ maxPrice: e.target.value })}
+              placeholder="Max $/1M in"
+              className={`${inputClass} w-24`}
+            />
+            {hasActiveFilters(filters) && (
+              <button
+                type="button"
+                onClick={() => setFilters(DEFAULT_MODEL_FILTERS)}
+                className={smallButtonClass}
+              >
+                Reset
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-80 overflow-y-auto">
+            {renderSection("Favourites", favorites)}
+            {renderSection("Recently used", recents)}
+            {renderSection(`All models (${matching.length})`, matching)}
+            {matching.length === 0 && (
+              <p className="px-2 py-3 text-zinc-500 italic">
+                No models match – try fewer filters.
+              </p>
+            )}
+          </div>
+
+          <div className="border-t border-zinc-800 pt-2 space-y-1">
+            {renderDefaultControl("mode", "mode", activeMode, modeDefault)}
+            {renderDefaultControl("brand", "brand", activeBrand, brandDefault)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelPicker;
@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+import CampaignBoard from "./CampaignBoard";
+
+/**
+ * Every Campaign Builder plan made in a project's chats, newest first.
+ */
+function ProjectCampaigns({ token, project, onUnauthorized, onClose }) {
+  const [campaigns, setCampaigns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiFetch(`/api/campaigns?projectId=${encodeURIComponent(project.id)}`, {
+      headers: authHeaders(token),
+    })
+      .then((data) => {
+        if (!cancelled) setCampaigns(data.campaigns || []);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load campaigns.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, project.id]);
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">
+          {project.name} • Campaigns
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-xs text-emerald-400">Loading campaigns...</p>
+      ) : campaigns.length === 0 ? (
+        <p className="text-xs text-zinc-500 italic">
+          No campaigns yet – use Campaign Builder mode in one of this
+          project's chats.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {campaigns.map((campaign) => (
+            <CampaignBoard
+              key={campaign.id}
+              token={token}
+              campaignId={campaign.id}
+              onUnauthorized={onUnauthorized}
+              onDeleted={(id) =>
+                setCampaigns((prev) => prev.filter((c) => c.id !== id))
+              }
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ProjectCampaigns;
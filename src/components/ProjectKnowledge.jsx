@@ -0,0 +1,230 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const ACCEPTED_FILES = ".txt,.md,.markdown,.csv,.html,.htm,.json";
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * A project's knowledge base: the reference documents prompts in its
+ * chats are answered from (and cite).
+ */
+function ProjectKnowledge({ token, project, onUnauthorized, onClose }) {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState("");
+  // id -> text, for documents opened to check what got indexed
+  const [openTexts, setOpenTexts] = useState({});
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  const documentsPath = `/api/projects/${encodeURIComponent(
+    project.id
+  )}/documents`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiFetch(documentsPath, { headers: authHeaders(token) })
+      .then((data) => {
+        if (!cancelled) setDocuments(data.documents || []);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load documents.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, documentsPath]);
+
+  function handleError(err, fallback) {
+    if (err.status === 401) onUnauthorized();
+    else setError(err.message || fallback);
+  }
+
+  async function handleUpload(e) {
+    const files = [...e.target.files];
+    e.target.value = "";
+    if (!files.length) return;
+
+    setError("");
+    setIsUploading(true);
+
+    // one at a time, so one bad file doesn't sink the rest
+    for (const file of files) {
+      if (file.size > MAX_DOCUMENT_BYTES) {
+        setError(`"${file.name}" is over 5 MB.`);
+        continue;
+      }
+
+      try {
+        const data = await apiFetch(documentsPath, {
+          method: "POST",
+          headers: authHeaders(token),
+          body: JSON.stringify({
+            name: file.name,
+            mimeType: file.type,
+            data: await readAsDataUrl(file),
+          }),
+        });
+        setDocuments((prev) => [data.document, ...prev]);
+      } catch (err) {
+        handleError(err, `Could not add "${file.name}".`);
+        if (err.status === 401) break;
+      }
+    }
+
+    setIsUploading(false);
+  }
+
+  async function handleDelete(doc) {
+    if (!window.confirm(`Remove "${doc.name}" from the knowledge base?`)) {
+      return;
+    }
+
+    try {
+      await apiFetch(`${documentsPath}/${doc.id}`, {
+        method: "DELETE",
+        headers: authHeaders(token),
+      });
+      setDocuments((prev) => prev.filter((d) => d.id !== doc.id));
+    } catch (err) {
+      handleError(err, "Could not remove the document.");
+    }
+  }
+
+  async function handleToggleText(doc) {
+    if (openTexts[doc.id] !== undefined) {
+      setOpenTexts((prev) => {
+        const next = { ...prev };
+        delete next[doc.id];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      const data = await apiFetch(`${documentsPath}/${doc.id}`, {
+        headers: authHeaders(token),
+      });
+      setOpenTexts((prev) => ({ ...prev, [doc.id]: data.text }));
+    } catch (err) {
+      handleError(err, "Could not load the document.");
+    }
+  }
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">
+          {project.name} • Knowledge base
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      <p className="mb-3 text-xs text-zinc-400">
+        Brand guides, product sheets, past campaigns… Prompts in this
+        project's chats are answered with the most relevant passages, and
+        replies cite them as [1], [2]. Text, Markdown, CSV, HTML or JSON, up
+        to 5 MB each.
+      </p>
+
+      <label
+        className={`mb-4 inline-flex items-center text-[11px] px-3 py-1 rounded-full bg-[#130dbb] text-white transition ${
+          isUploading
+            ? "opacity-50 cursor-wait"
+            : "hover:bg-[#2620e6] cursor-pointer"
+        }`}
+      >
+        {isUploading ? "Indexing..." : "+ Add documents"}
+        <input
+          type="file"
+          multiple
+          accept={ACCEPTED_FILES}
+          disabled={isUploading}
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </label>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-xs text-emerald-400">Loading documents...</p>
+      ) : documents.length === 0 ? (
+        <p className="text-xs text-zinc-500 italic">No documents yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {documents.map((doc) => (
+            <li
+              key={doc.id}
+              className="rounded-xl border border-zinc-800 bg-zinc-900/60 px-3 py-2"
+            >
+              <div className="flex items-center gap-2 text-xs">
+                <span>📄</span>
+                <button
+                  type="button"
+                  onClick={() => handleToggleText(doc)}
+                  className="flex-1 text-left truncate text-slate-100 hover:underline"
+                  title="Show the indexed text"
+                >
+                  {doc.name}
+                </button>
+                <span className="text-[10px] text-zinc-500">
+                  {formatSize(doc.size)} • {doc.chunkCount} passage
+                  {doc.chunkCount === 1 ? "" : "s"} •{" "}
+                  {new Date(doc.createdAt).toLocaleDateString()}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(doc)}
+                  className="ml-1 text-red-500 text-[11px] hover:text-red-300 transition px-1"
+                >
+                  ✕
+                </button>
+              </div>
+
+              {openTexts[doc.id] !== undefined && (
+                <pre className="mt-2 max-h-72 overflow-auto whitespace-pre-wrap rounded-lg bg-zinc-950 px-2 py-1.5 text-[11px] text-zinc-400">
+                  {openTexts[doc.id]}
+                </pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default ProjectKnowledge;
@@ -0,0 +1,207 @@
+import { useState } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+// the server allows up to this much
+const MAX_INSTRUCTIONS_CHARS = 4000;
+
+function formFromProject(project) {
+  return {
+    name: project.name,
+    instructions: project.instructions || "",
+    defaultBrandId: project.defaultBrandId || "",
+    defaultModeId: project.defaultModeId || "",
+    defaultModel: project.defaultModel || "",
+  };
+}
+
+const inputClass =
+  "w-full rounded-md bg-[#050509] border border-zinc-700 px-3 py-2 text-xs text-slate-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+/**
+ * A project's own instructions (added to the system prompt of each of its
+ * chats) and the brand, mode and model new chats in it start with.
+ */
+function ProjectSettings({
+  token,
+  project,
+  brands,
+  modes,
+  models,
+  videoModels,
+  onProjectChange,
+  onUnauthorized,
+  onClose,
+}) {
+  const [form, setForm] = useState(() => formFromProject(project));
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const defaultMode = modes.find((m) => m.id === form.defaultModeId) || null;
+
+  // only offer models that can serve the default mode
+  const modelOptions =
+    defaultMode?.kind === "video"
+      ? videoModels
+      : models.filter((m) =>
+          defaultMode?.kind === "image" ? m.isImageCapable : true
+        );
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+
+    if (!form.name.trim()) {
+      setError("Project name can't be empty.");
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const data = await apiFetch(`/api/projects/${project.id}`, {
+        method: "PATCH",
+        headers: authHeaders(token),
+        body: JSON.stringify({
+          name: form.name.trim(),
+          instructions: form.instructions.trim(),
+          defaultBrandId: form.defaultBrandId || null,
+          defaultModeId: form.defaultModeId || null,
+          defaultModel: form.defaultModel || null,
+        }),
+      });
+
+      onProjectChange(data.project);
+      setForm(formFromProject(data.project));
+      setNotice("Saved.");
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else setError(err.message || "Could not save the project.");
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold text-slate-100">
+          {project.name} • Settings
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+        >
+          Back to chat
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+      {notice && <p className="mb-3 text-xs text-emerald-400">{notice}</p>}
+
+      <form
+        onSubmit={handleSave}
+        className="rounded-xl border border-zinc-800 px-3 py-3 space-y-3 max-w-2xl"
+      >
+        <label className="block space-y-1">
+          <span className="text-[11px] text-zinc-400">Name</span>
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+
+        <label className="block space-y-1">
+          <span className="text-[11px] text-zinc-400">
+            Custom instructions • added to every chat in this project
+          </span>
+          <textarea
+            rows={6}
+            maxLength={MAX_INSTRUCTIONS_CHARS}
+            value={form.instructions}
+            onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+            placeholder="e.g. This is the Q3 retail launch. Prices are in rand, the hero product is the X200, and all copy needs a legal line about T&Cs."
+            className={inputClass}
+          />
+        </label>
+
+        <p className="text-[11px] text-zinc-500">
+          New chats in this project start with these (you can still switch
+          in the chat):
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <label className="flex-1 block space-y-1">
+            <span className="text-[11px] text-zinc-400">Brand</span>
+            <select
+              value={form.defaultBrandId}
+              onChange={(e) =>
+                setForm({ ...form, defaultBrandId: e.target.value })
+              }
+              className={inputClass}
+            >
+              <option value="">Keep the current brand</option>
+              {brands.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {b.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex-1 block space-y-1">
+            <span className="text-[11px] text-zinc-400">Mode</span>
+            <select
+              value={form.defaultModeId}
+              onChange={(e) =>
+                setForm({ ...form, defaultModeId: e.target.value })
+              }
+              className={inputClass}
+            >
+              <option value="">Keep the current mode</option>
+              {modes.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <label className="block space-y-1">
+          <span className="text-[11px] text-zinc-400">Model</span>
+          <select
+            value={form.defaultModel}
+            onChange={(e) => setForm({ ...form, defaultModel: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">The mode's default</option>
+            {/* saved model may no longer be listed */}
+            {form.defaultModel &&
+              !modelOptions.some((m) => m.id === form.defaultModel) && (
+                <option value={form.defaultModel}>{form.defaultModel}</option>
+              )}
+            {modelOptions.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label || m.name || m.id}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full rounded-full bg-[#130dbb] text-white font-semibold text-xs py-2 hover:bg-[#2620e6] transition disabled:bg-zinc-700 disabled:text-zinc-400"
+        >
+          {isSaving ? "Saving..." : "Save project"}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default ProjectSettings;
@@ -0,0 +1,56 @@
+// a tool's answer in a few words, for the chip
+function summarize({ result, error }) {
+  if (error) return error;
+
+  const value = result?.result;
+  if (value !== undefined) {
+    // add_days answers with { date, weekday }
+    return typeof value === "object" ? value.date : String(value);
+  }
+  if (result?.days !== undefined) return `${result.days} days`;
+  if (Array.isArray(result?.matches)) {
+    const count = result.matches.length;
+    return `${count} match${count === 1 ? "" : "es"}`;
+  }
+  return "done";
+}
+
+/**
+ * The tools the model ran for a reply, as chips above its text. Each one
+ * opens to show the exact arguments and result.
+ */
+function ToolCalls({ calls }) {
+  return (
+    <div className="mb-1.5 flex flex-col items-start gap-1 whitespace-normal">
+      {calls.map((call, i) => (
+        <details key={i} className="text-[11px]">
+          <summary
+            className={`cursor-pointer list-none inline-flex items-center gap-1 rounded-full border px-2 py-0.5 ${
+              call.error
+                ? "border-red-500/40 text-red-300"
+                : "border-zinc-700 text-zinc-400 hover:bg-zinc-800/70"
+            }`}
+          >
+            🔧 <span className="font-mono">{call.name}</span>
+            <span className="text-zinc-600">→</span>
+            <span className="max-w-[16rem] truncate">{summarize(call)}</span>
+          </summary>
+          <pre className="mt-1 max-h-60 overflow-auto rounded-lg bg-zinc-900 px-2 py-1.5 text-[10px] text-zinc-400">
+            {JSON.stringify(
+              {
+                arguments: call.arguments,
+                ...(call.error
+                  ? { error: call.error }
+                  : { result: call.result }),
+              },
+              null,
+              2
+            )}
+          </pre>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default ToolCalls;
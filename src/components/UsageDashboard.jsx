@@ -0,0 +1,228 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+import BudgetList from "./BudgetList";
+
+const selectClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-zinc-100 focus:outline-none focus:border-zinc-300";
+
+const PERIODS = [7, 30, 90];
+
+function formatUsd(costUsd) {
+  if (!costUsd) return "$0.00";
+  return costUsd < 0.01 ? "< $0.01" : `$${costUsd.toFixed(2)}`;
+}
+
+function formatTokens(tokens) {
+  return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+// spend per row as a bar relative to the biggest one
+function SpendTable({ title, rows, label }) {
+  const max = Math.max(...rows.map((r) => r.costUsd), 0);
+
+  return (
+    <div className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-3">
+      <h3 className="text-[11px] uppercase tracking-wide text-zinc-500 mb-2">
+        {title}
+      </h3>
+      {rows.length === 0 ? (
+        <p className="text-xs text-zinc-500 italic">Nothing yet.</p>
+      ) : (
+        <div className="space-y-1.5">
+          {rows.map((row, index) => (
+            <div key={index} className="text-xs">
+              <div className="flex items-center justify-between gap-2">
+                <span className="truncate text-zinc-200">{label(row)}</span>
+                <span className="shrink-0 text-zinc-400">
+                  {formatUsd(row.costUsd)} • {row.requests} req
+                </span>
+              </div>
+              <div className="h-1 rounded-full bg-zinc-800 overflow-hidden mt-0.5">
+                <div
+                  className="h-full bg-[#2620e6]"
+                  style={{ width: `${max ? (row.costUsd / max) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * What the AI calls cost: totals and spend per day, brand, model (and,
+ * for admins looking at everyone, per user). Data from /api/usage.
+ * Budgets are listed underneath.
+ */
+function UsageDashboard({ token, isAdmin, brands, onUnauthorized, onClose }) {
+  const [days, setDays] = useState(30);
+  const [everyone, setEveryone] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const query = new URLSearchParams({ days: String(days) });
+    if (everyone) query.set("all", "1");
+
+    apiFetch(`/api/usage?${query}`, { headers: authHeaders(token) })
+      .then((data) => {
+        if (!cancelled) setSummary(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err.status === 401) onUnauthorizedRef.current();
+        else setError(err.message || "Could not load usage.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, days, everyone]);
+
+  function changePeriod(value) {
+    setIsLoading(true);
+    setDays(value);
+  }
+
+  function changeScope(value) {
+    setIsLoading(true);
+    setEveryone(value);
+  }
+
+  const maxDaily = Math.max(...(summary?.byDay || []).map((d) => d.costUsd), 0);
+
+  return (
+    <section className="flex-1 overflow-y-auto px-3 sm:px-5 md:px-6 py-4">
+      <div className="flex items-center justify-between mb-4 gap-2">
+        <h2 className="text-sm font-semibold text-slate-100">Usage</h2>
+        <div className="flex items-center gap-2">
+          {isAdmin && (
+            <label className="flex items-center gap-1 text-[11px] text-zinc-400">
+              <input
+                type="checkbox"
+                checked={everyone}
+                onChange={(e) => changeScope(e.target.checked)}
+              />
+              All users
+            </label>
+          )}
+          <select
+            value={days}
+            onChange={(e) => changePeriod(Number(e.target.value))}
+            className={selectClass}
+          >
+            {PERIODS.map((p) => (
+              <option key={p} value={p}>
+                Last {p} days
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[11px] px-3 py-1 rounded-full border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+          >
+            Back to chat
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {isLoading && !summary ? (
+        <p className="text-xs text-emerald-400">Loading usage...</p>
+      ) : summary ? (
+        <div className={`space-y-4 ${isLoading ? "opacity-60" : ""}`}>
+          {/* TOTALS */}
+          <div className="grid gap-3 grid-cols-2 md:grid-cols-4">
+            {[
+              ["Spend", formatUsd(summary.totals.costUsd)],
+              ["Requests", summary.totals.requests],
+              ["Prompt tokens", formatTokens(summary.totals.promptTokens)],
+              ["Reply tokens", formatTokens(summary.totals.completionTokens)],
+            ].map(([label, value]) => (
+              <div
+                key={label}
+                className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-2"
+              >
+                <p className="text-[10px] uppercase tracking-wide text-zinc-500">
+                  {label}
+                </p>
+                <p className="text-sm text-slate-100">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* PER DAY */}
+          <div className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-3">
+            <h3 className="text-[11px] uppercase tracking-wide text-zinc-500 mb-2">
+              Spend per day
+            </h3>
+            {summary.byDay.length === 0 ? (
+              <p className="text-xs text-zinc-500 italic">Nothing yet.</p>
+            ) : (
+              <div className="flex items-end gap-1 h-32">
+                {summary.byDay.map((d) => (
+                  <div
+                    key={d.day}
+                    title={`${d.day}: ${formatUsd(d.costUsd)} • ${d.requests} requests`}
+                    className="flex-1 min-w-[4px] bg-[#2620e6] rounded-t"
+                    style={{
+                      height: `${maxDaily ? Math.max((d.costUsd / maxDaily) * 100, 2) : 2}%`,
+                    }}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid gap-3 md:grid-cols-2">
+            <SpendTable
+              title="Per brand"
+              rows={summary.byBrand}
+              label={(r) =>
+                r.brandName || (r.brandId ? "Deleted brand" : "No brand")
+              }
+            />
+            <SpendTable
+              title="Per model"
+              rows={summary.byModel}
+              label={(r) => `${r.model} (${r.kind})`}
+            />
+            {everyone && (
+              <SpendTable
+                title="Per user"
+                rows={summary.byUser}
+                label={(r) => r.userName || "Deleted user"}
+              />
+            )}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="mt-4">
+        <BudgetList
+          token={token}
+          isAdmin={isAdmin}
+          brands={brands}
+          onUnauthorized={onUnauthorized}
+        />
+      </div>
+    </section>
+  );
+}
+
+export default UsageDashboard;
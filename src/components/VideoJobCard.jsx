@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, authHeaders } from "../api";
+
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  running: "Generating",
+  completed: "Done",
+  failed: "Failed",
+};
+
+/**
+ * Live progress of a background video job. Polls /api/jobs/:id until the
+ * job finishes, then hands the job's final chat message to onFinished.
+ */
+function VideoJobCard({ token, jobId, onFinished, onUnauthorized }) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState("");
+
+  // App passes fresh functions every render – don't restart polling for them
+  const callbacksRef = useRef({ onFinished, onUnauthorized });
+  useEffect(() => {
+    callbacksRef.current = { onFinished, onUnauthorized };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    async function poll() {
+      try {
+        const data = await apiFetch(`/api/jobs/${jobId}`, {
+          headers: authHeaders(token),
+        });
+        if (cancelled) return;
+
+        setJob(data.job);
+        setError("");
+
+        if (data.job.status === "completed" || data.job.status === "failed") {
+          callbacksRef.current.onFinished(data.message);
+          return;
+        }
+      } catch (err) {
+        if (cancelled) return;
+        if (err.status === 401) {
+          callbacksRef.current.onUnauthorized();
+          return;
+        }
+        // keep polling – the backend may just be restarting
+        setError(err.message || "Could not load job status.");
+      }
+
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token, jobId]);
+
+  const progress = Math.round((job?.progress || 0) * 100);
+  const lastLog = job?.logs?.[job.logs.length - 1];
+
+  return (
+    <div className="rounded-xl border border-zinc-800 bg-[#0b0c10] px-3 py-2 text-xs space-y-2 whitespace-normal">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-zinc-200">
+          🎬 {job ? STATUS_LABELS[job.status] : "Checking"} video
+          {job?.model && <span className="text-zinc-500"> • {job.model}</span>}
+        </span>
+        {job?.status === "queued" && job.queuePosition != null && (
+          <span className="text-[11px] text-zinc-500">
+            #{job.queuePosition + 1} in queue
+          </span>
+        )}
+        {job?.status === "running" && (
+          <span className="text-[11px] text-zinc-500">~{progress}%</span>
+        )}
+      </div>
+
+      <div className="h-1.5 rounded-full bg-zinc-800 overflow-hidden">
+        <div
+          className={`h-full bg-[#2620e6] transition-all duration-700 ${
+            job?.status === "queued" ? "animate-pulse" : ""
+          }`}
+          style={{ width: `${Math.max(progress, 3)}%` }}
+        />
+      </div>
+
+      {lastLog && (
+        <p className="text-[11px] text-zinc-500 font-mono truncate">{lastLog}</p>
+      )}
+
+      {error && <p className="text-[11px] text-amber-400">{error}</p>}
+
+      <p className="text-[10px] text-zinc-600">
+        You can close this tab – the video will appear in this chat when it's
+        ready.
+      </p>
+    </div>
+  );
+}
+
+export default VideoJobCard;
@@ -0,0 +1,107 @@
+const controlClass =
+  "rounded-md bg-[#050509] border border-zinc-700 px-2 py-1 text-[11px] text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-zinc-300";
+
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * Per-request video controls (aspect ratio, duration, audio, negative
+ * prompt, seed) limited to what the selected model supports, plus a live
+ * cost estimate. `params` are already fitted to the model (fitVideoParams).
+ */
+function VideoSettings({ model, params, onChange }) {
+  // worked out by the server (see /api/video/catalog)
+  const cost = model.costUsd[params.durationSeconds];
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-2 text-[11px] text-zinc-400">
+      <div className="flex rounded-md border border-zinc-700 overflow-hidden">
+        {model.aspectRatios.map((ratio) => (
+          <button
+            key={ratio}
+            type="button"
+            onClick={() => onChange({ aspectRatio: ratio })}
+            className={`px-2 py-1 transition ${
+              params.aspectRatio === ratio
+                ? "bg-[#130dbb] text-white"
+                : "bg-[#050509] text-zinc-300 hover:bg-zinc-800"
+            }`}
+          >
+            {ratio}
+          </button>
+        ))}
+      </div>
+
+      <select
+        value={params.durationSeconds}
+        onChange={(e) => onChange({ durationSeconds: Number(e.target.value) })}
+        disabled={model.durations.length < 2}
+        className={`${controlClass} disabled:opacity-60`}
+      >
+        {model.durations.map((seconds) => (
+          <option key={seconds} value={seconds}>
+            {seconds}s
+          </option>
+        ))}
+      </select>
+
+      <label
+        className={`flex items-center gap-1 ${
+          model.audio === "optional" ? "" : "opacity-60"
+        }`}
+        title={
+          model.audio === "always"
+            ? `${model.label} always generates audio`
+            : undefined
+        }
+      >
+        <input
+          type="checkbox"
+          checked={params.audioEnabled}
+          disabled={model.audio !== "optional"}
+          onChange={(e) => onChange({ audioEnabled: e.target.checked })}
+        />
+        Audio
+      </label>
+
+      {model.negativePrompt && (
+        <input
+          value={params.negativePrompt}
+          onChange={(e) => onChange({ negativePrompt: e.target.value })}
+          placeholder="Negative prompt (what to avoid)"
+          maxLength={500}
+          className={`${controlClass} flex-1 min-w-[160px]`}
+        />
+      )}
+
+      {model.seed && (
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            max={MAX_SEED}
+            value={params.seed}
+            onChange={(e) => onChange({ seed: e.target.value })}
+            placeholder="Seed"
+            className={`${controlClass} w-24`}
+          />
+          <button
+            type="button"
+            title="Random seed"
+            onClick={() =>
+              onChange({ seed: String(Math.floor(Math.random() * MAX_SEED)) })
+            }
+            className="px-1.5 py-1 rounded-md border border-zinc-700 text-zinc-300 hover:bg-zinc-800/70 transition"
+          >
+            🎲
+          </button>
+        </div>
+      )}
+
+      <span className="ml-auto text-zinc-500">
+        ≈ ${cost.toFixed(2)} for this video
+      </span>
+    </div>
+  );
+}
+
+export default VideoSettings;
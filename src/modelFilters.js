@@ -0,0 +1,102 @@
+// Filtering for the model picker, and which model a mode/brand starts on.
+// OpenRouter prices are USD per token; the picker talks per 1M tokens.
+
+// same cap as server/modelPreferences.js
+export const MAX_RECENT_MODELS = 8;
+
+export const EMPTY_MODEL_PREFERENCES = {
+  favorites: [],
+  recents: [],
+  defaults: { modes: {}, brands: {} },
+};
+
+export const DEFAULT_MODEL_FILTERS = {
+  freeOnly: false,
+  // an input modality the model must accept ("" = any)
+  modality: "",
+  provider: "",
+  minContext: 0,
+  // USD per 1M prompt tokens ("" = no ceiling)
+  maxPrice: "",
+};
+
+export const MODALITY_OPTIONS = [
+  { value: "", label: "Any input" },
+  { value: "image", label: "Reads images" },
+  { value: "file", label: "Reads PDFs" },
+  { value: "audio", label: "Reads audio" },
+];
+
+export const CONTEXT_OPTIONS = [
+  { value: 0, label: "Any context" },
+  { value: 32000, label: "32k+ context" },
+  { value: 128000, label: "128k+ context" },
+  { value: 1000000, label: "1M+ context" },
+];
+
+// "openai/gpt-4o-mini" -> "openai"
+export function modelProvider(model) {
+  return model.id.split("/")[0];
+}
+
+export function listProviders(models) {
+  return [...new Set(models.map(modelProvider))].sort();
+}
+
+export function pricePerMillion(price) {
+  return (price || 0) * 1000000;
+}
+
+export function hasActiveFilters(filters) {
+  return Object.keys(DEFAULT_MODEL_FILTERS).some(
+    (key) => filters[key] !== DEFAULT_MODEL_FILTERS[key]
+  );
+}
+
+/** Models matching the search text (name or id) and every filter. */
+export function filterModels(models, filters, query) {
+  const needle = query.trim().toLowerCase();
+  const maxPrice = filters.maxPrice === "" ? null : Number(filters.maxPrice);
+
+  return models.filter((m) => {
+    if (
+      needle &&
+      !m.name?.toLowerCase().includes(needle) &&
+      !m.id.toLowerCase().includes(needle)
+    ) {
+      return false;
+    }
+    if (filters.freeOnly && !m.isFree) return false;
+    if (filters.modality && !m.inputModalities?.includes(filters.modality)) {
+      return false;
+    }
+    if (filters.provider && modelProvider(m) !== filters.provider) return false;
+    if (filters.minContext && (m.contextLength || 0) < filters.minContext) {
+      return false;
+    }
+    if (maxPrice != null && pricePerMillion(m.pricing?.prompt) > maxPrice) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * The model to start on for `mode` + `brand`, out of `models` (already
+ * limited to what the mode can use): the user's default for the mode, then
+ * for the brand, then the mode template's, then the first (cheapest) one.
+ */
+export function pickDefaultModel(models, prefs, mode, brand) {
+  const candidates = [
+    mode && prefs.defaults.modes[mode.id],
+    brand && prefs.defaults.brands[brand.id],
+    mode?.defaultModel,
+  ];
+
+  for (const id of candidates) {
+    const model = id && models.find((m) => m.id === id);
+    if (model) return model;
+  }
+
+  return models[0] || null;
+}
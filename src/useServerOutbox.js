@@ -0,0 +1,151 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+// how often queued (offline) changes are retried
+const RETRY_INTERVAL_MS = 15000;
+
+// ---------- OFFLINE QUEUE ----------
+// One queue per user, so changes never replay under someone else's login.
+
+function outboxKey(userId) {
+  return `byteSizeOutbox:${userId}`;
+}
+
+function loadOutbox(userId) {
+  if (!userId) return [];
+
+  try {
+    const raw = localStorage.getItem(outboxKey(userId));
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveOutbox(userId, queue) {
+  if (!userId) return;
+
+  try {
+    if (queue.length) {
+      localStorage.setItem(outboxKey(userId), JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(outboxKey(userId));
+    }
+  } catch (err) {
+    console.error("Error saving offline changes:", err);
+  }
+}
+
+// ---------- HOOK ----------
+
+/**
+ * Sends project/chat/message changes to the REST API, in order.
+ *
+ * Every change goes through one queue (persisted in localStorage), so a chat
+ * is always created before its messages are posted. If the backend can't be
+ * reached (network error or 5xx) the queue stops and is retried when the
+ * browser comes back online (and every 15s). A 4xx means the change can never
+ * succeed (e.g. the chat was deleted in another tab), so it's dropped.
+ * All write routes are idempotent, so replaying a change is harmless.
+ */
+export function useServerOutbox({ token, userId, onUnauthorized }) {
+  const [syncStatus, setSyncStatus] = useState("idle");
+
+  const flushingRef = useRef(null);
+  const onUnauthorizedRef = useRef(onUnauthorized);
+
+  useEffect(() => {
+    onUnauthorizedRef.current = onUnauthorized;
+  });
+
+  const flushOutbox = useCallback(() => {
+    if (!token || !userId) return Promise.resolve();
+    // already flushing – callers can wait on the same run
+    if (flushingRef.current) return flushingRef.current;
+
+    async function run() {
+      // localStorage is the queue: sendChange() only ever appends to it,
+      // so dropping the head after each await is safe
+      let queue;
+      while ((queue = loadOutbox(userId)).length) {
+        const change = queue[0];
+        setSyncStatus("saving");
+
+        let res;
+        try {
+          res = await fetch(`${API_BASE_URL}${change.path}`, {
+            method: change.method,
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${token}`,
+            },
+            body: change.body ? JSON.stringify(change.body) : undefined,
+          });
+        } catch (err) {
+          console.error("Backend unreachable, keeping changes queued:", err);
+          setSyncStatus("offline");
+          return;
+        }
+
+        if (res.status === 401) {
+          onUnauthorizedRef.current?.();
+          return;
+        }
+
+        if (res.status >= 500) {
+          console.error("Backend error while saving, will retry:", res.status);
+          setSyncStatus("offline");
+          return;
+        }
+
+        if (!res.ok) {
+          const text = await res.text().catch(() => "");
+          console.warn("Dropping rejected change:", change, res.status, text);
+        }
+
+        saveOutbox(userId, loadOutbox(userId).slice(1));
+      }
+
+      setSyncStatus("saved");
+    }
+
+    flushingRef.current = run().finally(() => {
+      flushingRef.current = null;
+    });
+
+    return flushingRef.current;
+  }, [token, userId]);
+
+  /** Queue one API call (e.g. "POST", "/api/chats", { ... }) and send it. */
+  const sendChange = useCallback(
+    (method, path, body) => {
+      saveOutbox(userId, [...loadOutbox(userId), { method, path, body }]);
+      flushOutbox();
+    },
+    [userId, flushOutbox]
+  );
+
+  // retry queued changes once the backend is reachable again
+  useEffect(() => {
+    if (!token) return;
+
+    function retry() {
+      if (loadOutbox(userId).length) flushOutbox();
+    }
+
+    window.addEventListener("online", retry);
+    const interval = setInterval(retry, RETRY_INTERVAL_MS);
+
+    return () => {
+      window.removeEventListener("online", retry);
+      clearInterval(interval);
+    };
+  }, [token, userId, flushOutbox]);
+
+  return {
+    syncStatus: token ? syncStatus : "idle",
+    sendChange,
+    flushOutbox,
+  };
+}
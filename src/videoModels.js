@@ -0,0 +1,25 @@
+// Helpers for the video model catalogue from /api/video/catalog
+// (server/videoModels.js is the source of truth).
+
+/** Keeps the chosen parameters within what `model` supports. */
+export function fitVideoParams(model, params) {
+  return {
+    ...params,
+    aspectRatio: model.aspectRatios.includes(params.aspectRatio)
+      ? params.aspectRatio
+      : model.aspectRatios[0],
+    durationSeconds: model.durations.includes(params.durationSeconds)
+      ? params.durationSeconds
+      : model.durations[0],
+    audioEnabled:
+      model.audio === "optional" ? params.audioEnabled : model.audio === "always",
+    negativePrompt: model.negativePrompt ? params.negativePrompt : "",
+    seed: model.seed ? params.seed : "",
+  };
+}
+
+// "Paid • $0.20 / video" / "Paid • $0.05 / sec"
+export function formatVideoPrice(model) {
+  const unit = model.pricing.per === "second" ? "sec" : "video";
+  return `Paid • $${model.pricing.usd.toFixed(2)} / ${unit}`;
+}